@@ -6,31 +6,122 @@ import express from "express";
 import cors from "cors";
 import { config } from "./config/config.js";
 import notesRouter from "./routes/notes.js";
+import tagsRouter from "./routes/tags.js";
+import foldersRouter from "./routes/folders.js";
+import transferRouter from "./routes/transfer.js";
+import logsRouter from "./routes/logs.js";
+import metricsRouter from "./routes/metrics.js";
+import healthRouter from "./routes/health.js";
+import authRouter from "./routes/auth.js";
+import publicRouter from "./routes/public.js";
+import eventsRouter from "./routes/events.js";
+import { handleCollabUpgrade } from "./routes/collab.js";
 import { errorMiddleware } from "./middleware/error-middleware.js";
+import { requestIdMiddleware } from "./middleware/request-id.js";
+import { accessLogMiddleware } from "./middleware/access-log.js";
+import { httpMetricsMiddleware } from "./middleware/metrics.js";
+import { authenticate } from "./middleware/auth.js";
+import { rateLimit } from "./middleware/rate-limit.js";
 import { loggerService, LogAction } from "./services/logger-service.js";
+import {
+  getLifecycleState,
+  setLifecycleState,
+  LifecycleState,
+} from "./services/health-service.js";
+import { closeSubscriptions } from "./services/events-service.js";
+import { closeSessions } from "./services/collab-service.js";
+import { claimOwnerlessRecords } from "./services/auth-service.js";
+import { repairReferences } from "./services/integrity-service.js";
+import { loadStorageAdapters } from "./db/storage-adapter.js";
+import { createError } from "./utils/error-handler.js";
+import {
+  purgeExpiredNotes,
+  rebuildSearchIndex,
+} from "./services/notes-service.js";
 
 const app = express();
+app.set("trust proxy", config.http.trustProxy);
+
+// Methods that change data, which have their own (smaller) rate limit
+const WRITE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
 
 // Middleware
-app.use(cors()); // Enable CORS for frontend
-app.use(express.json()); // Parse JSON request bodies
-
-// Log app start
-loggerService.add({
-  action: LogAction.APP_STARTED,
-  details: {
-    port: config.port,
-    environment: config.nodeEnv,
-  },
+app.use(requestIdMiddleware); // Must be first so everything after runs in the request context
+app.use(accessLogMiddleware);
+app.use(httpMetricsMiddleware);
+// Enable CORS for the frontend, including the session cookie
+app.use(
+  cors({
+    origin: config.cors.origins,
+    credentials: true,
+    exposedHeaders: [
+      "ETag",
+      "X-Request-Id",
+      "RateLimit-Policy",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After",
+    ],
+  })
+);
+
+// Health checks and metrics answer while the server is starting
+app.use("/health", healthRouter);
+app.use("/metrics", metricsRouter);
+
+// Everything else waits until persisted data is loaded
+app.use((req, res, next) => {
+  if (getLifecycleState() === LifecycleState.STARTING) {
+    res.set("Retry-After", "1");
+    return next(createError("Server is starting", "SERVICE_UNAVAILABLE", 503));
+  }
+  next();
 });
 
+// Sign-in attempts are limited per IP before anything else
+app.use(
+  ["/auth/login", "/auth/register"],
+  rateLimit({ name: "auth", methods: ["POST"], ...config.rateLimit.auth })
+);
+
+// Notes and everything derived from them require a signed-in user
+app.use(
+  ["/notes", "/tags", "/folders", "/logs", "/events", "/export", "/import"],
+  authenticate
+);
+
+// Rate limits, per user once authenticated (health checks and metrics
+// are mounted above, so they are never limited)
+app.use(rateLimit({ name: "general", ...config.rateLimit.general }));
+app.use(
+  ["/notes", "/tags", "/folders", "/import"],
+  rateLimit({ name: "writes", methods: WRITE_METHODS, ...config.rateLimit.writes })
+);
+
+// Export/import parse their own (larger) bodies, so they come first
+app.use(transferRouter);
+// Parse JSON request bodies, including PATCH documents
+app.use(
+  express.json({
+    limit: config.http.jsonBodyLimit,
+    type: [
+      "application/json",
+      "application/merge-patch+json",
+      "application/json-patch+json",
+    ],
+  })
+);
+
 // Routes
+app.use("/auth", authRouter);
 app.use("/notes", notesRouter);
-
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
-});
+app.use("/tags", tagsRouter);
+app.use("/folders", foldersRouter);
+app.use("/logs", logsRouter);
+app.use("/events", eventsRouter);
+// Public share links, readable without signing in
+app.use("/s", publicRouter);
 
 // 404 handler (must be before error middleware)
 app.use((req, res) => {
@@ -41,14 +132,97 @@ app.use((req, res) => {
       path: req.path,
       method: req.method,
     },
+    requestId: req.id,
   });
 });
 
 // Error handling middleware (must be last)
 app.use(errorMiddleware);
 
+// Purge notes that stayed in the trash past the retention period
+function runTrashPurge() {
+  try {
+    purgeExpiredNotes();
+  } catch (error) {
+    console.error("Trash purge failed:", error);
+  }
+}
+
+/**
+ * Loads persisted data, then marks the server ready
+ * Runs after the server is listening and loads asynchronously, so
+ * /health/ready reports "starting" (503) while the data is replayed
+ */
+async function startApp() {
+  await loadStorageAdapters();
+  repairReferences();
+  claimOwnerlessRecords();
+  rebuildSearchIndex();
+
+  // Log app start
+  loggerService.add({
+    action: LogAction.APP_STARTED,
+    details: {
+      port: config.port,
+      environment: config.nodeEnv,
+      storage: config.storage.driver,
+    },
+  });
+
+  runTrashPurge();
+  setInterval(runTrashPurge, config.trash.purgeIntervalMs).unref();
+
+  setLifecycleState(LifecycleState.READY);
+}
+
 // Start server
-app.listen(config.port, () => {
-  console.log(`Server running on port ${config.port} (${config.nodeEnv})`);
+const server = app.listen(config.port, (error) => {
+  if (error) {
+    // e.g. EADDRINUSE when another process has the port
+    console.error(`Could not listen on port ${config.port}: ${error.message}`);
+    process.exit(1);
+  }
+  console.log(`Server running on port ${server.address().port} (${config.nodeEnv})`);
+  startApp().catch((error) => {
+    console.error("Failed to load data:", error);
+    process.exit(1);
+  });
 });
+// Live editing WebSockets (GET /notes/:id/collab) bypass Express
+server.on("upgrade", handleCollabUpgrade);
+
+/**
+ * Graceful shutdown
+ * Readiness turns 503 right away; after the drain period the server stops
+ * accepting connections and exits once in-flight requests are done (or
+ * when the timeout is reached).
+ *
+ * @param {string} signal - Signal received
+ */
+function shutdown(signal) {
+  if (getLifecycleState() === LifecycleState.STOPPING) {
+    return;
+  }
+  setLifecycleState(LifecycleState.STOPPING);
+  console.log(`${signal} received, shutting down`);
+  loggerService.add({ action: LogAction.APP_STOPPING, details: { signal } });
+
+  setTimeout(() => {
+    server.close(() => {
+      loggerService.close();
+      process.exit(0);
+    });
+    // Event streams and editing sessions never finish on their own
+    closeSubscriptions();
+    closeSessions();
+    server.closeIdleConnections();
+  }, config.shutdown.drainMs);
+
+  setTimeout(() => {
+    console.error("Shutdown timed out, exiting");
+    process.exit(1);
+  }, config.shutdown.timeoutMs).unref();
+}
 
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
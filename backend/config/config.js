@@ -2,9 +2,131 @@
  * Configuration module
  * Centralizes all environment variable access with default values
  */
+import { randomBytes } from "node:crypto";
+
+/**
+ * Parses TRUST_PROXY into an Express "trust proxy" value
+ * 
+ * @param {string} [value] - "true", "false", a hop count or addresses/subnets
+ * @returns {boolean|number|string} Setting for app.set("trust proxy")
+ */
+function parseTrustProxy(value) {
+  if (value === undefined || value === "" || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
 export const config = {
   port: process.env.PORT || 3001,
   nodeEnv: process.env.NODE_ENV || "development",
   apiBaseUrl: process.env.API_BASE_URL || "http://localhost:3001",
+  storage: {
+    driver: process.env.STORAGE_DRIVER || "memory", // "memory" | "file"
+    dataDir: process.env.STORAGE_DATA_DIR || "./data",
+    // Operation log size (bytes) that triggers compaction into a snapshot
+    maxLogBytes: Number(process.env.STORAGE_MAX_LOG_BYTES) || 1024 * 1024,
+  },
+  trash: {
+    // Notes in the trash are purged after this many days
+    retentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+    purgeIntervalMs: Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+  },
+  revisions: {
+    maxPerNote: Number(process.env.REVISIONS_MAX_PER_NOTE) || 50,
+  },
+  batch: {
+    // Maximum number of operations in one POST /notes/batch request
+    maxOperations: Number(process.env.BATCH_MAX_OPERATIONS) || 500,
+  },
+  import: {
+    // Maximum request body size for POST /import
+    maxBytes: Number(process.env.IMPORT_MAX_BYTES) || 10 * 1024 * 1024,
+  },
+  http: {
+    // Maximum size of a JSON request body (bytes, or a string like "100kb")
+    jsonBodyLimit: process.env.JSON_BODY_LIMIT || "100kb",
+    // Express "trust proxy" setting, so req.ip is the client's address
+    // behind a reverse proxy (e.g. "1" for one proxy hop). Off by default
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  },
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== "false",
+    // Each budget is a token bucket: `capacity` requests in a burst,
+    // refilled evenly over `windowMs`. Signed-in users are counted per
+    // user, everyone else per IP
+    general: {
+      capacity: Number(process.env.RATE_LIMIT_CAPACITY) || 300,
+      windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+    },
+    // Creating, changing and deleting notes, folders and tags
+    writes: {
+      capacity: Number(process.env.RATE_LIMIT_WRITE_CAPACITY) || 60,
+      windowMs: Number(process.env.RATE_LIMIT_WRITE_WINDOW_MS) || 60 * 1000,
+    },
+    // Sign-in and registration attempts, to slow down password guessing
+    auth: {
+      capacity: Number(process.env.RATE_LIMIT_AUTH_CAPACITY) || 10,
+      windowMs: Number(process.env.RATE_LIMIT_AUTH_WINDOW_MS) || 60 * 1000,
+    },
+    // Clients tracked per budget before idle ones are forgotten
+    maxKeys: Number(process.env.RATE_LIMIT_MAX_KEYS) || 10000,
+  },
+  events: {
+    // Comment sent on idle GET /events streams so proxies keep them open
+    heartbeatMs: Number(process.env.EVENTS_HEARTBEAT_MS) || 15 * 1000,
+    // Recent events kept for clients that reconnect with Last-Event-ID
+    bufferSize: Number(process.env.EVENTS_BUFFER_SIZE) || 1000,
+  },
+  collab: {
+    // Quiet time after an edit before the shared document is saved
+    saveDelayMs: Number(process.env.COLLAB_SAVE_DELAY_MS) || 2000,
+    // Ping interval; editors that miss a ping are disconnected
+    heartbeatMs: Number(process.env.COLLAB_HEARTBEAT_MS) || 30 * 1000,
+    // Largest WebSocket message accepted from an editor
+    maxMessageBytes: Number(process.env.COLLAB_MAX_MESSAGE_BYTES) || 256 * 1024,
+  },
+  cors: {
+    // Origins allowed to call the API with the session cookie
+    origins: (process.env.CORS_ORIGIN || "http://localhost:5173")
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+  },
+  auth: {
+    // Signs session cookies. Without AUTH_SECRET a random one is used,
+    // so cookies stop working when the server restarts
+    secret: process.env.AUTH_SECRET || randomBytes(32).toString("hex"),
+    sessionTtlMs: Number(process.env.AUTH_SESSION_TTL_MS) || 7 * 24 * 60 * 60 * 1000,
+    cookieName: "sid",
+    // Only send the cookie over HTTPS in production
+    cookieSecure: process.env.NODE_ENV === "production",
+  },
+  shutdown: {
+    // Time between readiness turning 503 and closing the server, so load
+    // balancers stop sending traffic first
+    drainMs: Number(process.env.SHUTDOWN_DRAIN_MS) || 0,
+    // Exit even if requests are still running after this long
+    timeoutMs: Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000,
+  },
+  logging: {
+    // Lowest level recorded: "debug" | "info" | "warn" | "error"
+    level:
+      process.env.LOG_LEVEL ||
+      (process.env.NODE_ENV === "production" ? "info" : "debug"),
+    // Where entries go: "memory" (read by GET /logs) and/or "file"
+    sinks: (process.env.LOG_SINKS || "memory")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
+    memory: {
+      // Most recent entries kept; older ones are dropped
+      maxEntries: Number(process.env.LOG_MEMORY_MAX_ENTRIES) || 10000,
+    },
+    file: {
+      dir: process.env.LOG_DIR || "./logs",
+      maxBytes: Number(process.env.LOG_FILE_MAX_BYTES) || 10 * 1024 * 1024,
+      maxFiles: Number(process.env.LOG_FILE_MAX_FILES) || 14,
+      retentionDays: Number(process.env.LOG_FILE_RETENTION_DAYS) || 14,
+    },
+  },
 };
-
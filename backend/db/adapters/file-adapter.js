@@ -0,0 +1,254 @@
+/**
+ * File Storage Adapter
+ *
+ * Keeps records in memory and makes every change durable on disk using
+ * a snapshot file plus an append-only operation log (see db/operation-log.js):
+ *
+ * - Each set/delete/clear is appended to the log and flushed *before* it is
+ *   applied in memory, so a write is never acknowledged until it is on disk.
+ * - On load, the snapshot is read and the log is replayed on top of it.
+ * - Once the log grows past maxLogBytes it is compacted: the full state is
+ *   written to the snapshot atomically (temp file + fsync + rename) and the
+ *   log is emptied.
+ *
+ * Snapshot format:
+ * { "seq": 42, "records": [[id, value], ...] }
+ *
+ * `seq` is the last log entry contained in the snapshot. Entries with a
+ * lower or equal seq are skipped on replay, so a crash between writing the
+ * snapshot and emptying the log is harmless.
+ *
+ * Every collection has its own adapter and log, so a change that writes to
+ * several collections is only durable one collection at a time. After a
+ * crash in between, services/integrity-service.js repairs the references
+ * between them on startup.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { createOperationLog } from "../operation-log.js";
+
+const DEFAULT_MAX_LOG_BYTES = 1024 * 1024; // 1 MB
+// Log entries replayed between turns of the event loop
+const REPLAY_BATCH_SIZE = 1000;
+
+/**
+ * Lets pending I/O (such as health checks) run before continuing
+ *
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Reads a snapshot file
+ *
+ * @param {string} filePath - Snapshot file path
+ * @returns {Promise<Object|null>} Parsed snapshot, or null if there is none
+ */
+async function readSnapshot(filePath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Writes data to a file atomically (temp file + fsync + rename)
+ *
+ * @param {string} filePath - Target file path
+ * @param {string} data - File contents
+ */
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, "w");
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Creates a file-backed storage adapter
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.filePath - Path of the JSON snapshot file
+ * @param {string} [options.logPath] - Path of the NDJSON operation log
+ *   (default: snapshot path with a .wal.ndjson extension)
+ * @param {number} [options.maxLogBytes] - Log size that triggers compaction
+ * @returns {Object} Storage adapter (see db/storage-adapter.js)
+ */
+export function createFileAdapter({
+  filePath,
+  logPath = filePath.replace(/\.json$/, "") + ".wal.ndjson",
+  maxLogBytes = DEFAULT_MAX_LOG_BYTES,
+}) {
+  const records = new Map();
+  const log = createOperationLog({ filePath: logPath });
+  let seq = 0;
+  let loaded = false;
+
+  /**
+   * Applies a log entry to the in-memory records
+   *
+   * @param {Object} entry - Log entry
+   */
+  function apply(entry) {
+    switch (entry.op) {
+      case "set":
+        records.set(entry.id, entry.value);
+        break;
+      case "delete":
+        records.delete(entry.id);
+        break;
+      case "clear":
+        records.clear();
+        break;
+      default:
+        throw new Error(`Unknown operation log entry: ${entry.op}`);
+    }
+  }
+
+  /**
+   * Writes the full state to the snapshot and empties the log
+   */
+  function compact() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileAtomic(
+      filePath,
+      JSON.stringify({ seq, records: Array.from(records.entries()) })
+    );
+    log.reset();
+  }
+
+  /**
+   * Logs an operation, applies it, and compacts when the log is too big.
+   * Nothing changes in memory if the log write fails.
+   *
+   * @param {Object} operation - Operation without seq
+   */
+  function commit(operation) {
+    const entry = { seq: seq + 1, ...operation };
+    log.append(entry);
+    seq = entry.seq;
+    apply(entry);
+
+    if (log.size() > maxLogBytes) {
+      try {
+        compact();
+      } catch (error) {
+        // The change is already durable in the log - compaction retries
+        // on the next write
+        if (process.env.NODE_ENV === "development") {
+          console.warn("Failed to compact operation log:", error);
+        }
+      }
+    }
+  }
+
+  return {
+    name: "file",
+
+    /**
+     * Loads the snapshot and replays the operation log on top of it.
+     * A missing snapshot means an empty store. The replay yields to the
+     * event loop regularly, so the server keeps answering meanwhile.
+     *
+     * @returns {Promise<void>}
+     */
+    async load() {
+      loaded = false;
+      records.clear();
+      seq = 0;
+
+      const snapshot = await readSnapshot(filePath);
+      if (snapshot) {
+        for (const [id, value] of snapshot.records || []) {
+          records.set(id, value);
+        }
+        seq = snapshot.seq || 0;
+      }
+
+      const entries = await log.read();
+      for (let i = 0; i < entries.length; i++) {
+        if (i > 0 && i % REPLAY_BATCH_SIZE === 0) {
+          await yieldToEventLoop();
+        }
+        if (entries[i].seq > seq) {
+          apply(entries[i]);
+          seq = entries[i].seq;
+        }
+      }
+
+      if (log.size() > maxLogBytes) {
+        compact();
+      }
+      loaded = true;
+    },
+
+    get(id) {
+      return records.get(id);
+    },
+
+    has(id) {
+      return records.has(id);
+    },
+
+    set(id, value) {
+      commit({ op: "set", id, value });
+      return this;
+    },
+
+    delete(id) {
+      if (!records.has(id)) {
+        return false;
+      }
+      commit({ op: "delete", id });
+      return true;
+    },
+
+    keys() {
+      return Array.from(records.keys());
+    },
+
+    values() {
+      return Array.from(records.values());
+    },
+
+    clear() {
+      commit({ op: "clear" });
+    },
+
+    compact,
+
+    /**
+     * Throws unless the store is loaded and its files can be written
+     */
+    check() {
+      if (!loaded) {
+        throw new Error("data has not been loaded yet");
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.accessSync(path.dirname(filePath), fs.constants.W_OK);
+      for (const existing of [filePath, logPath].filter((file) => fs.existsSync(file))) {
+        fs.accessSync(existing, fs.constants.W_OK);
+      }
+    },
+
+    get size() {
+      return records.size;
+    },
+  };
+}
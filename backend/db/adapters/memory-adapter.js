@@ -0,0 +1,63 @@
+/**
+ * In-Memory Storage Adapter
+ *
+ * Keeps records in a JavaScript Map.
+ * Data lives in RAM and resets when the server restarts.
+ * Used by default and in unit tests.
+ */
+
+/**
+ * Creates an in-memory storage adapter
+ *
+ * @returns {Object} Storage adapter (see db/storage-adapter.js)
+ */
+export function createMemoryAdapter() {
+  const records = new Map();
+
+  return {
+    name: "memory",
+
+    /**
+     * Nothing to load - memory adapter always starts empty
+     */
+    async load() {},
+
+    get(id) {
+      return records.get(id);
+    },
+
+    has(id) {
+      return records.has(id);
+    },
+
+    set(id, value) {
+      records.set(id, value);
+      return this;
+    },
+
+    delete(id) {
+      return records.delete(id);
+    },
+
+    keys() {
+      return Array.from(records.keys());
+    },
+
+    values() {
+      return Array.from(records.values());
+    },
+
+    clear() {
+      records.clear();
+    },
+
+    /**
+     * Nothing to check - memory is always loaded and writable
+     */
+    check() {},
+
+    get size() {
+      return records.size;
+    },
+  };
+}
@@ -0,0 +1,13 @@
+/**
+ * Folders database
+ * 
+ * Storage adapter instance for note folders (notebooks).
+ * 
+ * Structure:
+ * - Key: folder ID (string)
+ * - Value: { id, name, parentId, ownerId, createdAt, lastModified }
+ *   parentId is null for top-level folders
+ */
+import { createStorageAdapter } from "./storage-adapter.js";
+
+export const foldersDB = createStorageAdapter("folders");
@@ -0,0 +1,14 @@
+/**
+ * Links database
+ * 
+ * Storage adapter instance for public share links.
+ * 
+ * Structure:
+ * - Key: SHA-256 hash of the link token (like sessions, the token itself
+ *   is only shown once, when the link is created)
+ * - Value: { id, noteId, createdAt, createdBy, expiresAt, maxViews, views }
+ *   expiresAt and maxViews are null when the link has no such limit
+ */
+import { createStorageAdapter } from "./storage-adapter.js";
+
+export const linksDB = createStorageAdapter("links");
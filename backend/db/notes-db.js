@@ -1,8 +1,9 @@
 /**
- * In-memory database for notes
+ * Notes database
  * 
- * Uses JavaScript Map for O(1) lookup and deletion by ID.
- * Data is stored in RAM and resets when the server restarts (intended behavior).
+ * Storage adapter instance for notes, chosen through config.storage.driver
+ * (see db/storage-adapter.js). With the default "memory" driver data resets
+ * when the server restarts; with the "file" driver it is loaded on startup.
  * 
  * Structure:
  * - Key: note ID (string)
@@ -11,7 +12,8 @@
  * This database instance is:
  * - Shared across all routes and services (singleton)
  * - Accessed only through service layer (never directly from routes)
- * - Starts empty when server launches
+ * - Loaded once on startup (see app.js)
  */
-export const notesDB = new Map();
+import { createStorageAdapter } from "./storage-adapter.js";
 
+export const notesDB = createStorageAdapter("notes");
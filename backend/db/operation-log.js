@@ -0,0 +1,121 @@
+/**
+ * Operation Log (write-ahead log)
+ *
+ * Append-only NDJSON file of storage operations. Every change is written
+ * and flushed here before it is applied in memory, so acknowledged writes
+ * survive a crash. On startup the log is replayed on top of the last
+ * snapshot.
+ *
+ * Each line is one JSON entry:
+ * { "seq": 12, "op": "set", "id": "...", "value": {...} }
+ * { "seq": 13, "op": "delete", "id": "..." }
+ * { "seq": 14, "op": "clear" }
+ *
+ * A process killed mid-append leaves at most one torn line at the end
+ * of the file. That line was never acknowledged and is dropped on read.
+ */
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Creates an operation log bound to a file
+ *
+ * @param {Object} options - Log options
+ * @param {string} options.filePath - Path of the NDJSON log file
+ * @returns {Object} Operation log with append, read, size and reset
+ */
+export function createOperationLog({ filePath }) {
+  /**
+   * Appends one entry and flushes it to disk.
+   * On failure the file is truncated back to its previous length so a
+   * partial line never sits in front of later entries.
+   *
+   * @param {Object} entry - Log entry
+   * @throws {Error} If the entry could not be written
+   */
+  function append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const fd = fs.openSync(filePath, "a");
+    const previousSize = fs.fstatSync(fd).size;
+    try {
+      fs.writeSync(fd, line);
+      fs.fsyncSync(fd);
+    } catch (error) {
+      try {
+        fs.ftruncateSync(fd, previousSize);
+      } catch {
+        // Torn tail is dropped on read anyway
+      }
+      throw error;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Reads all complete entries in order
+   * Asynchronous, so a long log doesn't hold up the event loop on startup.
+   *
+   * @returns {Promise<Array>} Log entries
+   * @throws {Error} If a line other than the last one is corrupt
+   */
+  async function read() {
+    let text;
+    try {
+      text = await fs.promises.readFile(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const lines = text.split("\n");
+    const entries = [];
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Only the final line may be torn by a crash
+        if (index !== lines.length - 1) {
+          throw new Error(
+            `Corrupt operation log entry at line ${index + 1} of ${filePath}`
+          );
+        }
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Current log size in bytes
+   *
+   * @returns {number} Size of the log file (0 if missing)
+   */
+  function size() {
+    return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  }
+
+  /**
+   * Empties the log (after its entries are captured in a snapshot)
+   */
+  function reset() {
+    if (fs.existsSync(filePath)) {
+      fs.truncateSync(filePath, 0);
+    }
+  }
+
+  return {
+    filePath,
+    append,
+    read,
+    size,
+    reset,
+  };
+}
@@ -0,0 +1,13 @@
+/**
+ * Revisions database
+ * 
+ * Storage adapter instance for note revision history.
+ * 
+ * Structure:
+ * - Key: note ID (string)
+ * - Value: array of revisions, oldest first,
+ *   each { rev, title, content, lastModified, savedAt }
+ */
+import { createStorageAdapter } from "./storage-adapter.js";
+
+export const revisionsDB = createStorageAdapter("revisions");
@@ -0,0 +1,13 @@
+/**
+ * Sessions database
+ * 
+ * Storage adapter instance for login sessions.
+ * 
+ * Structure:
+ * - Key: SHA-256 hash of the session token (the token itself is only
+ *   known to the client, so a leaked data file can't be used to sign in)
+ * - Value: { id, userId, createdAt, expiresAt }
+ */
+import { createStorageAdapter } from "./storage-adapter.js";
+
+export const sessionsDB = createStorageAdapter("sessions");
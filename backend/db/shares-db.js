@@ -0,0 +1,13 @@
+/**
+ * Shares database
+ * 
+ * Storage adapter instance for notes shared with other users.
+ * 
+ * Structure:
+ * - Key: "<noteId>:<userId>" (a note is shared with a user at most once)
+ * - Value: { id, noteId, userId, role, createdAt, grantedBy }
+ *   role is "viewer" or "editor"; the note's owner is never in here
+ */
+import { createStorageAdapter } from "./storage-adapter.js";
+
+export const sharesDB = createStorageAdapter("shares");
@@ -0,0 +1,87 @@
+/**
+ * Storage Adapter Factory
+ *
+ * Services never talk to a concrete store. They use a storage adapter
+ * with a small Map-like interface, picked through config.storage.driver:
+ *
+ * - "memory": data in RAM, reset on restart (default)
+ * - "file":   data persisted in config.storage.dataDir as a JSON snapshot
+ *             plus a write-ahead operation log (<name>.wal.ndjson)
+ *
+ * Adapter interface:
+ * - load()            Loads persisted data (called once on startup, async)
+ * - get(id)           Returns the record or undefined
+ * - has(id)           Returns true if the record exists
+ * - set(id, value)    Inserts or replaces a record
+ * - delete(id)        Removes a record, returns true if it existed
+ * - keys()            Returns an array of all record IDs (insertion order)
+ * - values()          Returns an array of all records (insertion order)
+ * - clear()           Removes all records
+ * - size              Number of records
+ * - check()           Throws if the store is not loaded or can't be written
+ */
+import path from "node:path";
+import { config } from "../config/config.js";
+import { createMemoryAdapter } from "./adapters/memory-adapter.js";
+import { createFileAdapter } from "./adapters/file-adapter.js";
+
+// Every adapter created through the factory, keyed by collection name
+const adapters = new Map();
+
+/**
+ * Creates a storage adapter for a named collection
+ *
+ * @param {string} name - Collection name (used as the data file name)
+ * @param {Object} [storageConfig] - Storage settings (default: config.storage)
+ * @returns {Object} Storage adapter
+ * @throws {Error} If the configured driver is unknown
+ */
+export function createStorageAdapter(name, storageConfig = config.storage) {
+  let adapter;
+
+  switch (storageConfig.driver) {
+    case "memory":
+      adapter = createMemoryAdapter();
+      break;
+    case "file":
+      adapter = createFileAdapter({
+        filePath: path.resolve(storageConfig.dataDir, `${name}.json`),
+        maxLogBytes: storageConfig.maxLogBytes,
+      });
+      break;
+    default:
+      throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+  }
+
+  adapters.set(name, adapter);
+  return adapter;
+}
+
+/**
+ * Loads every registered storage adapter, one collection at a time
+ * Called once on startup, while the server answers health checks
+ *
+ * @returns {Promise<void>}
+ */
+export async function loadStorageAdapters() {
+  for (const adapter of adapters.values()) {
+    await adapter.load();
+  }
+}
+
+/**
+ * Checks every registered storage adapter (used by the readiness probe)
+ *
+ * @returns {Object} { collections } - Names of the checked collections
+ * @throws {Error} If a collection is not loaded or can't be written
+ */
+export function checkStorageAdapters() {
+  adapters.forEach((adapter, name) => {
+    try {
+      adapter.check();
+    } catch (error) {
+      throw new Error(`Storage for '${name}' is not ready: ${error.message}`);
+    }
+  });
+  return { collections: [...adapters.keys()] };
+}
@@ -0,0 +1,13 @@
+/**
+ * Users database
+ * 
+ * Storage adapter instance for user accounts.
+ * 
+ * Structure:
+ * - Key: user ID (string)
+ * - Value: { id, username, passwordHash, createdAt }
+ *   passwordHash is never returned by the API (see utils/password.js)
+ */
+import { createStorageAdapter } from "./storage-adapter.js";
+
+export const usersDB = createStorageAdapter("users");
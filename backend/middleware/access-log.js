@@ -0,0 +1,67 @@
+import { loggerService, LogAction, LogLevel } from "../services/logger-service.js";
+import {
+  getRequestContext,
+  runWithRequestContext,
+} from "../utils/request-context.js";
+
+// Paths that carry a secret (public link tokens), logged as their route
+// pattern so the logs never hold a working link
+const SECRET_PATHS = [[/^\/s\/[^/]+/, "/s/:token"]];
+
+/**
+ * Hides the secret parts of a request path
+ * 
+ * @param {string} path - Request path
+ * @returns {string} Path that is safe to log
+ */
+function maskPath(path) {
+  const secret = SECRET_PATHS.find(([pattern]) => pattern.test(path));
+  return secret ? path.replace(secret[0], secret[1]) : path;
+}
+
+/**
+ * Picks the log level for a response status
+ * 
+ * @param {number} status - HTTP status code
+ * @returns {string} LogLevel
+ */
+function levelForStatus(status) {
+  if (status >= 500) return LogLevel.ERROR;
+  if (status >= 400) return LogLevel.WARN;
+  return LogLevel.INFO;
+}
+
+/**
+ * Access log middleware
+ * Adds a REQUEST_COMPLETED log entry with method, path, status and
+ * duration once the response is sent (or the client disconnects).
+ * Must come after requestIdMiddleware so the entry carries the request ID
+ */
+export function accessLogMiddleware(req, res, next) {
+  const start = process.hrtime.bigint();
+  // Routers rewrite req.path while routing, so keep the original
+  const { method } = req;
+  const path = maskPath(req.path);
+  const context = getRequestContext();
+
+  res.once("close", () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const status = res.statusCode;
+    // "close" fires outside the request's async context
+    runWithRequestContext(context, () =>
+      loggerService.add({
+        action: LogAction.REQUEST_COMPLETED,
+        level: levelForStatus(status),
+        details: {
+          method,
+          path,
+          status,
+          durationMs: Math.round(durationMs * 100) / 100,
+          ...(!res.writableFinished && { aborted: true }),
+        },
+      })
+    );
+  });
+
+  next();
+}
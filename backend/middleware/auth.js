@@ -0,0 +1,45 @@
+import { config } from "../config/config.js";
+import { getSessionUser } from "../services/auth-service.js";
+import { parseCookies, unsignValue } from "../utils/cookies.js";
+import { setRequestContextValues } from "../utils/request-context.js";
+import { createError } from "../utils/error-handler.js";
+
+/**
+ * Reads the session token from a request
+ * An "Authorization: Bearer <token>" header wins over the session cookie.
+ * Only reads req.headers, so it also works on the plain Node request of
+ * a WebSocket upgrade.
+ * 
+ * @param {Object} req - Express or Node request
+ * @returns {string|null} Session token, or null if none (or the cookie was tampered with)
+ */
+export function getSessionToken(req) {
+  const authorization = req.headers.authorization;
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization || "");
+  if (bearer) {
+    return bearer[1];
+  }
+
+  const cookie = parseCookies(req.headers.cookie)[config.auth.cookieName];
+  return cookie ? unsignValue(cookie, config.auth.secret) : null;
+}
+
+/**
+ * Authentication middleware
+ * Rejects the request with 401 UNAUTHORIZED unless it carries a valid
+ * session. Otherwise sets req.user and req.sessionToken, and records the
+ * user in the request context so services only see the user's own data.
+ */
+export function authenticate(req, res, next) {
+  const token = getSessionToken(req);
+  const user = getSessionUser(token);
+
+  if (!user) {
+    return next(createError("Authentication required", "UNAUTHORIZED", 401));
+  }
+
+  req.user = user;
+  req.sessionToken = token;
+  setRequestContextValues({ userId: user.id });
+  next();
+}
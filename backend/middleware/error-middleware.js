@@ -1,3 +1,5 @@
+import { formatError } from "../utils/error-handler.js";
+
 /**
  * Centralized error handling middleware
  * Formats all errors into consistent JSON structure
@@ -6,22 +8,18 @@
 export function errorMiddleware(err, req, res, next) {
   // Log error (but don't expose internal details in production)
   if (process.env.NODE_ENV === "development") {
-    console.error("Error:", err);
+    console.error(`Error (request ${req.id}):`, err);
   }
 
-  // Determine status code and error details
-  const statusCode = err.statusCode || 500;
-  const errorCode = err.code || "INTERNAL_ERROR";
-  const errorMessage = err.message || "An unexpected error occurred";
-  const errorDetails = err.details || {};
+  // A streamed response that fails halfway can only be cut off
+  if (res.headersSent) {
+    return next(err);
+  }
 
-  // Don't expose internal error details in production
-  const response = {
-    error: errorMessage,
-    code: errorCode,
-    details: process.env.NODE_ENV === "production" ? {} : errorDetails,
-  };
+  // Determine status code and error details
+  const { statusCode, body } = formatError(err);
 
-  res.status(statusCode).json(response);
+  // The request ID lets a reported error be matched to the server logs
+  res.status(statusCode).json({ ...body, requestId: req.id });
 }
 
@@ -0,0 +1,47 @@
+import { metricsService } from "../services/metrics-service.js";
+
+/**
+ * Gets the route label for a request
+ * 
+ * @param {Object} req - Express request
+ * @returns {string} Route pattern such as /notes/:id, or "unmatched"
+ */
+function routeLabel(req) {
+  if (!req.route) {
+    return "unmatched";
+  }
+  const baseUrl = req.routeBaseUrl ?? "";
+  // A router's "/" route is the mount path itself (/notes, not /notes/)
+  return baseUrl && req.route.path === "/" ? baseUrl : `${baseUrl}${req.route.path}`;
+}
+
+/**
+ * Route tracking middleware
+ * Remembers the router's mount path, which Express no longer reports once
+ * an error has left the router, so requests are labelled by their full
+ * route pattern. Use at the top of each router: router.use(trackRoute)
+ */
+export function trackRoute(req, res, next) {
+  req.routeBaseUrl = req.baseUrl;
+  next();
+}
+
+/**
+ * HTTP metrics middleware
+ * Counts every request and its latency by method, route and status once
+ * the response is sent (or the client disconnects).
+ */
+export function httpMetricsMiddleware(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.once("close", () => {
+    metricsService.recordHttpRequest({
+      method: req.method,
+      route: routeLabel(req),
+      status: res.statusCode,
+      durationSeconds: Number(process.hrtime.bigint() - start) / 1e9,
+    });
+  });
+
+  next();
+}
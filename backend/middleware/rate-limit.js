@@ -0,0 +1,82 @@
+import { config } from "../config/config.js";
+import { createTokenBuckets } from "../utils/token-bucket.js";
+import { getCurrentUserId } from "../utils/request-context.js";
+import { createError } from "../utils/error-handler.js";
+
+/**
+ * Gets the key a request is counted under
+ * Signed-in users share one budget wherever they connect from; anonymous
+ * requests are counted per client IP (see config.http.trustProxy).
+ * 
+ * @param {Object} req - Express request
+ * @returns {string} "user:<id>" or "ip:<address>"
+ */
+function clientKey(req) {
+  const userId = getCurrentUserId();
+  return userId ? `user:${userId}` : `ip:${req.ip}`;
+}
+
+/**
+ * Sets the RateLimit-* headers, unless a stricter limiter already did
+ * Several limiters can apply to one request (e.g. the general and the
+ * write budget); clients see the one closest to running out.
+ * 
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of a bucket take()
+ * @param {number} windowMs - The limiter's window
+ */
+function setRateLimitHeaders(res, result, windowMs) {
+  const previous = res.get("RateLimit-Remaining");
+  if (previous !== undefined && Number(previous) <= result.remaining) {
+    return;
+  }
+  res.set({
+    "RateLimit-Policy": `${result.limit};w=${Math.ceil(windowMs / 1000)}`,
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(Math.ceil(result.resetMs / 1000)),
+  });
+}
+
+/**
+ * Creates a token-bucket rate limiting middleware
+ * Requests over budget are rejected with 429 TOO_MANY_REQUESTS and a
+ * Retry-After header. Each limiter has its own buckets, so budgets add up
+ * (a write must fit both the general and the write budget).
+ * Does nothing when config.rateLimit.enabled is false.
+ * 
+ * @param {Object} budget
+ * @param {string} budget.name - Budget name, reported in the error details
+ * @param {number} budget.capacity - Requests allowed in a burst
+ * @param {number} budget.windowMs - Time in which the budget refills
+ * @param {Array<string>} [budget.methods] - Only count these methods (default: all)
+ * @returns {Function} Express middleware
+ */
+export function rateLimit({ name, capacity, windowMs, methods }) {
+  const buckets = createTokenBuckets({
+    capacity,
+    windowMs,
+    maxKeys: config.rateLimit.maxKeys,
+  });
+
+  return (req, res, next) => {
+    if (!config.rateLimit.enabled || (methods && !methods.includes(req.method))) {
+      return next();
+    }
+
+    const result = buckets.take(clientKey(req));
+    setRateLimitHeaders(res, result, windowMs);
+    if (result.allowed) {
+      return next();
+    }
+
+    const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+    res.set("Retry-After", String(retryAfter));
+    next(
+      createError("Too many requests, please slow down", "TOO_MANY_REQUESTS", 429, {
+        limit: name,
+        retryAfter,
+      })
+    );
+  };
+}
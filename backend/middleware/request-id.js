@@ -0,0 +1,22 @@
+import { generateId } from "../utils/id.js";
+import { runWithRequestContext } from "../utils/request-context.js";
+
+// Incoming IDs are reused only if they are short and header-safe
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Request ID middleware
+ * Reuses the client's X-Request-Id header when valid, otherwise generates
+ * one. The ID is set on req.id, echoed in the X-Request-Id response
+ * header, and available to later code through utils/request-context.js.
+ * Must be the first middleware in the chain
+ */
+export function requestIdMiddleware(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  const requestId =
+    incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : generateId();
+
+  req.id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+  runWithRequestContext({ requestId }, next);
+}
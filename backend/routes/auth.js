@@ -0,0 +1,100 @@
+/**
+ * Auth Routes
+ * 
+ * Express routes for registration, login and logout.
+ * Routes are thin - they delegate to the auth service layer.
+ * 
+ * A successful login sets a signed, HTTP-only session cookie and also
+ * returns the token, for clients that send "Authorization: Bearer".
+ */
+
+import express from "express";
+import { config } from "../config/config.js";
+import { registerUser, login, logout } from "../services/auth-service.js";
+import { authenticate } from "../middleware/auth.js";
+import { trackRoute } from "../middleware/metrics.js";
+import { serializeCookie, signValue } from "../utils/cookies.js";
+
+const router = express.Router();
+
+router.use(trackRoute);
+
+/**
+ * Sets the session cookie for a new session
+ * 
+ * @param {Object} res - Express response
+ * @param {Object} session - { token, expiresAt }
+ */
+function setSessionCookie(res, { token, expiresAt }) {
+  res.append(
+    "Set-Cookie",
+    serializeCookie(config.auth.cookieName, signValue(token, config.auth.secret), {
+      maxAge: (Date.parse(expiresAt) - Date.now()) / 1000,
+      secure: config.auth.cookieSecure,
+    })
+  );
+}
+
+/**
+ * POST /auth/register
+ * Create an account and sign in
+ * Body: { username, password }
+ */
+router.post("/register", async (req, res, next) => {
+  try {
+    const session = registerUser(req.body);
+    setSessionCookie(res, session);
+    res.status(201).json(session);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * POST /auth/login
+ * Sign in
+ * Body: { username, password }
+ */
+router.post("/login", async (req, res, next) => {
+  try {
+    const session = login(req.body);
+    setSessionCookie(res, session);
+    res.status(200).json(session);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * POST /auth/logout
+ * End the current session and clear the cookie
+ */
+router.post("/logout", authenticate, async (req, res, next) => {
+  try {
+    logout(req.sessionToken);
+    res.append(
+      "Set-Cookie",
+      serializeCookie(config.auth.cookieName, "", {
+        maxAge: 0,
+        secure: config.auth.cookieSecure,
+      })
+    );
+    res.status(204).send();
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * GET /auth/me
+ * The signed-in user
+ */
+router.get("/me", authenticate, async (req, res, next) => {
+  try {
+    res.status(200).json({ user: req.user });
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+export default router;
@@ -0,0 +1,101 @@
+/**
+ * Collaboration Routes
+ * 
+ * WebSocket endpoint for editing a note together: GET /notes/:id/collab
+ * upgraded to a WebSocket. Express doesn't handle upgrades, so this is
+ * attached to the HTTP server's "upgrade" event in app.js. Like the
+ * other routes it is thin - the collab service runs the session.
+ * 
+ * Messages are JSON text in both directions (see API.md).
+ */
+
+import { config } from "../config/config.js";
+import { getSessionToken } from "../middleware/auth.js";
+import { getSessionUser, watchSession } from "../services/auth-service.js";
+import { joinNote } from "../services/collab-service.js";
+import {
+  getLifecycleState,
+  LifecycleState,
+} from "../services/health-service.js";
+import {
+  acceptWebSocket,
+  rejectUpgrade,
+  CloseCode,
+} from "../utils/websocket.js";
+
+const COLLAB_PATH = /^\/notes\/([^/]+)\/collab$/;
+
+/**
+ * Handles an HTTP upgrade request
+ * Answers with an HTTP error instead of upgrading when the path is
+ * unknown, the server isn't ready, the page's origin isn't allowed or
+ * the request has no valid session.
+ * 
+ * @param {Object} req - Node request
+ * @param {Object} socket - Network socket of the request
+ * @param {Buffer} head - Bytes received after the request headers
+ */
+export function handleCollabUpgrade(req, socket, head) {
+  const match = COLLAB_PATH.exec(new URL(req.url, "http://localhost").pathname);
+  if (!match) {
+    return rejectUpgrade(socket, 404);
+  }
+  if (getLifecycleState() !== LifecycleState.READY) {
+    return rejectUpgrade(socket, 503, { "Retry-After": "1" });
+  }
+  // Browsers send the session cookie to WebSockets from any site, so only
+  // pages of the allowed origins may connect (CORS doesn't apply here)
+  const { origin } = req.headers;
+  if (origin && !config.cors.origins.includes(origin)) {
+    return rejectUpgrade(socket, 403);
+  }
+  const token = getSessionToken(req);
+  const user = getSessionUser(token);
+  if (!user) {
+    return rejectUpgrade(socket, 401);
+  }
+
+  let session = null;
+  let connection = null;
+  let stopWatching = null;
+  const send = (message) => connection?.send(JSON.stringify(message));
+  acceptWebSocket(req, socket, head, {
+    maxMessageBytes: config.collab.maxMessageBytes,
+    heartbeatMs: config.collab.heartbeatMs,
+    onOpen: (opened) => {
+      connection = opened;
+      // Signing out ends the connection too
+      stopWatching = watchSession(token, () => {
+        session?.leave();
+        connection.close(CloseCode.POLICY_VIOLATION, "Signed out");
+      });
+      try {
+        session = joinNote(decodeURIComponent(match[1]), user, {
+          send,
+          close: connection.close,
+        });
+      } catch (error) {
+        // Status codes can't be sent once upgraded, so errors become messages
+        send({ type: "error", code: error.code || "INTERNAL_ERROR", message: error.message });
+        connection.close(CloseCode.POLICY_VIOLATION, error.code || "INTERNAL_ERROR");
+        if (!error.code) {
+          console.error("Joining a collaboration session failed:", error);
+        }
+      }
+    },
+    onMessage: (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        send({ type: "error", code: "VALIDATION_ERROR", message: "Messages must be JSON" });
+        return;
+      }
+      session?.receive(message);
+    },
+    onClose: () => {
+      stopWatching?.();
+      session?.leave();
+    },
+  });
+}
@@ -0,0 +1,79 @@
+/**
+ * Events Routes
+ * 
+ * Server-Sent Events stream of changes to the user's notes and the notes
+ * shared with them. Routes are thin - they delegate to the events service
+ * layer.
+ */
+
+import express from "express";
+import { config } from "../config/config.js";
+import {
+  subscribe,
+  getEventsSince,
+  getLastEventId,
+} from "../services/events-service.js";
+import { formatSseMessage, formatSseComment } from "../utils/sse.js";
+import { trackRoute } from "../middleware/metrics.js";
+
+// How long browsers wait before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+const router = express.Router();
+
+router.use(trackRoute);
+
+/**
+ * GET /events
+ * Stream of note.created, note.updated, note.deleted, note.shared and
+ * note.unshared events
+ * Headers: Last-Event-ID (optional) to resume after a dropped connection
+ * Query: lastEventId (optional) - the same, for clients that can't set headers
+ * 
+ * The stream starts with a "ready" event carrying the current event ID.
+ * When missed events are no longer known, a "reset" event tells the
+ * client to reload its notes instead.
+ */
+router.get("/", (req, res) => {
+  const userId = req.user.id;
+  const lastEventId = req.get("Last-Event-ID") ?? req.query.lastEventId;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    // Stop reverse proxies from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event) =>
+    res.write(formatSseMessage({ id: event.id, event: event.type, data: event.data }));
+
+  const unsubscribe = subscribe(userId, {
+    onEvent: send,
+    onClose: () => res.end(),
+  });
+
+  res.write(formatSseMessage({ retry: RETRY_MS }));
+  if (lastEventId !== undefined) {
+    const missed = getEventsSince(userId, lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      res.write(formatSseMessage({ id: getLastEventId(), event: "reset", data: {} }));
+    }
+  }
+  res.write(formatSseMessage({ id: getLastEventId(), event: "ready", data: {} }));
+
+  const heartbeat = setInterval(() => {
+    res.write(formatSseComment("heartbeat"));
+  }, config.events.heartbeatMs);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
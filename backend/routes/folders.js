@@ -0,0 +1,93 @@
+/**
+ * Folders Routes
+ * 
+ * Express routes for folder (notebook) management.
+ * Routes are thin - they delegate to the folders service layer.
+ */
+
+import express from "express";
+import {
+  getFolders,
+  getFolderById,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+} from "../services/folders-service.js";
+import { trackRoute } from "../middleware/metrics.js";
+
+const router = express.Router();
+
+router.use(trackRoute);
+
+/**
+ * GET /folders
+ * Fetch all folders as a flat list (build the tree from parentId)
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const folders = getFolders();
+    res.status(200).json(folders);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * GET /folders/:id
+ * Fetch a single folder by ID
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const folder = getFolderById(id);
+    res.status(200).json(folder);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * POST /folders
+ * Create a new folder
+ * Body: { name, parentId }; other fields are rejected
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const folder = createFolder(req.body);
+    res.status(201).json(folder);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * PUT /folders/:id
+ * Rename a folder and/or move it under another parent
+ */
+router.put("/:id", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const folder = updateFolder(id, req.body);
+    res.status(200).json(folder);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * DELETE /folders/:id
+ * Delete a folder
+ * Query: mode=move (default, contents move to the parent folder)
+ * or mode=cascade (subfolders are deleted and their notes trashed)
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const result = deleteFolder(id, { mode: req.query.mode });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+export default router;
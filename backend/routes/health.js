@@ -0,0 +1,51 @@
+/**
+ * Health Routes
+ * 
+ * Express routes for health checks and the liveness/readiness probes.
+ * Routes are thin - they delegate to the health service layer.
+ */
+
+import express from "express";
+import { checkLiveness, checkReadiness } from "../services/health-service.js";
+import { trackRoute } from "../middleware/metrics.js";
+
+const router = express.Router();
+
+router.use(trackRoute);
+
+/**
+ * GET /health
+ * Basic health check
+ */
+router.get("/", (req, res) => {
+  res.json({ status: "ok", timestamp: new Date().toISOString() });
+});
+
+/**
+ * GET /health/live
+ * Liveness probe - 200 while the process is responsive, 503 otherwise
+ */
+router.get("/live", async (req, res, next) => {
+  try {
+    const result = await checkLiveness();
+    res.status(result.status === "ok" ? 200 : 503).json(result);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * GET /health/ready
+ * Readiness probe - 200 when the server can take traffic, 503 while it
+ * is starting or shutting down or when storage or logging is failing
+ */
+router.get("/ready", async (req, res, next) => {
+  try {
+    const result = await checkReadiness();
+    res.status(result.status === "ok" ? 200 : 503).json(result);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+export default router;
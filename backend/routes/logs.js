@@ -0,0 +1,30 @@
+/**
+ * Logs Routes
+ * 
+ * Express routes for reading the activity log.
+ * Routes are thin - they delegate to the logs service layer.
+ */
+
+import express from "express";
+import { queryLogs } from "../services/logs-service.js";
+import { trackRoute } from "../middleware/metrics.js";
+
+const router = express.Router();
+
+router.use(trackRoute);
+
+/**
+ * GET /logs
+ * Fetch a page of log entries, newest first
+ * Query: limit, cursor, action (repeatable), noteId, from, to
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const page = queryLogs(req.query);
+    res.status(200).json(page);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+export default router;
@@ -0,0 +1,26 @@
+/**
+ * Metrics Routes
+ * 
+ * Express route exposing application metrics to Prometheus.
+ * Routes are thin - they delegate to the metrics service layer.
+ */
+
+import express from "express";
+import { renderMetrics } from "../services/metrics-service.js";
+
+const router = express.Router();
+
+/**
+ * GET /metrics
+ * Metrics in the Prometheus text exposition format
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    res.type("text/plain; version=0.0.4; charset=utf-8");
+    res.status(200).send(renderMetrics());
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+export default router;
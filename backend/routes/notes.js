@@ -7,22 +7,83 @@
 
 import express from "express";
 import {
-  getAllNotes,
-  getNoteById,
+  listNotes,
+  getNoteByIdOrSlug,
   createNote,
   updateNote,
+  patchNote,
   deleteNote,
+  getNoteRevisions,
+  getNoteRevision,
+  restoreNoteRevision,
+  getTrashedNotes,
+  restoreNote,
+  emptyTrash,
+  searchNotes,
 } from "../services/notes-service.js";
+import { runBatch } from "../services/batch-service.js";
+import {
+  getNoteRole,
+  shareNote,
+  listShares,
+  revokeShare,
+  getSharedNotes,
+} from "../services/shares-service.js";
+import { createLink, listLinks, revokeLink } from "../services/links-service.js";
+import { getNoteActivity } from "../services/logs-service.js";
+import { formatETag, parseIfMatch } from "../utils/etag.js";
+import { createError } from "../utils/error-handler.js";
+import { trackRoute } from "../middleware/metrics.js";
+
+// PATCH body media types -> patch format understood by patchNote
+const PATCH_MEDIA_TYPES = {
+  "application/merge-patch+json": "merge-patch",
+  "application/json-patch+json": "json-patch",
+};
 
 const router = express.Router();
 
+// Label metrics with this router's full route patterns
+router.use(trackRoute);
+
 /**
  * GET /notes
- * Fetch all notes
+ * Fetch a page of notes
+ * Query: limit, cursor, sort, order, tag, folderId, createdAfter, createdBefore,
+ * modifiedAfter, modifiedBefore
  */
 router.get("/", async (req, res, next) => {
   try {
-    const notes = getAllNotes();
+    const page = listNotes(req.query);
+    res.status(200).json(page);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * GET /notes/search?q=&limit=
+ * Full-text search with ranked results and highlighted snippets
+ * (defined before /:id so "search" is not treated as an ID)
+ */
+router.get("/search", async (req, res, next) => {
+  try {
+    const { q, limit } = req.query;
+    const result = searchNotes(q, { limit });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * GET /notes/trash
+ * Fetch all notes in the trash
+ * (defined before /:id so "trash" is not treated as an ID)
+ */
+router.get("/trash", async (req, res, next) => {
+  try {
+    const notes = getTrashedNotes();
     res.status(200).json(notes);
   } catch (error) {
     next(error); // Pass to error middleware
@@ -30,14 +91,44 @@ router.get("/", async (req, res, next) => {
 });
 
 /**
- * GET /notes/:id
- * Fetch a single note by ID
+ * DELETE /notes/trash
+ * Permanently delete every note in the trash
  */
-router.get("/:id", async (req, res, next) => {
+router.delete("/trash", async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const note = getNoteById(id);
-    res.status(200).json(note);
+    const purged = emptyTrash();
+    res.status(200).json({ purged });
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * GET /notes/shared
+ * Fetch the notes other users have shared with the signed-in user
+ * (defined before /:id so "shared" is not treated as an ID)
+ */
+router.get("/shared", async (req, res, next) => {
+  try {
+    const notes = getSharedNotes();
+    res.status(200).json(notes);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * GET /notes/:idOrSlug
+ * Fetch a single note by ID or slug, with the caller's role
+ * (owner, editor or viewer)
+ * The ETag header carries the note version for If-Match on later writes
+ */
+router.get("/:idOrSlug", async (req, res, next) => {
+  try {
+    const { idOrSlug } = req.params;
+    const note = getNoteByIdOrSlug(idOrSlug);
+    res.set("ETag", formatETag(note));
+    res.status(200).json({ ...note, role: getNoteRole(note) });
   } catch (error) {
     next(error); // Pass to error middleware
   }
@@ -46,26 +137,81 @@ router.get("/:id", async (req, res, next) => {
 /**
  * POST /notes
  * Create a new note
+ * Body: { title, content, tags, folderId }; other fields are rejected
  */
 router.post("/", async (req, res, next) => {
   try {
-    const { title, content } = req.body;
-    const note = createNote({ title, content });
+    const note = createNote(req.body);
+    res.set("ETag", formatETag(note));
     res.status(201).json(note);
   } catch (error) {
     next(error); // Pass to error middleware
   }
 });
 
+/**
+ * POST /notes/batch
+ * Apply many create/update/delete operations in one request
+ * Body: { mode: "transactional" | "best-effort", operations: [...] }
+ * Responds 200 with per-item results; a rolled-back transactional batch
+ * responds with the status of the operation that failed.
+ */
+router.post("/batch", async (req, res, next) => {
+  try {
+    const result = runBatch(req.body);
+    const failure = result.committed
+      ? null
+      : result.results.find((item) => item.error.code !== "BATCH_ABORTED");
+    res.status(failure ? failure.status : 200).json(result);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
 /**
  * PUT /notes/:id
  * Update an existing note
+ * Body: any of { title, content, tags, folderId }; other fields are rejected
+ * With If-Match, responds 409 CONFLICT if the note changed in the meantime
  */
 router.put("/:id", async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, content } = req.body;
-    const note = updateNote(id, { title, content });
+    const note = updateNote(id, req.body, {
+      expectedVersion: parseIfMatch(req.get("If-Match")),
+    });
+    res.set("ETag", formatETag(note));
+    res.status(200).json(note);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * PATCH /notes/:id
+ * Change some fields of a note with a JSON Merge Patch
+ * (application/merge-patch+json) or JSON Patch (application/json-patch+json).
+ * The patch is applied atomically; If-Match works as for PUT.
+ */
+router.patch("/:id", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const mediaType = req.is(Object.keys(PATCH_MEDIA_TYPES));
+    if (!mediaType) {
+      res.set("Accept-Patch", Object.keys(PATCH_MEDIA_TYPES).join(", "));
+      throw createError(
+        `Content-Type must be one of: ${Object.keys(PATCH_MEDIA_TYPES).join(", ")}`,
+        "UNSUPPORTED_MEDIA_TYPE",
+        415,
+        { contentType: req.get("Content-Type") || null }
+      );
+    }
+
+    const note = patchNote(id, req.body, {
+      format: PATCH_MEDIA_TYPES[mediaType],
+      expectedVersion: parseIfMatch(req.get("If-Match")),
+    });
+    res.set("ETag", formatETag(note));
     res.status(200).json(note);
   } catch (error) {
     next(error); // Pass to error middleware
@@ -74,17 +220,185 @@ router.put("/:id", async (req, res, next) => {
 
 /**
  * DELETE /notes/:id
- * Delete a note
+ * Move a note to the trash, or delete it for good with ?permanent=true
+ * With If-Match, responds 409 CONFLICT if the note changed in the meantime
  */
 router.delete("/:id", async (req, res, next) => {
   try {
     const { id } = req.params;
-    deleteNote(id);
+    const permanent = req.query.permanent === "true";
+    deleteNote(id, {
+      permanent,
+      expectedVersion: parseIfMatch(req.get("If-Match")),
+    });
+    res.status(204).send(); // No content
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * POST /notes/:id/restore
+ * Restore a note from the trash
+ */
+router.post("/:id/restore", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const note = restoreNote(id);
+    res.set("ETag", formatETag(note));
+    res.status(200).json(note);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * GET /notes/:id/activity
+ * Fetch the log entries about a note, newest first
+ * Query: limit, cursor
+ */
+router.get("/:id/activity", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const timeline = getNoteActivity(id, req.query);
+    res.status(200).json(timeline);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * GET /notes/:id/shares
+ * List the users a note is shared with (owner only)
+ */
+router.get("/:id/shares", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const shares = listShares(id);
+    res.status(200).json(shares);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * POST /notes/:id/shares
+ * Share a note with a user, or change their role (owner only)
+ * Body: { username or userId, role: "viewer" | "editor" }
+ * Responds 201 for a new share, 200 when only the role changed
+ */
+router.post("/:id/shares", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { username, userId, role } = req.body ?? {};
+    const { share, created } = shareNote(id, { username, userId, role });
+    res.status(created ? 201 : 200).json(share);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * DELETE /notes/:id/shares/:userId
+ * Stop sharing a note with a user (the owner, or that user themselves)
+ */
+router.delete("/:id/shares/:userId", async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+    revokeShare(id, userId);
+    res.status(204).send(); // No content
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * GET /notes/:id/links
+ * List a note's public links (owner only)
+ */
+router.get("/:id/links", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const links = listLinks(id);
+    res.status(200).json(links);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * POST /notes/:id/links
+ * Create a public link to a note (owner only)
+ * Body: { expiresAt, maxViews } (both optional)
+ * The response is the only time the link's token is returned
+ */
+router.post("/:id/links", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { expiresAt, maxViews } = req.body ?? {};
+    const link = createLink(id, { expiresAt, maxViews });
+    res.status(201).json(link);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * DELETE /notes/:id/links/:linkId
+ * Revoke a public link (owner only)
+ */
+router.delete("/:id/links/:linkId", async (req, res, next) => {
+  try {
+    const { id, linkId } = req.params;
+    revokeLink(id, linkId);
     res.status(204).send(); // No content
   } catch (error) {
     next(error); // Pass to error middleware
   }
 });
 
+/**
+ * GET /notes/:id/revisions
+ * List previous versions of a note, newest first
+ */
+router.get("/:id/revisions", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const revisions = getNoteRevisions(id);
+    res.status(200).json(revisions);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * GET /notes/:id/revisions/:rev
+ * Fetch a single revision with its title and content
+ */
+router.get("/:id/revisions/:rev", async (req, res, next) => {
+  try {
+    const { id, rev } = req.params;
+    const revision = getNoteRevision(id, rev);
+    res.status(200).json(revision);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * POST /notes/:id/revisions/:rev/restore
+ * Restore a note to a previous revision
+ */
+router.post("/:id/revisions/:rev/restore", async (req, res, next) => {
+  try {
+    const { id, rev } = req.params;
+    const note = restoreNoteRevision(id, rev);
+    res.set("ETag", formatETag(note));
+    res.status(200).json(note);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
 export default router;
 
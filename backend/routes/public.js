@@ -0,0 +1,56 @@
+/**
+ * Public Routes
+ * 
+ * Express routes that don't need a signed-in user: public share links.
+ * Routes are thin - they delegate to the links service layer.
+ */
+
+import express from "express";
+import { viewLink } from "../services/links-service.js";
+import { renderNotePage } from "../utils/html.js";
+import { createValidationError } from "../utils/error-handler.js";
+import { trackRoute } from "../middleware/metrics.js";
+
+const FORMATS = ["json", "html"];
+
+const router = express.Router();
+
+router.use(trackRoute);
+
+/**
+ * GET /s/:token
+ * Read a note through a public link, as JSON or a read-only HTML page
+ * Query: format (json | html); without it the Accept header decides
+ */
+router.get("/:token", async (req, res, next) => {
+  try {
+    const format = req.query.format ?? (req.accepts(FORMATS) || "json");
+    if (!FORMATS.includes(format)) {
+      throw createValidationError(`format must be one of: ${FORMATS.join(", ")}`, {
+        field: "format",
+      });
+    }
+
+    const result = viewLink(req.params.token);
+    // Tokens are in the URL: keep them out of caches and Referer headers
+    res.set({
+      "Cache-Control": "no-store",
+      "Referrer-Policy": "no-referrer",
+      "X-Robots-Tag": "noindex",
+    });
+
+    if (format === "html") {
+      res.set(
+        "Content-Security-Policy",
+        "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors 'none'"
+      );
+      res.type("html").status(200).send(renderNotePage(result.note));
+    } else {
+      res.status(200).json(result);
+    }
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+export default router;
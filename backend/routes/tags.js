@@ -0,0 +1,43 @@
+/**
+ * Tags Routes
+ * 
+ * Express routes for tag management.
+ * Routes are thin - they delegate to the tags service layer.
+ */
+
+import express from "express";
+import { getTags, renameTag } from "../services/tags-service.js";
+import { trackRoute } from "../middleware/metrics.js";
+
+const router = express.Router();
+
+router.use(trackRoute);
+
+/**
+ * GET /tags
+ * Fetch all tags with usage counts
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const tags = getTags();
+    res.status(200).json(tags);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * PUT /tags/:name
+ * Rename a tag across all notes
+ */
+router.put("/:name", async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const tag = renameTag(name, req.body?.name);
+    res.status(200).json(tag);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+export default router;
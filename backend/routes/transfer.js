@@ -0,0 +1,83 @@
+/**
+ * Transfer Routes
+ * 
+ * Express routes for exporting and importing notes.
+ * Routes are thin - they delegate to the transfer service layer.
+ * 
+ * This router parses its own request bodies (imports can be much larger
+ * than a single note), so it is mounted before the global JSON parser.
+ */
+
+import express from "express";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { config } from "../config/config.js";
+import { exportNotes, importNotes } from "../services/transfer-service.js";
+import { createError } from "../utils/error-handler.js";
+import { trackRoute } from "../middleware/metrics.js";
+
+// Import body media types -> import format understood by importNotes
+const IMPORT_MEDIA_TYPES = {
+  "application/json": "json",
+  "text/markdown": "markdown",
+  "application/x-tar": "markdown",
+};
+
+const router = express.Router();
+
+router.use(trackRoute);
+
+/**
+ * GET /export
+ * Download every note as a JSON bundle or a tar archive of Markdown files
+ * Query: format (json | markdown)
+ */
+router.get("/export", async (req, res, next) => {
+  try {
+    const { contentType, fileName, chunks } = exportNotes(req.query.format);
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+    });
+    await pipeline(Readable.from(chunks), res);
+  } catch (error) {
+    next(error); // Pass to error middleware
+  }
+});
+
+/**
+ * POST /import
+ * Import notes from a JSON bundle, a Markdown file or a tar archive
+ * Query: strategy (skip | overwrite | duplicate), dryRun (true to preview)
+ */
+router.post(
+  "/import",
+  express.json({ type: "application/json", limit: config.import.maxBytes }),
+  express.text({ type: "text/markdown", limit: config.import.maxBytes }),
+  express.raw({ type: "application/x-tar", limit: config.import.maxBytes }),
+  async (req, res, next) => {
+    try {
+      const mediaType = req.is(Object.keys(IMPORT_MEDIA_TYPES));
+      if (!mediaType) {
+        throw createError(
+          `Content-Type must be one of: ${Object.keys(IMPORT_MEDIA_TYPES).join(", ")}`,
+          "UNSUPPORTED_MEDIA_TYPE",
+          415,
+          { contentType: req.get("Content-Type") || null }
+        );
+      }
+
+      const report = importNotes({
+        format: IMPORT_MEDIA_TYPES[mediaType],
+        data: req.body,
+        strategy: req.query.strategy,
+        dryRun: req.query.dryRun === "true",
+      });
+      res.status(200).json(report);
+    } catch (error) {
+      next(error); // Pass to error middleware
+    }
+  }
+);
+
+export default router;
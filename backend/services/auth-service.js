@@ -0,0 +1,308 @@
+/**
+ * Auth Service
+ * 
+ * User registration, login and sessions.
+ * 
+ * - Passwords are hashed with scrypt (see utils/password.js).
+ * - A session is identified by a random token handed to the client (in a
+ *   signed cookie or as a bearer token). Only a SHA-256 hash of the token
+ *   is stored, in sessionsDB.
+ * - Sessions expire after config.auth.sessionTtlMs. Expired sessions are
+ *   removed when they are used and whenever a new session starts.
+ * - Connections that outlive a request (live editing) watch their session
+ *   with watchSession, so they can close when it ends.
+ * - Notes and folders saved before accounts existed have no owner. They
+ *   are given to the first registered account (see claimOwnerlessRecords).
+ */
+
+import { randomBytes, createHash } from "node:crypto";
+import { usersDB } from "../db/users-db.js";
+import { sessionsDB } from "../db/sessions-db.js";
+import { notesDB } from "../db/notes-db.js";
+import { foldersDB } from "../db/folders-db.js";
+import { config } from "../config/config.js";
+import { loggerService, LogAction } from "./logger-service.js";
+import { generateId } from "../utils/id.js";
+import { hashPassword, verifyPassword } from "../utils/password.js";
+import { validateCredentials } from "../utils/validation.js";
+import { setRequestContextValues } from "../utils/request-context.js";
+import {
+  createError,
+  createValidationError,
+  createConflictError,
+} from "../utils/error-handler.js";
+
+const TOKEN_BYTES = 32;
+
+// Hash checked when the username is unknown, so a failed login takes
+// as long either way and doesn't reveal which usernames exist
+let dummyHash = null;
+
+// Callbacks waiting for a session to end, by session ID
+const sessionWatchers = new Map();
+
+/**
+ * Removes private fields from a user
+ * 
+ * @param {Object} user - Stored user
+ * @returns {Object} { id, username, createdAt }
+ */
+function toPublicUser({ passwordHash, ...user }) {
+  return user;
+}
+
+/**
+ * Hashes a session token for storage
+ * 
+ * @param {string} token - Session token
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Removes a session and tells everyone watching it
+ * 
+ * @param {string} id - Session ID (hash of its token)
+ */
+function removeSession(id) {
+  sessionsDB.delete(id);
+  const watchers = sessionWatchers.get(id);
+  sessionWatchers.delete(id);
+  watchers?.forEach((onEnd) => onEnd());
+}
+
+/**
+ * Finds a user by username (case-insensitive)
+ * 
+ * @param {string} username - Username
+ * @returns {Object|undefined} Stored user
+ */
+function findUserByUsername(username) {
+  const key = username.toLowerCase();
+  return usersDB.values().find((user) => user.username.toLowerCase() === key);
+}
+
+/**
+ * Starts a session for a user
+ * The current request is treated as the user's from here on.
+ * 
+ * @param {Object} user - Stored user
+ * @returns {Object} { user, token, expiresAt }
+ */
+function startSession(user) {
+  purgeExpiredSessions();
+
+  const token = randomBytes(TOKEN_BYTES).toString("base64url");
+  const now = Date.now();
+  const session = {
+    id: hashToken(token),
+    userId: user.id,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + config.auth.sessionTtlMs).toISOString(),
+  };
+  sessionsDB.set(session.id, session);
+  setRequestContextValues({ userId: user.id });
+
+  loggerService.add({
+    action: LogAction.USER_LOGGED_IN,
+    details: {
+      userId: user.id,
+    },
+  });
+
+  return { user: toPublicUser(user), token, expiresAt: session.expiresAt };
+}
+
+/**
+ * Register a new user and sign them in
+ * 
+ * @param {Object} credentials - { username, password }
+ * @returns {Object} { user, token, expiresAt }
+ * @throws {Error} If the credentials are invalid or the username is taken
+ */
+export function registerUser(credentials) {
+  try {
+    validateCredentials(credentials);
+  } catch (error) {
+    throw createValidationError(error.message, { field: error.field });
+  }
+  if (findUserByUsername(credentials.username)) {
+    throw createConflictError(`Username '${credentials.username}' is already taken`, {
+      field: "username",
+    });
+  }
+
+  const user = {
+    id: generateId(),
+    username: credentials.username,
+    passwordHash: hashPassword(credentials.password),
+    createdAt: new Date().toISOString(),
+  };
+  usersDB.set(user.id, user);
+
+  loggerService.add({
+    action: LogAction.USER_REGISTERED,
+    details: {
+      userId: user.id,
+      username: user.username,
+    },
+  });
+
+  if (usersDB.size === 1) {
+    claimOwnerlessRecords();
+  }
+
+  return startSession(user);
+}
+
+/**
+ * Sign in with a username and password
+ * 
+ * @param {Object} credentials - { username, password }
+ * @returns {Object} { user, token, expiresAt }
+ * @throws {Error} 401 UNAUTHORIZED if the credentials don't match a user
+ */
+export function login({ username, password } = {}) {
+  const user = typeof username === "string" ? findUserByUsername(username) : undefined;
+  dummyHash ??= hashPassword(randomBytes(TOKEN_BYTES).toString("hex"));
+
+  const isValid = verifyPassword(
+    typeof password === "string" ? password : "",
+    user ? user.passwordHash : dummyHash
+  );
+  if (!user || !isValid) {
+    throw createError("Invalid username or password", "UNAUTHORIZED", 401);
+  }
+
+  return startSession(user);
+}
+
+/**
+ * End a session
+ * 
+ * @param {string} token - Session token
+ * @returns {boolean} True if a session was ended
+ */
+export function logout(token) {
+  const session = typeof token === "string" ? sessionsDB.get(hashToken(token)) : null;
+  if (!session) {
+    return false;
+  }
+
+  removeSession(session.id);
+
+  loggerService.add({
+    action: LogAction.USER_LOGGED_OUT,
+    details: {
+      userId: session.userId,
+    },
+  });
+
+  return true;
+}
+
+/**
+ * Get the user a session token belongs to
+ * 
+ * @param {string} token - Session token
+ * @returns {Object|null} Public user, or null if the session is unknown or expired
+ */
+export function getSessionUser(token) {
+  if (typeof token !== "string" || !token) {
+    return null;
+  }
+
+  const session = sessionsDB.get(hashToken(token));
+  if (!session) {
+    return null;
+  }
+  if (Date.parse(session.expiresAt) <= Date.now()) {
+    removeSession(session.id);
+    return null;
+  }
+
+  const user = usersDB.get(session.userId);
+  return user ? toPublicUser(user) : null;
+}
+
+/**
+ * Remove sessions past their expiry time
+ * 
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number} Number of sessions removed
+ */
+export function purgeExpiredSessions(now = Date.now()) {
+  const expired = sessionsDB
+    .values()
+    .filter((session) => Date.parse(session.expiresAt) <= now);
+  expired.forEach((session) => removeSession(session.id));
+  return expired.length;
+}
+
+/**
+ * Get told when a session ends
+ * For connections that stay open after their session was checked, such
+ * as live editing WebSockets.
+ * 
+ * @param {string} token - Session token
+ * @param {Function} onEnd - Called once on logout, or when the session is
+ *   removed after it expired
+ * @returns {Function} Stop watching
+ */
+export function watchSession(token, onEnd) {
+  const id = hashToken(token);
+  const watchers = sessionWatchers.get(id) || new Set();
+  sessionWatchers.set(id, watchers);
+  watchers.add(onEnd);
+  return () => {
+    watchers.delete(onEnd);
+    if (watchers.size === 0 && sessionWatchers.get(id) === watchers) {
+      sessionWatchers.delete(id);
+    }
+  };
+}
+
+/**
+ * Give notes and folders without an owner to the first registered account
+ * Records saved before accounts existed have no ownerId, so no user could
+ * see them. Runs on startup and when the first account is registered;
+ * does nothing while there are no accounts.
+ * 
+ * @returns {Object} { userId, notes, folders } - The account (null if
+ *   none) and how many notes and folders it was given
+ */
+export function claimOwnerlessRecords() {
+  // User IDs are ULIDs, so they sort by registration time
+  const [firstUser] = usersDB.values().sort((a, b) => a.id.localeCompare(b.id));
+  if (!firstUser) {
+    return { userId: null, notes: 0, folders: 0 };
+  }
+
+  const claim = (db) => {
+    const ownerless = db.values().filter((record) => !record.ownerId);
+    ownerless.forEach((record) => db.set(record.id, { ...record, ownerId: firstUser.id }));
+    return ownerless.length;
+  };
+  const result = { userId: firstUser.id, notes: claim(notesDB), folders: claim(foldersDB) };
+
+  if (result.notes > 0 || result.folders > 0) {
+    loggerService.add({
+      action: LogAction.OWNERLESS_RECORDS_CLAIMED,
+      details: result,
+    });
+  }
+
+  return result;
+}
+
+export const authService = {
+  registerUser,
+  login,
+  logout,
+  getSessionUser,
+  purgeExpiredSessions,
+  watchSession,
+  claimOwnerlessRecords,
+};
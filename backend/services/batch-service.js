@@ -0,0 +1,324 @@
+/**
+ * Batch Service
+ * 
+ * Applies many note create/update/delete operations in one call.
+ * Each operation goes through notes-service exactly as the single-note
+ * routes do, so validation and logging are the same.
+ * 
+ * Modes:
+ * - "transactional": all or nothing. If an operation fails, the notes,
+ *   revisions, shares, public links and search index are restored to their
+ *   state before the batch and no log entries are kept.
+ * - "best-effort": every operation is attempted; failures are reported
+ *   per item and do not affect the others.
+ */
+
+import { notesDB } from "../db/notes-db.js";
+import { revisionsDB } from "../db/revisions-db.js";
+import { sharesDB } from "../db/shares-db.js";
+import { linksDB } from "../db/links-db.js";
+import { config } from "../config/config.js";
+import { loggerService } from "./logger-service.js";
+import { searchService } from "./search-service.js";
+import { NoteEvent, publishNoteEvent } from "./events-service.js";
+import { createNote, updateNote, deleteNote } from "./notes-service.js";
+import {
+  createError,
+  createValidationError,
+  formatError,
+} from "../utils/error-handler.js";
+
+const BATCH_MODES = ["transactional", "best-effort"];
+const BATCH_OPS = ["create", "update", "delete"];
+
+/**
+ * Applies a single batch operation
+ * 
+ * @param {Object} operation - { op, id?, note?, version?, permanent? }
+ * @returns {Object} Item result { op, status, id, note? }
+ * @throws {Error} If the operation is malformed or fails
+ */
+function applyOperation(operation) {
+  if (!operation || typeof operation !== "object" || Array.isArray(operation)) {
+    throw createValidationError("Operation must be an object", { field: "op" });
+  }
+  if (!BATCH_OPS.includes(operation.op)) {
+    throw createValidationError(`op must be one of: ${BATCH_OPS.join(", ")}`, {
+      field: "op",
+    });
+  }
+  if (operation.version !== undefined && !Number.isInteger(operation.version)) {
+    throw createValidationError("version must be an integer", {
+      field: "version",
+    });
+  }
+
+  switch (operation.op) {
+    case "create": {
+      const note = createNote(operation.note);
+      return { op: "create", status: 201, id: note.id, note };
+    }
+    case "update": {
+      const note = updateNote(operation.id, operation.note || {}, {
+        expectedVersion: operation.version,
+      });
+      return { op: "update", status: 200, id: note.id, note };
+    }
+    default:
+      deleteNote(operation.id, {
+        permanent: operation.permanent === true,
+        expectedVersion: operation.version,
+      });
+      return { op: "delete", status: 204, id: operation.id };
+  }
+}
+
+/**
+ * Builds the result of a failed operation
+ * 
+ * @param {number} index - Operation index
+ * @param {Object} operation - Operation that failed
+ * @param {Error} error - Error it failed with
+ * @returns {Object} Item result { index, op, status, id?, error }
+ */
+function failedResult(index, operation, error) {
+  const { statusCode, body } = formatError(error);
+  return {
+    index,
+    op: operation?.op,
+    status: statusCode,
+    ...(operation?.id !== undefined && { id: operation.id }),
+    error: body,
+  };
+}
+
+/**
+ * Checks whether a batch left a note as it was
+ * 
+ * @param {Object} [before] - Note before the batch (undefined if it did not exist)
+ * @param {Object} [after] - Note when the batch failed (undefined if it did not exist)
+ * @returns {boolean} True if it is unchanged
+ */
+function isUnchanged(before, after) {
+  return before && after
+    ? before.version === after.version && before.deletedAt === after.deletedAt
+    : before === after;
+}
+
+/**
+ * Tells clients that a rolled back change to a note was undone
+ * 
+ * @param {Object} [restored] - Note as restored (undefined if it did not exist)
+ * @param {Object} [after] - Note when the batch failed (undefined if it did not exist)
+ */
+function publishUndone(restored, after) {
+  if (isUnchanged(restored, after)) {
+    return;
+  }
+  if (restored && !restored.deletedAt) {
+    publishNoteEvent(NoteEvent.UPDATED, restored);
+  } else if (after && !after.deletedAt) {
+    publishNoteEvent(NoteEvent.DELETED, after, { permanent: !restored });
+  }
+}
+
+/**
+ * Records what a note and the records that go with it look like now
+ * 
+ * @param {string} id - Note ID
+ * @returns {Object} Journal entry { note, revisions, shares, links }
+ */
+function snapshotNote(id) {
+  return {
+    note: notesDB.get(id),
+    revisions: revisionsDB.get(id),
+    shares: sharesDB.values().filter((share) => share.noteId === id),
+    links: linksDB.values().filter((link) => link.noteId === id),
+  };
+}
+
+/**
+ * Puts notes, their revisions, shares and links back to a recorded state
+ * A note the batch changed gets its old fields back under a new version:
+ * clients and live editing sessions have seen the versions the batch
+ * made, so those numbers must not come back with other content.
+ * 
+ * @param {Map} journal - Note ID -> { note, revisions, shares, links }
+ *   before the batch (undefined values mean the record did not exist), and
+ *   lastVersion, the note's version before the last operation on it
+ * @returns {void}
+ */
+function rollback(journal) {
+  journal.forEach(({ note: before, revisions, shares, links, lastVersion }, id) => {
+    const current = notesDB.get(id);
+    const note = before && !isUnchanged(before, current)
+      ? {
+          ...before,
+          version: Math.max(before.version || 1, current?.version || 1, lastVersion || 1) + 1,
+        }
+      : before;
+    if (note) {
+      notesDB.set(id, note);
+    } else {
+      notesDB.delete(id);
+    }
+    if (revisions) {
+      revisionsDB.set(id, revisions);
+    } else {
+      revisionsDB.delete(id);
+    }
+    // Deleting a note for good also removed its shares and links; batches
+    // make no other changes to them
+    shares
+      .filter((share) => !sharesDB.has(share.id))
+      .forEach((share) => sharesDB.set(share.id, share));
+    links
+      .filter((link) => !linksDB.has(link.id))
+      .forEach((link) => linksDB.set(link.id, link));
+    if (note && !note.deletedAt) {
+      searchService.indexNote(note);
+    } else {
+      searchService.removeNote(id);
+    }
+    publishUndone(note, current);
+  });
+}
+
+/**
+ * Runs operations all-or-nothing
+ * 
+ * @param {Array<Object>} operations - Batch operations
+ * @returns {Object} { committed, results }
+ */
+function runTransactional(operations) {
+  const journal = new Map();
+  const remember = (id) => {
+    if (typeof id !== "string") {
+      return;
+    }
+    if (!journal.has(id)) {
+      journal.set(id, snapshotNote(id));
+    }
+    // A later operation may delete the note for good, taking its version with it
+    const stored = notesDB.get(id);
+    if (stored) {
+      journal.get(id).lastVersion = stored.version;
+    }
+  };
+
+  let failure = null;
+  let results = [];
+  try {
+    results = loggerService.transaction(() =>
+      operations.map((operation, index) => {
+        remember(operation?.id);
+        try {
+          const result = applyOperation(operation);
+          if (result.op === "create") {
+            journal.set(result.id, {
+              note: undefined,
+              revisions: undefined,
+              shares: [],
+              links: [],
+            });
+          }
+          return { index, ...result };
+        } catch (error) {
+          failure = { index, operation, error };
+          throw error;
+        }
+      })
+    );
+  } catch (error) {
+    if (!failure) {
+      throw error;
+    }
+    rollback(journal);
+
+    const aborted = createError(
+      `Not applied because operation ${failure.index} failed`,
+      "BATCH_ABORTED",
+      424,
+      { failedIndex: failure.index }
+    );
+    return {
+      committed: false,
+      results: operations.map((operation, index) =>
+        failedResult(
+          index,
+          operation,
+          index === failure.index ? failure.error : aborted
+        )
+      ),
+    };
+  }
+
+  return { committed: true, results };
+}
+
+/**
+ * Runs every operation, reporting failures per item
+ * 
+ * @param {Array<Object>} operations - Batch operations
+ * @returns {Object} { committed, results }
+ */
+function runBestEffort(operations) {
+  const results = operations.map((operation, index) => {
+    try {
+      return { index, ...applyOperation(operation) };
+    } catch (error) {
+      return failedResult(index, operation, error);
+    }
+  });
+
+  return { committed: true, results };
+}
+
+/**
+ * Apply a batch of note operations
+ * 
+ * Operations:
+ * - { op: "create", note: { title, content, tags?, folderId? } }
+ * - { op: "update", id, note: { ...fields }, version? }
+ * - { op: "delete", id, permanent?, version? }
+ * `version` works like If-Match on the single-note routes.
+ * 
+ * @param {Object} batch - Batch request
+ * @param {Array<Object>} batch.operations - Operations, applied in order
+ * @param {string} [batch.mode="transactional"] - "transactional" or "best-effort"
+ * @returns {Object} { mode, committed, succeeded, failed, results } - one
+ *   result per operation, failures carry the errorMiddleware error shape
+ * @throws {Error} If the batch itself is malformed
+ */
+export function runBatch({ operations, mode = "transactional" } = {}) {
+  if (!BATCH_MODES.includes(mode)) {
+    throw createValidationError(`mode must be one of: ${BATCH_MODES.join(", ")}`, {
+      field: "mode",
+    });
+  }
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw createValidationError("operations must be a non-empty array", {
+      field: "operations",
+    });
+  }
+  if (operations.length > config.batch.maxOperations) {
+    throw createValidationError(
+      `A batch cannot have more than ${config.batch.maxOperations} operations`,
+      { field: "operations" }
+    );
+  }
+
+  const { committed, results } =
+    mode === "transactional"
+      ? runTransactional(operations)
+      : runBestEffort(operations);
+  const failed = results.filter((result) => result.error).length;
+
+  return {
+    mode,
+    committed,
+    succeeded: results.length - failed,
+    failed,
+    results,
+  };
+}
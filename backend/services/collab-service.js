@@ -0,0 +1,598 @@
+/**
+ * Collaboration Service
+ * 
+ * Live shared editing of a note's content. Everyone with the note open
+ * over its WebSocket (routes/collab.js) is in the note's session:
+ * 
+ * - The session holds the current text and a numbered history of the
+ *   operations applied to it (utils/text-operation.js). Editors send each
+ *   change with the revision it was made on; the server transforms it past
+ *   the operations it hadn't seen, applies it, acknowledges it to the
+ *   sender and passes it on to everyone else, so every copy converges.
+ * - Everyone sees who else is in the session and where their cursor is.
+ *   Viewers follow along but can't change the text.
+ * - The text is saved through updateNote() shortly after the last change
+ *   and when the session ends, as the user who made the last change, so
+ *   revisions, events and permissions work as for any other save.
+ * - Content saved another way meanwhile (PUT, PATCH, a restored revision)
+ *   is merged into the session like one more edit.
+ * - A user whose share is revoked is disconnected right away.
+ */
+
+import { config } from "../config/config.js";
+import { getNoteById, updateNote } from "./notes-service.js";
+import { NoteRole, getNoteRole, hasNoteRole } from "./shares-service.js";
+import { NoteEvent, subscribe } from "./events-service.js";
+import { runWithRequestContext } from "../utils/request-context.js";
+import { MAX_CONTENT_LENGTH, isPlainObject } from "../utils/validation.js";
+import { CloseCode } from "../utils/websocket.js";
+import { generateId } from "../utils/id.js";
+import {
+  createValidationError,
+  createForbiddenError,
+  createConflictError,
+} from "../utils/error-handler.js";
+import {
+  isOperation,
+  baseLength,
+  targetLength,
+  applyOperation,
+  transform,
+  compose,
+  transformPosition,
+  diffToOperation,
+} from "../utils/text-operation.js";
+
+// Operations kept per session for editors whose changes arrive late; an
+// editor further behind than this has to rejoin
+const HISTORY_LIMIT = 1000;
+
+const sessions = new Map();
+
+/**
+ * Runs a function as a user, so services apply their permissions
+ * 
+ * @param {string} userId - User ID
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function asUser(userId, fn) {
+  return runWithRequestContext({ requestId: generateId(), userId }, fn);
+}
+
+/**
+ * Gets a note and the user's role for it
+ * 
+ * @param {string} noteId - Note ID
+ * @param {string} userId - User ID
+ * @returns {Object} { note, role }
+ * @throws {Error} Not found error if the user can't see the note (or it is in the trash)
+ */
+function loadAccess(noteId, userId) {
+  return asUser(userId, () => {
+    const note = getNoteById(noteId);
+    return { note, role: getNoteRole(note) };
+  });
+}
+
+/**
+ * Operation that changes nothing in a text
+ * 
+ * @param {string} text - Text
+ * @returns {Array} Operation
+ */
+function noChange(text) {
+  return text.length ? [text.length] : [];
+}
+
+/**
+ * Validates a cursor sent by a client
+ * 
+ * @param {*} cursor - { start, end } selection, or null when the editor lost focus
+ * @param {number} length - Length of the text it points into
+ * @returns {Object|null} Cursor with both ends inside the text
+ * @throws {Error} Validation error if it isn't a cursor
+ */
+function parseCursor(cursor, length) {
+  if (cursor === null || cursor === undefined) {
+    return null;
+  }
+  if (
+    !isPlainObject(cursor) ||
+    !Number.isInteger(cursor.start) ||
+    !Number.isInteger(cursor.end)
+  ) {
+    throw createValidationError("Cursor must be { start, end } or null", {
+      field: "cursor",
+    });
+  }
+  const clamp = (position) => Math.min(Math.max(position, 0), length);
+  return { start: clamp(cursor.start), end: clamp(cursor.end) };
+}
+
+/**
+ * Moves a cursor along with an operation
+ * 
+ * @param {Object|null} cursor - { start, end }
+ * @param {Array} operation - Operation applied to the text
+ * @returns {Object|null} Moved cursor
+ */
+function transformCursor(cursor, operation) {
+  return cursor
+    ? {
+        start: transformPosition(cursor.start, operation),
+        end: transformPosition(cursor.end, operation),
+      }
+    : null;
+}
+
+/**
+ * Describes a client to the others
+ * 
+ * @param {Object} client - Session client
+ * @returns {Object} { clientId, userId, username, role, cursor }
+ */
+function toPeer(client) {
+  return {
+    clientId: client.id,
+    userId: client.userId,
+    username: client.username,
+    role: client.role,
+    cursor: client.cursor,
+  };
+}
+
+/**
+ * Sends a message to every client of a session
+ * 
+ * @param {Object} session - Session
+ * @param {Object} message - Message
+ * @param {string} [exceptId] - Client left out (usually the sender)
+ */
+function broadcast(session, message, exceptId) {
+  session.clients.forEach((client) => {
+    if (client.id !== exceptId) {
+      client.connection.send(message);
+    }
+  });
+}
+
+/**
+ * Starts the session of a note
+ * 
+ * @param {Object} note - Stored note
+ * @returns {Object} Session
+ */
+function openSession(note) {
+  const session = {
+    noteId: note.id,
+    content: note.content,
+    revision: 0,
+    // history[i] turned revision historyStart + i into the next one
+    history: [],
+    historyStart: 0,
+    clients: new Map(),
+    // What is stored, its version and the operation from it to content
+    storedContent: note.content,
+    version: note.version || 1,
+    unsaved: noChange(note.content),
+    lastEditorId: null,
+    saveTimer: null,
+    saving: false,
+    closed: false,
+  };
+
+  // Events about a note always go to its owner
+  session.unsubscribe = subscribe(note.ownerId, {
+    onEvent: (event) => {
+      if (event.data.id === note.id) {
+        handleNoteEvent(session, event);
+      }
+    },
+  });
+
+  sessions.set(note.id, session);
+  return session;
+}
+
+/**
+ * Applies an operation to a session's text
+ * 
+ * @param {Object} session - Session
+ * @param {Array} operation - Operation on the current text
+ * @param {Object} [author] - Client who made it (their cursor is set separately)
+ */
+function applyToSession(session, operation, author) {
+  session.content = applyOperation(session.content, operation);
+  session.revision += 1;
+  session.history.push(operation);
+  if (session.history.length > HISTORY_LIMIT) {
+    session.history.shift();
+    session.historyStart += 1;
+  }
+  session.clients.forEach((client) => {
+    if (client !== author) {
+      client.cursor = transformCursor(client.cursor, operation);
+    }
+  });
+}
+
+/**
+ * Removes a client from a session
+ * The session ends when its last client is removed.
+ * 
+ * @param {Object} session - Session
+ * @param {Object} client - Session client
+ * @returns {boolean} True if the client was still in the session
+ */
+function removeClient(session, client) {
+  if (!session.clients.delete(client.id)) {
+    return false;
+  }
+  broadcast(session, { type: "leave", clientId: client.id });
+  if (session.clients.size === 0) {
+    endSession(session);
+  }
+  return true;
+}
+
+/**
+ * Disconnects a user whose share of the note was revoked
+ * 
+ * @param {Object} session - Session
+ * @param {string} userId - User who lost access
+ */
+function revokeAccess(session, userId) {
+  // The event comes before the share is removed, so edits the user made
+  // while they had access can still be saved as them
+  if (session.lastEditorId === userId) {
+    saveSession(session);
+  }
+  [...session.clients.values()]
+    .filter((client) => client.userId === userId)
+    .forEach((client) => {
+      removeClient(session, client);
+      client.connection.close(CloseCode.POLICY_VIOLATION, "Access revoked");
+    });
+}
+
+/**
+ * Merges content that was saved outside the session, and disconnects
+ * users who lose access to the note
+ * 
+ * @param {Object} session - Session
+ * @param {Object} event - Published note event
+ */
+function handleNoteEvent(session, event) {
+  if (session.closed) {
+    return;
+  }
+  if (event.type === NoteEvent.UNSHARED) {
+    revokeAccess(session, event.data.share.userId);
+    return;
+  }
+  // The session's own saves are already in the text
+  if (session.saving || event.type === NoteEvent.SHARED) {
+    return;
+  }
+  if (event.type === NoteEvent.DELETED) {
+    endSession(session, { code: CloseCode.NORMAL, reason: "Note was deleted", save: false });
+    return;
+  }
+
+  const { note } = event.data;
+  if ((note.version || 1) <= session.version) {
+    return;
+  }
+  session.version = note.version || 1;
+
+  if (note.content !== session.storedContent) {
+    // The outside change and the unsaved edits both start from what was
+    // stored, so one is transformed past the other
+    const external = diffToOperation(session.storedContent, note.content);
+    const [merged, unsaved] = transform(external, session.unsaved);
+    session.storedContent = note.content;
+    session.unsaved = unsaved;
+    applyToSession(session, merged);
+    broadcast(session, {
+      type: "operation",
+      clientId: null,
+      revision: session.revision,
+      operation: merged,
+    });
+  }
+  broadcast(session, { type: "saved", version: session.version });
+}
+
+/**
+ * Saves a session's text if it changed
+ * 
+ * @param {Object} session - Session
+ * @returns {boolean} True if the text is stored (saved now or unchanged)
+ */
+function saveSession(session) {
+  clearTimeout(session.saveTimer);
+  session.saveTimer = null;
+  if (session.content.trim() === session.storedContent || !session.lastEditorId) {
+    return true;
+  }
+
+  session.saving = true;
+  try {
+    const saved = asUser(session.lastEditorId, () =>
+      updateNote(
+        session.noteId,
+        { content: session.content },
+        { expectedVersion: session.version }
+      )
+    );
+    session.storedContent = saved.content;
+    session.version = saved.version;
+    // Stored content is trimmed, the shared text is left as it is
+    session.unsaved = diffToOperation(saved.content, session.content);
+    broadcast(session, { type: "saved", version: saved.version });
+    return true;
+  } catch (error) {
+    broadcast(session, {
+      type: "error",
+      code: error.code || "INTERNAL_ERROR",
+      message: `Saving failed: ${error.message}`,
+    });
+    return false;
+  } finally {
+    session.saving = false;
+  }
+}
+
+/**
+ * Ends a session and disconnects everyone still in it
+ * 
+ * @param {Object} session - Session
+ * @param {Object} [options]
+ * @param {number} [options.code] - Close code sent to remaining clients
+ * @param {string} [options.reason] - Close reason
+ * @param {boolean} [options.save=true] - Save the text first
+ */
+function endSession(session, { code = CloseCode.NORMAL, reason = "", save = true } = {}) {
+  if (session.closed) {
+    return;
+  }
+  if (save) {
+    saveSession(session);
+  }
+  clearTimeout(session.saveTimer);
+  session.closed = true;
+  session.unsubscribe();
+  sessions.delete(session.noteId);
+  session.clients.forEach((client) => client.connection.close(code, reason));
+  session.clients.clear();
+}
+
+/**
+ * Checks that a client may still edit the note
+ * Shares can be changed or revoked while a session is open.
+ * 
+ * @param {Object} session - Session
+ * @param {Object} client - Session client
+ * @throws {Error} Not found error if the note is gone, forbidden error for viewers
+ */
+function checkCanEdit(session, client) {
+  client.role = loadAccess(session.noteId, client.userId).role;
+  if (!hasNoteRole(client.role, NoteRole.EDITOR)) {
+    throw createForbiddenError("You need editor access to change this note", {
+      id: session.noteId,
+      role: client.role,
+    });
+  }
+}
+
+/**
+ * Applies an edit sent by a client
+ * 
+ * @param {Object} session - Session
+ * @param {Object} client - Session client
+ * @param {Object} message - { revision, operation, cursor }: the operation
+ *   was made on the text at revision, the cursor is where it left the
+ *   client's own cursor
+ * @throws {Error} If the client can't edit, or the operation is invalid,
+ *   too old or makes the note too long
+ */
+function receiveOperation(session, client, { revision, operation, cursor }) {
+  checkCanEdit(session, client);
+  if (!isOperation(operation)) {
+    throw createValidationError("Operation must be an array of retains, inserts and deletes", {
+      field: "operation",
+    });
+  }
+  if (
+    !Number.isInteger(revision) ||
+    revision < session.historyStart ||
+    revision > session.revision
+  ) {
+    throw createConflictError("Revision is not available, rejoin to get the current text", {
+      revision,
+      currentRevision: session.revision,
+    });
+  }
+
+  const concurrent = session.history.slice(revision - session.historyStart);
+  const expectedLength = concurrent.length
+    ? baseLength(concurrent[0])
+    : session.content.length;
+  if (baseLength(operation) !== expectedLength) {
+    throw createValidationError(
+      `Operation doesn't fit the text at revision ${revision}`,
+      { field: "operation", revision }
+    );
+  }
+
+  // Move the edit (and the cursor that came with it) past the edits it missed
+  let transformed = operation;
+  let movedCursor = parseCursor(cursor, targetLength(operation));
+  concurrent.forEach((other) => {
+    const [operationPrime, otherPrime] = transform(transformed, other);
+    transformed = operationPrime;
+    movedCursor = transformCursor(movedCursor, otherPrime);
+  });
+
+  if (targetLength(transformed) > MAX_CONTENT_LENGTH) {
+    throw createValidationError(
+      `Content must be at most ${MAX_CONTENT_LENGTH} characters`,
+      { field: "content" }
+    );
+  }
+
+  applyToSession(session, transformed, client);
+  session.unsaved = compose(session.unsaved, transformed);
+  session.lastEditorId = client.userId;
+  client.cursor = movedCursor;
+
+  client.connection.send({ type: "ack", revision: session.revision });
+  broadcast(
+    session,
+    {
+      type: "operation",
+      clientId: client.id,
+      revision: session.revision,
+      operation: transformed,
+      cursor: movedCursor,
+    },
+    client.id
+  );
+
+  clearTimeout(session.saveTimer);
+  session.saveTimer = setTimeout(() => saveSession(session), config.collab.saveDelayMs);
+}
+
+/**
+ * Updates a client's cursor
+ * 
+ * @param {Object} session - Session
+ * @param {Object} client - Session client
+ * @param {Object} message - { revision, cursor }: the cursor points into
+ *   the text at revision
+ */
+function receiveCursor(session, client, { revision, cursor }) {
+  if (
+    !Number.isInteger(revision) ||
+    revision < session.historyStart ||
+    revision > session.revision
+  ) {
+    // Outdated cursors are dropped; a newer one follows
+    return;
+  }
+  const concurrent = session.history.slice(revision - session.historyStart);
+  const length = concurrent.length ? baseLength(concurrent[0]) : session.content.length;
+  client.cursor = concurrent.reduce(transformCursor, parseCursor(cursor, length));
+  broadcast(session, { type: "cursor", clientId: client.id, cursor: client.cursor }, client.id);
+}
+
+/**
+ * Join the live editing session of a note
+ * The client gets an "init" message with the current text, revision,
+ * note version, their role and the other people in the session.
+ * 
+ * @param {string} noteId - Note ID
+ * @param {Object} user - Signed-in user { id, username }
+ * @param {Object} connection - { send(message), close(code, reason) }
+ * @returns {Object} { clientId, receive(message), leave() }: pass on every
+ *   message the client sends, and call leave() when it disconnects
+ * @throws {Error} Not found error if the user can't see the note
+ */
+export function joinNote(noteId, user, connection) {
+  const { note, role } = loadAccess(noteId, user.id);
+  const session = sessions.get(note.id) || openSession(note);
+  const client = {
+    id: generateId(),
+    userId: user.id,
+    username: user.username,
+    role,
+    cursor: null,
+    connection,
+  };
+
+  connection.send({
+    type: "init",
+    clientId: client.id,
+    revision: session.revision,
+    content: session.content,
+    version: session.version,
+    role,
+    peers: [...session.clients.values()].map(toPeer),
+  });
+  broadcast(session, { type: "join", peer: toPeer(client) });
+  session.clients.set(client.id, client);
+
+  return {
+    clientId: client.id,
+    receive(message) {
+      // Messages still arriving from a client that was disconnected are dropped
+      if (session.closed || !session.clients.has(client.id)) {
+        return;
+      }
+      try {
+        switch (message?.type) {
+          case "operation":
+            receiveOperation(session, client, message);
+            break;
+          case "cursor":
+            receiveCursor(session, client, message);
+            break;
+          case "save": {
+            // Lets a client wait for the text to be stored (e.g. before leaving);
+            // a save that happens is announced to everyone already
+            const version = session.version;
+            if (saveSession(session) && session.version === version) {
+              connection.send({ type: "saved", version });
+            }
+            break;
+          }
+          default:
+            throw createValidationError(`Unknown message type '${message?.type}'`, {
+              field: "type",
+            });
+        }
+      } catch (error) {
+        if (!error.code) {
+          throw error;
+        }
+        connection.send({ type: "error", code: error.code, message: error.message });
+        // A rejected edit leaves the client out of step with everyone else
+        if (message?.type === "operation") {
+          connection.close(CloseCode.POLICY_VIOLATION, error.code);
+        }
+      }
+    },
+    leave() {
+      removeClient(session, client);
+    },
+  };
+}
+
+/**
+ * Save and end every session (on shutdown)
+ * 
+ * @returns {number} Number of sessions ended
+ */
+export function closeSessions() {
+  const open = [...sessions.values()];
+  open.forEach((session) =>
+    endSession(session, { code: CloseCode.GOING_AWAY, reason: "Server is shutting down" })
+  );
+  return open.length;
+}
+
+/**
+ * Drop every session without saving (used by tests)
+ */
+export function resetCollab() {
+  sessions.forEach((session) => {
+    endSession(session, { save: false });
+  });
+}
+
+export const collabService = {
+  joinNote,
+  closeSessions,
+  resetCollab,
+};
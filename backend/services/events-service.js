@@ -0,0 +1,214 @@
+/**
+ * Events Service
+ * 
+ * Live feed of note changes, streamed to clients by GET /events.
+ * 
+ * - Events are note.created, note.updated, note.deleted, note.shared and
+ *   note.unshared. Each one goes to the note's owner and the users it is
+ *   shared with, with the role the receiving user has.
+ * - The most recent events are kept in memory so a client that
+ *   reconnects with Last-Event-ID gets what it missed. If they are no
+ *   longer kept (or the server restarted), it is told to reload instead.
+ * - Event IDs are "<epoch>-<sequence>": the epoch changes on every
+ *   restart, so IDs from an earlier process are never mistaken for
+ *   current ones.
+ */
+
+import { sharesDB } from "../db/shares-db.js";
+import { config } from "../config/config.js";
+import { NoteRole } from "./shares-service.js";
+
+/**
+ * Types of note events
+ */
+export const NoteEvent = {
+  CREATED: "note.created",
+  UPDATED: "note.updated",
+  DELETED: "note.deleted",
+  SHARED: "note.shared",
+  UNSHARED: "note.unshared",
+};
+
+const EPOCH = Date.now().toString(36);
+
+let sequence = 0;
+let recentEvents = [];
+const subscribers = new Set();
+
+/**
+ * Builds an event ID
+ * 
+ * @param {number} seq - Sequence number
+ * @returns {string} Event ID
+ */
+function eventId(seq) {
+  return `${EPOCH}-${seq}`;
+}
+
+/**
+ * Gets everyone who can see a note, with their role
+ * 
+ * @param {Object} note - Stored note
+ * @returns {Object} User ID -> "owner", "editor" or "viewer"
+ */
+function noteRecipients(note) {
+  const recipients = {};
+  sharesDB
+    .values()
+    .filter((share) => share.noteId === note.id)
+    .forEach((share) => {
+      recipients[share.userId] = share.role;
+    });
+  if (note.ownerId) {
+    recipients[note.ownerId] = NoteRole.OWNER;
+  }
+  return recipients;
+}
+
+/**
+ * Gets the event as one user receives it
+ * 
+ * @param {Object} event - Stored event
+ * @param {string} userId - Receiving user
+ * @returns {Object|null} { id, type, data }, or null if the user can't see the note
+ */
+function eventFor(event, userId) {
+  const role = event.recipients[userId];
+  if (!role) {
+    return null;
+  }
+  return { id: event.id, type: event.type, data: { ...event.data, role } };
+}
+
+/**
+ * Publish a change to a note
+ * Call after the change is stored, or for a permanent delete or a revoked
+ * share, before the shares are removed (so the users who lose the note
+ * hear of it).
+ * 
+ * @param {string} type - NoteEvent
+ * @param {Object} note - Note as stored (for deletes, as it was before)
+ * @param {Object} [options]
+ * @param {boolean} [options.permanent=false] - A delete removed the note for good
+ *   rather than moving it to the trash
+ * @param {Object} [options.share] - { userId, role } of the share that was
+ *   granted, changed or revoked (for note.shared and note.unshared)
+ * @returns {Object} Published event
+ */
+export function publishNoteEvent(type, note, { permanent = false, share } = {}) {
+  sequence += 1;
+  const data = { id: note.id, note: { ...note } };
+  if (type === NoteEvent.DELETED) {
+    data.permanent = permanent;
+  }
+  if (share) {
+    data.share = { userId: share.userId, role: share.role };
+  }
+  const event = {
+    id: eventId(sequence),
+    seq: sequence,
+    type,
+    data,
+    recipients: noteRecipients(note),
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > config.events.bufferSize) {
+    recentEvents = recentEvents.slice(-config.events.bufferSize);
+  }
+
+  subscribers.forEach((subscriber) => {
+    const delivered = eventFor(event, subscriber.userId);
+    if (!delivered) {
+      return;
+    }
+    try {
+      subscriber.onEvent(delivered);
+    } catch (error) {
+      // The change is already stored; a broken stream must not fail it
+      console.error("Event delivery failed:", error);
+    }
+  });
+
+  return event;
+}
+
+/**
+ * ID of the newest event (a resume point for a client that just connected)
+ * 
+ * @returns {string} Event ID
+ */
+export function getLastEventId() {
+  return eventId(sequence);
+}
+
+/**
+ * Get the events a user missed since an event
+ * 
+ * @param {string} userId - User ID
+ * @param {string} lastEventId - ID of the last event the client received
+ * @returns {Array|null} Missed events, oldest first, or null if they are
+ *   no longer known and the client has to reload
+ */
+export function getEventsSince(userId, lastEventId) {
+  const match = /^([0-9a-z]+)-(\d+)$/.exec(String(lastEventId));
+  if (!match || match[1] !== EPOCH) {
+    return null;
+  }
+  const seq = Number(match[2]);
+  const oldest = recentEvents[0]?.seq ?? sequence + 1;
+  if (seq > sequence || seq < oldest - 1) {
+    return null;
+  }
+
+  return recentEvents
+    .filter((event) => event.seq > seq)
+    .map((event) => eventFor(event, userId))
+    .filter(Boolean);
+}
+
+/**
+ * Receive a user's events as they are published
+ * 
+ * @param {string} userId - User ID
+ * @param {Object} handlers
+ * @param {Function} handlers.onEvent - Called with each event { id, type, data }
+ * @param {Function} [handlers.onClose] - Called if the server closes the feed (shutdown)
+ * @returns {Function} Unsubscribe
+ */
+export function subscribe(userId, { onEvent, onClose }) {
+  const subscriber = { userId, onEvent, onClose };
+  subscribers.add(subscriber);
+  return () => {
+    subscribers.delete(subscriber);
+  };
+}
+
+/**
+ * Close every subscription (on shutdown, so open streams end)
+ * 
+ * @returns {number} Number of subscriptions closed
+ */
+export function closeSubscriptions() {
+  const closing = [...subscribers];
+  subscribers.clear();
+  closing.forEach((subscriber) => subscriber.onClose?.());
+  return closing.length;
+}
+
+/**
+ * Forget every recent event and subscription (used by tests)
+ */
+export function resetEvents() {
+  recentEvents = [];
+  subscribers.clear();
+}
+
+export const eventsService = {
+  publishNoteEvent,
+  getLastEventId,
+  getEventsSince,
+  subscribe,
+  closeSubscriptions,
+  resetEvents,
+};
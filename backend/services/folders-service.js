@@ -0,0 +1,261 @@
+/**
+ * Folders Service
+ * 
+ * Business logic for folders (notebooks) that organize notes.
+ * Folders form a tree through parentId; a note belongs to at most one
+ * folder through its folderId (null means it is not in a folder).
+ * Folders belong to the user who created them, like notes.
+ */
+
+import { foldersDB } from "../db/folders-db.js";
+import { notesDB } from "../db/notes-db.js";
+import { loggerService, LogAction } from "./logger-service.js";
+import { deleteNote } from "./notes-service.js";
+import { NoteEvent, publishNoteEvent } from "./events-service.js";
+import { FOLDER_SCHEMA, assertValid } from "../utils/validation.js";
+import { currentOwnerId, isOwnedByCurrentUser } from "../utils/ownership.js";
+import { generateId } from "../utils/id.js";
+import {
+  createValidationError,
+  createNotFoundError,
+} from "../utils/error-handler.js";
+
+// How deleteFolder treats the folder's contents
+const DELETE_MODES = ["move", "cascade"];
+
+/**
+ * Validates a parent folder reference
+ * 
+ * @param {string|null|undefined} parentId - Parent folder ID
+ * @returns {string|null} Parent ID, or null for a top-level folder
+ * @throws {Error} Validation error (field: "parentId") if the parent does not exist
+ */
+function parseParentId(parentId) {
+  if (parentId === undefined || parentId === null) {
+    return null;
+  }
+  const parent = typeof parentId === "string" ? foldersDB.get(parentId) : undefined;
+  if (!parent || !isOwnedByCurrentUser(parent)) {
+    throw createValidationError(`Parent folder '${parentId}' does not exist`, {
+      field: "parentId",
+    });
+  }
+  return parentId;
+}
+
+/**
+ * Collects a folder and all of its subfolders
+ * 
+ * @param {string} id - Folder ID
+ * @returns {Array<string>} Folder IDs, starting with the given folder
+ */
+function getSubtreeIds(id) {
+  const ids = [id];
+  const folders = foldersDB.values();
+
+  for (let i = 0; i < ids.length; i++) {
+    folders
+      .filter((folder) => folder.parentId === ids[i])
+      .forEach((folder) => ids.push(folder.id));
+  }
+
+  return ids;
+}
+
+/**
+ * Get all folders as a flat list, sorted by name
+ * Each folder includes the number of notes directly in it
+ * (notes in the trash are not counted).
+ * 
+ * @returns {Array} Folders with noteCount
+ */
+export function getFolders() {
+  const counts = new Map();
+  notesDB
+    .values()
+    .filter((note) => !note.deletedAt && note.folderId && isOwnedByCurrentUser(note))
+    .forEach((note) => {
+      counts.set(note.folderId, (counts.get(note.folderId) || 0) + 1);
+    });
+
+  return foldersDB
+    .values()
+    .filter(isOwnedByCurrentUser)
+    .map((folder) => ({ ...folder, noteCount: counts.get(folder.id) || 0 }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a folder by ID
+ * 
+ * @param {string} id - Folder ID
+ * @returns {Object} Folder object
+ * @throws {Error} If folder not found
+ */
+export function getFolderById(id) {
+  const folder = foldersDB.get(id);
+
+  if (!folder || !isOwnedByCurrentUser(folder)) {
+    throw createNotFoundError(`Folder with id '${id}' not found`, { id });
+  }
+
+  return folder;
+}
+
+/**
+ * Create a new folder
+ * 
+ * @param {Object} folderData - Folder data with name and optional parentId
+ * @returns {Object} Created folder object
+ * @throws {Error} If validation fails or the parent does not exist
+ */
+export function createFolder(folderData) {
+  assertValid(FOLDER_SCHEMA, folderData, { name: "Folder data" });
+  const parentId = parseParentId(folderData.parentId);
+
+  const now = new Date().toISOString();
+  const folder = {
+    id: generateId(),
+    name: folderData.name.trim(),
+    parentId,
+    ownerId: currentOwnerId(),
+    createdAt: now,
+    lastModified: now,
+  };
+
+  foldersDB.set(folder.id, folder);
+
+  loggerService.add({
+    action: LogAction.FOLDER_CREATED,
+    details: {
+      folderId: folder.id,
+      name: folder.name,
+      parentId,
+    },
+  });
+
+  return folder;
+}
+
+/**
+ * Rename and/or move a folder
+ * A folder cannot be moved into itself or one of its subfolders.
+ * 
+ * @param {string} id - Folder ID
+ * @param {Object} updates - New name and/or parentId (null moves it to the top level)
+ * @returns {Object} Updated folder object
+ * @throws {Error} If folder not found, validation fails or the move would create a cycle
+ */
+export function updateFolder(id, updates) {
+  const folder = getFolderById(id);
+  assertValid(FOLDER_SCHEMA, updates, { name: "Folder data", partial: true });
+
+  let parentId = folder.parentId;
+  if (updates.parentId !== undefined) {
+    parentId = parseParentId(updates.parentId);
+    if (parentId && getSubtreeIds(id).includes(parentId)) {
+      throw createValidationError(
+        "A folder cannot be moved into itself or one of its subfolders",
+        { field: "parentId" }
+      );
+    }
+  }
+
+  const updatedFolder = {
+    ...folder,
+    name: updates.name === undefined ? folder.name : updates.name.trim(),
+    parentId,
+    lastModified: new Date().toISOString(),
+  };
+
+  foldersDB.set(id, updatedFolder);
+
+  loggerService.add({
+    action: LogAction.FOLDER_UPDATED,
+    details: {
+      folderId: id,
+      updatedFields: ["name", "parentId"].filter(
+        (field) => updates[field] !== undefined
+      ),
+    },
+  });
+
+  return updatedFolder;
+}
+
+/**
+ * Delete a folder
+ * 
+ * - "move" (default): subfolders and notes move up to the folder's parent
+ * - "cascade": subfolders are deleted too and their notes go to the trash
+ * 
+ * Notes restored from the trash after their folder is gone are put back
+ * at the top level (see restoreNote in notes-service.js).
+ * 
+ * @param {string} id - Folder ID
+ * @param {Object} [options] - Delete options
+ * @param {string} [options.mode="move"] - "move" or "cascade"
+ * @returns {Object} { deletedFolderIds, movedNoteIds, trashedNoteIds }
+ * @throws {Error} If folder not found or the mode is invalid
+ */
+export function deleteFolder(id, { mode = "move" } = {}) {
+  if (!DELETE_MODES.includes(mode)) {
+    throw createValidationError(
+      `Mode must be one of: ${DELETE_MODES.join(", ")}`,
+      { field: "mode" }
+    );
+  }
+  const folder = getFolderById(id);
+
+  const deletedFolderIds = mode === "cascade" ? getSubtreeIds(id) : [id];
+  const movedNoteIds = [];
+  const trashedNoteIds = [];
+
+  if (mode === "cascade") {
+    notesDB
+      .values()
+      .filter((note) => !note.deletedAt && deletedFolderIds.includes(note.folderId))
+      .forEach((note) => {
+        deleteNote(note.id);
+        trashedNoteIds.push(note.id);
+      });
+  } else {
+    foldersDB
+      .values()
+      .filter((child) => child.parentId === id)
+      .forEach((child) => {
+        foldersDB.set(child.id, { ...child, parentId: folder.parentId });
+      });
+    // Trashed notes move too, so restoring them lands in the parent
+    notesDB
+      .values()
+      .filter((note) => note.folderId === id)
+      .forEach((note) => {
+        const moved = {
+          ...note,
+          folderId: folder.parentId,
+          version: (note.version || 1) + 1,
+        };
+        notesDB.set(note.id, moved);
+        if (!note.deletedAt) {
+          movedNoteIds.push(note.id);
+          publishNoteEvent(NoteEvent.UPDATED, moved);
+        }
+      });
+  }
+
+  deletedFolderIds.forEach((folderId) => foldersDB.delete(folderId));
+
+  loggerService.add({
+    action: LogAction.FOLDER_DELETED,
+    details: {
+      folderId: id,
+      mode,
+      deletedFolderIds,
+      movedNoteIds,
+      trashedNoteIds,
+    },
+  });
+
+  return { deletedFolderIds, movedNoteIds, trashedNoteIds };
+}
@@ -0,0 +1,146 @@
+/**
+ * Health Service
+ * 
+ * Backs the liveness and readiness probes (GET /health/live, /health/ready).
+ * 
+ * - Liveness: the process is running and its event loop is responsive.
+ * - Readiness: the server has finished starting and is not shutting down,
+ *   every storage collection is loaded and writable, and the log sinks work.
+ * 
+ * Every check reports its status and how long it took.
+ */
+
+import { checkStorageAdapters } from "../db/storage-adapter.js";
+import { loggerService } from "./logger-service.js";
+
+/**
+ * Server lifecycle states
+ */
+export const LifecycleState = {
+  STARTING: "starting",
+  READY: "ready",
+  STOPPING: "stopping",
+};
+
+// An event loop slower than this to answer is reported as failing
+const MAX_EVENT_LOOP_DELAY_MS = 1000;
+
+let lifecycleState = LifecycleState.STARTING;
+
+/**
+ * Gets the server lifecycle state
+ * 
+ * @returns {string} LifecycleState value
+ */
+export function getLifecycleState() {
+  return lifecycleState;
+}
+
+/**
+ * Sets the server lifecycle state (called from app.js)
+ * 
+ * @param {string} state - LifecycleState value
+ * @returns {void}
+ */
+export function setLifecycleState(state) {
+  lifecycleState = state;
+}
+
+/**
+ * Milliseconds elapsed since a process.hrtime.bigint() reading
+ * 
+ * @param {bigint} start - Start time
+ * @returns {number} Elapsed milliseconds, rounded to 0.01
+ */
+function elapsedMs(start) {
+  return Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+}
+
+/**
+ * Runs a check and times it
+ * 
+ * @param {Function} check - Throws on failure; may return extra details
+ * @returns {Promise<Object>} { status: "ok"|"fail", latencyMs, ...details } or { ..., error }
+ */
+async function runCheck(check) {
+  const start = process.hrtime.bigint();
+  try {
+    const details = await check();
+    return { status: "ok", latencyMs: elapsedMs(start), ...details };
+  } catch (error) {
+    return { status: "fail", latencyMs: elapsedMs(start), error: error.message };
+  }
+}
+
+/**
+ * Runs a set of named checks
+ * 
+ * @param {Object} checks - Check functions by name
+ * @returns {Promise<Object>} { status, checks } - status is "fail" if any check failed
+ */
+async function runChecks(checks) {
+  const results = {};
+  for (const [name, check] of Object.entries(checks)) {
+    results[name] = await runCheck(check);
+  }
+  const failed = Object.values(results).some((result) => result.status !== "ok");
+  return { status: failed ? "fail" : "ok", checks: results };
+}
+
+/**
+ * Checks that the event loop answers promptly
+ * 
+ * @returns {Promise<Object>} { delayMs }
+ * @throws {Error} If the event loop took too long
+ */
+async function checkEventLoop() {
+  const start = process.hrtime.bigint();
+  await new Promise((resolve) => setImmediate(resolve));
+  const delayMs = elapsedMs(start);
+  if (delayMs > MAX_EVENT_LOOP_DELAY_MS) {
+    throw new Error(`event loop delay is ${delayMs}ms`);
+  }
+  return { delayMs };
+}
+
+/**
+ * Checks that the server has started and is not shutting down
+ * 
+ * @returns {Object} { state }
+ * @throws {Error} If the server is starting or stopping
+ */
+function checkLifecycle() {
+  if (lifecycleState !== LifecycleState.READY) {
+    throw new Error(`server is ${lifecycleState}`);
+  }
+  return { state: lifecycleState };
+}
+
+/**
+ * Liveness probe
+ * 
+ * @returns {Promise<Object>} { status, checks: { eventLoop } }
+ */
+export function checkLiveness() {
+  return runChecks({ eventLoop: checkEventLoop });
+}
+
+/**
+ * Readiness probe
+ * 
+ * @returns {Promise<Object>} { status, checks: { lifecycle, storage, logSinks } }
+ */
+export function checkReadiness() {
+  return runChecks({
+    lifecycle: checkLifecycle,
+    storage: checkStorageAdapters,
+    logSinks: loggerService.checkSinks,
+  });
+}
+
+export const healthService = {
+  getLifecycleState,
+  setLifecycleState,
+  checkLiveness,
+  checkReadiness,
+};
@@ -0,0 +1,122 @@
+/**
+ * Integrity Service
+ * 
+ * Repairs references between collections after the stored data is
+ * loaded. Each collection has its own write-ahead log, so a change that
+ * touches several of them is written one collection at a time: an update
+ * stores the revision, then the note; a permanent delete removes the note,
+ * then its revisions, shares and links. A crash in between leaves the
+ * collections out of step, which is undone on startup:
+ * 
+ * - Revisions, shares and links of notes that no longer exist are removed.
+ * - A revision of a change the note never got is removed.
+ * - Notes and folders inside a folder that no longer exists move to the
+ *   top level.
+ */
+
+import { notesDB } from "../db/notes-db.js";
+import { revisionsDB } from "../db/revisions-db.js";
+import { sharesDB } from "../db/shares-db.js";
+import { linksDB } from "../db/links-db.js";
+import { foldersDB } from "../db/folders-db.js";
+import { loggerService, LogAction } from "./logger-service.js";
+
+/**
+ * Checks whether a revision is the note exactly as it is stored
+ * A revision keeps what a change replaced, and the change always sets a
+ * new lastModified, so this only happens when the change wasn't written.
+ * 
+ * @param {Object} revision - Stored revision
+ * @param {Object} note - Stored note
+ * @returns {boolean} True if the title, content and lastModified match
+ */
+function isUnwrittenChange(revision, note) {
+  return (
+    revision.title === note.title &&
+    revision.content === note.content &&
+    revision.lastModified === note.lastModified
+  );
+}
+
+/**
+ * Removes revisions of missing notes and of changes that weren't written
+ * 
+ * @returns {number} Number of revisions removed
+ */
+function repairRevisions() {
+  let removed = 0;
+  revisionsDB.keys().forEach((noteId) => {
+    const revisions = revisionsDB.get(noteId);
+    const note = notesDB.get(noteId);
+    if (!note) {
+      revisionsDB.delete(noteId);
+      removed += revisions.length;
+    } else if (revisions.length && isUnwrittenChange(revisions.at(-1), note)) {
+      if (revisions.length === 1) {
+        revisionsDB.delete(noteId);
+      } else {
+        revisionsDB.set(noteId, revisions.slice(0, -1));
+      }
+      removed += 1;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Removes the records of a collection whose note no longer exists
+ * 
+ * @param {Object} db - sharesDB or linksDB
+ * @returns {number} Number of records removed
+ */
+function removeOrphans(db) {
+  const orphans = db.values().filter((record) => !notesDB.has(record.noteId));
+  orphans.forEach((record) => db.delete(record.id));
+  return orphans.length;
+}
+
+/**
+ * Moves records out of folders that no longer exist
+ * 
+ * @param {Object} db - notesDB or foldersDB
+ * @param {string} field - "folderId" or "parentId"
+ * @returns {number} Number of records moved
+ */
+function moveOutOfMissingFolders(db, field) {
+  const stranded = db
+    .values()
+    .filter((record) => record[field] && !foldersDB.has(record[field]));
+  stranded.forEach((record) => db.set(record.id, { ...record, [field]: null }));
+  return stranded.length;
+}
+
+/**
+ * Repair references left dangling by a crash between two writes
+ * Runs on startup, after the data is loaded and before it is used.
+ * 
+ * @returns {Object} { revisions, shares, links, notes, folders } - How
+ *   many revisions, shares and links were removed and how many notes and
+ *   folders were moved to the top level
+ */
+export function repairReferences() {
+  const result = {
+    revisions: repairRevisions(),
+    shares: removeOrphans(sharesDB),
+    links: removeOrphans(linksDB),
+    notes: moveOutOfMissingFolders(notesDB, "folderId"),
+    folders: moveOutOfMissingFolders(foldersDB, "parentId"),
+  };
+
+  if (Object.values(result).some((count) => count > 0)) {
+    loggerService.add({
+      action: LogAction.REFERENCES_REPAIRED,
+      details: result,
+    });
+  }
+
+  return result;
+}
+
+export const integrityService = {
+  repairReferences,
+};
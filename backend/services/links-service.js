@@ -0,0 +1,212 @@
+/**
+ * Links Service
+ * 
+ * Public share links: anyone with the link can read a note without
+ * signing in. Only the note's owner can create and revoke links.
+ * 
+ * - A link is a random token. Only a SHA-256 hash of it is stored in
+ *   linksDB, so the token is returned once, when the link is created.
+ * - A link may expire at a given time and/or after a number of views.
+ *   Each successful view counts, whether it is read as JSON or HTML.
+ * - Links of a trashed note stop working until the note is restored, and
+ *   are removed when the note is deleted for good.
+ */
+
+import { randomBytes, createHash } from "node:crypto";
+import { notesDB } from "../db/notes-db.js";
+import { linksDB } from "../db/links-db.js";
+import { loggerService, LogAction } from "./logger-service.js";
+import { findOwnedNote } from "./shares-service.js";
+import { getCurrentUserId } from "../utils/request-context.js";
+import {
+  createError,
+  createValidationError,
+  createNotFoundError,
+} from "../utils/error-handler.js";
+
+const TOKEN_BYTES = 24;
+
+/**
+ * Hashes a link token for storage
+ * 
+ * @param {string} token - Link token
+ * @returns {string} Hex digest (the link's ID)
+ */
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Validates the limits of a new link
+ * 
+ * @param {Object} options - { expiresAt, maxViews }
+ * @returns {Object} { expiresAt, maxViews } with null for no limit
+ * @throws {Error} Validation error if a limit is invalid
+ */
+function parseLinkLimits({ expiresAt, maxViews } = {}) {
+  let expiryTime = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expiryTime = typeof expiresAt === "string" ? Date.parse(expiresAt) : NaN;
+    if (Number.isNaN(expiryTime)) {
+      throw createValidationError("expiresAt must be a valid date", {
+        field: "expiresAt",
+      });
+    }
+    if (expiryTime <= Date.now()) {
+      throw createValidationError("expiresAt must be in the future", {
+        field: "expiresAt",
+      });
+    }
+  }
+
+  if (
+    maxViews !== undefined &&
+    maxViews !== null &&
+    (!Number.isInteger(maxViews) || maxViews < 1)
+  ) {
+    throw createValidationError("maxViews must be a positive integer", {
+      field: "maxViews",
+    });
+  }
+
+  return {
+    expiresAt: expiryTime === null ? null : new Date(expiryTime).toISOString(),
+    maxViews: maxViews ?? null,
+  };
+}
+
+/**
+ * Create a public link to a note
+ * 
+ * @param {string} noteId - Note ID
+ * @param {Object} [options] - { expiresAt (ISO date), maxViews (integer) }, both optional
+ * @returns {Object} Link, including its token (not stored, so it can't be shown again)
+ * @throws {Error} If the note isn't the user's or a limit is invalid
+ */
+export function createLink(noteId, options = {}) {
+  findOwnedNote(noteId);
+  const limits = parseLinkLimits(options);
+
+  const token = randomBytes(TOKEN_BYTES).toString("base64url");
+  const link = {
+    id: hashToken(token),
+    noteId,
+    createdAt: new Date().toISOString(),
+    createdBy: getCurrentUserId() ?? null,
+    ...limits,
+    views: 0,
+  };
+  linksDB.set(link.id, link);
+
+  loggerService.add({
+    action: LogAction.NOTE_LINK_CREATED,
+    details: {
+      noteId,
+      linkId: link.id,
+      expiresAt: link.expiresAt,
+      maxViews: link.maxViews,
+    },
+  });
+
+  return { ...link, token };
+}
+
+/**
+ * List a note's public links, oldest first
+ * 
+ * @param {string} noteId - Note ID
+ * @returns {Array} Links (without tokens)
+ * @throws {Error} If the note isn't the user's
+ */
+export function listLinks(noteId) {
+  findOwnedNote(noteId);
+  return linksDB
+    .values()
+    .filter((link) => link.noteId === noteId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Revoke a public link
+ * 
+ * @param {string} noteId - Note ID
+ * @param {string} linkId - Link ID
+ * @returns {boolean} True if revoked
+ * @throws {Error} If the note isn't the user's or the link doesn't exist
+ */
+export function revokeLink(noteId, linkId) {
+  findOwnedNote(noteId);
+  const link = linksDB.get(linkId);
+  if (!link || link.noteId !== noteId) {
+    throw createNotFoundError(`Link '${linkId}' not found`, { id: noteId, linkId });
+  }
+
+  linksDB.delete(linkId);
+
+  loggerService.add({
+    action: LogAction.NOTE_LINK_REVOKED,
+    details: {
+      noteId,
+      linkId,
+    },
+  });
+
+  return true;
+}
+
+/**
+ * Open a public link and count the view
+ * 
+ * @param {string} token - Link token
+ * @returns {Object} { note: { title, content, tags, lastModified }, link: { expiresAt, viewsRemaining } }
+ * @throws {Error} 404 if the link is unknown or revoked, 410 if it expired or used up its views
+ */
+export function viewLink(token) {
+  const link = typeof token === "string" && token ? linksDB.get(hashToken(token)) : null;
+  const note = link ? notesDB.get(link.noteId) : null;
+  if (!note || note.deletedAt) {
+    throw createNotFoundError("Link not found");
+  }
+  if (link.expiresAt && Date.parse(link.expiresAt) <= Date.now()) {
+    throw createError("This link has expired", "GONE", 410);
+  }
+  if (link.maxViews !== null && link.views >= link.maxViews) {
+    throw createError("This link has reached its view limit", "GONE", 410);
+  }
+
+  const views = link.views + 1;
+  linksDB.set(link.id, { ...link, views });
+
+  return {
+    note: {
+      title: note.title,
+      content: note.content,
+      tags: note.tags || [],
+      lastModified: note.lastModified,
+    },
+    link: {
+      expiresAt: link.expiresAt,
+      viewsRemaining: link.maxViews === null ? null : link.maxViews - views,
+    },
+  };
+}
+
+/**
+ * Remove every link to a note (when it is deleted for good)
+ * 
+ * @param {string} noteId - Note ID
+ */
+export function deleteLinks(noteId) {
+  linksDB
+    .values()
+    .filter((link) => link.noteId === noteId)
+    .forEach((link) => linksDB.delete(link.id));
+}
+
+export const linksService = {
+  createLink,
+  listLinks,
+  revokeLink,
+  viewLink,
+  deleteLinks,
+};
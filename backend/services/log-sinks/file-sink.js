@@ -0,0 +1,209 @@
+/**
+ * File Log Sink
+ * 
+ * Appends log entries to NDJSON files (one JSON entry per line) named
+ * app-YYYY-MM-DD.N.ndjson, where the date is the entry's UTC day and N
+ * counts the files written that day.
+ * 
+ * - A new file is started when the day changes or when the current file
+ *   would grow past maxBytes.
+ * - Each time a file is opened, files older than retentionDays are
+ *   deleted, along with the oldest files beyond maxFiles.
+ * - Write errors (e.g. a full disk) are thrown to the caller, which is
+ *   expected to swallow them. The next successful write starts on a new
+ *   line, so a partly written entry never corrupts the one after it.
+ */
+import fs from "node:fs";
+import path from "node:path";
+
+const FILE_PATTERN = /^app-(\d{4}-\d{2}-\d{2})\.(\d+)\.ndjson$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024; // 10 MB
+const DEFAULT_MAX_FILES = 14;
+const DEFAULT_RETENTION_DAYS = 14;
+
+/**
+ * Builds a log file name
+ * 
+ * @param {string} date - UTC day (YYYY-MM-DD)
+ * @param {number} seq - File number within the day
+ * @returns {string} File name
+ */
+function logFileName(date, seq) {
+  return `app-${date}.${seq}.ndjson`;
+}
+
+/**
+ * Lists the log files in a directory, oldest first
+ * 
+ * @param {string} dir - Log directory
+ * @returns {Array<Object>} { name, date, seq } for each log file
+ */
+export function listLogFiles(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  return names
+    .map((name) => {
+      const match = FILE_PATTERN.exec(name);
+      return match && { name, date: match[1], seq: Number(match[2]) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.seq - b.seq);
+}
+
+/**
+ * Creates a file sink
+ * 
+ * @param {Object} options - Sink options
+ * @param {string} options.dir - Directory for the log files (created if missing)
+ * @param {number} [options.maxBytes=10MB] - Size at which a file is rotated
+ * @param {number} [options.maxFiles=14] - Number of files kept, current one included
+ * @param {number} [options.retentionDays=14] - Files from older days are deleted
+ * @returns {Object} Log sink { name, write, check, close }
+ */
+export function createFileSink({
+  dir,
+  maxBytes = DEFAULT_MAX_BYTES,
+  maxFiles = DEFAULT_MAX_FILES,
+  retentionDays = DEFAULT_RETENTION_DAYS,
+}) {
+  let fd = null;
+  let current = null; // { date, seq } of the open file
+  let size = 0;
+  let partialLine = false;
+  let lastError = null; // Error from the latest write, cleared by the next success
+
+  function closeFile() {
+    if (fd !== null) {
+      const openFd = fd;
+      fd = null;
+      fs.closeSync(openFd);
+    }
+  }
+
+  /**
+   * Deletes files past the retention limits (best effort)
+   * 
+   * @param {string} today - UTC day of the open file
+   */
+  function removeExpired(today) {
+    const cutoff = new Date(Date.parse(today) - retentionDays * DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+    const files = listLogFiles(dir).filter(
+      (file) => file.date !== current.date || file.seq !== current.seq
+    );
+    const excess = files.length + 1 - maxFiles;
+
+    files.forEach((file, index) => {
+      if (index < excess || file.date < cutoff) {
+        try {
+          fs.rmSync(path.join(dir, file.name), { force: true });
+        } catch {
+          // A file that can't be deleted now is retried on the next rotation
+        }
+      }
+    });
+  }
+
+  /**
+   * Opens the file to append to for a day
+   * Continues the latest file of the day unless it is full or a new
+   * file is requested.
+   * 
+   * @param {string} date - UTC day (YYYY-MM-DD)
+   * @param {boolean} startNew - Whether to start the next file of the day
+   */
+  function openFile(date, startNew) {
+    closeFile();
+    fs.mkdirSync(dir, { recursive: true });
+
+    const latest = listLogFiles(dir)
+      .filter((file) => file.date === date)
+      .at(-1);
+    let seq = latest ? latest.seq : 0;
+    let existing = latest ? fs.statSync(path.join(dir, latest.name)).size : 0;
+    if (latest && (startNew || existing >= maxBytes)) {
+      seq += 1;
+      existing = 0;
+    }
+
+    fd = fs.openSync(path.join(dir, logFileName(date, seq)), "a");
+    current = { date, seq };
+    size = existing;
+    partialLine = false;
+    removeExpired(date);
+  }
+
+  /**
+   * Writes a line to the open file
+   * 
+   * @param {Buffer} line - NDJSON line
+   * @throws {Error} If the line could not be written in full
+   */
+  function appendLine(line) {
+    const data = partialLine ? Buffer.concat([Buffer.from("\n"), line]) : line;
+    let written = 0;
+    try {
+      written = fs.writeSync(fd, data);
+    } finally {
+      size += written;
+      partialLine = written < data.length;
+    }
+    if (partialLine) {
+      throw new Error(`Log entry only partly written (${written} of ${data.length} bytes)`);
+    }
+  }
+
+  return {
+    name: "file",
+
+    /**
+     * Appends an entry as one NDJSON line
+     * 
+     * @param {Object} entry - Log entry (timestamp decides the file's day)
+     * @throws {Error} If the file can't be opened or written
+     */
+    write(entry) {
+      const line = Buffer.from(`${JSON.stringify(entry)}\n`);
+      const date = entry.timestamp.slice(0, 10);
+
+      try {
+        if (fd === null || date !== current.date) {
+          openFile(date, false);
+        } else if (size > 0 && size + line.length > maxBytes) {
+          openFile(date, true);
+        }
+        appendLine(line);
+        lastError = null;
+      } catch (error) {
+        lastError = error;
+        throw error;
+      }
+    },
+
+    /**
+     * Throws if the latest write failed or the directory can't be written
+     */
+    check() {
+      if (lastError) {
+        throw new Error(`last write failed: ${lastError.message}`);
+      }
+      fs.mkdirSync(dir, { recursive: true });
+      fs.accessSync(dir, fs.constants.W_OK);
+    },
+
+    /**
+     * Closes the open file; the next write opens it again
+     */
+    close() {
+      closeFile();
+    },
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Memory Log Sink
+ * 
+ * Keeps the most recent log entries in a fixed-size ring buffer.
+ * Once the buffer is full, each new entry replaces the oldest one,
+ * so memory use stays bounded however long the server runs.
+ * This is the sink that GET /logs and the activity timeline read from.
+ */
+
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * Creates a memory sink
+ * 
+ * @param {Object} [options] - Sink options
+ * @param {number} [options.maxEntries=10000] - Number of entries kept
+ * @returns {Object} Log sink { name, write, entries, clear, size }
+ */
+export function createMemorySink({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const capacity = Math.max(1, Math.floor(maxEntries));
+  const buffer = new Array(capacity);
+  let start = 0; // Index of the oldest entry
+  let count = 0;
+
+  return {
+    name: "memory",
+
+    /**
+     * Stores an entry, overwriting the oldest one when full
+     * 
+     * @param {Object} entry - Log entry
+     */
+    write(entry) {
+      buffer[(start + count) % capacity] = entry;
+      if (count < capacity) {
+        count++;
+      } else {
+        start = (start + 1) % capacity;
+      }
+    },
+
+    /**
+     * Returns the stored entries, oldest first
+     * 
+     * @returns {Array} New array of entries
+     */
+    entries() {
+      return Array.from({ length: count }, (_, i) => buffer[(start + i) % capacity]);
+    },
+
+    clear() {
+      buffer.fill(undefined);
+      start = 0;
+      count = 0;
+    },
+
+    get size() {
+      return count;
+    },
+  };
+}
@@ -1,16 +1,41 @@
 /**
  * Logger Service
  * 
- * Handles in-memory logging of all user actions.
- * Logs are stored in memory and reset when server restarts.
+ * Handles logging of all user actions.
+ * Each entry is passed to the sinks picked through config.logging.sinks:
+ * - memory: the most recent entries, kept in a ring buffer (services/log-sinks/memory-sink.js)
+ * - file: rotating NDJSON files on disk (services/log-sinks/file-sink.js)
+ * Reads (getAll, getByAction) come from the memory sink.
  * 
  * Key principles:
- * - Logging must never throw errors
+ * - Logging must never throw errors, even when a sink fails (e.g. disk full)
  * - Invalid entries are silently ignored
+ * - Entries below config.logging.level are dropped
+ * - Entries made while a request is handled carry its requestId (and the
+ *   signed-in user's userId)
  * - Logs follow consistent structure
  */
 
-const logs = [];
+import { config } from "../config/config.js";
+import { generateId } from "../utils/id.js";
+import { getRequestId, getCurrentUserId } from "../utils/request-context.js";
+import { createMemorySink } from "./log-sinks/memory-sink.js";
+import { createFileSink } from "./log-sinks/file-sink.js";
+
+/**
+ * Log levels, lowest first
+ */
+export const LogLevel = {
+  DEBUG: "debug",
+  INFO: "info",
+  WARN: "warn",
+  ERROR: "error",
+};
+
+const LEVEL_ORDER = Object.values(LogLevel);
+
+// Entries held back while a transaction is running (see transaction())
+let pending = null;
 
 /**
  * Log action types
@@ -20,17 +45,91 @@ export const LogAction = {
   NOTE_CREATED: "NOTE_CREATED",
   NOTE_UPDATED: "NOTE_UPDATED",
   NOTE_DELETED: "NOTE_DELETED",
+  NOTE_REVISION_RESTORED: "NOTE_REVISION_RESTORED",
+  NOTE_RESTORED: "NOTE_RESTORED",
+  NOTE_SHARED: "NOTE_SHARED",
+  NOTE_UNSHARED: "NOTE_UNSHARED",
+  NOTE_LINK_CREATED: "NOTE_LINK_CREATED",
+  NOTE_LINK_REVOKED: "NOTE_LINK_REVOKED",
+  TRASH_PURGED: "TRASH_PURGED",
+  TAG_RENAMED: "TAG_RENAMED",
+  FOLDER_CREATED: "FOLDER_CREATED",
+  FOLDER_UPDATED: "FOLDER_UPDATED",
+  FOLDER_DELETED: "FOLDER_DELETED",
+  NOTES_EXPORTED: "NOTES_EXPORTED",
+  NOTES_IMPORTED: "NOTES_IMPORTED",
   NOTES_LIST_VIEWED: "NOTES_LIST_VIEWED",
   NOTE_DETAILS_VIEWED: "NOTE_DETAILS_VIEWED",
+  NOTES_SEARCHED: "NOTES_SEARCHED",
+  USER_REGISTERED: "USER_REGISTERED",
+  USER_LOGGED_IN: "USER_LOGGED_IN",
+  USER_LOGGED_OUT: "USER_LOGGED_OUT",
+  OWNERLESS_RECORDS_CLAIMED: "OWNERLESS_RECORDS_CLAIMED",
+  REFERENCES_REPAIRED: "REFERENCES_REPAIRED",
+  REQUEST_COMPLETED: "REQUEST_COMPLETED",
   APP_STARTED: "APP_STARTED",
+  APP_STOPPING: "APP_STOPPING",
   DB_RESET: "DB_RESET",
 };
 
+// Read-only actions are frequent and of little interest outside development
+const ACTION_LEVELS = {
+  [LogAction.NOTES_LIST_VIEWED]: LogLevel.DEBUG,
+  [LogAction.NOTE_DETAILS_VIEWED]: LogLevel.DEBUG,
+  [LogAction.NOTES_SEARCHED]: LogLevel.DEBUG,
+};
+
+/**
+ * Creates the sinks listed in the logging config
+ * 
+ * @param {Object} loggingConfig - config.logging
+ * @returns {Object} { sinks, memorySink } (memorySink is null if not configured)
+ * @throws {Error} If a sink name is unknown
+ */
+function createSinks(loggingConfig) {
+  let memorySink = null;
+  const sinks = loggingConfig.sinks.map((name) => {
+    switch (name) {
+      case "memory":
+        memorySink = createMemorySink(loggingConfig.memory);
+        return memorySink;
+      case "file":
+        return createFileSink(loggingConfig.file);
+      default:
+        throw new Error(`Unknown log sink: ${name}`);
+    }
+  });
+  return { sinks, memorySink };
+}
+
+const { sinks, memorySink } = createSinks(config.logging);
+
+/**
+ * Passes committed entries to every sink
+ * A failing sink is skipped so the others still receive the entry.
+ * 
+ * @param {Array} entries - Log entries
+ */
+function writeToSinks(entries) {
+  for (const sink of sinks) {
+    for (const entry of entries) {
+      try {
+        sink.write(entry);
+      } catch (error) {
+        if (process.env.NODE_ENV === "development") {
+          console.warn(`Log sink '${sink.name}' failed:`, error.message);
+        }
+      }
+    }
+  }
+}
+
 /**
  * Adds a new log entry
  * 
  * @param {Object} entry - Log entry without id and timestamp
  * @param {string} entry.action - Action type (required, must be valid LogAction)
+ * @param {string} [entry.level] - LogLevel (defaults to the action's usual level)
  * @param {Object} [entry.details] - Optional metadata
  * @returns {void}
  */
@@ -52,16 +151,30 @@ export function add(entry) {
       return; // Silently ignore invalid entries
     }
 
+    const level = LEVEL_ORDER.includes(entry.level)
+      ? entry.level
+      : ACTION_LEVELS[entry.action] || LogLevel.INFO;
+    if (LEVEL_ORDER.indexOf(level) < LEVEL_ORDER.indexOf(config.logging.level)) {
+      return; // Below the configured level
+    }
+
     // Create log entry
     const logEntry = {
-      id: Date.now().toString(),
+      id: generateId(),
       action: entry.action,
+      level,
+      requestId: getRequestId(),
+      userId: getCurrentUserId(),
       timestamp: new Date().toISOString(),
       details: entry.details || undefined,
     };
 
-    // Store in memory
-    logs.push(logEntry);
+    // Held back inside a transaction
+    if (pending) {
+      pending.push(logEntry);
+    } else {
+      writeToSinks([logEntry]);
+    }
   } catch (error) {
     // Logging must never throw - swallow errors silently
     if (process.env.NODE_ENV === "development") {
@@ -72,22 +185,31 @@ export function add(entry) {
 }
 
 /**
- * Gets all log entries
+ * Gets all log entries held by the memory sink, oldest first
  * 
- * @returns {Array} Array of all log entries (copy to prevent external mutation)
+ * @returns {Array} Array of log entries (copy to prevent external mutation)
  */
 export function getAll() {
-  return [...logs]; // Return copy to prevent external mutation
+  return memorySink ? memorySink.entries() : [];
 }
 
 /**
- * Clears all log entries
+ * Gets the number of entries held by the memory sink
+ * 
+ * @returns {number} Entry count
+ */
+export function size() {
+  return memorySink ? memorySink.size : 0;
+}
+
+/**
+ * Clears all log entries held by the memory sink
  * Primarily used for tests to reset state between test runs
  * 
  * @returns {void}
  */
 export function clear() {
-  logs.length = 0;
+  memorySink?.clear();
 }
 
 /**
@@ -98,14 +220,91 @@ export function clear() {
  * @returns {Array} Filtered log entries
  */
 export function getByAction(action) {
-  return logs.filter((log) => log.action === action);
+  return getAll().filter((log) => log.action === action);
+}
+
+/**
+ * Adds a sink that receives every entry from now on
+ * 
+ * @param {Object} sink - Object with a write(entry) method and a name
+ * @returns {Function} Removes the sink again
+ */
+export function addSink(sink) {
+  sinks.push(sink);
+  return () => {
+    const index = sinks.indexOf(sink);
+    if (index !== -1) sinks.splice(index, 1);
+  };
+}
+
+/**
+ * Checks that every sink can take entries (used by the readiness probe)
+ * Sinks without a check() method are assumed to work.
+ * 
+ * @returns {Object} { sinks } - Names of the checked sinks
+ * @throws {Error} If a sink reports a problem
+ */
+export function checkSinks() {
+  for (const sink of sinks) {
+    try {
+      sink.check?.();
+    } catch (error) {
+      throw new Error(`Log sink '${sink.name}' is not working: ${error.message}`);
+    }
+  }
+  return { sinks: sinks.map((sink) => sink.name) };
+}
+
+/**
+ * Closes sinks that hold resources (open files)
+ * Called on shutdown; sinks reopen themselves if more entries arrive.
+ * 
+ * @returns {void}
+ */
+export function close() {
+  for (const sink of sinks) {
+    try {
+      sink.close?.();
+    } catch {
+      // Logging must never throw
+    }
+  }
+}
+
+/**
+ * Runs a function with its log entries held back until it completes
+ * Entries are kept if fn returns and dropped if it throws, so work that
+ * is rolled back leaves no log entries. Errors from fn are re-thrown.
+ * 
+ * @param {Function} fn - Synchronous function to run
+ * @returns {*} Return value of fn
+ */
+export function transaction(fn) {
+  const outer = pending;
+  pending = [];
+  try {
+    const result = fn();
+    if (outer) {
+      outer.push(...pending);
+    } else {
+      writeToSinks(pending);
+    }
+    return result;
+  } finally {
+    pending = outer;
+  }
 }
 
 // Export as service object for convenience
 export const loggerService = {
   add,
   getAll,
+  size,
   clear,
   getByAction,
+  addSink,
+  checkSinks,
+  close,
+  transaction,
 };
 
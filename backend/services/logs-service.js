@@ -0,0 +1,184 @@
+/**
+ * Logs Service
+ * 
+ * Read-only queries over the entries recorded by loggerService:
+ * filtering by action, time range and note, with cursor pagination.
+ * Entries are returned newest first. Signed-in users only see their own
+ * entries, plus the whole timeline of the notes they can see.
+ */
+
+import { notesDB } from "../db/notes-db.js";
+import { loggerService, LogAction } from "./logger-service.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+import { getCurrentUserId } from "../utils/request-context.js";
+import { getNoteRole } from "./shares-service.js";
+import {
+  createValidationError,
+  createNotFoundError,
+} from "../utils/error-handler.js";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Log detail fields that refer to notes (a single ID or a list of IDs)
+const NOTE_REFERENCE_FIELDS = ["noteId", "noteIds", "movedNoteIds", "trashedNoteIds"];
+
+/**
+ * Parses a query date
+ * 
+ * @param {string} value - Raw date
+ * @param {string} field - Query parameter name (for the error)
+ * @returns {number|null} Milliseconds since the epoch, or null if absent
+ * @throws {Error} Validation error if the date is invalid
+ */
+function parseDate(value, field) {
+  if (value === undefined) {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw createValidationError(`${field} must be a valid date`, { field });
+  }
+  return time;
+}
+
+/**
+ * Validates and normalizes log query options (raw query string values)
+ * 
+ * @param {Object} options - Raw options
+ * @returns {Object} { limit, before, actions, noteId, from, to }
+ * @throws {Error} If an option is invalid
+ */
+function parseLogQuery(options) {
+  const limit =
+    options.limit === undefined ? DEFAULT_PAGE_SIZE : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw createValidationError(
+      `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+      { field: "limit" }
+    );
+  }
+
+  // ?action= may be repeated; an entry may match any of them
+  const actions = [options.action || []].flat();
+  const unknown = actions.find((action) => !Object.hasOwn(LogAction, action));
+  if (unknown) {
+    throw createValidationError(`Unknown action '${unknown}'`, {
+      field: "action",
+    });
+  }
+
+  let before = null;
+  if (options.cursor) {
+    try {
+      before = decodeCursor(options.cursor).id;
+    } catch {
+      before = null;
+    }
+    if (typeof before !== "string") {
+      throw createValidationError("Cursor is invalid", { field: "cursor" });
+    }
+  }
+
+  return {
+    limit,
+    before,
+    actions,
+    noteId: options.noteId,
+    from: parseDate(options.from, "from"),
+    to: parseDate(options.to, "to"),
+  };
+}
+
+/**
+ * Checks whether a log entry refers to a note
+ * 
+ * @param {Object} entry - Log entry
+ * @param {string} noteId - Note ID
+ * @returns {boolean} True if one of the note reference fields names the note
+ */
+function referencesNote(entry, noteId) {
+  return NOTE_REFERENCE_FIELDS.some((field) =>
+    [entry.details?.[field]].flat().includes(noteId)
+  );
+}
+
+/**
+ * Filters log entries and cuts out one page, newest first
+ * 
+ * @param {Object} options - Query options (raw query string values)
+ * @param {function(Object): boolean} isVisible - Entries the caller may see
+ * @returns {Object} { logs, nextCursor, total }
+ * @throws {Error} If an option is invalid
+ */
+function pageLogs(options, isVisible) {
+  const { limit, before, actions, noteId, from, to } = parseLogQuery(options);
+
+  const matching = loggerService
+    .getAll()
+    .filter((entry) => {
+      const time = new Date(entry.timestamp).getTime();
+      return (
+        isVisible(entry) &&
+        (actions.length === 0 || actions.includes(entry.action)) &&
+        (noteId === undefined || referencesNote(entry, noteId)) &&
+        (from === null || time >= from) &&
+        (to === null || time < to)
+      );
+    })
+    .reverse();
+
+  // IDs increase with time, so the page starts after the cursor's entry
+  const start = before ? matching.filter((entry) => entry.id >= before).length : 0;
+  const logs = matching.slice(start, start + limit);
+  const hasMore = start + limit < matching.length;
+
+  return {
+    logs,
+    nextCursor: hasMore ? encodeCursor({ id: logs[logs.length - 1].id }) : null,
+    total: matching.length,
+  };
+}
+
+/**
+ * Query log entries, newest first
+ * Signed-in users only get the entries recorded for their own requests.
+ * 
+ * @param {Object} [options] - Query options (raw query string values)
+ * @param {number|string} [options.limit=50] - Page size (1-200)
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {string|Array<string>} [options.action] - Only these actions
+ * @param {string} [options.noteId] - Only entries about this note
+ * @param {string} [options.from] - Only entries at or after this time
+ * @param {string} [options.to] - Only entries before this time
+ * @returns {Object} { logs, nextCursor, total }
+ * @throws {Error} If an option is invalid
+ */
+export function queryLogs(options = {}) {
+  const userId = getCurrentUserId();
+  return pageLogs(options, (entry) => !userId || entry.userId === userId);
+}
+
+/**
+ * Get the activity timeline for a note, newest first
+ * Includes every log entry that refers to the note (created, updated,
+ * deleted, restored, moved by a folder delete, tag renames, ...), whoever
+ * made the change.
+ * 
+ * @param {string} id - Note ID (the note may be in the trash)
+ * @param {Object} [options] - limit and cursor, as for queryLogs
+ * @returns {Object} { noteId, activity, nextCursor, total }
+ * @throws {Error} If the note does not exist or an option is invalid
+ */
+export function getNoteActivity(id, { limit, cursor } = {}) {
+  const note = notesDB.get(id);
+  if (!note || !getNoteRole(note)) {
+    throw createNotFoundError(`Note with id '${id}' not found`, { id });
+  }
+
+  const { logs, nextCursor, total } = pageLogs(
+    { limit, cursor, noteId: id },
+    () => true
+  );
+  return { noteId: id, activity: logs, nextCursor, total };
+}
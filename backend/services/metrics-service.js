@@ -0,0 +1,137 @@
+/**
+ * Metrics Service
+ * 
+ * Application metrics exposed at GET /metrics for Prometheus:
+ * - HTTP request counts and latencies by method, route and status
+ *   (recorded by middleware/metrics.js)
+ * - Note operations (created, updated, deleted), recorded by notes-service
+ * - Current note counts, log buffer size and process memory, read when
+ *   the metrics are rendered
+ */
+
+import { notesDB } from "../db/notes-db.js";
+import { loggerService } from "./logger-service.js";
+import { createRegistry } from "../utils/metrics.js";
+
+/**
+ * Note operations counted in notes_operations_total
+ */
+export const NoteOperation = {
+  CREATED: "created",
+  UPDATED: "updated",
+  DELETED: "deleted",
+};
+
+const registry = createRegistry();
+
+const httpRequestsTotal = registry.counter({
+  name: "http_requests_total",
+  help: "HTTP requests handled, by method, route and status",
+  labelNames: ["method", "route", "status"],
+});
+
+const httpRequestDuration = registry.histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency in seconds, by method, route and status",
+  labelNames: ["method", "route", "status"],
+});
+
+const noteOperationsTotal = registry.counter({
+  name: "notes_operations_total",
+  help: "Note operations, by operation (created, updated, deleted)",
+  labelNames: ["operation"],
+});
+
+registry.gauge({
+  name: "notes_count",
+  help: "Notes currently stored, by state (active or trashed)",
+  collect() {
+    const trashed = notesDB.values().filter((note) => note.deletedAt).length;
+    return [
+      { labels: { state: "active" }, value: notesDB.size - trashed },
+      { labels: { state: "trashed" }, value: trashed },
+    ];
+  },
+});
+
+registry.gauge({
+  name: "log_buffer_entries",
+  help: "Log entries held in the in-memory log buffer",
+  collect: () => loggerService.size(),
+});
+
+registry.gauge({
+  name: "process_resident_memory_bytes",
+  help: "Resident memory size in bytes",
+  collect: () => process.memoryUsage().rss,
+});
+
+registry.gauge({
+  name: "nodejs_heap_size_total_bytes",
+  help: "Process heap size in bytes",
+  collect: () => process.memoryUsage().heapTotal,
+});
+
+registry.gauge({
+  name: "nodejs_heap_size_used_bytes",
+  help: "Process heap size used in bytes",
+  collect: () => process.memoryUsage().heapUsed,
+});
+
+registry.gauge({
+  name: "nodejs_external_memory_bytes",
+  help: "Memory used by C++ objects bound to JavaScript objects, in bytes",
+  collect: () => process.memoryUsage().external,
+});
+
+/**
+ * Records a handled HTTP request
+ * 
+ * @param {Object} request - Request summary
+ * @param {string} request.method - HTTP method
+ * @param {string} request.route - Route pattern, e.g. /notes/:id
+ * @param {number} request.status - Response status code
+ * @param {number} request.durationSeconds - Time taken to respond
+ * @returns {void}
+ */
+export function recordHttpRequest({ method, route, status, durationSeconds }) {
+  const labels = { method, route, status };
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+}
+
+/**
+ * Records a note operation
+ * 
+ * @param {string} operation - NoteOperation value
+ * @returns {void}
+ */
+export function recordNoteOperation(operation) {
+  noteOperationsTotal.inc({ operation });
+}
+
+/**
+ * Renders all metrics in the Prometheus text exposition format
+ * 
+ * @returns {string} Metrics text
+ */
+export function renderMetrics() {
+  return registry.render();
+}
+
+/**
+ * Clears the recorded counters and histograms
+ * Primarily used for tests to reset state between test runs
+ * 
+ * @returns {void}
+ */
+export function resetMetrics() {
+  registry.reset();
+}
+
+export const metricsService = {
+  recordHttpRequest,
+  recordNoteOperation,
+  renderMetrics,
+  resetMetrics,
+};
@@ -4,24 +4,111 @@
  * Business logic layer for notes operations.
  * Handles all CRUD operations, validation, and logging.
  * Never accessed directly from routes - always through this service.
+ * Talks to storage only through the notesDB storage adapter.
+ * Inside an authenticated request only the signed-in user's notes and
+ * the notes shared with them are visible (see shares-service.js); other
+ * users' notes are "not found".
  */
 
 import { notesDB } from "../db/notes-db.js";
+import { foldersDB } from "../db/folders-db.js";
+import { config } from "../config/config.js";
 import { loggerService, LogAction } from "./logger-service.js";
-import { validateNoteData } from "../utils/validation.js";
+import { metricsService, NoteOperation } from "./metrics-service.js";
+import {
+  recordRevision,
+  listRevisions,
+  getRevision,
+  deleteRevisions,
+} from "./revisions-service.js";
+import { searchService } from "./search-service.js";
+import {
+  NoteRole,
+  getNoteRole,
+  hasNoteRole,
+  deleteShares,
+} from "./shares-service.js";
+import { deleteLinks } from "./links-service.js";
+import { NoteEvent, publishNoteEvent } from "./events-service.js";
+import { currentOwnerId, isOwnedByCurrentUser } from "../utils/ownership.js";
+import {
+  NOTE_SCHEMA,
+  assertValid,
+  isPlainObject,
+  normalizeTags,
+} from "../utils/validation.js";
 import {
   createValidationError,
   createNotFoundError,
+  createConflictError,
+  createForbiddenError,
   createInternalError,
 } from "../utils/error-handler.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+import { generateId, slugify, uniqueSlug } from "../utils/id.js";
+import { applyMergePatch, applyJsonPatch } from "../utils/json-patch.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort key extractors for listNotes (older notes have no createdAt)
+const SORT_FIELDS = {
+  lastModified: (note) => note.lastModified,
+  createdAt: (note) => note.createdAt || note.lastModified,
+  title: (note) => note.title.toLowerCase(),
+};
+
+// Note fields that PUT and PATCH may change
+const PATCHABLE_FIELDS = ["title", "content", "tags", "folderId"];
+
+// Date range filters for listNotes: query param -> [note field, bound]
+const DATE_FILTERS = {
+  createdAfter: ["createdAt", "min"],
+  createdBefore: ["createdAt", "max"],
+  modifiedAfter: ["lastModified", "min"],
+  modifiedBefore: ["lastModified", "max"],
+};
+
+/**
+ * Gets a stored note if the current user may access it
+ * 
+ * @param {string} id - Note ID
+ * @param {string} [required=NoteRole.OWNER] - Role the action needs
+ * @returns {Object|undefined} Stored note (may be in the trash), or
+ *   undefined if the user can't see it at all
+ * @throws {Error} Forbidden error if the note is shared with a lesser role
+ */
+function findNote(id, required = NoteRole.OWNER) {
+  const note = notesDB.get(id);
+  const role = note ? getNoteRole(note) : null;
+  if (!role) {
+    return undefined;
+  }
+  if (!hasNoteRole(role, required)) {
+    throw createForbiddenError(`You need ${required} access to this note`, {
+      id,
+      role,
+    });
+  }
+  return note;
+}
 
 /**
- * Get all notes
+ * Gets every stored note the current user owns
+ * 
+ * @returns {Array} Stored notes, including trashed ones
+ */
+function ownNotes() {
+  return notesDB.values().filter(isOwnedByCurrentUser);
+}
+
+/**
+ * Get all notes (notes in the trash are excluded)
  * 
  * @returns {Array} Array of all notes
  */
 export function getAllNotes() {
-  const notes = Array.from(notesDB.values());
+  const notes = ownNotes().filter((note) => !note.deletedAt);
 
   // Log the action
   loggerService.add({
@@ -31,31 +118,359 @@ export function getAllNotes() {
   return notes;
 }
 
+/**
+ * Validates a note's folder reference
+ * 
+ * @param {string|null} folderId - Folder ID, or null for no folder
+ * @returns {string|null} Folder ID or null
+ * @throws {Error} Validation error (field: "folderId") if the folder does not exist
+ */
+function parseFolderId(folderId) {
+  if (folderId === null) {
+    return null;
+  }
+  const folder = typeof folderId === "string" ? foldersDB.get(folderId) : undefined;
+  if (!folder || !isOwnedByCurrentUser(folder)) {
+    throw createValidationError(`Folder '${folderId}' does not exist`, {
+      field: "folderId",
+    });
+  }
+  return folderId;
+}
+
+/**
+ * Validates the folder a note is being saved with
+ * Only the owner can move a note. Keeping the current folder is always
+ * allowed, since an editor can't name the owner's folders otherwise.
+ * 
+ * @param {Object} note - Stored note
+ * @param {string|null} folderId - Requested folder ID, or null for no folder
+ * @returns {string|null} Folder ID or null
+ * @throws {Error} Forbidden error for non-owners, validation error if the folder does not exist
+ */
+function parseNoteFolderId(note, folderId) {
+  if (folderId === (note.folderId || null)) {
+    return folderId;
+  }
+  if (getNoteRole(note) !== NoteRole.OWNER) {
+    throw createForbiddenError("Only the owner can move this note", {
+      id: note.id,
+      field: "folderId",
+    });
+  }
+  return parseFolderId(folderId);
+}
+
+/**
+ * Picks a slug for a note's title that is unique among its owner's notes
+ * Other users' slugs are left out, so a "-2" doesn't tell anyone what
+ * they called their notes. A slug never matches any note's ID, so
+ * getNoteByIdOrSlug can always tell them apart.
+ * 
+ * @param {string} title - Note title
+ * @param {Object} note - { id, ownerId } of the note the slug is for
+ * @returns {string} Unique slug
+ */
+function assignSlug(title, { id, ownerId }) {
+  const ownersNotes = notesDB
+    .values()
+    .filter((note) => note.id !== id && (note.ownerId ?? null) === (ownerId ?? null));
+  return uniqueSlug(slugify(title), (slug) =>
+    notesDB.has(slug) || ownersNotes.some((note) => note.slug === slug)
+  );
+}
+
+/**
+ * Checks that a write is based on the note's current version
+ * 
+ * @param {Object} note - Stored note
+ * @param {number} [expectedVersion] - Version the client last saw (from If-Match)
+ * @throws {Error} Conflict error with the current note if the versions differ
+ */
+function checkVersion(note, expectedVersion) {
+  const currentVersion = note.version || 1;
+  if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+    throw createConflictError(
+      `Note '${note.id}' was modified by someone else (version ${currentVersion})`,
+      {
+        id: note.id,
+        expectedVersion,
+        currentVersion,
+        current: note,
+      }
+    );
+  }
+}
+
+/**
+ * Validates the editable fields of a note after a patch was applied
+ * 
+ * @param {*} fields - Patched { title, content, tags, folderId }
+ * @param {Object} note - Stored note the patch was applied to
+ * @returns {Object} Normalized fields
+ * @throws {Error} Validation error if a field is missing, invalid or not editable
+ */
+function parsePatchedFields(fields, note) {
+  if (!isPlainObject(fields)) {
+    throw createValidationError("Patched note must be a JSON object", {
+      field: "patch",
+    });
+  }
+
+  const unknownField = Object.keys(fields).find(
+    (field) => !PATCHABLE_FIELDS.includes(field)
+  );
+  if (unknownField) {
+    throw createValidationError(`Field '${unknownField}' cannot be patched`, {
+      field: unknownField,
+    });
+  }
+
+  assertValid(NOTE_SCHEMA, fields, { name: "Patched note" });
+
+  return {
+    title: fields.title.trim(),
+    content: fields.content.trim(),
+    tags: fields.tags === undefined ? [] : normalizeTags(fields.tags),
+    folderId: parseNoteFolderId(note, fields.folderId ?? null),
+  };
+}
+
+/**
+ * Stores new values for a note's editable fields
+ * Records a revision when the title or content changes, increments the
+ * version, re-indexes the note for search and logs the update.
+ * 
+ * @param {Object} note - Stored note
+ * @param {Object} changes - Validated { title, content, tags, folderId }
+ * @param {Array<string>} updatedFields - Field names reported in the log
+ * @returns {Object} Updated note object
+ */
+function saveNoteChanges(note, changes, updatedFields) {
+  // Keep the replaced version in the revision history
+  if (changes.title !== note.title || changes.content !== note.content) {
+    recordRevision(note);
+  }
+
+  const updatedNote = {
+    ...note,
+    ...changes,
+    slug:
+      changes.title === note.title && note.slug
+        ? note.slug
+        : assignSlug(changes.title, note),
+    version: (note.version || 1) + 1,
+    lastModified: new Date().toISOString(),
+  };
+
+  notesDB.set(note.id, updatedNote);
+  searchService.indexNote(updatedNote);
+  publishNoteEvent(NoteEvent.UPDATED, updatedNote);
+
+  // Log the action (only on success)
+  loggerService.add({
+    action: LogAction.NOTE_UPDATED,
+    details: {
+      noteId: note.id,
+      updatedFields,
+    },
+  });
+  metricsService.recordNoteOperation(NoteOperation.UPDATED);
+
+  return updatedNote;
+}
+
+/**
+ * Validates and normalizes listNotes options (raw query string values)
+ * 
+ * @param {Object} options - Raw options
+ * @returns {Object} { limit, sort, order, after, dateFilters, tags, folderId }
+ * @throws {Error} If an option is invalid
+ */
+function parseListOptions(options) {
+  const limit =
+    options.limit === undefined ? DEFAULT_PAGE_SIZE : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw createValidationError(
+      `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+      { field: "limit" }
+    );
+  }
+
+  const sort = options.sort || "lastModified";
+  if (!Object.hasOwn(SORT_FIELDS, sort)) {
+    throw createValidationError(
+      `Sort must be one of: ${Object.keys(SORT_FIELDS).join(", ")}`,
+      { field: "sort" }
+    );
+  }
+
+  const order = options.order || (sort === "title" ? "asc" : "desc");
+  if (order !== "asc" && order !== "desc") {
+    throw createValidationError("Order must be 'asc' or 'desc'", {
+      field: "order",
+    });
+  }
+
+  let after = null;
+  if (options.cursor) {
+    try {
+      after = decodeCursor(options.cursor);
+    } catch {
+      after = null;
+    }
+    if (!after || after.sort !== sort || after.order !== order) {
+      throw createValidationError(
+        "Cursor is invalid or was created with different sort settings",
+        { field: "cursor" }
+      );
+    }
+  }
+
+  const dateFilters = [];
+  Object.entries(DATE_FILTERS).forEach(([param, [field, bound]]) => {
+    if (options[param] === undefined) {
+      return;
+    }
+    const time = new Date(options[param]).getTime();
+    if (Number.isNaN(time)) {
+      throw createValidationError(`${param} must be a valid date`, {
+        field: param,
+      });
+    }
+    dateFilters.push({ field, bound, time });
+  });
+
+  // ?tag= may be repeated; a note must carry every requested tag
+  const tags = [options.tag || []].flat().map((tag) => String(tag).toLowerCase());
+
+  // ?folderId=none lists notes that are not in a folder
+  const folderId =
+    options.folderId === "none" ? null : options.folderId;
+
+  return { limit, sort, order, after, dateFilters, tags, folderId };
+}
+
+/**
+ * Compares two sort keys, falling back to ID so the order is total
+ * 
+ * @param {Object} a - { value, id }
+ * @param {Object} b - { value, id }
+ * @returns {number} Negative, zero or positive
+ */
+function compareSortKeys(a, b) {
+  if (a.value !== b.value) {
+    return a.value < b.value ? -1 : 1;
+  }
+  if (a.id !== b.id) {
+    return a.id < b.id ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * List notes one page at a time (notes in the trash are excluded)
+ * 
+ * @param {Object} [options] - List options (raw query string values)
+ * @param {number|string} [options.limit=20] - Page size (1-100)
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {string} [options.sort="lastModified"] - lastModified, createdAt or title
+ * @param {string} [options.order] - asc or desc (default: asc for title, desc otherwise)
+ * @param {string} [options.createdAfter] - Only notes created on or after this date
+ * @param {string} [options.createdBefore] - Only notes created before this date
+ * @param {string} [options.modifiedAfter] - Only notes modified on or after this date
+ * @param {string} [options.modifiedBefore] - Only notes modified before this date
+ * @param {string|Array<string>} [options.tag] - Only notes with this tag (or all of these tags)
+ * @param {string} [options.folderId] - Only notes directly in this folder ("none" for notes without one)
+ * @returns {Object} { notes, nextCursor, total } - nextCursor is null on the last page
+ * @throws {Error} If an option is invalid
+ */
+export function listNotes(options = {}) {
+  const { limit, sort, order, after, dateFilters, tags, folderId } =
+    parseListOptions(options);
+  const direction = order === "asc" ? 1 : -1;
+  const sortValue = SORT_FIELDS[sort];
+
+  const matching = ownNotes()
+    .filter((note) => !note.deletedAt)
+    .filter((note) => tags.every((tag) => (note.tags || []).includes(tag)))
+    .filter(
+      (note) => folderId === undefined || (note.folderId || null) === folderId
+    )
+    .filter((note) =>
+      dateFilters.every(({ field, bound, time }) => {
+        const noteTime = new Date(
+          note[field] || note.lastModified
+        ).getTime();
+        return bound === "min" ? noteTime >= time : noteTime < time;
+      })
+    )
+    .map((note) => ({ note, value: sortValue(note), id: note.id }))
+    .sort((a, b) => direction * compareSortKeys(a, b));
+
+  const remaining = after
+    ? matching.filter((key) => direction * compareSortKeys(key, after) > 0)
+    : matching;
+  const page = remaining.slice(0, limit);
+  const last = page[page.length - 1];
+
+  // Log the action
+  loggerService.add({
+    action: LogAction.NOTES_LIST_VIEWED,
+  });
+
+  return {
+    notes: page.map((key) => key.note),
+    nextCursor:
+      remaining.length > limit
+        ? encodeCursor({ sort, order, value: last.value, id: last.id })
+        : null,
+    total: matching.length,
+  };
+}
+
 /**
  * Create a new note
  * 
- * @param {Object} noteData - Note data with title and content
+ * @param {Object} noteData - Note data with title, content and optional tags and folderId
+ * @param {Object} [options] - Identity to keep instead of generating it (used by import)
+ * @param {string} [options.id] - Note ID (must not be in use)
+ * @param {string} [options.createdAt] - Creation time (ISO 8601)
+ * @param {string} [options.lastModified] - Last modification time (ISO 8601)
  * @returns {Object} Created note object
- * @throws {Error} If validation fails
+ * @throws {Error} If validation fails (every invalid or unknown field is in details.errors)
  */
-export function createNote(noteData) {
+export function createNote(noteData, { id: keptId, createdAt, lastModified } = {}) {
   try {
     // Validate input
-    validateNoteData(noteData);
+    assertValid(NOTE_SCHEMA, noteData, { name: "Note data" });
+    const tags = noteData.tags === undefined ? [] : normalizeTags(noteData.tags);
+    const folderId =
+      noteData.folderId === undefined ? null : parseFolderId(noteData.folderId);
 
     // Generate ID
-    const id = Date.now().toString();
+    const id = keptId || generateId();
 
     // Create note object
+    const now = new Date().toISOString();
+    const ownerId = currentOwnerId();
     const note = {
       id,
+      slug: assignSlug(noteData.title.trim(), { id, ownerId }),
       title: noteData.title.trim(),
       content: noteData.content.trim(),
-      lastModified: new Date().toISOString(),
+      tags,
+      folderId,
+      ownerId,
+      version: 1,
+      createdAt: createdAt || now,
+      lastModified: lastModified || createdAt || now,
     };
 
     // Store in DB
     notesDB.set(id, note);
+    searchService.indexNote(note);
+    publishNoteEvent(NoteEvent.CREATED, note);
 
     // Log the action (only on success)
     loggerService.add({
@@ -65,14 +480,13 @@ export function createNote(noteData) {
         title: note.title,
       },
     });
+    metricsService.recordNoteOperation(NoteOperation.CREATED);
 
     return note;
   } catch (error) {
-    // Re-throw validation errors
-    if (error.message.includes("required") || error.message.includes("empty")) {
-      throw createValidationError(error.message, {
-        field: error.message.includes("Title") ? "title" : "content",
-      });
+    // Re-throw known errors (validation)
+    if (error.code) {
+      throw error;
     }
     // Re-throw other errors as internal errors
     throw createInternalError("Failed to create note", {
@@ -89,77 +503,154 @@ export function createNote(noteData) {
  * @throws {Error} If note not found
  */
 export function getNoteById(id) {
-  const note = notesDB.get(id);
+  const note = findNote(id, NoteRole.VIEWER);
 
-  if (!note) {
+  if (!note || note.deletedAt) {
     throw createNotFoundError(`Note with id '${id}' not found`, { id });
   }
 
   return note;
 }
 
+/**
+ * Get a note by ID or by slug
+ * Slugs are only unique per owner, so they find the user's own notes;
+ * notes shared with them are found by ID.
+ * 
+ * @param {string} idOrSlug - Note ID or slug
+ * @returns {Object} Note object
+ * @throws {Error} If no active note has this ID or slug
+ */
+export function getNoteByIdOrSlug(idOrSlug) {
+  const note =
+    findNote(idOrSlug, NoteRole.VIEWER) ||
+    ownNotes().find((candidate) => candidate.slug === idOrSlug);
+
+  if (!note || note.deletedAt) {
+    throw createNotFoundError(`Note '${idOrSlug}' not found`, {
+      id: idOrSlug,
+    });
+  }
+
+  return note;
+}
+
 /**
  * Update an existing note
  * 
  * @param {string} id - Note ID
- * @param {Object} updates - Updated title and/or content
- * @returns {Object} Updated note object
- * @throws {Error} If note not found or validation fails
+ * @param {Object} updates - Updated title, content, tags and/or folderId (null removes it from its folder)
+ * @param {Object} [options] - Update options
+ * @param {number} [options.expectedVersion] - Only update if the note is still at this version
+ * @returns {Object} Updated note object (version incremented)
+ * @throws {Error} If note not found, validation fails (every invalid or unknown
+ *   field is in details.errors) or the version does not match
  */
-export function updateNote(id, updates) {
+export function updateNote(id, updates, { expectedVersion } = {}) {
   try {
-    // Check if note exists
-    if (!notesDB.has(id)) {
+    // Check if note exists (notes in the trash cannot be edited)
+    const note = findNote(id, NoteRole.EDITOR);
+    if (!note || note.deletedAt) {
       throw createNotFoundError(`Note with id '${id}' not found`, { id });
     }
+    checkVersion(note, expectedVersion);
+
+    // Validate updates (fields that are left out are not checked)
+    assertValid(NOTE_SCHEMA, updates, { name: "Note data", partial: true });
+
+    // Fields that are not provided keep their current value
+    const changes = {
+      title: updates.title === undefined ? note.title : updates.title.trim(),
+      content:
+        updates.content === undefined ? note.content : updates.content.trim(),
+      tags: updates.tags === undefined ? note.tags || [] : normalizeTags(updates.tags),
+      folderId:
+        updates.folderId === undefined
+          ? note.folderId || null
+          : parseNoteFolderId(note, updates.folderId),
+    };
+    const updatedFields = PATCHABLE_FIELDS.filter(
+      (field) => updates[field] !== undefined
+    );
 
-    // Validate updates
-    if (updates.title !== undefined && !updates.title.trim()) {
-      throw createValidationError("Title cannot be empty", { field: "title" });
+    return saveNoteChanges(note, changes, updatedFields);
+  } catch (error) {
+    // Re-throw known errors (validation, not found)
+    if (error.code) {
+      throw error;
     }
-    if (updates.content !== undefined && !updates.content.trim()) {
-      throw createValidationError("Content cannot be empty", {
-        field: "content",
-      });
+    // Re-throw other errors as internal errors
+    throw createInternalError("Failed to update note", {
+      originalError: error.message,
+    });
+  }
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396) or JSON Patch (RFC 6902) to a note
+ * The patch applies to the editable fields only:
+ * { title, content, tags, folderId }. It is applied to a copy and the
+ * result is validated as a whole, so either every operation takes effect
+ * or none does.
+ * 
+ * @param {string} id - Note ID
+ * @param {Object|Array} patch - Merge patch object or array of JSON Patch operations
+ * @param {Object} options - Patch options
+ * @param {string} options.format - "merge-patch" or "json-patch"
+ * @param {number} [options.expectedVersion] - Only patch if the note is still at this version
+ * @returns {Object} Patched note object (unchanged if the patch changes nothing)
+ * @throws {Error} If note not found, the patch is invalid or the version does not match
+ */
+export function patchNote(id, patch, { format, expectedVersion } = {}) {
+  try {
+    const note = findNote(id, NoteRole.EDITOR);
+    if (!note || note.deletedAt) {
+      throw createNotFoundError(`Note with id '${id}' not found`, { id });
     }
+    checkVersion(note, expectedVersion);
 
-    // Get existing note
-    const note = notesDB.get(id);
-
-    // Determine updated fields
-    const updatedFields = [];
-    if (updates.title !== undefined) updatedFields.push("title");
-    if (updates.content !== undefined) updatedFields.push("content");
-
-    // Update note
-    const updatedNote = {
-      ...note,
-      ...updates,
-      title: updates.title?.trim() || note.title,
-      content: updates.content?.trim() || note.content,
-      lastModified: new Date().toISOString(),
+    const current = {
+      title: note.title,
+      content: note.content,
+      tags: note.tags || [],
+      folderId: note.folderId || null,
     };
 
-    // Save back to DB
-    notesDB.set(id, updatedNote);
+    let patched;
+    try {
+      if (format === "merge-patch") {
+        if (!isPlainObject(patch)) {
+          throw new Error("Merge patch must be a JSON object");
+        }
+        patched = applyMergePatch(current, patch);
+      } else if (format === "json-patch") {
+        patched = applyJsonPatch(current, patch);
+      } else {
+        throw new Error(`Unknown patch format: ${format}`);
+      }
+    } catch (error) {
+      throw createValidationError(error.message, {
+        field: "patch",
+        operation: error.operation,
+      });
+    }
 
-    // Log the action (only on success)
-    loggerService.add({
-      action: LogAction.NOTE_UPDATED,
-      details: {
-        noteId: id,
-        updatedFields,
-      },
-    });
+    const changes = parsePatchedFields(patched, note);
+    const updatedFields = PATCHABLE_FIELDS.filter(
+      (field) => JSON.stringify(changes[field]) !== JSON.stringify(current[field])
+    );
+    if (updatedFields.length === 0) {
+      return note;
+    }
 
-    return updatedNote;
+    return saveNoteChanges(note, changes, updatedFields);
   } catch (error) {
-    // Re-throw known errors (validation, not found)
+    // Re-throw known errors (validation, not found, conflict)
     if (error.code) {
       throw error;
     }
     // Re-throw other errors as internal errors
-    throw createInternalError("Failed to update note", {
+    throw createInternalError("Failed to patch note", {
       originalError: error.message,
     });
   }
@@ -167,28 +658,50 @@ export function updateNote(id, updates) {
 
 /**
  * Delete a note by ID
+ * By default the note is moved to the trash (soft delete) and can be
+ * restored until it is purged. Permanent deletes also remove notes that
+ * are already in the trash.
  * 
  * @param {string} id - Note ID
+ * @param {Object} [options] - Delete options
+ * @param {boolean} [options.permanent=false] - Remove the note for good
+ * @param {number} [options.expectedVersion] - Only delete if the note is still at this version
  * @returns {boolean} True if deleted
- * @throws {Error} If note not found
+ * @throws {Error} If note not found or the version does not match
  */
-export function deleteNote(id) {
+export function deleteNote(id, { permanent = false, expectedVersion } = {}) {
   try {
-    // Check if note exists
-    if (!notesDB.has(id)) {
+    // Check if note exists (trashed notes can only be deleted permanently)
+    const note = findNote(id);
+    if (!note || (note.deletedAt && !permanent)) {
       throw createNotFoundError(`Note with id '${id}' not found`, { id });
     }
+    checkVersion(note, expectedVersion);
 
-    // Delete from DB
-    notesDB.delete(id);
+    if (permanent) {
+      // Delete from DB along with its history
+      notesDB.delete(id);
+      deleteRevisions(id);
+      // Before the shares go, so the users it was shared with hear of it
+      publishNoteEvent(NoteEvent.DELETED, note, { permanent: true });
+      deleteShares(id);
+      deleteLinks(id);
+    } else {
+      // Move to trash
+      notesDB.set(id, { ...note, deletedAt: new Date().toISOString() });
+      publishNoteEvent(NoteEvent.DELETED, note);
+    }
+    searchService.removeNote(id);
 
     // Log the action (only on success)
     loggerService.add({
       action: LogAction.NOTE_DELETED,
       details: {
         noteId: id,
+        permanent,
       },
     });
+    metricsService.recordNoteOperation(NoteOperation.DELETED);
 
     return true;
   } catch (error) {
@@ -203,3 +716,222 @@ export function deleteNote(id) {
   }
 }
 
+
+/**
+ * List the revision history of a note
+ * 
+ * @param {string} id - Note ID
+ * @returns {Array} Revision summaries, newest first
+ * @throws {Error} If note not found
+ */
+export function getNoteRevisions(id) {
+  getNoteById(id);
+  return listRevisions(id);
+}
+
+/**
+ * Get a single revision of a note
+ * 
+ * @param {string} id - Note ID
+ * @param {number|string} rev - Revision number
+ * @returns {Object} Revision with title and content
+ * @throws {Error} If note or revision not found
+ */
+export function getNoteRevision(id, rev) {
+  getNoteById(id);
+  return getRevision(id, rev);
+}
+
+/**
+ * Restore a note to a previous revision
+ * The current version is kept in the history, so a restore can be undone.
+ * 
+ * @param {string} id - Note ID
+ * @param {number|string} rev - Revision number to restore
+ * @returns {Object} Updated note object
+ * @throws {Error} If note or revision not found
+ */
+export function restoreNoteRevision(id, rev) {
+  const revision = getNoteRevision(id, rev);
+  const note = updateNote(id, {
+    title: revision.title,
+    content: revision.content,
+  });
+
+  loggerService.add({
+    action: LogAction.NOTE_REVISION_RESTORED,
+    details: {
+      noteId: id,
+      rev: revision.rev,
+    },
+  });
+
+  return note;
+}
+
+/**
+ * Get all notes in the trash, most recently deleted first
+ * 
+ * @returns {Array} Array of trashed notes (with deletedAt)
+ */
+export function getTrashedNotes() {
+  const notes = ownNotes()
+    .filter((note) => note.deletedAt)
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+  // Log the action
+  loggerService.add({
+    action: LogAction.NOTES_LIST_VIEWED,
+    details: {
+      view: "trash",
+    },
+  });
+
+  return notes;
+}
+
+/**
+ * Restore a note from the trash
+ * If its folder was deleted in the meantime, the note is restored
+ * without a folder.
+ * 
+ * @param {string} id - Note ID
+ * @returns {Object} Restored note object
+ * @throws {Error} If note is not in the trash
+ */
+export function restoreNote(id) {
+  const note = findNote(id);
+
+  if (!note || !note.deletedAt) {
+    throw createNotFoundError(`Note with id '${id}' not found in trash`, {
+      id,
+    });
+  }
+
+  const { deletedAt, ...restoredNote } = note;
+  if (restoredNote.folderId && !foldersDB.has(restoredNote.folderId)) {
+    restoredNote.folderId = null;
+  }
+  notesDB.set(id, restoredNote);
+  searchService.indexNote(restoredNote);
+  // Clients add the note back to their lists
+  publishNoteEvent(NoteEvent.UPDATED, restoredNote);
+
+  loggerService.add({
+    action: LogAction.NOTE_RESTORED,
+    details: {
+      noteId: id,
+      deletedAt,
+    },
+  });
+
+  return restoredNote;
+}
+
+/**
+ * Permanently deletes the given trashed notes and their history
+ * 
+ * @param {Array} notes - Trashed notes to remove
+ * @param {string} reason - "emptied" or "retention"
+ * @returns {number} Number of notes purged
+ */
+function purgeNotes(notes, reason) {
+  notes.forEach((note) => {
+    notesDB.delete(note.id);
+    deleteRevisions(note.id);
+    publishNoteEvent(NoteEvent.DELETED, note, { permanent: true });
+    deleteShares(note.id);
+    deleteLinks(note.id);
+    searchService.removeNote(note.id);
+  });
+
+  if (notes.length > 0) {
+    loggerService.add({
+      action: LogAction.TRASH_PURGED,
+      details: {
+        noteIds: notes.map((note) => note.id),
+        reason,
+      },
+    });
+  }
+
+  return notes.length;
+}
+
+/**
+ * Permanently delete every note in the trash
+ * 
+ * @returns {number} Number of notes purged
+ */
+export function emptyTrash() {
+  return purgeNotes(
+    ownNotes().filter((note) => note.deletedAt),
+    "emptied"
+  );
+}
+
+/**
+ * Permanently delete notes that have been in the trash longer than
+ * config.trash.retentionDays. Run periodically from app.js.
+ * 
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number} Number of notes purged
+ */
+export function purgeExpiredNotes(now = Date.now()) {
+  const cutoff = now - config.trash.retentionDays * 24 * 60 * 60 * 1000;
+
+  return purgeNotes(
+    notesDB
+      .values()
+      .filter(
+        (note) => note.deletedAt && new Date(note.deletedAt).getTime() < cutoff
+      ),
+    "retention"
+  );
+}
+
+/**
+ * Full-text search over notes (trashed notes are not searchable)
+ * 
+ * @param {string} query - Search query (see search-service.js for syntax)
+ * @param {Object} [options] - Search options
+ * @param {number|string} [options.limit] - Maximum number of results (1-100)
+ * @returns {Object} Ranked results with highlights and snippets
+ * @throws {Error} If the query or limit is invalid
+ */
+export function searchNotes(query, { limit } = {}) {
+  let maxResults;
+  if (limit !== undefined) {
+    maxResults = Number(limit);
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 100) {
+      throw createValidationError("Limit must be an integer between 1 and 100", {
+        field: "limit",
+      });
+    }
+  }
+
+  const result = searchService.search(query, {
+    limit: maxResults,
+    filter: isOwnedByCurrentUser,
+  });
+
+  loggerService.add({
+    action: LogAction.NOTES_SEARCHED,
+    details: {
+      query,
+      total: result.total,
+    },
+  });
+
+  return result;
+}
+
+/**
+ * Rebuild the search index from storage
+ * Called on startup after storage is loaded
+ * 
+ * @returns {void}
+ */
+export function rebuildSearchIndex() {
+  searchService.rebuildIndex(notesDB.values().filter((note) => !note.deletedAt));
+}
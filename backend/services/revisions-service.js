@@ -0,0 +1,102 @@
+/**
+ * Revisions Service
+ * 
+ * Keeps a bounded history of previous versions of each note.
+ * A revision is recorded every time a note's title or content changes,
+ * holding the version that was replaced. Only the newest
+ * config.revisions.maxPerNote revisions are kept; revision numbers keep
+ * increasing even after old ones are dropped.
+ */
+
+import { revisionsDB } from "../db/revisions-db.js";
+import { config } from "../config/config.js";
+import {
+  createValidationError,
+  createNotFoundError,
+} from "../utils/error-handler.js";
+
+/**
+ * Records a note's current version as a new revision
+ * 
+ * @param {Object} note - Note version being replaced
+ * @returns {Object} Recorded revision
+ */
+export function recordRevision(note) {
+  const revisions = revisionsDB.get(note.id) || [];
+  const lastRev = revisions.length ? revisions[revisions.length - 1].rev : 0;
+
+  const revision = {
+    rev: lastRev + 1,
+    title: note.title,
+    content: note.content,
+    lastModified: note.lastModified,
+    savedAt: new Date().toISOString(),
+  };
+
+  revisionsDB.set(
+    note.id,
+    [...revisions, revision].slice(-config.revisions.maxPerNote)
+  );
+
+  return revision;
+}
+
+/**
+ * Lists revisions of a note, newest first, without content
+ * 
+ * @param {string} noteId - Note ID
+ * @returns {Array} Revision summaries { rev, title, lastModified, savedAt }
+ */
+export function listRevisions(noteId) {
+  const revisions = revisionsDB.get(noteId) || [];
+
+  return revisions
+    .map(({ rev, title, lastModified, savedAt }) => ({
+      rev,
+      title,
+      lastModified,
+      savedAt,
+    }))
+    .reverse();
+}
+
+/**
+ * Gets a single revision of a note
+ * 
+ * @param {string} noteId - Note ID
+ * @param {number|string} rev - Revision number
+ * @returns {Object} Revision object
+ * @throws {Error} If rev is not a positive integer or does not exist
+ */
+export function getRevision(noteId, rev) {
+  const revNumber = Number(rev);
+
+  if (!Number.isInteger(revNumber) || revNumber < 1) {
+    throw createValidationError("Revision must be a positive integer", {
+      field: "rev",
+    });
+  }
+
+  const revision = (revisionsDB.get(noteId) || []).find(
+    (r) => r.rev === revNumber
+  );
+
+  if (!revision) {
+    throw createNotFoundError(
+      `Revision ${revNumber} of note '${noteId}' not found`,
+      { id: noteId, rev: revNumber }
+    );
+  }
+
+  return revision;
+}
+
+/**
+ * Deletes all revisions of a note
+ * 
+ * @param {string} noteId - Note ID
+ * @returns {void}
+ */
+export function deleteRevisions(noteId) {
+  revisionsDB.delete(noteId);
+}
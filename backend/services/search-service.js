@@ -0,0 +1,356 @@
+/**
+ * Search Service
+ * 
+ * Full-text search over notes using an in-memory inverted index.
+ * The index is kept up to date by notes-service on every create, update,
+ * delete and restore, and rebuilt from storage on startup.
+ * 
+ * Query syntax:
+ * - Terms are matched case-insensitively:          meeting notes
+ * - A trailing * matches any term with that prefix: meet*
+ * - Double quotes match an exact phrase:           "action items"
+ * All terms and phrases must match (AND).
+ * 
+ * Ranking: each matching term scores its occurrences weighted by field
+ * (title hits count TITLE_WEIGHT times a content hit), multiplied by the
+ * term's inverse document frequency so rare terms count more.
+ */
+
+import { createValidationError } from "../utils/error-handler.js";
+
+const TITLE_WEIGHT = 3;
+const SNIPPET_RADIUS = 60; // Characters of context around the first match
+const FIELDS = ["title", "content"];
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// term -> Map(noteId -> { title: [positions], content: [positions] })
+const index = new Map();
+
+// noteId -> { note, terms: Set<term> } (needed for removal and snippets)
+const documents = new Map();
+
+/**
+ * Splits text into lowercase tokens with their character offsets
+ * 
+ * @param {string} text - Text to tokenize
+ * @returns {Array<{term: string, start: number, end: number}>} Tokens in order
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of (text || "").matchAll(TOKEN_PATTERN)) {
+    tokens.push({
+      term: match[0].toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Parses a query string into phrase and term clauses
+ * 
+ * @param {string} query - Raw query
+ * @returns {Array<{type: "term"|"prefix"|"phrase", terms: Array<string>}>} Clauses
+ */
+function parseQuery(query) {
+  const clauses = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+
+  for (const match of query.matchAll(pattern)) {
+    if (match[1] !== undefined) {
+      const terms = tokenize(match[1]).map((t) => t.term);
+      if (terms.length > 1) {
+        clauses.push({ type: "phrase", terms });
+      } else if (terms.length === 1) {
+        clauses.push({ type: "term", terms });
+      }
+      continue;
+    }
+
+    const isPrefix = match[2].endsWith("*");
+    tokenize(match[2]).forEach(({ term }, i, all) => {
+      clauses.push({
+        type: isPrefix && i === all.length - 1 ? "prefix" : "term",
+        terms: [term],
+      });
+    });
+  }
+
+  return clauses;
+}
+
+/**
+ * Adds or replaces a note in the index
+ * 
+ * @param {Object} note - Note with id, title and content
+ * @returns {void}
+ */
+export function indexNote(note) {
+  removeNote(note.id);
+
+  const terms = new Set();
+  FIELDS.forEach((field) => {
+    tokenize(note[field]).forEach(({ term }, position) => {
+      if (!index.has(term)) {
+        index.set(term, new Map());
+      }
+      const postings = index.get(term);
+      if (!postings.has(note.id)) {
+        postings.set(note.id, { title: [], content: [] });
+      }
+      postings.get(note.id)[field].push(position);
+      terms.add(term);
+    });
+  });
+
+  documents.set(note.id, { note, terms });
+}
+
+/**
+ * Removes a note from the index
+ * 
+ * @param {string} id - Note ID
+ * @returns {void}
+ */
+export function removeNote(id) {
+  const doc = documents.get(id);
+  if (!doc) {
+    return;
+  }
+
+  doc.terms.forEach((term) => {
+    const postings = index.get(term);
+    postings.delete(id);
+    if (postings.size === 0) {
+      index.delete(term);
+    }
+  });
+  documents.delete(id);
+}
+
+/**
+ * Replaces the whole index with the given notes
+ * 
+ * @param {Array} notes - Notes to index
+ * @returns {void}
+ */
+export function rebuildIndex(notes) {
+  clearIndex();
+  notes.forEach(indexNote);
+}
+
+/**
+ * Empties the index
+ * Primarily used for tests to reset state between test runs
+ * 
+ * @returns {void}
+ */
+export function clearIndex() {
+  index.clear();
+  documents.clear();
+}
+
+/**
+ * Terms in the index matching a clause term
+ * 
+ * @param {string} term - Query term
+ * @param {boolean} isPrefix - Match every term starting with it
+ * @returns {Array<string>} Matching index terms
+ */
+function expandTerm(term, isPrefix) {
+  if (!isPrefix) {
+    return index.has(term) ? [term] : [];
+  }
+  return Array.from(index.keys()).filter((t) => t.startsWith(term));
+}
+
+/**
+ * Positions where a phrase starts in one field of a document
+ * 
+ * @param {Array<string>} terms - Phrase terms
+ * @param {string} noteId - Note ID
+ * @param {string} field - "title" or "content"
+ * @returns {Array<number>} Start positions
+ */
+function phrasePositions(terms, noteId, field) {
+  const positionSets = terms.map(
+    (term) => new Set(index.get(term)?.get(noteId)?.[field] || [])
+  );
+  return Array.from(positionSets[0]).filter((start) =>
+    positionSets.every((positions, offset) => positions.has(start + offset))
+  );
+}
+
+/**
+ * Scores one clause for every document it matches
+ * 
+ * @param {Object} clause - Parsed query clause
+ * @returns {Map<string, number>} noteId -> clause score
+ */
+function scoreClause(clause) {
+  const scores = new Map();
+  const totalDocs = documents.size;
+  const addHits = (noteId, titleHits, contentHits, docFrequency) => {
+    if (titleHits + contentHits === 0) {
+      return;
+    }
+    const idf = Math.log(1 + totalDocs / docFrequency);
+    const score = (titleHits * TITLE_WEIGHT + contentHits) * idf;
+    scores.set(noteId, (scores.get(noteId) || 0) + score);
+  };
+
+  if (clause.type === "phrase") {
+    const candidates = index.get(clause.terms[0]) || new Map();
+    const matches = [];
+    candidates.forEach((_, noteId) => {
+      const titleHits = phrasePositions(clause.terms, noteId, "title").length;
+      const contentHits = phrasePositions(clause.terms, noteId, "content").length;
+      if (titleHits + contentHits > 0) {
+        matches.push({ noteId, titleHits, contentHits });
+      }
+    });
+    matches.forEach(({ noteId, titleHits, contentHits }) =>
+      addHits(noteId, titleHits, contentHits, matches.length)
+    );
+    return scores;
+  }
+
+  expandTerm(clause.terms[0], clause.type === "prefix").forEach((term) => {
+    const postings = index.get(term);
+    postings.forEach((positions, noteId) => {
+      addHits(
+        noteId,
+        positions.title.length,
+        positions.content.length,
+        postings.size
+      );
+    });
+  });
+  return scores;
+}
+
+/**
+ * Character ranges in text that match any query clause
+ * 
+ * @param {string} text - Field text
+ * @param {Array} clauses - Parsed query clauses
+ * @returns {Array<[number, number]>} Sorted [start, end) ranges
+ */
+function findHighlights(text, clauses) {
+  const tokens = tokenize(text);
+  const ranges = [];
+
+  clauses.forEach((clause) => {
+    tokens.forEach((token, i) => {
+      if (clause.type === "phrase") {
+        const matches = clause.terms.every(
+          (term, offset) => tokens[i + offset]?.term === term
+        );
+        if (matches) {
+          ranges.push([token.start, tokens[i + clause.terms.length - 1].end]);
+        }
+      } else if (
+        clause.type === "prefix"
+          ? token.term.startsWith(clause.terms[0])
+          : token.term === clause.terms[0]
+      ) {
+        ranges.push([token.start, token.end]);
+      }
+    });
+  });
+
+  return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Builds a content snippet around the first match
+ * 
+ * @param {string} content - Note content
+ * @param {Array<[number, number]>} highlights - Ranges in the full content
+ * @returns {{text: string, highlights: Array<[number, number]>}} Snippet with ranges relative to text
+ */
+function buildSnippet(content, highlights) {
+  const anchor = highlights.length ? highlights[0][0] : 0;
+  const start = Math.max(0, anchor - SNIPPET_RADIUS);
+  const end = Math.min(content.length, anchor + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < content.length ? "…" : "";
+  const shift = prefix.length - start;
+
+  return {
+    text: `${prefix}${content.slice(start, end)}${suffix}`,
+    highlights: highlights
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s + shift, e + shift]),
+  };
+}
+
+/**
+ * Searches indexed notes
+ * 
+ * @param {string} query - Search query (see module docs for syntax)
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit=20] - Maximum number of results
+ * @param {function(Object): boolean} [options.filter] - Only notes it returns true for
+ * @returns {{query: string, total: number, results: Array}} Ranked results
+ * @throws {Error} If the query has no searchable terms
+ */
+export function search(query, { limit = 20, filter } = {}) {
+  const clauses = parseQuery(typeof query === "string" ? query : "");
+
+  if (clauses.length === 0) {
+    throw createValidationError("Search query is required", { field: "q" });
+  }
+
+  // Every clause must match (AND); scores add up
+  let totals = null;
+  clauses.forEach((clause) => {
+    const clauseScores = scoreClause(clause);
+    if (totals === null) {
+      totals = clauseScores;
+      return;
+    }
+    const combined = new Map();
+    totals.forEach((score, noteId) => {
+      if (clauseScores.has(noteId)) {
+        combined.set(noteId, score + clauseScores.get(noteId));
+      }
+    });
+    totals = combined;
+  });
+
+  const ranked = Array.from(totals.entries())
+    .filter(([noteId]) => !filter || filter(documents.get(noteId).note))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+  return {
+    query,
+    total: ranked.length,
+    results: ranked.slice(0, limit).map(([noteId, score]) => {
+      const { note } = documents.get(noteId);
+      return {
+        id: note.id,
+        title: note.title,
+        lastModified: note.lastModified,
+        score: Math.round(score * 1000) / 1000,
+        highlights: {
+          title: findHighlights(note.title, clauses),
+        },
+        snippet: buildSnippet(
+          note.content,
+          findHighlights(note.content, clauses)
+        ),
+      };
+    }),
+  };
+}
+
+// Export as service object for convenience
+export const searchService = {
+  indexNote,
+  removeNote,
+  rebuildIndex,
+  clearIndex,
+  search,
+};
@@ -0,0 +1,285 @@
+/**
+ * Shares Service
+ * 
+ * Lets a note's owner share it with other users as a viewer (read only)
+ * or an editor (may also change the title, content and tags). Only the
+ * owner can move, delete or restore the note and manage its shares.
+ * 
+ * getNoteRole is the single place that decides what the current user
+ * may do with a note; notes-service uses it for every permission check.
+ * Trashed notes are only visible to their owner.
+ */
+
+import { notesDB } from "../db/notes-db.js";
+import { usersDB } from "../db/users-db.js";
+import { sharesDB } from "../db/shares-db.js";
+import { loggerService, LogAction } from "./logger-service.js";
+import { NoteEvent, publishNoteEvent } from "./events-service.js";
+import { getCurrentUserId } from "../utils/request-context.js";
+import {
+  createValidationError,
+  createNotFoundError,
+  createForbiddenError,
+} from "../utils/error-handler.js";
+
+/**
+ * What a user may do with a note
+ */
+export const NoteRole = {
+  VIEWER: "viewer",
+  EDITOR: "editor",
+  OWNER: "owner",
+};
+
+// Each role allows everything the roles before it allow
+const ROLE_ORDER = [NoteRole.VIEWER, NoteRole.EDITOR, NoteRole.OWNER];
+
+// Roles a share can grant
+const SHARE_ROLES = [NoteRole.VIEWER, NoteRole.EDITOR];
+
+/**
+ * Builds the key of a share
+ * 
+ * @param {string} noteId - Note ID
+ * @param {string} userId - User the note is shared with
+ * @returns {string} sharesDB key
+ */
+function shareKey(noteId, userId) {
+  return `${noteId}:${userId}`;
+}
+
+/**
+ * Get the current user's role for a note
+ * 
+ * @param {Object} note - Stored note
+ * @returns {string|null} NoteRole, or null if the user can't see the note
+ *   (outside a request the system acts as the owner of every note)
+ */
+export function getNoteRole(note) {
+  const userId = getCurrentUserId();
+  if (userId === undefined || note.ownerId === userId) {
+    return NoteRole.OWNER;
+  }
+  if (note.deletedAt) {
+    return null;
+  }
+  return sharesDB.get(shareKey(note.id, userId))?.role || null;
+}
+
+/**
+ * Checks whether a role allows at least as much as another
+ * 
+ * @param {string|null} role - Role the user has
+ * @param {string} required - Role the action needs
+ * @returns {boolean} True if the action is allowed
+ */
+export function hasNoteRole(role, required) {
+  return role !== null && ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(required);
+}
+
+/**
+ * Gets a note the current user owns
+ * Used for every sharing action, including public links.
+ * 
+ * @param {string} noteId - Note ID
+ * @returns {Object} Stored note
+ * @throws {Error} 404 if the user can't see the note, 403 if it is only shared with them
+ */
+export function findOwnedNote(noteId) {
+  const note = notesDB.get(noteId);
+  const role = note ? getNoteRole(note) : null;
+  if (!role || note.deletedAt) {
+    throw createNotFoundError(`Note with id '${noteId}' not found`, { id: noteId });
+  }
+  if (role !== NoteRole.OWNER) {
+    throw createForbiddenError("Only the owner can manage who a note is shared with", {
+      id: noteId,
+    });
+  }
+  return note;
+}
+
+/**
+ * Adds the username to a share
+ * 
+ * @param {Object} share - Stored share
+ * @returns {Object} { noteId, userId, username, role, createdAt, grantedBy }
+ */
+function toPublicShare({ id, ...share }) {
+  return { ...share, username: usersDB.get(share.userId)?.username ?? null };
+}
+
+/**
+ * Finds the user a note is being shared with
+ * 
+ * @param {Object} target - { userId } or { username } (case-insensitive)
+ * @returns {Object} Stored user
+ * @throws {Error} Validation error if neither is given, 404 if there is no such user
+ */
+function findShareTarget({ userId, username }) {
+  if (typeof userId === "string") {
+    const user = usersDB.get(userId);
+    if (!user) {
+      throw createNotFoundError(`User '${userId}' not found`, { field: "userId" });
+    }
+    return user;
+  }
+  if (typeof username === "string" && username.trim()) {
+    const wanted = username.trim().toLowerCase();
+    const user = usersDB
+      .values()
+      .find((candidate) => candidate.username.toLowerCase() === wanted);
+    if (!user) {
+      throw createNotFoundError(`User '${username.trim()}' not found`, {
+        field: "username",
+      });
+    }
+    return user;
+  }
+  throw createValidationError("username or userId is required", { field: "username" });
+}
+
+/**
+ * Share a note with another user, or change the role they have
+ * 
+ * @param {string} noteId - Note ID
+ * @param {Object} shareData - { username or userId, role }
+ * @returns {Object} { share, created } - created is false if only the role changed
+ * @throws {Error} If the note isn't the user's, the user doesn't exist or the role is invalid
+ */
+export function shareNote(noteId, shareData = {}) {
+  const note = findOwnedNote(noteId);
+
+  if (!SHARE_ROLES.includes(shareData.role)) {
+    throw createValidationError(`Role must be one of: ${SHARE_ROLES.join(", ")}`, {
+      field: "role",
+    });
+  }
+  const user = findShareTarget(shareData);
+  if (user.id === note.ownerId) {
+    throw createValidationError("A note can't be shared with its owner", {
+      field: "username",
+    });
+  }
+
+  const key = shareKey(noteId, user.id);
+  const existing = sharesDB.get(key);
+  const share = {
+    id: key,
+    noteId,
+    userId: user.id,
+    role: shareData.role,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    grantedBy: getCurrentUserId() ?? null,
+  };
+  sharesDB.set(key, share);
+  publishNoteEvent(NoteEvent.SHARED, note, { share });
+
+  loggerService.add({
+    action: LogAction.NOTE_SHARED,
+    details: {
+      noteId,
+      userId: user.id,
+      role: share.role,
+    },
+  });
+
+  return { share: toPublicShare(share), created: !existing };
+}
+
+/**
+ * List who a note is shared with, oldest share first
+ * 
+ * @param {string} noteId - Note ID
+ * @returns {Array} Shares
+ * @throws {Error} If the note isn't the user's
+ */
+export function listShares(noteId) {
+  findOwnedNote(noteId);
+  return sharesDB
+    .values()
+    .filter((share) => share.noteId === noteId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(toPublicShare);
+}
+
+/**
+ * Stop sharing a note with a user
+ * The owner can revoke any share; a user can also remove a note shared
+ * with them.
+ * 
+ * @param {string} noteId - Note ID
+ * @param {string} userId - User the note is shared with
+ * @returns {boolean} True if revoked
+ * @throws {Error} If not allowed, or the note isn't shared with the user
+ */
+export function revokeShare(noteId, userId) {
+  const key = shareKey(noteId, userId);
+  if (userId !== getCurrentUserId()) {
+    findOwnedNote(noteId);
+  }
+  const share = sharesDB.get(key);
+  if (!share) {
+    throw createNotFoundError(`Note '${noteId}' is not shared with user '${userId}'`, {
+      id: noteId,
+      userId,
+    });
+  }
+
+  // Published first, so the user losing the note hears of it
+  publishNoteEvent(NoteEvent.UNSHARED, notesDB.get(noteId), { share });
+  sharesDB.delete(key);
+
+  loggerService.add({
+    action: LogAction.NOTE_UNSHARED,
+    details: {
+      noteId,
+      userId,
+    },
+  });
+
+  return true;
+}
+
+/**
+ * Get the notes other users have shared with the current user
+ * Each note has the user's role and the owner's username added.
+ * 
+ * @returns {Array} Notes, most recently modified first (trashed notes are left out)
+ */
+export function getSharedNotes() {
+  const userId = getCurrentUserId();
+  return sharesDB
+    .values()
+    .filter((share) => share.userId === userId)
+    .map((share) => ({ share, note: notesDB.get(share.noteId) }))
+    .filter(({ note }) => note && !note.deletedAt)
+    .map(({ share, note }) => ({
+      ...note,
+      role: share.role,
+      ownerUsername: usersDB.get(note.ownerId)?.username ?? null,
+    }))
+    .sort((a, b) => b.lastModified.localeCompare(a.lastModified));
+}
+
+/**
+ * Remove every share of a note (when it is deleted for good)
+ * 
+ * @param {string} noteId - Note ID
+ */
+export function deleteShares(noteId) {
+  sharesDB
+    .values()
+    .filter((share) => share.noteId === noteId)
+    .forEach((share) => sharesDB.delete(share.id));
+}
+
+export const sharesService = {
+  getNoteRole,
+  hasNoteRole,
+  shareNote,
+  listShares,
+  revokeShare,
+  getSharedNotes,
+  deleteShares,
+};
@@ -0,0 +1,89 @@
+/**
+ * Tags Service
+ * 
+ * Business logic for tags across notes.
+ * Tags live on each note's `tags` array; this service aggregates and
+ * renames them. Validation rules are in utils/validation.js.
+ */
+
+import { notesDB } from "../db/notes-db.js";
+import { loggerService, LogAction } from "./logger-service.js";
+import { NoteEvent, publishNoteEvent } from "./events-service.js";
+import { validateTag } from "../utils/validation.js";
+import {
+  createValidationError,
+  createNotFoundError,
+} from "../utils/error-handler.js";
+import { isOwnedByCurrentUser } from "../utils/ownership.js";
+
+/**
+ * Get all tags with the number of notes using each
+ * Notes in the trash are not counted.
+ * 
+ * @returns {Array<{name: string, count: number}>} Tags, most used first
+ */
+export function getTags() {
+  const counts = new Map();
+
+  notesDB
+    .values()
+    .filter((note) => !note.deletedAt && isOwnedByCurrentUser(note))
+    .forEach((note) => {
+      (note.tags || []).forEach((tag) => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      });
+    });
+
+  return Array.from(counts, ([name, count]) => ({ name, count })).sort(
+    (a, b) => b.count - a.count || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Rename a tag on every note that has it (including notes in the trash)
+ * If a note already has the new tag, the two are merged.
+ * 
+ * @param {string} name - Current tag name
+ * @param {string} newName - New tag name
+ * @returns {{name: string, count: number}} Renamed tag and number of notes changed
+ * @throws {Error} If the new name is invalid or the tag does not exist
+ */
+export function renameTag(name, newName) {
+  try {
+    validateTag(newName);
+  } catch (error) {
+    throw createValidationError(error.message, { field: "name" });
+  }
+
+  const from = String(name).toLowerCase();
+  const to = newName.trim().toLowerCase();
+  const notes = notesDB
+    .values()
+    .filter((note) => isOwnedByCurrentUser(note) && (note.tags || []).includes(from));
+
+  if (notes.length === 0) {
+    throw createNotFoundError(`Tag '${from}' not found`, { name: from });
+  }
+
+  notes.forEach((note) => {
+    const tags = [
+      ...new Set(note.tags.map((tag) => (tag === from ? to : tag))),
+    ];
+    const renamed = { ...note, tags, version: (note.version || 1) + 1 };
+    notesDB.set(note.id, renamed);
+    if (!note.deletedAt) {
+      publishNoteEvent(NoteEvent.UPDATED, renamed);
+    }
+  });
+
+  loggerService.add({
+    action: LogAction.TAG_RENAMED,
+    details: {
+      from,
+      to,
+      noteIds: notes.map((note) => note.id),
+    },
+  });
+
+  return { name: to, count: notes.length };
+}
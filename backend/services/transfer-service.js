@@ -0,0 +1,395 @@
+/**
+ * Transfer Service
+ * 
+ * Exports every note for backup and imports notes back in.
+ * 
+ * Formats:
+ * - "json": one bundle { exportedAt, count, notes: [...] }
+ * - "markdown": a tar archive with one notes/<id>.md file per note, each
+ *   with YAML front matter for id, title, tags, folderId, createdAt and
+ *   lastModified. A single Markdown file can be imported on its own.
+ * 
+ * Imports go through notes-service, so notes are validated and logged
+ * exactly as if they were created or updated through the API.
+ */
+
+import { notesDB } from "../db/notes-db.js";
+import { foldersDB } from "../db/folders-db.js";
+import { loggerService, LogAction } from "./logger-service.js";
+import { createNote, updateNote, restoreNote } from "./notes-service.js";
+import { isOwnedByCurrentUser } from "../utils/ownership.js";
+import { formatFrontMatter, parseFrontMatter } from "../utils/front-matter.js";
+import { createTarEntry, readTarEntries, TAR_END } from "../utils/tar.js";
+import {
+  validateNoteData,
+  validateTags,
+  normalizeTags,
+} from "../utils/validation.js";
+import {
+  createValidationError,
+  formatError,
+} from "../utils/error-handler.js";
+
+export const TRANSFER_FORMATS = ["json", "markdown"];
+const IMPORT_STRATEGIES = ["skip", "overwrite", "duplicate"];
+
+// Imported IDs become file names in Markdown exports, so keep them simple
+const IMPORT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Checks that a transfer format is supported
+ * 
+ * @param {string} format - Requested format
+ * @throws {Error} Validation error (field: "format") if unsupported
+ */
+function checkFormat(format) {
+  if (!TRANSFER_FORMATS.includes(format)) {
+    throw createValidationError(
+      `Format must be one of: ${TRANSFER_FORMATS.join(", ")}`,
+      { field: "format" }
+    );
+  }
+}
+
+/**
+ * Picks the fields of a note that belong in an export
+ * 
+ * @param {Object} note - Stored note
+ * @returns {Object} Exported note
+ */
+function toExportedNote(note) {
+  return {
+    id: note.id,
+    title: note.title,
+    content: note.content,
+    tags: note.tags || [],
+    folderId: note.folderId || null,
+    // Notes from before creation times were kept have no createdAt
+    createdAt: note.createdAt || note.lastModified,
+    lastModified: note.lastModified,
+  };
+}
+
+/**
+ * Yields a JSON export bundle piece by piece
+ * 
+ * @param {Array<Object>} notes - Exported notes
+ * @param {string} exportedAt - Export time
+ * @yields {string} JSON text
+ */
+function* jsonChunks(notes, exportedAt) {
+  yield `{\n  "exportedAt": ${JSON.stringify(exportedAt)},\n  "count": ${notes.length},\n  "notes": [`;
+  for (let i = 0; i < notes.length; i++) {
+    yield `${i === 0 ? "" : ","}\n    ${JSON.stringify(notes[i])}`;
+  }
+  yield `${notes.length === 0 ? "" : "\n  "}]\n}\n`;
+}
+
+/**
+ * Yields a tar archive of Markdown files piece by piece
+ * 
+ * @param {Array<Object>} notes - Exported notes
+ * @yields {Buffer} Archive bytes
+ */
+function* markdownChunks(notes) {
+  for (const note of notes) {
+    const { content, folderId, ...fields } = note;
+    const markdown = formatFrontMatter(
+      { ...fields, folderId: folderId || undefined },
+      content
+    );
+    yield createTarEntry(
+      `notes/${note.id}.md`,
+      markdown,
+      new Date(note.lastModified)
+    );
+  }
+  yield TAR_END;
+}
+
+/**
+ * Export every note (notes in the trash are not included)
+ * 
+ * @param {string} [format="json"] - "json" or "markdown"
+ * @returns {Object} { contentType, fileName, count, chunks } - chunks is an
+ *   iterable of strings/Buffers to stream to the client in order
+ * @throws {Error} If the format is not supported
+ */
+export function exportNotes(format = "json") {
+  checkFormat(format);
+
+  const exportedAt = new Date().toISOString();
+  const notes = notesDB
+    .values()
+    .filter((note) => !note.deletedAt && isOwnedByCurrentUser(note))
+    .map(toExportedNote)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const day = exportedAt.slice(0, 10);
+
+  loggerService.add({
+    action: LogAction.NOTES_EXPORTED,
+    details: {
+      format,
+      count: notes.length,
+    },
+  });
+
+  return format === "json"
+    ? {
+        contentType: "application/json",
+        fileName: `notes-export-${day}.json`,
+        count: notes.length,
+        chunks: jsonChunks(notes, exportedAt),
+      }
+    : {
+        contentType: "application/x-tar",
+        fileName: `notes-export-${day}.tar`,
+        count: notes.length,
+        chunks: markdownChunks(notes),
+      };
+}
+
+/**
+ * Turns a Markdown file into note fields
+ * 
+ * @param {string} text - Markdown document
+ * @param {string} [fileName] - File name, used as the title if there is none
+ * @returns {Object} Note fields
+ * @throws {Error} If the front matter is malformed
+ */
+function fromMarkdown(text, fileName) {
+  const { fields, body } = parseFrontMatter(text);
+  const fallbackTitle = fileName?.split("/").pop().replace(/\.md$/i, "");
+
+  return {
+    ...fields,
+    title: fields.title ?? fallbackTitle,
+    tags: typeof fields.tags === "string" ? [fields.tags] : fields.tags,
+    content: body,
+  };
+}
+
+/**
+ * Splits an import into one record per note
+ * 
+ * @param {string} format - "json" or "markdown"
+ * @param {*} data - Parsed JSON bundle or array, Markdown text, or a tar archive (Buffer)
+ * @returns {Array<Object>} Records { source, fields } or { source, error }
+ * @throws {Error} Validation error (field: "data") if the import cannot be read at all
+ */
+function readRecords(format, data) {
+  if (format === "json") {
+    const notes = Array.isArray(data) ? data : data?.notes;
+    if (!Array.isArray(notes)) {
+      throw createValidationError(
+        "JSON import must be an array of notes or an export bundle with a notes array",
+        { field: "data" }
+      );
+    }
+    return notes.map((fields, index) =>
+      fields && typeof fields === "object" && !Array.isArray(fields)
+        ? { source: `notes[${index}]`, fields }
+        : { source: `notes[${index}]`, error: new Error("Note must be an object") }
+    );
+  }
+
+  if (Buffer.isBuffer(data)) {
+    let files;
+    try {
+      files = readTarEntries(data).filter((file) => /\.md$/i.test(file.name));
+    } catch (error) {
+      throw createValidationError(error.message, { field: "data" });
+    }
+    return files.map(({ name, content }) => {
+      try {
+        return { source: name, fields: fromMarkdown(content.toString("utf8"), name) };
+      } catch (error) {
+        return { source: name, error };
+      }
+    });
+  }
+
+  if (typeof data !== "string" || !data.trim()) {
+    throw createValidationError("Markdown import cannot be empty", {
+      field: "data",
+    });
+  }
+  try {
+    return [{ source: "markdown", fields: fromMarkdown(data) }];
+  } catch (error) {
+    return [{ source: "markdown", error }];
+  }
+}
+
+/**
+ * Parses an optional ISO 8601 timestamp from an import
+ * 
+ * @param {*} value - Raw value
+ * @param {string} field - Field name (for the error)
+ * @returns {string|undefined} Normalized timestamp
+ * @throws {Error} Validation error if the value is not a date
+ */
+function parseTimestamp(value, field) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const time = typeof value === "string" ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw createValidationError(`${field} must be an ISO 8601 date`, { field });
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Validates the fields of one imported note
+ * Folders that do not exist here are dropped (the note is imported
+ * without a folder) so exports from another server can be imported.
+ * 
+ * @param {Object} fields - Imported fields
+ * @returns {Object} { id, data, createdAt, lastModified } ready for notes-service
+ * @throws {Error} Validation error if a field is invalid
+ */
+function parseImportedNote(fields) {
+  const { id, title, content, tags = [] } = fields;
+
+  if (id !== undefined && id !== null && !IMPORT_ID_PATTERN.test(String(id))) {
+    throw createValidationError(
+      "id may only contain letters, numbers, '-' and '_' (at most 64)",
+      { field: "id" }
+    );
+  }
+  try {
+    validateNoteData({ title, content });
+  } catch (error) {
+    throw createValidationError(error.message, { field: error.field });
+  }
+  try {
+    validateTags(tags ?? []);
+  } catch (error) {
+    throw createValidationError(error.message, { field: "tags" });
+  }
+
+  const folder =
+    typeof fields.folderId === "string" ? foldersDB.get(fields.folderId) : undefined;
+  const folderId = folder && isOwnedByCurrentUser(folder) ? folder.id : null;
+
+  return {
+    id: id === undefined || id === null ? undefined : String(id),
+    data: { title, content, tags: normalizeTags(tags ?? []), folderId },
+    createdAt: parseTimestamp(fields.createdAt, "createdAt"),
+    lastModified: parseTimestamp(fields.lastModified, "lastModified"),
+  };
+}
+
+/**
+ * Imports one note according to the plan
+ * 
+ * @param {string} status - "created", "overwritten" or "duplicated"
+ * @param {Object} note - Parsed note from parseImportedNote
+ * @returns {Object} Stored note
+ */
+function applyImport(status, { id, data, createdAt, lastModified }) {
+  switch (status) {
+    case "created":
+      return createNote(data, { id, createdAt, lastModified });
+    case "overwritten":
+      if (notesDB.get(id).deletedAt) {
+        restoreNote(id);
+      }
+      return updateNote(id, data);
+    default:
+      return createNote(data, { createdAt, lastModified });
+  }
+}
+
+/**
+ * Import notes
+ * 
+ * Each note is handled on its own: a note that fails validation is
+ * reported and the others are still imported. Notes whose id is already
+ * in use (including notes in the trash) are handled by the strategy:
+ * - "skip" (default): keep the existing note
+ * - "overwrite": replace its title, content, tags and folder (a revision
+ *   of the old content is kept, and a trashed note is restored)
+ * - "duplicate": import it as a new note with a new id
+ * 
+ * @param {Object} request - Import request
+ * @param {string} request.format - "json" or "markdown"
+ * @param {*} request.data - JSON bundle/array, Markdown text or tar archive (Buffer)
+ * @param {string} [request.strategy="skip"] - Conflict strategy
+ * @param {boolean} [request.dryRun=false] - Only report what would happen
+ * @returns {Object} { dryRun, format, strategy, summary, notes } - one report
+ *   entry { index, source, id, title, status, noteId?, error? } per note
+ * @throws {Error} If the format, strategy or import data is invalid
+ */
+export function importNotes({ format, data, strategy = "skip", dryRun = false }) {
+  checkFormat(format);
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    throw createValidationError(
+      `Strategy must be one of: ${IMPORT_STRATEGIES.join(", ")}`,
+      { field: "strategy" }
+    );
+  }
+
+  const takenIds = new Set(
+    notesDB.values().filter(isOwnedByCurrentUser).map((note) => note.id)
+  );
+  // Other users' note IDs can't be reused, so those notes get new IDs
+  const foreignIds = new Set(
+    notesDB
+      .values()
+      .filter((note) => !isOwnedByCurrentUser(note))
+      .map((note) => note.id)
+  );
+
+  const notes = readRecords(format, data).map((record, index) => {
+    const entry = {
+      index,
+      source: record.source,
+      id: record.fields?.id ?? null,
+      title: record.fields?.title ?? null,
+    };
+
+    try {
+      if (record.error) {
+        throw createValidationError(record.error.message, { field: "data" });
+      }
+      const parsed = parseImportedNote(record.fields);
+      const note = foreignIds.has(parsed.id) ? { ...parsed, id: undefined } : parsed;
+
+      let status = "created";
+      if (note.id && takenIds.has(note.id)) {
+        status = { skip: "skipped", overwrite: "overwritten", duplicate: "duplicated" }[
+          strategy
+        ];
+      }
+      const saved =
+        dryRun || status === "skipped" ? null : applyImport(status, note);
+      if (note.id && status === "created") {
+        takenIds.add(note.id);
+      }
+
+      return { ...entry, status, ...(saved && { noteId: saved.id }) };
+    } catch (error) {
+      return { ...entry, status: "failed", error: formatError(error).body };
+    }
+  });
+
+  const summary = { total: notes.length };
+  ["created", "overwritten", "duplicated", "skipped", "failed"].forEach((status) => {
+    summary[status] = notes.filter((note) => note.status === status).length;
+  });
+
+  if (!dryRun) {
+    loggerService.add({
+      action: LogAction.NOTES_IMPORTED,
+      details: {
+        format,
+        strategy,
+        ...summary,
+      },
+    });
+  }
+
+  return { dryRun, format, strategy, summary, notes };
+}
@@ -0,0 +1,217 @@
+/**
+ * Unit tests for Auth Service, password hashing and signed cookies
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { usersDB } from "../db/users-db.js";
+import { sessionsDB } from "../db/sessions-db.js";
+import { notesDB } from "../db/notes-db.js";
+import { foldersDB } from "../db/folders-db.js";
+import {
+  registerUser,
+  login,
+  logout,
+  getSessionUser,
+  purgeExpiredSessions,
+  watchSession,
+  claimOwnerlessRecords,
+} from "../services/auth-service.js";
+import { loggerService, LogAction } from "../services/logger-service.js";
+import { hashPassword, verifyPassword } from "../utils/password.js";
+import {
+  parseCookies,
+  serializeCookie,
+  signValue,
+  unsignValue,
+} from "../utils/cookies.js";
+
+const credentials = { username: "ada", password: "correct horse" };
+
+describe("Auth Service", () => {
+  beforeEach(() => {
+    usersDB.clear();
+    sessionsDB.clear();
+    notesDB.clear();
+    foldersDB.clear();
+    loggerService.clear();
+  });
+
+  describe("registerUser", () => {
+    it("should create a user and start a session", () => {
+      const { user, token, expiresAt } = registerUser(credentials);
+
+      expect(user).toEqual({
+        id: expect.any(String),
+        username: "ada",
+        createdAt: expect.any(String),
+      });
+      expect(usersDB.get(user.id).passwordHash).toMatch(/^scrypt\$/);
+      expect(typeof token).toBe("string");
+      expect(Date.parse(expiresAt)).toBeGreaterThan(Date.now());
+      expect(getSessionUser(token)).toEqual(user);
+      expect(loggerService.getAll().map((log) => log.action)).toEqual([
+        LogAction.USER_REGISTERED,
+        LogAction.USER_LOGGED_IN,
+      ]);
+    });
+
+    it("should reject invalid credentials", () => {
+      expect(() => registerUser({ username: "a", password: "correct horse" })).toThrow(
+        "Username must be 3-32 letters"
+      );
+      expect(() => registerUser({ username: "ada", password: "short" })).toThrow(
+        "Password must be between 8 and 256 characters"
+      );
+    });
+
+    it("should reject a taken username regardless of case", () => {
+      registerUser(credentials);
+
+      expect(() => registerUser({ ...credentials, username: "ADA" })).toThrow(
+        "Username 'ADA' is already taken"
+      );
+    });
+  });
+
+  describe("login", () => {
+    it("should start a new session with the right password", () => {
+      const registered = registerUser(credentials);
+
+      const { user, token } = login(credentials);
+
+      expect(user.id).toBe(registered.user.id);
+      expect(token).not.toBe(registered.token);
+      expect(getSessionUser(token)).toEqual(user);
+    });
+
+    it("should give the same error for a wrong password and an unknown user", () => {
+      registerUser(credentials);
+
+      for (const attempt of [
+        { username: "ada", password: "wrong password" },
+        { username: "grace", password: "correct horse" },
+        {},
+      ]) {
+        try {
+          login(attempt);
+          throw new Error("login should have failed");
+        } catch (error) {
+          expect(error.message).toBe("Invalid username or password");
+          expect(error.statusCode).toBe(401);
+        }
+      }
+    });
+  });
+
+  describe("sessions", () => {
+    it("should end a session on logout", () => {
+      const { token } = registerUser(credentials);
+
+      expect(logout(token)).toBe(true);
+      expect(getSessionUser(token)).toBeNull();
+      expect(logout(token)).toBe(false);
+    });
+
+    it("should ignore unknown and expired tokens", () => {
+      const { token } = registerUser(credentials);
+      const [session] = sessionsDB.values();
+      sessionsDB.set(session.id, { ...session, expiresAt: new Date(0).toISOString() });
+
+      expect(getSessionUser("not-a-token")).toBeNull();
+      expect(getSessionUser(undefined)).toBeNull();
+      expect(getSessionUser(token)).toBeNull();
+      expect(sessionsDB.size).toBe(0);
+    });
+
+    it("should purge expired sessions", () => {
+      registerUser(credentials);
+      login(credentials);
+
+      expect(purgeExpiredSessions(Date.now())).toBe(0);
+      expect(purgeExpiredSessions(Date.now() + 365 * 24 * 60 * 60 * 1000)).toBe(2);
+      expect(sessionsDB.size).toBe(0);
+    });
+
+    it("should tell watchers when their session ends", () => {
+      const first = registerUser(credentials);
+      const second = login(credentials);
+      const ended = [];
+      watchSession(first.token, () => ended.push("first"));
+      const stopWatching = watchSession(second.token, () => ended.push("second"));
+
+      logout(first.token);
+      expect(ended).toEqual(["first"]);
+
+      stopWatching();
+      logout(second.token);
+      expect(ended).toEqual(["first"]);
+    });
+  });
+
+  describe("claimOwnerlessRecords", () => {
+    beforeEach(() => {
+      notesDB.set("legacy", { id: "legacy", title: "Old", content: "" });
+      notesDB.set("owned", { id: "owned", title: "Mine", content: "", ownerId: "someone" });
+      foldersDB.set("folder", { id: "folder", name: "Old", parentId: null });
+    });
+
+    it("should do nothing while there are no accounts", () => {
+      expect(claimOwnerlessRecords()).toEqual({ userId: null, notes: 0, folders: 0 });
+      expect(notesDB.get("legacy").ownerId).toBeUndefined();
+    });
+
+    it("should give ownerless notes and folders to the first account", () => {
+      const { user } = registerUser(credentials);
+
+      expect(notesDB.get("legacy").ownerId).toBe(user.id);
+      expect(foldersDB.get("folder").ownerId).toBe(user.id);
+      expect(notesDB.get("owned").ownerId).toBe("someone");
+      const [entry] = loggerService.getByAction(LogAction.OWNERLESS_RECORDS_CLAIMED);
+      expect(entry.details).toEqual({ userId: user.id, notes: 1, folders: 1 });
+    });
+
+    it("should keep giving records to the first account, not later ones", () => {
+      const { user } = registerUser(credentials);
+      registerUser({ username: "grace", password: "correct horse" });
+      notesDB.set("late", { id: "late", title: "Late", content: "" });
+
+      expect(claimOwnerlessRecords()).toEqual({ userId: user.id, notes: 1, folders: 0 });
+      expect(notesDB.get("late").ownerId).toBe(user.id);
+    });
+  });
+});
+
+describe("Password hashing", () => {
+  it("should verify only the original password", () => {
+    const stored = hashPassword("correct horse");
+
+    expect(stored).not.toContain("correct horse");
+    expect(verifyPassword("correct horse", stored)).toBe(true);
+    expect(verifyPassword("Correct horse", stored)).toBe(false);
+    expect(verifyPassword("correct horse", "garbage")).toBe(false);
+  });
+
+  it("should salt each hash", () => {
+    expect(hashPassword("correct horse")).not.toBe(hashPassword("correct horse"));
+  });
+});
+
+describe("Cookies", () => {
+  it("should parse and serialize cookies", () => {
+    expect(parseCookies('a=1; b="two%20words"; a=3')).toEqual({
+      a: "1",
+      b: "two words",
+    });
+    expect(serializeCookie("sid", "x y", { maxAge: 60, secure: true })).toBe(
+      "sid=x%20y; Path=/; Max-Age=60; HttpOnly; Secure; SameSite=Lax"
+    );
+  });
+
+  it("should detect tampered signed values", () => {
+    const signed = signValue("token", "secret");
+
+    expect(unsignValue(signed, "secret")).toBe("token");
+    expect(unsignValue(signed, "other secret")).toBeNull();
+    expect(unsignValue(`other${signed}`, "secret")).toBeNull();
+    expect(unsignValue("token", "secret")).toBeNull();
+  });
+});
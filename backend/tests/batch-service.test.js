@@ -0,0 +1,155 @@
+/**
+ * Unit tests for Batch Service
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import { revisionsDB } from "../db/revisions-db.js";
+import { usersDB } from "../db/users-db.js";
+import { sharesDB } from "../db/shares-db.js";
+import { linksDB } from "../db/links-db.js";
+import { runBatch } from "../services/batch-service.js";
+import { createNote, getNoteById } from "../services/notes-service.js";
+import { shareNote, listShares } from "../services/shares-service.js";
+import { createLink, viewLink } from "../services/links-service.js";
+import { searchService } from "../services/search-service.js";
+import { loggerService, LogAction } from "../services/logger-service.js";
+
+describe("Batch Service", () => {
+  let existing;
+
+  beforeEach(() => {
+    notesDB.clear();
+    revisionsDB.clear();
+    usersDB.clear();
+    sharesDB.clear();
+    linksDB.clear();
+    searchService.clearIndex();
+    existing = createNote({ title: "Existing", content: "Original text" });
+    loggerService.clear();
+  });
+
+  it("should apply create, update and delete operations in order", () => {
+    const other = createNote({ title: "Other", content: "Text" });
+    loggerService.clear();
+
+    const result = runBatch({
+      operations: [
+        { op: "create", note: { title: "New", content: "Body" } },
+        { op: "create", note: { title: "Newer", content: "Body" } },
+        { op: "update", id: existing.id, note: { title: "Renamed" }, version: 1 },
+        { op: "delete", id: other.id },
+      ],
+    });
+
+    expect(result).toMatchObject({
+      mode: "transactional",
+      committed: true,
+      succeeded: 4,
+      failed: 0,
+    });
+    expect(result.results.map((item) => item.status)).toEqual([201, 201, 200, 204]);
+    expect(result.results[0].id).not.toBe(result.results[1].id);
+    expect(getNoteById(existing.id).title).toBe("Renamed");
+
+    // One log entry per applied operation
+    expect(loggerService.getAll().map((log) => log.action)).toEqual([
+      LogAction.NOTE_CREATED,
+      LogAction.NOTE_CREATED,
+      LogAction.NOTE_UPDATED,
+      LogAction.NOTE_DELETED,
+    ]);
+  });
+
+  it("should roll back everything when a transactional operation fails", () => {
+    const result = runBatch({
+      mode: "transactional",
+      operations: [
+        { op: "create", note: { title: "New", content: "Body" } },
+        { op: "update", id: existing.id, note: { content: "Changed text" } },
+        { op: "delete", id: "missing" },
+        { op: "create", note: { title: "Never", content: "Body" } },
+      ],
+    });
+
+    expect(result.committed).toBe(false);
+    expect(result.succeeded).toBe(0);
+    expect(result.results[2]).toEqual({
+      index: 2,
+      op: "delete",
+      status: 404,
+      id: "missing",
+      error: {
+        error: "Note with id 'missing' not found",
+        code: "NOT_FOUND",
+        details: { id: "missing" },
+      },
+    });
+    expect(result.results[0].error.code).toBe("BATCH_ABORTED");
+    expect(result.results[3].error.details.failedIndex).toBe(2);
+
+    // Storage, history, search index and logs are as before the batch, the note
+    expect(notesDB.size).toBe(1);
+    // under a new version, so version 2 never names two different texts
+    expect(getNoteById(existing.id)).toMatchObject({ content: "Original text", version: 3 });
+    expect(revisionsDB.has(existing.id)).toBe(false);
+    expect(searchService.search("original").total).toBe(1);
+    expect(searchService.search("changed").total).toBe(0);
+    expect(loggerService.getAll()).toHaveLength(0);
+  });
+
+  it("should restore shares and links of a permanently deleted note on rollback", () => {
+    usersDB.set("bob", {
+      id: "bob",
+      username: "bob",
+      passwordHash: "x",
+      createdAt: "2025-01-01T00:00:00.000Z",
+    });
+    shareNote(existing.id, { username: "bob", role: "editor" });
+    const { token } = createLink(existing.id);
+
+    const result = runBatch({
+      operations: [
+        { op: "delete", id: existing.id, permanent: true },
+        { op: "delete", id: "missing" },
+      ],
+    });
+
+    expect(result.committed).toBe(false);
+    expect(getNoteById(existing.id).title).toBe("Existing");
+    expect(listShares(existing.id)).toEqual([
+      expect.objectContaining({ userId: "bob", role: "editor" }),
+    ]);
+    expect(viewLink(token).note.title).toBe("Existing");
+  });
+
+  it("should apply what it can in best-effort mode", () => {
+    const result = runBatch({
+      mode: "best-effort",
+      operations: [
+        { op: "create", note: { title: "", content: "Body" } },
+        { op: "update", id: existing.id, note: { title: "Renamed" }, version: 7 },
+        { op: "create", note: { title: "Valid", content: "Body" } },
+        { op: "archive", id: existing.id },
+      ],
+    });
+
+    expect(result).toMatchObject({ committed: true, succeeded: 1, failed: 3 });
+    expect(result.results.map((item) => item.status)).toEqual([400, 409, 201, 400]);
+    expect(result.results[1].error.code).toBe("CONFLICT");
+    expect(result.results[3].error.error).toBe(
+      "op must be one of: create, update, delete"
+    );
+    expect(notesDB.size).toBe(2);
+    expect(loggerService.getByAction(LogAction.NOTE_CREATED)).toHaveLength(1);
+  });
+
+  it("should reject a malformed batch", () => {
+    expect(() => runBatch({ operations: [] })).toThrow(
+      "operations must be a non-empty array"
+    );
+    expect(() => runBatch({ mode: "eventual", operations: [{}] })).toThrow(
+      "mode must be one of: transactional, best-effort"
+    );
+    expect(() => runBatch()).toThrow("operations must be a non-empty array");
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for Collaboration Service (live shared editing)
+ */
+import { describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import { sharesDB } from "../db/shares-db.js";
+import { usersDB } from "../db/users-db.js";
+import { joinNote, closeSessions, resetCollab } from "../services/collab-service.js";
+import { resetEvents } from "../services/events-service.js";
+import { shareNote, revokeShare } from "../services/shares-service.js";
+import { createNote, updateNote, deleteNote } from "../services/notes-service.js";
+import { runBatch } from "../services/batch-service.js";
+import { runWithRequestContext } from "../utils/request-context.js";
+
+const asUser = (userId, fn) => runWithRequestContext({ requestId: "r", userId }, fn);
+
+const alice = { id: "alice", username: "alice" };
+const bob = { id: "bob", username: "bob" };
+
+/**
+ * Joins a note with a connection that records what it is sent
+ */
+function connect(noteId, user) {
+  const connection = {
+    messages: [],
+    closed: null,
+    send: (message) => connection.messages.push(message),
+    close: (code, reason) => {
+      connection.closed = { code, reason };
+    },
+  };
+  const client = joinNote(noteId, user, connection);
+  return { ...client, connection, last: () => connection.messages.at(-1) };
+}
+
+describe("Collaboration Service", () => {
+  let note;
+
+  beforeEach(() => {
+    notesDB.clear();
+    sharesDB.clear();
+    usersDB.clear();
+    resetEvents();
+    usersDB.set("bob", {
+      id: "bob",
+      username: "bob",
+      passwordHash: "x",
+      createdAt: "2025-01-01T00:00:00.000Z",
+    });
+    note = asUser("alice", () => createNote({ title: "Standup", content: "Hello world" }));
+  });
+
+  afterEach(() => {
+    resetCollab();
+  });
+
+  it("should send the text and the people already editing on join", () => {
+    asUser("alice", () => shareNote(note.id, { username: "bob", role: "editor" }));
+    const first = connect(note.id, alice);
+    const second = connect(note.id, bob);
+
+    expect(second.connection.messages[0]).toMatchObject({
+      type: "init",
+      revision: 0,
+      content: "Hello world",
+      version: 1,
+      role: "editor",
+      peers: [{ clientId: first.clientId, username: "alice", role: "owner" }],
+    });
+    expect(first.last()).toMatchObject({
+      type: "join",
+      peer: { clientId: second.clientId, username: "bob" },
+    });
+
+    second.leave();
+    expect(first.last()).toEqual({ type: "leave", clientId: second.clientId });
+  });
+
+  it("should not let users the note isn't shared with join", () => {
+    expect(() => connect(note.id, bob)).toThrow(
+      expect.objectContaining({ code: "NOT_FOUND" })
+    );
+  });
+
+  it("should merge concurrent edits and move cursors along", () => {
+    asUser("alice", () => shareNote(note.id, { username: "bob", role: "editor" }));
+    const first = connect(note.id, alice);
+    const second = connect(note.id, bob);
+
+    // Both edit revision 0 at the same time
+    first.receive({ type: "operation", revision: 0, operation: [5, ",", 6] });
+    second.receive({
+      type: "operation",
+      revision: 0,
+      operation: [11, "!"],
+      cursor: { start: 12, end: 12 },
+    });
+
+    expect(second.connection.messages).toContainEqual({ type: "ack", revision: 2 });
+    expect(first.last()).toEqual({
+      type: "operation",
+      clientId: second.clientId,
+      revision: 2,
+      operation: [12, "!"],
+      cursor: { start: 13, end: 13 },
+    });
+
+    second.receive({ type: "save" });
+    expect(notesDB.get(note.id)).toMatchObject({ content: "Hello, world!", version: 2 });
+    expect(first.last()).toEqual({ type: "saved", version: 2 });
+  });
+
+  it("should reject edits from viewers and close their connection", () => {
+    asUser("alice", () => shareNote(note.id, { username: "bob", role: "viewer" }));
+    const viewer = connect(note.id, bob);
+
+    viewer.receive({ type: "operation", revision: 0, operation: [11, "!"] });
+
+    expect(viewer.last()).toMatchObject({ type: "error", code: "FORBIDDEN" });
+    expect(viewer.connection.closed).toEqual({ code: 1008, reason: "FORBIDDEN" });
+    expect(notesDB.get(note.id).content).toBe("Hello world");
+  });
+
+  it("should reject operations that don't fit the text", () => {
+    const client = connect(note.id, alice);
+
+    client.receive({ type: "operation", revision: 0, operation: [3, "!"] });
+    expect(client.last()).toMatchObject({ type: "error", code: "VALIDATION_ERROR" });
+
+    const other = connect(note.id, alice);
+    other.receive({ type: "operation", revision: 5, operation: [11, "!"] });
+    expect(other.last()).toMatchObject({ type: "error", code: "CONFLICT" });
+  });
+
+  it("should disconnect a user whose share is revoked and keep their edits", () => {
+    asUser("alice", () => shareNote(note.id, { username: "bob", role: "editor" }));
+    const owner = connect(note.id, alice);
+    const editor = connect(note.id, bob);
+    editor.receive({ type: "operation", revision: 0, operation: [11, "!"] });
+
+    asUser("alice", () => revokeShare(note.id, "bob"));
+
+    expect(editor.connection.closed).toEqual({ code: 1008, reason: "Access revoked" });
+    expect(owner.connection.messages).toContainEqual({
+      type: "leave",
+      clientId: editor.clientId,
+    });
+    expect(notesDB.get(note.id)).toMatchObject({ content: "Hello world!", version: 2 });
+
+    // Nothing more reaches the revoked user, and late messages are dropped
+    const sent = editor.connection.messages.length;
+    owner.receive({ type: "operation", revision: 1, operation: [12, "?"] });
+    editor.receive({ type: "operation", revision: 2, operation: [13, "."] });
+    expect(editor.connection.messages).toHaveLength(sent);
+    owner.leave();
+    expect(notesDB.get(note.id).content).toBe("Hello world!?");
+  });
+
+  it("should merge content saved outside the session with unsaved edits", () => {
+    const client = connect(note.id, alice);
+    client.receive({ type: "operation", revision: 0, operation: [11, " again"] });
+
+    asUser("alice", () => updateNote(note.id, { content: "Hi world" }));
+
+    expect(client.connection.messages).toContainEqual({ type: "saved", version: 2 });
+    client.leave();
+    expect(notesDB.get(note.id)).toMatchObject({ content: "Hi world again", version: 3 });
+  });
+
+  it("should keep saving after a batch that changed the note is rolled back", () => {
+    const client = connect(note.id, alice);
+    client.receive({ type: "operation", revision: 0, operation: [11, "!"] });
+
+    const result = asUser("alice", () =>
+      runBatch({
+        operations: [
+          { op: "update", id: note.id, note: { content: "Changed" } },
+          { op: "delete", id: "missing" },
+        ],
+      })
+    );
+
+    expect(result.committed).toBe(false);
+    expect(client.connection.messages).toContainEqual({ type: "saved", version: 3 });
+    client.receive({ type: "save" });
+    expect(client.last()).toEqual({ type: "saved", version: 4 });
+    expect(notesDB.get(note.id)).toMatchObject({ content: "Hello world!", version: 4 });
+  });
+
+  it("should save on shutdown and end sessions of deleted notes", () => {
+    const client = connect(note.id, alice);
+    client.receive({ type: "operation", revision: 0, operation: [11, "!"] });
+
+    expect(closeSessions()).toBe(1);
+    expect(notesDB.get(note.id).content).toBe("Hello world!");
+    expect(client.connection.closed.code).toBe(1001);
+
+    const again = connect(note.id, alice);
+    asUser("alice", () => deleteNote(note.id));
+    expect(again.connection.closed).toEqual({ code: 1000, reason: "Note was deleted" });
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Unit tests for ETag utilities
+ */
+import { describe, it, expect } from "@jest/globals";
+import { formatETag, parseIfMatch } from "../utils/etag.js";
+
+describe("ETag utilities", () => {
+  it("should format the note version as a quoted ETag", () => {
+    expect(formatETag({ version: 3 })).toBe('"3"');
+    expect(formatETag({})).toBe('"1"');
+  });
+
+  it("should parse If-Match into the expected version", () => {
+    expect(parseIfMatch('"3"')).toBe(3);
+    expect(parseIfMatch('"5", "6"')).toBe(5);
+  });
+
+  it("should never match a weak ETag", () => {
+    expect(parseIfMatch('W/"4"')).toBeNaN();
+    expect(parseIfMatch('W/"4", "5"')).toBe(5);
+  });
+
+  it("should skip the check when If-Match is absent or *", () => {
+    expect(parseIfMatch(undefined)).toBeUndefined();
+    expect(parseIfMatch("*")).toBeUndefined();
+  });
+
+  it("should never match an unparsable If-Match", () => {
+    expect(parseIfMatch("abc")).toBeNaN();
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for Events Service (live note changes)
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import { sharesDB } from "../db/shares-db.js";
+import { usersDB } from "../db/users-db.js";
+import {
+  NoteEvent,
+  subscribe,
+  getEventsSince,
+  getLastEventId,
+  closeSubscriptions,
+  resetEvents,
+} from "../services/events-service.js";
+import { shareNote, revokeShare } from "../services/shares-service.js";
+import {
+  createNote,
+  updateNote,
+  deleteNote,
+  restoreNote,
+} from "../services/notes-service.js";
+import { runBatch } from "../services/batch-service.js";
+import { config } from "../config/config.js";
+import { runWithRequestContext } from "../utils/request-context.js";
+
+const asUser = (userId, fn) => runWithRequestContext({ requestId: "r", userId }, fn);
+
+/**
+ * Collects the events a user receives
+ */
+function listen(userId) {
+  const received = [];
+  subscribe(userId, { onEvent: (event) => received.push(event) });
+  return received;
+}
+
+describe("Events Service", () => {
+  beforeEach(() => {
+    notesDB.clear();
+    sharesDB.clear();
+    usersDB.clear();
+    resetEvents();
+    usersDB.set("bob", {
+      id: "bob",
+      username: "bob",
+      passwordHash: "x",
+      createdAt: "2025-01-01T00:00:00.000Z",
+    });
+  });
+
+  it("should send note changes to the owner", () => {
+    const received = listen("alice");
+
+    const note = asUser("alice", () => createNote({ title: "Plan", content: "Draft" }));
+    asUser("alice", () => updateNote(note.id, { title: "Plan v2" }));
+    asUser("alice", () => deleteNote(note.id));
+    asUser("alice", () => restoreNote(note.id));
+    asUser("alice", () => deleteNote(note.id, { permanent: true }));
+
+    expect(received.map((event) => event.type)).toEqual([
+      NoteEvent.CREATED,
+      NoteEvent.UPDATED,
+      NoteEvent.DELETED,
+      NoteEvent.UPDATED,
+      NoteEvent.DELETED,
+    ]);
+    expect(received[1].data).toMatchObject({
+      id: note.id,
+      role: "owner",
+      note: { title: "Plan v2", version: 2 },
+    });
+    expect(received[2].data).toMatchObject({
+      id: note.id,
+      permanent: false,
+      role: "owner",
+      note: { title: "Plan v2" },
+    });
+    expect(received[4].data.permanent).toBe(true);
+    expect(new Set(received.map((event) => event.id)).size).toBe(5);
+  });
+
+  it("should send changes to users the note is shared with, and nobody else", () => {
+    const note = asUser("alice", () => createNote({ title: "Plan", content: "Draft" }));
+    asUser("alice", () => shareNote(note.id, { username: "bob", role: "editor" }));
+    const bobs = listen("bob");
+    const carols = listen("carol");
+
+    asUser("alice", () => updateNote(note.id, { content: "Final" }));
+    asUser("alice", () => deleteNote(note.id, { permanent: true }));
+
+    expect(bobs.map((event) => [event.type, event.data.role])).toEqual([
+      [NoteEvent.UPDATED, "editor"],
+      [NoteEvent.DELETED, "editor"],
+    ]);
+    expect(carols).toEqual([]);
+  });
+
+  it("should tell the owner and the user when a note is shared or stops being", () => {
+    const note = asUser("alice", () => createNote({ title: "Plan", content: "Draft" }));
+    const alices = listen("alice");
+    const bobs = listen("bob");
+
+    asUser("alice", () => shareNote(note.id, { username: "bob", role: "viewer" }));
+    asUser("alice", () => shareNote(note.id, { username: "bob", role: "editor" }));
+    asUser("alice", () => revokeShare(note.id, "bob"));
+    asUser("alice", () => updateNote(note.id, { content: "Final" }));
+
+    const summary = (event) => [event.type, event.data.role, event.data.share?.role];
+    expect(bobs.map(summary)).toEqual([
+      [NoteEvent.SHARED, "viewer", "viewer"],
+      [NoteEvent.SHARED, "editor", "editor"],
+      [NoteEvent.UNSHARED, "editor", "editor"],
+    ]);
+    expect(alices.map(summary)).toEqual([
+      [NoteEvent.SHARED, "owner", "viewer"],
+      [NoteEvent.SHARED, "owner", "editor"],
+      [NoteEvent.UNSHARED, "owner", "editor"],
+      [NoteEvent.UPDATED, "owner", undefined],
+    ]);
+    expect(bobs[2].data).toMatchObject({ id: note.id, share: { userId: "bob" } });
+  });
+
+  it("should replay missed events after a given event ID", () => {
+    const before = getLastEventId();
+    const note = asUser("alice", () => createNote({ title: "Plan", content: "Draft" }));
+    const checkpoint = getLastEventId();
+    asUser("alice", () => updateNote(note.id, { title: "Plan v2" }));
+
+    expect(getEventsSince("alice", before).map((event) => event.type)).toEqual([
+      NoteEvent.CREATED,
+      NoteEvent.UPDATED,
+    ]);
+    expect(getEventsSince("alice", checkpoint)).toHaveLength(1);
+    expect(getEventsSince("alice", getLastEventId())).toEqual([]);
+    expect(getEventsSince("carol", before)).toEqual([]);
+  });
+
+  it("should ask for a reload when missed events are no longer known", () => {
+    const before = getLastEventId();
+    const note = asUser("alice", () => createNote({ title: "Plan", content: "Draft" }));
+    for (let i = 0; i <= config.events.bufferSize; i++) {
+      asUser("alice", () => updateNote(note.id, { content: `Draft ${i}` }));
+    }
+
+    expect(getEventsSince("alice", before)).toBeNull();
+    expect(getEventsSince("alice", "0-1")).toBeNull();
+    expect(getEventsSince("alice", "not an id")).toBeNull();
+  });
+
+  it("should undo the events of a rolled back batch", () => {
+    const note = asUser("alice", () => createNote({ title: "Plan", content: "Draft" }));
+    const received = listen("alice");
+
+    const result = asUser("alice", () =>
+      runBatch({
+        mode: "transactional",
+        operations: [
+          { op: "create", note: { title: "New", content: "Body" } },
+          { op: "update", id: note.id, note: { content: "Changed" } },
+          { op: "delete", id: "missing" },
+        ],
+      })
+    );
+
+    expect(result.committed).toBe(false);
+    const created = received[0].data.id;
+    const undone = received.slice(2);
+    expect(undone).toHaveLength(2);
+    expect(undone).toContainEqual(
+      expect.objectContaining({
+        type: NoteEvent.DELETED,
+        data: expect.objectContaining({ id: created, permanent: true, role: "owner" }),
+      })
+    );
+    expect(undone).toContainEqual(
+      expect.objectContaining({
+        type: NoteEvent.UPDATED,
+        data: expect.objectContaining({
+          id: note.id,
+          note: expect.objectContaining({ content: "Draft" }),
+        }),
+      })
+    );
+  });
+
+  it("should close every subscription", () => {
+    let closed = 0;
+    subscribe("alice", { onEvent: () => {}, onClose: () => closed++ });
+    subscribe("bob", { onEvent: () => {}, onClose: () => closed++ });
+
+    expect(closeSubscriptions()).toBe(2);
+    expect(closed).toBe(2);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for File Storage Adapter
+ */
+import { describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createFileAdapter } from "../db/adapters/file-adapter.js";
+import { createStorageAdapter } from "../db/storage-adapter.js";
+
+describe("File Storage Adapter", () => {
+  let dataDir;
+  let filePath;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "notes-db-"));
+    filePath = path.join(dataDir, "notes.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("should start empty when the data file does not exist", async () => {
+    const store = createFileAdapter({ filePath });
+    await store.load();
+
+    expect(store.size).toBe(0);
+    expect(store.values()).toEqual([]);
+  });
+
+  it("should persist records and load them on startup", async () => {
+    const store = createFileAdapter({ filePath });
+    await store.load();
+    store.set("1", { id: "1", title: "First" });
+    store.set("2", { id: "2", title: "Second" });
+
+    const reloaded = createFileAdapter({ filePath });
+    await reloaded.load();
+
+    expect(reloaded.size).toBe(2);
+    expect(reloaded.get("1")).toEqual({ id: "1", title: "First" });
+    expect(reloaded.values().map((r) => r.id)).toEqual(["1", "2"]);
+    expect(reloaded.keys()).toEqual(["1", "2"]);
+  });
+
+  it("should persist deletes and clears", async () => {
+    const store = createFileAdapter({ filePath });
+    await store.load();
+    store.set("1", { id: "1" });
+    store.set("2", { id: "2" });
+
+    expect(store.delete("1")).toBe(true);
+    expect(store.delete("missing")).toBe(false);
+
+    const reloaded = createFileAdapter({ filePath });
+    await reloaded.load();
+    expect(reloaded.has("1")).toBe(false);
+    expect(reloaded.has("2")).toBe(true);
+
+    store.clear();
+    await reloaded.load();
+    expect(reloaded.size).toBe(0);
+  });
+
+  it("should append each change to the operation log before applying it", async () => {
+    const store = createFileAdapter({ filePath });
+    await store.load();
+    store.set("1", { id: "1" });
+    store.delete("1");
+
+    const lines = fs
+      .readFileSync(path.join(dataDir, "notes.wal.ndjson"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+
+    expect(lines).toEqual([
+      { seq: 1, op: "set", id: "1", value: { id: "1" } },
+      { seq: 2, op: "delete", id: "1" },
+    ]);
+  });
+
+  it("should ignore a torn last line left by a crash", async () => {
+    const store = createFileAdapter({ filePath });
+    await store.load();
+    store.set("1", { id: "1", title: "Saved" });
+
+    // Simulate a process killed in the middle of an append
+    fs.appendFileSync(
+      path.join(dataDir, "notes.wal.ndjson"),
+      '{"seq":2,"op":"set","id":"1","value":{"id":"1","ti'
+    );
+
+    const reloaded = createFileAdapter({ filePath });
+    await reloaded.load();
+    expect(reloaded.get("1")).toEqual({ id: "1", title: "Saved" });
+  });
+
+  it("should compact the log into a snapshot once it passes maxLogBytes", async () => {
+    const store = createFileAdapter({ filePath, maxLogBytes: 200 });
+    await store.load();
+    for (let i = 0; i < 10; i++) {
+      store.set(String(i), { id: String(i), content: "x".repeat(20) });
+    }
+
+    expect(fs.existsSync(filePath)).toBe(true);
+    expect(fs.statSync(path.join(dataDir, "notes.wal.ndjson")).size).toBeLessThanOrEqual(200);
+
+    const reloaded = createFileAdapter({ filePath });
+    await reloaded.load();
+    expect(reloaded.size).toBe(10);
+    expect(fs.readdirSync(dataDir).some((f) => f.endsWith(".tmp"))).toBe(false);
+  });
+
+  it("should not replay log entries already contained in the snapshot", async () => {
+    const store = createFileAdapter({ filePath });
+    await store.load();
+    store.set("1", { id: "1" });
+    store.delete("1");
+    store.set("2", { id: "2" });
+
+    // Crash after the snapshot was written but before the log was emptied
+    const logPath = path.join(dataDir, "notes.wal.ndjson");
+    const log = fs.readFileSync(logPath, "utf8");
+    store.compact();
+    fs.writeFileSync(logPath, log);
+
+    const reloaded = createFileAdapter({ filePath });
+    await reloaded.load();
+    expect(reloaded.values()).toEqual([{ id: "2" }]);
+  });
+
+  it("should leave the store unchanged when the log write fails", async () => {
+    const store = createFileAdapter({ filePath });
+    await store.load();
+    store.set("1", { id: "1" });
+
+    // Replace the log file with a directory so appends fail
+    const logPath = path.join(dataDir, "notes.wal.ndjson");
+    fs.rmSync(logPath);
+    fs.mkdirSync(logPath);
+
+    expect(() => store.set("2", { id: "2" })).toThrow();
+    expect(store.has("2")).toBe(false);
+    expect(store.has("1")).toBe(true);
+  });
+
+  it("should only pass its check once loaded", async () => {
+    const store = createFileAdapter({ filePath });
+
+    expect(() => store.check()).toThrow("data has not been loaded yet");
+    await store.load();
+    expect(() => store.check()).not.toThrow();
+  });
+});
+
+describe("createStorageAdapter", () => {
+  it("should create a memory adapter by driver name", () => {
+    const store = createStorageAdapter("notes", { driver: "memory" });
+    expect(store.name).toBe("memory");
+  });
+
+  it("should create a file adapter by driver name", () => {
+    const store = createStorageAdapter("notes", {
+      driver: "file",
+      dataDir: os.tmpdir(),
+    });
+    expect(store.name).toBe("file");
+  });
+
+  it("should throw for an unknown driver", () => {
+    expect(() => createStorageAdapter("notes", { driver: "redis" })).toThrow(
+      "Unknown storage driver"
+    );
+  });
+});
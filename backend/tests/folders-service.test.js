@@ -0,0 +1,200 @@
+/**
+ * Unit tests for Folders Service and note folders
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import { foldersDB } from "../db/folders-db.js";
+import {
+  getFolders,
+  getFolderById,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+} from "../services/folders-service.js";
+import {
+  createNote,
+  updateNote,
+  deleteNote,
+  restoreNote,
+  listNotes,
+} from "../services/notes-service.js";
+import { loggerService, LogAction } from "../services/logger-service.js";
+
+// Multi-note tests seed the DB directly to control IDs and folders
+const seedNote = (id, folderId) =>
+  notesDB.set(id, {
+    id,
+    title: `Note ${id}`,
+    content: "Content",
+    tags: [],
+    folderId,
+    lastModified: "2025-11-24T10:00:00.000Z",
+  });
+
+describe("Folders", () => {
+  beforeEach(() => {
+    notesDB.clear();
+    foldersDB.clear();
+    loggerService.clear();
+  });
+
+  describe("createFolder", () => {
+    it("should create top-level and nested folders", () => {
+      const work = createFolder({ name: " Work " });
+      const projects = createFolder({ name: "Projects", parentId: work.id });
+
+      expect(work.name).toBe("Work");
+      expect(work.parentId).toBeNull();
+      expect(projects.parentId).toBe(work.id);
+      expect(getFolderById(projects.id)).toEqual(projects);
+      expect(loggerService.getByAction(LogAction.FOLDER_CREATED)).toHaveLength(2);
+    });
+
+    it("should give folders ULIDs that sort by creation time", () => {
+      const first = createFolder({ name: "First" });
+      const second = createFolder({ name: "Second" });
+
+      expect(first.id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+      expect([second.id, first.id].sort()).toEqual([first.id, second.id]);
+    });
+
+    it("should reject a missing name or parent", () => {
+      expect(() => createFolder({ name: "  " })).toThrow(
+        "Folder name cannot be empty"
+      );
+
+      try {
+        createFolder({ name: "Child", parentId: "missing" });
+      } catch (error) {
+        expect(error.code).toBe("VALIDATION_ERROR");
+        expect(error.details.field).toBe("parentId");
+      }
+    });
+  });
+
+  describe("getFolders", () => {
+    it("should list folders by name with active note counts", () => {
+      const b = createFolder({ name: "B" });
+      createFolder({ name: "A" });
+      seedNote("1", b.id);
+      seedNote("2", b.id);
+      deleteNote("2");
+
+      expect(getFolders().map((folder) => [folder.name, folder.noteCount])).toEqual([
+        ["A", 0],
+        ["B", 1],
+      ]);
+    });
+  });
+
+  describe("updateFolder", () => {
+    it("should rename and move a folder", () => {
+      const work = createFolder({ name: "Work" });
+      const home = createFolder({ name: "Home" });
+
+      const updated = updateFolder(home.id, { name: "House", parentId: work.id });
+      expect(updated.name).toBe("House");
+      expect(updated.parentId).toBe(work.id);
+
+      expect(updateFolder(home.id, { parentId: null }).parentId).toBeNull();
+    });
+
+    it("should not move a folder into itself or a subfolder", () => {
+      const parent = createFolder({ name: "Parent" });
+      const child = createFolder({ name: "Child", parentId: parent.id });
+      const grandchild = createFolder({ name: "Grandchild", parentId: child.id });
+
+      expect(() => updateFolder(parent.id, { parentId: parent.id })).toThrow(
+        "cannot be moved into itself"
+      );
+      expect(() => updateFolder(parent.id, { parentId: grandchild.id })).toThrow(
+        "cannot be moved into itself"
+      );
+    });
+
+    it("should throw not found for an unknown folder", () => {
+      expect(() => updateFolder("missing", { name: "X" })).toThrow(
+        "Folder with id 'missing' not found"
+      );
+    });
+  });
+
+  describe("deleteFolder", () => {
+    it("should move subfolders and notes to the parent by default", () => {
+      const root = createFolder({ name: "Root" });
+      const middle = createFolder({ name: "Middle", parentId: root.id });
+      const leaf = createFolder({ name: "Leaf", parentId: middle.id });
+      seedNote("1", middle.id);
+
+      const result = deleteFolder(middle.id);
+
+      expect(result).toEqual({
+        deletedFolderIds: [middle.id],
+        movedNoteIds: ["1"],
+        trashedNoteIds: [],
+      });
+      expect(foldersDB.has(middle.id)).toBe(false);
+      expect(foldersDB.get(leaf.id).parentId).toBe(root.id);
+      expect(notesDB.get("1").folderId).toBe(root.id);
+    });
+
+    it("should delete subfolders and trash their notes in cascade mode", () => {
+      const root = createFolder({ name: "Root" });
+      const child = createFolder({ name: "Child", parentId: root.id });
+      seedNote("1", root.id);
+      seedNote("2", child.id);
+      seedNote("3", null);
+
+      const result = deleteFolder(root.id, { mode: "cascade" });
+
+      expect(result.deletedFolderIds).toEqual([root.id, child.id]);
+      expect(result.trashedNoteIds).toEqual(["1", "2"]);
+      expect(foldersDB.size).toBe(0);
+      expect(notesDB.get("2").deletedAt).toBeDefined();
+      expect(notesDB.get("3").deletedAt).toBeUndefined();
+
+      const logs = loggerService.getByAction(LogAction.FOLDER_DELETED);
+      expect(logs[0].details.mode).toBe("cascade");
+    });
+
+    it("should reject an unknown mode", () => {
+      const folder = createFolder({ name: "Folder" });
+      expect(() => deleteFolder(folder.id, { mode: "shred" })).toThrow(
+        "Mode must be one of: move, cascade"
+      );
+    });
+  });
+
+  describe("notes in folders", () => {
+    it("should create, move and filter notes by folder", () => {
+      const folder = createFolder({ name: "Work" });
+      const note = createNote({ title: "T", content: "C", folderId: folder.id });
+      seedNote("loose", null);
+
+      expect(note.folderId).toBe(folder.id);
+      expect(listNotes({ folderId: folder.id }).notes.map((n) => n.id)).toEqual([
+        note.id,
+      ]);
+      expect(listNotes({ folderId: "none" }).notes.map((n) => n.id)).toEqual([
+        "loose",
+      ]);
+
+      expect(updateNote(note.id, { folderId: null }).folderId).toBeNull();
+      expect(updateNote(note.id, { title: "New" }).folderId).toBeNull();
+    });
+
+    it("should reject an unknown folder", () => {
+      expect(() =>
+        createNote({ title: "T", content: "C", folderId: "missing" })
+      ).toThrow("Folder 'missing' does not exist");
+    });
+
+    it("should restore a note without a folder if its folder is gone", () => {
+      const folder = createFolder({ name: "Work" });
+      seedNote("1", folder.id);
+
+      deleteFolder(folder.id, { mode: "cascade" });
+      expect(restoreNote("1").folderId).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for Front Matter and Tar utilities
+ */
+import { describe, it, expect } from "@jest/globals";
+import { formatFrontMatter, parseFrontMatter } from "../utils/front-matter.js";
+import { createTarEntry, readTarEntries, TAR_END } from "../utils/tar.js";
+
+describe("Front Matter", () => {
+  it("should round-trip fields and content", () => {
+    const fields = {
+      id: "123",
+      title: 'Quotes "and" colons: # not a comment',
+      tags: ["home", "to-do"],
+      folderId: null,
+    };
+    const text = formatFrontMatter(fields, "# Heading\n\n---\nBody");
+
+    expect(text.startsWith('---\nid: "123"\n')).toBe(true);
+    expect(parseFrontMatter(text)).toEqual({
+      fields,
+      body: "# Heading\n\n---\nBody",
+    });
+  });
+
+  it("should read hand-written YAML", () => {
+    const { fields, body } = parseFrontMatter(
+      [
+        "---",
+        "title: Plain title # comment",
+        "note: 'It''s here'",
+        "tags:",
+        "  - one",
+        "  - \"two\"",
+        "inline: [a, 'b, c']",
+        "empty:",
+        "---",
+        "Content",
+      ].join("\r\n")
+    );
+
+    expect(fields).toEqual({
+      title: "Plain title",
+      note: "It's here",
+      tags: ["one", "two"],
+      inline: ["a", "b, c"],
+      empty: null,
+    });
+    expect(body).toBe("Content");
+  });
+
+  it("should treat a file without front matter as content only", () => {
+    expect(parseFrontMatter("Just text\n")).toEqual({
+      fields: {},
+      body: "Just text",
+    });
+  });
+
+  it("should reject unclosed or malformed front matter", () => {
+    expect(() => parseFrontMatter("---\ntitle: x\n")).toThrow("not closed");
+    expect(() => parseFrontMatter("---\nnot yaml\n---\n")).toThrow(
+      "Invalid front matter on line 2"
+    );
+  });
+});
+
+describe("Tar", () => {
+  it("should read back the files it writes", () => {
+    const archive = Buffer.concat([
+      createTarEntry("notes/a.md", "First"),
+      createTarEntry("notes/b.md", "x".repeat(600)),
+      TAR_END,
+    ]);
+
+    expect(archive.length % 512).toBe(0);
+    const entries = readTarEntries(archive);
+    expect(entries.map((entry) => entry.name)).toEqual(["notes/a.md", "notes/b.md"]);
+    expect(entries[0].content.toString()).toBe("First");
+    expect(entries[1].content.length).toBe(600);
+  });
+
+  it("should reject a corrupt header", () => {
+    const entry = createTarEntry("a.md", "Text");
+    entry[0] = "b".charCodeAt(0);
+    expect(() => readTarEntries(entry)).toThrow("Invalid tar header");
+  });
+});
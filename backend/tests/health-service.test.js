@@ -0,0 +1,96 @@
+/**
+ * Unit tests for Health Service
+ */
+import { describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import {
+  checkLiveness,
+  checkReadiness,
+  setLifecycleState,
+  LifecycleState,
+} from "../services/health-service.js";
+import { loggerService } from "../services/logger-service.js";
+import { notesDB } from "../db/notes-db.js";
+import { foldersDB } from "../db/folders-db.js";
+
+describe("Health Service", () => {
+  beforeEach(() => {
+    notesDB.clear();
+    foldersDB.clear();
+    setLifecycleState(LifecycleState.READY);
+  });
+
+  afterEach(() => {
+    setLifecycleState(LifecycleState.STARTING);
+  });
+
+  describe("checkLiveness", () => {
+    it("should report the event loop check with its latency", async () => {
+      const result = await checkLiveness();
+
+      expect(result.status).toBe("ok");
+      expect(result.checks.eventLoop).toEqual({
+        status: "ok",
+        latencyMs: expect.any(Number),
+        delayMs: expect.any(Number),
+      });
+    });
+
+    it("should stay ok while the server is starting", async () => {
+      setLifecycleState(LifecycleState.STARTING);
+
+      expect((await checkLiveness()).status).toBe("ok");
+    });
+  });
+
+  describe("checkReadiness", () => {
+    it("should pass every check when started", async () => {
+      const result = await checkReadiness();
+
+      expect(result.status).toBe("ok");
+      expect(Object.keys(result.checks)).toEqual(["lifecycle", "storage", "logSinks"]);
+      expect(result.checks.storage).toMatchObject({
+        status: "ok",
+        collections: expect.arrayContaining(["notes", "folders"]),
+      });
+      expect(result.checks.logSinks).toMatchObject({ status: "ok", sinks: ["memory"] });
+      expect(result.checks.lifecycle.latencyMs).toEqual(expect.any(Number));
+    });
+
+    it("should fail while starting and while shutting down", async () => {
+      setLifecycleState(LifecycleState.STARTING);
+      const starting = await checkReadiness();
+      setLifecycleState(LifecycleState.STOPPING);
+      const stopping = await checkReadiness();
+
+      expect(starting.status).toBe("fail");
+      expect(starting.checks.lifecycle).toMatchObject({
+        status: "fail",
+        error: "server is starting",
+      });
+      expect(stopping.checks.lifecycle.error).toBe("server is stopping");
+    });
+
+    it("should fail when a log sink is not working", async () => {
+      const remove = loggerService.addSink({
+        name: "broken",
+        write() {},
+        check() {
+          throw new Error("disk full");
+        },
+      });
+
+      try {
+        const result = await checkReadiness();
+
+        expect(result.status).toBe("fail");
+        expect(result.checks.logSinks).toMatchObject({
+          status: "fail",
+          error: "Log sink 'broken' is not working: disk full",
+        });
+        expect(result.checks.storage.status).toBe("ok");
+      } finally {
+        remove();
+      }
+    });
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Unit tests for HTML utilities
+ */
+import { describe, it, expect } from "@jest/globals";
+import { escapeHtml, textToHtml, renderNotePage } from "../utils/html.js";
+
+describe("HTML utilities", () => {
+  it("should escape markup characters", () => {
+    expect(escapeHtml(`<a href="x" onclick='y'>&</a>`)).toBe(
+      "&lt;a href=&quot;x&quot; onclick=&#39;y&#39;&gt;&amp;&lt;/a&gt;"
+    );
+  });
+
+  it("should turn blank lines into paragraphs and keep line breaks", () => {
+    expect(textToHtml("One\r\ntwo\n\n\nThree")).toBe("<p>One<br>two</p>\n<p>Three</p>");
+  });
+
+  it("should render a note page without any live markup from the note", () => {
+    const page = renderNotePage({
+      title: "<script>alert(1)</script>",
+      content: "<img src=x onerror=alert(1)>",
+      tags: ["a&b"],
+      lastModified: "2025-01-01T00:00:00.000Z",
+    });
+
+    expect(page).toContain("<title>&lt;script&gt;alert(1)&lt;/script&gt;</title>");
+    expect(page).toContain("<p>&lt;img src=x onerror=alert(1)&gt;</p>");
+    expect(page).toContain("#a&amp;b");
+    expect(page).not.toMatch(/<script|<img/);
+  });
+});
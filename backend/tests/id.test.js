@@ -0,0 +1,56 @@
+/**
+ * Unit tests for ID utilities
+ */
+import { describe, it, expect } from "@jest/globals";
+import { generateId, slugify, uniqueSlug } from "../utils/id.js";
+
+describe("ID Utilities", () => {
+  describe("generateId", () => {
+    it("should generate 26-character ULIDs", () => {
+      expect(generateId()).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+    });
+
+    it("should encode the timestamp so IDs sort by time", () => {
+      const earlier = generateId(Date.UTC(2030, 0, 1));
+      const later = generateId(Date.UTC(2030, 0, 2));
+
+      expect(earlier.slice(0, 10)).toBe("01Q3DCBD00");
+      expect(earlier < later).toBe(true);
+    });
+
+    it("should stay unique and increasing within a millisecond or when the clock goes back", () => {
+      const now = Date.UTC(2031, 5, 1);
+      const ids = [
+        generateId(now),
+        generateId(now),
+        generateId(now),
+        generateId(now - 1000),
+      ];
+
+      expect(new Set(ids).size).toBe(4);
+      expect([...ids].sort()).toEqual(ids);
+      expect(ids.every((id) => id.slice(0, 10) === ids[0].slice(0, 10))).toBe(true);
+    });
+  });
+
+  describe("slugify", () => {
+    it("should make lowercase, dash-separated slugs", () => {
+      expect(slugify("  Hello, World!  ")).toBe("hello-world");
+      expect(slugify("Crème brûlée — recipe")).toBe("creme-brulee-recipe");
+      expect(slugify("Заметка 1")).toBe("заметка-1");
+    });
+
+    it("should limit the length and fall back to 'note'", () => {
+      expect(slugify("a ".repeat(100)).length).toBeLessThanOrEqual(60);
+      expect(slugify("---")).toBe("note");
+    });
+  });
+
+  describe("uniqueSlug", () => {
+    it("should add a number until the slug is free", () => {
+      const taken = new Set(["plan", "plan-2"]);
+      expect(uniqueSlug("plan", (slug) => taken.has(slug))).toBe("plan-3");
+      expect(uniqueSlug("other", (slug) => taken.has(slug))).toBe("other");
+    });
+  });
+});
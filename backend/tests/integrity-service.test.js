@@ -0,0 +1,79 @@
+/**
+ * Unit tests for Integrity Service (references repaired on startup)
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import { revisionsDB } from "../db/revisions-db.js";
+import { sharesDB } from "../db/shares-db.js";
+import { linksDB } from "../db/links-db.js";
+import { foldersDB } from "../db/folders-db.js";
+import { repairReferences } from "../services/integrity-service.js";
+import { recordRevision } from "../services/revisions-service.js";
+import { createNote, updateNote } from "../services/notes-service.js";
+import { loggerService, LogAction } from "../services/logger-service.js";
+
+describe("Integrity Service", () => {
+  beforeEach(() => {
+    notesDB.clear();
+    revisionsDB.clear();
+    sharesDB.clear();
+    linksDB.clear();
+    foldersDB.clear();
+    loggerService.clear();
+  });
+
+  it("should change nothing when the references are intact", () => {
+    const note = createNote({ title: "Plan", content: "Draft" });
+    updateNote(note.id, { content: "Final" });
+    loggerService.clear();
+
+    expect(repairReferences()).toEqual({
+      revisions: 0,
+      shares: 0,
+      links: 0,
+      notes: 0,
+      folders: 0,
+    });
+    expect(revisionsDB.get(note.id)).toHaveLength(1);
+    expect(loggerService.getAll()).toHaveLength(0);
+  });
+
+  it("should remove the revision of an update whose note was never written", () => {
+    const note = createNote({ title: "Plan", content: "Draft" });
+    const updated = updateNote(note.id, { content: "Final" });
+    // Crash after the revision of the next update was stored
+    recordRevision(updated);
+
+    expect(repairReferences().revisions).toBe(1);
+    expect(revisionsDB.get(note.id)).toEqual([
+      expect.objectContaining({ rev: 1, content: "Draft" }),
+    ]);
+  });
+
+  it("should remove what is left of a note deleted for good", () => {
+    notesDB.set("kept", { id: "kept", title: "Kept", content: "" });
+    revisionsDB.set("gone", [{ rev: 1, title: "Gone", content: "" }]);
+    sharesDB.set("gone:bob", { id: "gone:bob", noteId: "gone", userId: "bob" });
+    sharesDB.set("kept:bob", { id: "kept:bob", noteId: "kept", userId: "bob" });
+    linksDB.set("hash", { id: "hash", noteId: "gone" });
+
+    expect(repairReferences()).toMatchObject({ revisions: 1, shares: 1, links: 1 });
+    expect(revisionsDB.size).toBe(0);
+    expect(sharesDB.keys()).toEqual(["kept:bob"]);
+    expect(linksDB.size).toBe(0);
+    const [entry] = loggerService.getByAction(LogAction.REFERENCES_REPAIRED);
+    expect(entry.details).toEqual({ revisions: 1, shares: 1, links: 1, notes: 0, folders: 0 });
+  });
+
+  it("should move notes and folders out of folders that no longer exist", () => {
+    foldersDB.set("parent", { id: "parent", name: "Parent", parentId: null });
+    foldersDB.set("child", { id: "child", name: "Child", parentId: "gone" });
+    notesDB.set("filed", { id: "filed", title: "Filed", content: "", folderId: "parent" });
+    notesDB.set("stranded", { id: "stranded", title: "Lost", content: "", folderId: "gone" });
+
+    expect(repairReferences()).toMatchObject({ notes: 1, folders: 1 });
+    expect(notesDB.get("stranded").folderId).toBeNull();
+    expect(notesDB.get("filed").folderId).toBe("parent");
+    expect(foldersDB.get("child").parentId).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for JSON Patch utilities
+ */
+import { describe, it, expect } from "@jest/globals";
+import { applyMergePatch, applyJsonPatch } from "../utils/json-patch.js";
+
+describe("applyMergePatch", () => {
+  it("should replace, add and remove members (RFC 7396)", () => {
+    const target = { title: "A", tags: ["x"], meta: { a: 1, b: 2 } };
+    const patch = { title: "B", tags: ["y"], meta: { b: null, c: 3 } };
+
+    expect(applyMergePatch(target, patch)).toEqual({
+      title: "B",
+      tags: ["y"],
+      meta: { a: 1, c: 3 },
+    });
+    expect(target.meta).toEqual({ a: 1, b: 2 });
+  });
+
+  it("should replace the target with a non-object patch", () => {
+    expect(applyMergePatch({ a: 1 }, ["b"])).toEqual(["b"]);
+  });
+});
+
+describe("applyJsonPatch", () => {
+  const doc = { title: "A", tags: ["x", "y"], folderId: null };
+
+  it("should apply operations in order (RFC 6902)", () => {
+    const result = applyJsonPatch(doc, [
+      { op: "test", path: "/title", value: "A" },
+      { op: "replace", path: "/title", value: "B" },
+      { op: "add", path: "/tags/-", value: "z" },
+      { op: "remove", path: "/tags/0" },
+      { op: "copy", from: "/title", path: "/content" },
+      { op: "move", from: "/content", path: "/summary" },
+    ]);
+
+    expect(result).toEqual({
+      title: "B",
+      tags: ["y", "z"],
+      folderId: null,
+      summary: "B",
+    });
+    expect(doc.tags).toEqual(["x", "y"]);
+  });
+
+  it("should unescape ~0 and ~1 in pointers", () => {
+    expect(
+      applyJsonPatch({ "a/b": 1, "c~d": 2 }, [
+        { op: "remove", path: "/a~1b" },
+        { op: "replace", path: "/c~0d", value: 3 },
+      ])
+    ).toEqual({ "c~d": 3 });
+  });
+
+  it("should reject the whole patch when an operation fails", () => {
+    const attempt = () =>
+      applyJsonPatch(doc, [
+        { op: "replace", path: "/title", value: "B" },
+        { op: "test", path: "/title", value: "A" },
+      ]);
+
+    expect(attempt).toThrow("Operation 1: Test failed for path '/title'");
+    expect(doc.title).toBe("A");
+  });
+
+  it("should report the failing operation index", () => {
+    try {
+      applyJsonPatch(doc, [
+        { op: "add", path: "/tags/0", value: "w" },
+        { op: "remove", path: "/missing" },
+      ]);
+      throw new Error("Expected the patch to fail");
+    } catch (error) {
+      expect(error.operation).toBe(1);
+      expect(error.message).toBe("Operation 1: Path '/missing' does not exist");
+    }
+  });
+
+  it("should validate operations", () => {
+    const attempt = (operations) => () => applyJsonPatch(doc, operations);
+
+    expect(attempt({ op: "add" })).toThrow("must be an array");
+    expect(attempt([{ op: "rename", path: "/a" }])).toThrow("'op' must be one of");
+    expect(attempt([{ op: "add", path: "/a" }])).toThrow("'value' is required");
+    expect(attempt([{ op: "move", path: "/a" }])).toThrow("'from' is required");
+    expect(attempt([{ op: "remove", path: "title" }])).toThrow("Invalid JSON Pointer");
+    expect(attempt([{ op: "add", path: "/tags/5", value: 1 }])).toThrow(
+      "out of bounds"
+    );
+    expect(attempt([{ op: "move", from: "/tags", path: "/tags/0" }])).toThrow(
+      "cannot be moved into one of its children"
+    );
+  });
+});
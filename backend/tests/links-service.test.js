@@ -0,0 +1,132 @@
+/**
+ * Unit tests for Links Service (public share links)
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import { sharesDB } from "../db/shares-db.js";
+import { linksDB } from "../db/links-db.js";
+import { usersDB } from "../db/users-db.js";
+import {
+  createLink,
+  listLinks,
+  revokeLink,
+  viewLink,
+} from "../services/links-service.js";
+import { shareNote } from "../services/shares-service.js";
+import { createNote, deleteNote, restoreNote } from "../services/notes-service.js";
+import { runWithRequestContext } from "../utils/request-context.js";
+
+const asUser = (userId, fn) => runWithRequestContext({ requestId: "r", userId }, fn);
+
+describe("Links Service", () => {
+  let note;
+
+  beforeEach(() => {
+    notesDB.clear();
+    sharesDB.clear();
+    linksDB.clear();
+    usersDB.clear();
+    usersDB.set("bob", {
+      id: "bob",
+      username: "bob",
+      passwordHash: "x",
+      createdAt: "2025-01-01T00:00:00.000Z",
+    });
+    note = asUser("alice", () =>
+      createNote({ title: "Plan", content: "Draft", tags: ["work"] })
+    );
+  });
+
+  describe("createLink", () => {
+    it("should create a link whose token is only returned once", () => {
+      const link = asUser("alice", () => createLink(note.id));
+
+      expect(link.token).toMatch(/^[\w-]{32}$/);
+      expect(link).toMatchObject({
+        noteId: note.id,
+        createdBy: "alice",
+        expiresAt: null,
+        maxViews: null,
+        views: 0,
+      });
+      expect(linksDB.get(link.id)).not.toHaveProperty("token");
+      expect(asUser("alice", () => listLinks(note.id))).toEqual([
+        expect.not.objectContaining({ token: expect.anything() }),
+      ]);
+    });
+
+    it("should reject invalid limits", () => {
+      asUser("alice", () => {
+        expect(() => createLink(note.id, { expiresAt: "soon" })).toThrow(
+          "expiresAt must be a valid date"
+        );
+        expect(() => createLink(note.id, { expiresAt: "2000-01-01T00:00:00Z" })).toThrow(
+          "expiresAt must be in the future"
+        );
+        expect(() => createLink(note.id, { maxViews: 0 })).toThrow(
+          "maxViews must be a positive integer"
+        );
+      });
+    });
+
+    it("should only let the owner create links", () => {
+      asUser("alice", () => shareNote(note.id, { username: "bob", role: "editor" }));
+
+      expect(() => asUser("bob", () => createLink(note.id))).toThrow("Only the owner");
+      expect(() => asUser("carol", () => createLink(note.id))).toThrow("not found");
+    });
+  });
+
+  describe("viewLink", () => {
+    it("should return only the public fields of the note", () => {
+      const { token } = asUser("alice", () => createLink(note.id));
+
+      expect(viewLink(token)).toEqual({
+        note: {
+          title: "Plan",
+          content: "Draft",
+          tags: ["work"],
+          lastModified: note.lastModified,
+        },
+        link: { expiresAt: null, viewsRemaining: null },
+      });
+    });
+
+    it("should stop working after the view limit", () => {
+      const { token } = asUser("alice", () => createLink(note.id, { maxViews: 2 }));
+
+      expect(viewLink(token).link.viewsRemaining).toBe(1);
+      expect(viewLink(token).link.viewsRemaining).toBe(0);
+      expect(() => viewLink(token)).toThrow(
+        expect.objectContaining({ statusCode: 410, code: "GONE" })
+      );
+    });
+
+    it("should stop working once expired", () => {
+      const { id, token } = asUser("alice", () =>
+        createLink(note.id, { expiresAt: new Date(Date.now() + 60000).toISOString() })
+      );
+      linksDB.set(id, { ...linksDB.get(id), expiresAt: "2000-01-01T00:00:00.000Z" });
+
+      expect(() => viewLink(token)).toThrow("This link has expired");
+    });
+
+    it("should not find unknown, revoked or trashed links", () => {
+      const first = asUser("alice", () => createLink(note.id));
+      const second = asUser("alice", () => createLink(note.id));
+
+      expect(() => viewLink("nope")).toThrow("Link not found");
+
+      asUser("alice", () => revokeLink(note.id, first.id));
+      expect(() => viewLink(first.token)).toThrow("Link not found");
+
+      asUser("alice", () => deleteNote(note.id));
+      expect(() => viewLink(second.token)).toThrow("Link not found");
+      asUser("alice", () => restoreNote(note.id));
+      expect(viewLink(second.token).note.title).toBe("Plan");
+
+      asUser("alice", () => deleteNote(note.id, { permanent: true }));
+      expect(linksDB.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for the log sinks
+ */
+import { describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createMemorySink } from "../services/log-sinks/memory-sink.js";
+import { createFileSink, listLogFiles } from "../services/log-sinks/file-sink.js";
+
+/**
+ * Builds a log entry for a given time
+ */
+function entryAt(timestamp, details = {}) {
+  return { id: timestamp, action: "NOTE_CREATED", level: "info", timestamp, details };
+}
+
+/**
+ * Reads every line of every log file, oldest file first
+ */
+function readLines(dir) {
+  return listLogFiles(dir).flatMap((file) =>
+    fs
+      .readFileSync(path.join(dir, file.name), "utf8")
+      .split("\n")
+      .filter(Boolean)
+  );
+}
+
+describe("Memory Sink", () => {
+  it("should return entries oldest first", () => {
+    const sink = createMemorySink({ maxEntries: 5 });
+    sink.write({ n: 1 });
+    sink.write({ n: 2 });
+
+    expect(sink.entries()).toEqual([{ n: 1 }, { n: 2 }]);
+    expect(sink.size).toBe(2);
+  });
+
+  it("should drop the oldest entries once full", () => {
+    const sink = createMemorySink({ maxEntries: 3 });
+    for (let n = 1; n <= 7; n++) {
+      sink.write({ n });
+    }
+
+    expect(sink.entries().map((entry) => entry.n)).toEqual([5, 6, 7]);
+    expect(sink.size).toBe(3);
+  });
+
+  it("should empty the buffer on clear", () => {
+    const sink = createMemorySink({ maxEntries: 2 });
+    sink.write({ n: 1 });
+    sink.write({ n: 2 });
+    sink.write({ n: 3 });
+    sink.clear();
+    sink.write({ n: 4 });
+
+    expect(sink.entries()).toEqual([{ n: 4 }]);
+  });
+});
+
+describe("File Sink", () => {
+  let dir;
+  let sink;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "notes-logs-"));
+  });
+
+  afterEach(() => {
+    sink?.close();
+    sink = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should append entries as NDJSON lines", () => {
+    sink = createFileSink({ dir: path.join(dir, "nested") });
+    sink.write(entryAt("2026-03-01T10:00:00.000Z", { n: 1 }));
+    sink.write(entryAt("2026-03-01T11:00:00.000Z", { n: 2 }));
+
+    const files = listLogFiles(path.join(dir, "nested"));
+    expect(files.map((file) => file.name)).toEqual(["app-2026-03-01.0.ndjson"]);
+    expect(
+      readLines(path.join(dir, "nested")).map((line) => JSON.parse(line).details.n)
+    ).toEqual([1, 2]);
+  });
+
+  it("should start a new file when the day changes", () => {
+    sink = createFileSink({ dir });
+    sink.write(entryAt("2026-03-01T23:59:59.000Z"));
+    sink.write(entryAt("2026-03-02T00:00:01.000Z"));
+
+    expect(listLogFiles(dir).map((file) => file.name)).toEqual([
+      "app-2026-03-01.0.ndjson",
+      "app-2026-03-02.0.ndjson",
+    ]);
+  });
+
+  it("should start a new file when the current one is full", () => {
+    const size = Buffer.byteLength(`${JSON.stringify(entryAt("2026-03-01T10:00:00.000Z"))}\n`);
+    sink = createFileSink({ dir, maxBytes: size * 2 });
+    for (let i = 0; i < 5; i++) {
+      sink.write(entryAt("2026-03-01T10:00:00.000Z"));
+    }
+
+    expect(listLogFiles(dir).map((file) => file.name)).toEqual([
+      "app-2026-03-01.0.ndjson",
+      "app-2026-03-01.1.ndjson",
+      "app-2026-03-01.2.ndjson",
+    ]);
+    expect(readLines(dir)).toHaveLength(5);
+  });
+
+  it("should continue the latest file of the day after a restart", () => {
+    sink = createFileSink({ dir });
+    sink.write(entryAt("2026-03-01T10:00:00.000Z"));
+    sink.close();
+
+    sink = createFileSink({ dir });
+    sink.write(entryAt("2026-03-01T11:00:00.000Z"));
+
+    expect(listLogFiles(dir)).toHaveLength(1);
+    expect(readLines(dir)).toHaveLength(2);
+  });
+
+  it("should delete files older than the retention period", () => {
+    fs.writeFileSync(path.join(dir, "app-2026-02-01.0.ndjson"), "{}\n");
+    fs.writeFileSync(path.join(dir, "app-2026-02-25.0.ndjson"), "{}\n");
+    fs.writeFileSync(path.join(dir, "notes.json"), "{}");
+
+    sink = createFileSink({ dir, retentionDays: 7 });
+    sink.write(entryAt("2026-03-01T10:00:00.000Z"));
+
+    expect(fs.readdirSync(dir).sort()).toEqual([
+      "app-2026-02-25.0.ndjson",
+      "app-2026-03-01.0.ndjson",
+      "notes.json",
+    ]);
+  });
+
+  it("should keep at most maxFiles files", () => {
+    sink = createFileSink({ dir, maxFiles: 2, retentionDays: 365 });
+    sink.write(entryAt("2026-03-01T10:00:00.000Z"));
+    sink.write(entryAt("2026-03-02T10:00:00.000Z"));
+    sink.write(entryAt("2026-03-03T10:00:00.000Z"));
+
+    expect(listLogFiles(dir).map((file) => file.date)).toEqual([
+      "2026-03-02",
+      "2026-03-03",
+    ]);
+  });
+
+  it("should throw on write errors and keep later entries on their own line", () => {
+    sink = createFileSink({ dir });
+    sink.write(entryAt("2026-03-01T10:00:00.000Z", { n: 1 }));
+
+    // Simulate a full disk that still accepts part of the entry
+    const writeSync = fs.writeSync;
+    fs.writeSync = (fd, data) => {
+      writeSync(fd, data.subarray(0, 10));
+      const error = new Error("ENOSPC: no space left on device");
+      error.code = "ENOSPC";
+      throw error;
+    };
+    try {
+      expect(() => sink.write(entryAt("2026-03-01T10:00:01.000Z", { n: 2 }))).toThrow(
+        "ENOSPC"
+      );
+    } finally {
+      fs.writeSync = writeSync;
+    }
+    sink.write(entryAt("2026-03-01T10:00:02.000Z", { n: 3 }));
+
+    const lines = readLines(dir);
+    expect(lines).toHaveLength(3);
+    expect(JSON.parse(lines[0]).details.n).toBe(1);
+    expect(() => JSON.parse(lines[1])).toThrow();
+    expect(JSON.parse(lines[2]).details.n).toBe(3);
+  });
+
+  it("should fail its check until a write succeeds again", () => {
+    sink = createFileSink({ dir });
+    expect(() => sink.check()).not.toThrow();
+
+    const writeSync = fs.writeSync;
+    fs.writeSync = () => {
+      throw new Error("ENOSPC: no space left on device");
+    };
+    try {
+      expect(() => sink.write(entryAt("2026-03-01T10:00:00.000Z"))).toThrow();
+    } finally {
+      fs.writeSync = writeSync;
+    }
+    expect(() => sink.check()).toThrow("last write failed: ENOSPC");
+
+    sink.write(entryAt("2026-03-01T10:00:01.000Z"));
+    expect(() => sink.check()).not.toThrow();
+  });
+});
@@ -1,8 +1,9 @@
 /**
  * Unit tests for Logger Service
  */
-import { describe, it, expect, beforeEach } from "@jest/globals";
-import { loggerService, LogAction } from "../services/logger-service.js";
+import { describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import { config } from "../config/config.js";
+import { loggerService, LogAction, LogLevel } from "../services/logger-service.js";
 
 describe("Logger Service", () => {
   beforeEach(() => {
@@ -40,6 +41,16 @@ describe("Logger Service", () => {
       });
     });
 
+    it("should generate unique IDs for entries added in the same millisecond", () => {
+      for (let i = 0; i < 50; i++) {
+        loggerService.add({ action: LogAction.NOTE_CREATED });
+      }
+
+      const ids = loggerService.getAll().map((log) => log.id);
+      expect(new Set(ids).size).toBe(50);
+      expect([...ids].sort()).toEqual(ids);
+    });
+
     it("should generate ISO 8601 timestamps", () => {
       loggerService.add({ action: LogAction.NOTE_CREATED });
 
@@ -142,5 +153,100 @@ describe("Logger Service", () => {
       expect(updateLogs).toHaveLength(0);
     });
   });
+
+  describe("levels", () => {
+    const configuredLevel = config.logging.level;
+
+    afterEach(() => {
+      config.logging.level = configuredLevel;
+    });
+
+    it("should give each entry its action's level", () => {
+      loggerService.add({ action: LogAction.NOTE_CREATED });
+      loggerService.add({ action: LogAction.NOTES_LIST_VIEWED });
+      loggerService.add({ action: LogAction.NOTE_DELETED, level: LogLevel.WARN });
+
+      expect(loggerService.getAll().map((log) => log.level)).toEqual([
+        LogLevel.INFO,
+        LogLevel.DEBUG,
+        LogLevel.WARN,
+      ]);
+    });
+
+    it("should drop entries below the configured level", () => {
+      config.logging.level = LogLevel.INFO;
+
+      loggerService.add({ action: LogAction.NOTES_LIST_VIEWED });
+      loggerService.add({ action: LogAction.NOTE_CREATED });
+
+      expect(loggerService.getAll().map((log) => log.action)).toEqual([
+        LogAction.NOTE_CREATED,
+      ]);
+    });
+  });
+
+  describe("addSink", () => {
+    it("should pass entries to added sinks until removed", () => {
+      const received = [];
+      const remove = loggerService.addSink({
+        name: "test",
+        write: (entry) => received.push(entry.action),
+      });
+
+      loggerService.add({ action: LogAction.NOTE_CREATED });
+      remove();
+      loggerService.add({ action: LogAction.NOTE_UPDATED });
+
+      expect(received).toEqual([LogAction.NOTE_CREATED]);
+    });
+
+    it("should not throw when a sink fails", () => {
+      const remove = loggerService.addSink({
+        name: "full-disk",
+        write: () => {
+          throw new Error("ENOSPC: no space left on device");
+        },
+      });
+
+      try {
+        expect(() => {
+          loggerService.add({ action: LogAction.NOTE_CREATED });
+          loggerService.transaction(() =>
+            loggerService.add({ action: LogAction.NOTE_UPDATED })
+          );
+        }).not.toThrow();
+      } finally {
+        remove();
+      }
+      // Other sinks still receive the entries
+      expect(loggerService.getAll()).toHaveLength(2);
+    });
+  });
+
+  describe("transaction", () => {
+    it("should keep entries when the function returns", () => {
+      const result = loggerService.transaction(() => {
+        loggerService.add({ action: LogAction.NOTE_CREATED });
+        expect(loggerService.getAll()).toHaveLength(0);
+        return "done";
+      });
+
+      expect(result).toBe("done");
+      expect(loggerService.getAll()).toHaveLength(1);
+    });
+
+    it("should drop entries and rethrow when the function throws", () => {
+      expect(() =>
+        loggerService.transaction(() => {
+          loggerService.add({ action: LogAction.NOTE_CREATED });
+          throw new Error("boom");
+        })
+      ).toThrow("boom");
+
+      expect(loggerService.getAll()).toHaveLength(0);
+      loggerService.add({ action: LogAction.NOTE_UPDATED });
+      expect(loggerService.getAll()).toHaveLength(1);
+    });
+  });
 });
 
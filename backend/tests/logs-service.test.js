@@ -0,0 +1,115 @@
+/**
+ * Unit tests for Logs Service
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import { foldersDB } from "../db/folders-db.js";
+import { queryLogs, getNoteActivity } from "../services/logs-service.js";
+import { createNote, updateNote, deleteNote } from "../services/notes-service.js";
+import { createFolder, deleteFolder } from "../services/folders-service.js";
+import { loggerService, LogAction } from "../services/logger-service.js";
+import { runWithRequestContext } from "../utils/request-context.js";
+
+describe("Logs Service", () => {
+  beforeEach(() => {
+    notesDB.clear();
+    foldersDB.clear();
+    loggerService.clear();
+  });
+
+  describe("queryLogs", () => {
+    it("should return entries newest first", () => {
+      loggerService.add({ action: LogAction.NOTE_CREATED });
+      loggerService.add({ action: LogAction.NOTE_UPDATED });
+
+      const { logs, nextCursor, total } = queryLogs();
+
+      expect(logs.map((entry) => entry.action)).toEqual([
+        LogAction.NOTE_UPDATED,
+        LogAction.NOTE_CREATED,
+      ]);
+      expect(nextCursor).toBeNull();
+      expect(total).toBe(2);
+    });
+
+    it("should page through entries with a cursor", () => {
+      for (let i = 0; i < 5; i++) {
+        loggerService.add({ action: LogAction.NOTE_CREATED, details: { i } });
+      }
+
+      const first = queryLogs({ limit: "2" });
+      const second = queryLogs({ limit: "2", cursor: first.nextCursor });
+      const third = queryLogs({ limit: "2", cursor: second.nextCursor });
+
+      expect(
+        [first, second, third].flatMap((page) => page.logs.map((entry) => entry.details.i))
+      ).toEqual([4, 3, 2, 1, 0]);
+      expect(third.nextCursor).toBeNull();
+    });
+
+    it("should filter by action, note and time range", () => {
+      const note = createNote({ title: "T", content: "C" });
+      createNote({ title: "Other", content: "C" });
+      updateNote(note.id, { title: "New" });
+
+      expect(queryLogs({ action: LogAction.NOTE_UPDATED }).total).toBe(1);
+      expect(
+        queryLogs({ action: [LogAction.NOTE_CREATED, LogAction.NOTE_UPDATED] }).total
+      ).toBe(3);
+      expect(queryLogs({ noteId: note.id }).total).toBe(2);
+      expect(queryLogs({ from: "2999-01-01" }).total).toBe(0);
+      expect(queryLogs({ to: "2999-01-01" }).total).toBe(3);
+    });
+
+    it("should reject invalid options", () => {
+      expect(() => queryLogs({ limit: "0" })).toThrow("Limit must be an integer");
+      expect(() => queryLogs({ action: "toString" })).toThrow(
+        "Unknown action 'toString'"
+      );
+      expect(() => queryLogs({ from: "yesterday" })).toThrow(
+        "from must be a valid date"
+      );
+      expect(() => queryLogs({ cursor: "nope" })).toThrow("Cursor is invalid");
+    });
+
+    it("should only return the signed-in user's entries", () => {
+      const asUser = (userId, fn) => runWithRequestContext({ requestId: "r", userId }, fn);
+      asUser("alice", () => createNote({ title: "A", content: "C" }));
+      const note = asUser("bob", () => createNote({ title: "B", content: "C" }));
+
+      expect(asUser("alice", () => queryLogs()).total).toBe(1);
+      expect(queryLogs().total).toBe(2);
+      expect(() => asUser("alice", () => getNoteActivity(note.id))).toThrow(
+        `Note with id '${note.id}' not found`
+      );
+    });
+  });
+
+  describe("getNoteActivity", () => {
+    it("should include entries that list the note among others", () => {
+      const folder = createFolder({ name: "Work" });
+      const note = createNote({ title: "T", content: "C", folderId: folder.id });
+      deleteFolder(folder.id, { mode: "cascade" });
+
+      const { noteId, activity, total } = getNoteActivity(note.id);
+
+      expect(noteId).toBe(note.id);
+      expect(total).toBe(3);
+      expect(activity.map((entry) => entry.action)).toEqual([
+        LogAction.FOLDER_DELETED,
+        LogAction.NOTE_DELETED,
+        LogAction.NOTE_CREATED,
+      ]);
+    });
+
+    it("should work for trashed notes and throw for unknown ones", () => {
+      const note = createNote({ title: "T", content: "C" });
+      deleteNote(note.id);
+
+      expect(getNoteActivity(note.id).total).toBe(2);
+      expect(() => getNoteActivity("missing")).toThrow(
+        "Note with id 'missing' not found"
+      );
+    });
+  });
+});
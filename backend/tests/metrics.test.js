@@ -0,0 +1,127 @@
+/**
+ * Unit tests for the metrics registry and Metrics Service
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { createRegistry } from "../utils/metrics.js";
+import { notesDB } from "../db/notes-db.js";
+import {
+  renderMetrics,
+  resetMetrics,
+  recordHttpRequest,
+} from "../services/metrics-service.js";
+import { createNote, updateNote, deleteNote } from "../services/notes-service.js";
+import { loggerService } from "../services/logger-service.js";
+
+describe("Metrics Registry", () => {
+  it("should render counters with HELP, TYPE and escaped labels", () => {
+    const registry = createRegistry();
+    const counter = registry.counter({
+      name: "jobs_total",
+      help: "Jobs run",
+      labelNames: ["queue"],
+    });
+
+    counter.inc({ queue: 'say "hi"' });
+    counter.inc({ queue: 'say "hi"' }, 2);
+    counter.inc({ queue: "other" });
+
+    expect(registry.render()).toBe(
+      [
+        "# HELP jobs_total Jobs run",
+        "# TYPE jobs_total counter",
+        'jobs_total{queue="say \\"hi\\""} 3',
+        'jobs_total{queue="other"} 1',
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should render cumulative histogram buckets, sum and count", () => {
+    const registry = createRegistry();
+    const histogram = registry.histogram({
+      name: "wait_seconds",
+      help: "Wait time",
+      buckets: [0.1, 1],
+    });
+
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+
+    expect(registry.render()).toContain(
+      [
+        'wait_seconds_bucket{le="0.1"} 1',
+        'wait_seconds_bucket{le="1"} 2',
+        'wait_seconds_bucket{le="+Inf"} 3',
+        "wait_seconds_sum 3.55",
+        "wait_seconds_count 3",
+      ].join("\n")
+    );
+  });
+
+  it("should read gauges when rendering", () => {
+    const registry = createRegistry();
+    let value = 1;
+    registry.gauge({ name: "level", help: "Level", collect: () => value });
+
+    value = 7;
+
+    expect(registry.render()).toContain("\nlevel 7\n");
+  });
+
+  it("should reject duplicate metric names", () => {
+    const registry = createRegistry();
+    registry.counter({ name: "a_total", help: "A" });
+
+    expect(() => registry.counter({ name: "a_total", help: "A" })).toThrow(
+      "Metric 'a_total' is already registered"
+    );
+  });
+});
+
+describe("Metrics Service", () => {
+  beforeEach(() => {
+    notesDB.clear();
+    loggerService.clear();
+    resetMetrics();
+  });
+
+  it("should count note operations", () => {
+    const note = createNote({ title: "T", content: "C" });
+    updateNote(note.id, { title: "New" });
+    deleteNote(note.id);
+
+    const metrics = renderMetrics();
+    expect(metrics).toContain('notes_operations_total{operation="created"} 1');
+    expect(metrics).toContain('notes_operations_total{operation="updated"} 1');
+    expect(metrics).toContain('notes_operations_total{operation="deleted"} 1');
+  });
+
+  it("should report note counts by state and the log buffer size", () => {
+    createNote({ title: "Kept", content: "C" });
+    const trashed = createNote({ title: "Trashed", content: "C" });
+    deleteNote(trashed.id);
+
+    const metrics = renderMetrics();
+    expect(metrics).toContain('notes_count{state="active"} 1');
+    expect(metrics).toContain('notes_count{state="trashed"} 1');
+    expect(metrics).toContain(`log_buffer_entries ${loggerService.size()}`);
+    expect(metrics).toMatch(/^process_resident_memory_bytes \d+$/m);
+  });
+
+  it("should count HTTP requests by method, route and status", () => {
+    recordHttpRequest({ method: "GET", route: "/notes/:id", status: 200, durationSeconds: 0.02 });
+    recordHttpRequest({ method: "GET", route: "/notes/:id", status: 200, durationSeconds: 0.2 });
+
+    const metrics = renderMetrics();
+    expect(metrics).toContain(
+      'http_requests_total{method="GET",route="/notes/:id",status="200"} 2'
+    );
+    expect(metrics).toContain(
+      'http_request_duration_seconds_bucket{method="GET",route="/notes/:id",status="200",le="0.05"} 1'
+    );
+    expect(metrics).toContain(
+      'http_request_duration_seconds_count{method="GET",route="/notes/:id",status="200"} 2'
+    );
+  });
+});
@@ -6,11 +6,21 @@ import { notesDB } from "../db/notes-db.js";
 import {
   createNote,
   getAllNotes,
+  listNotes,
   getNoteById,
+  getNoteByIdOrSlug,
   updateNote,
+  patchNote,
   deleteNote,
+  getTrashedNotes,
+  restoreNote,
+  emptyTrash,
+  purgeExpiredNotes,
 } from "../services/notes-service.js";
+import { config } from "../config/config.js";
 import { loggerService } from "../services/logger-service.js";
+import { runWithRequestContext } from "../utils/request-context.js";
+import { formatError } from "../utils/error-handler.js";
 
 describe("Notes Service", () => {
   beforeEach(() => {
@@ -79,6 +89,20 @@ describe("Notes Service", () => {
       expect(() => createNote(null)).toThrow();
     });
 
+    it("should list every invalid and unknown field in details.errors", () => {
+      try {
+        createNote({ title: "", content: 42, pinned: true });
+        throw new Error("expected a validation error");
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.details.errors).toEqual([
+          { field: "title", rule: "required", message: "Title is required" },
+          { field: "content", rule: "type", message: "Content must be a string" },
+          { field: "pinned", rule: "unknown", message: "Unknown field 'pinned'" },
+        ]);
+      }
+    });
+
     it("should log NOTE_CREATED action on success", () => {
       const note = createNote({ title: "Test", content: "Content" });
       const logs = loggerService.getAll();
@@ -136,6 +160,54 @@ describe("Notes Service", () => {
     });
   });
 
+  describe("slugs", () => {
+    it("should give each note a unique slug from its title", () => {
+      const first = createNote({ title: "Café Plans: 2025!", content: "C" });
+      const second = createNote({ title: "cafe plans 2025", content: "C" });
+      const third = createNote({ title: "!!!", content: "C" });
+
+      expect(first.slug).toBe("cafe-plans-2025");
+      expect(second.slug).toBe("cafe-plans-2025-2");
+      expect(third.slug).toBe("note");
+    });
+
+    it("should find a note by ID or slug", () => {
+      const note = createNote({ title: "Weekly Review", content: "C" });
+
+      expect(getNoteByIdOrSlug(note.id)).toEqual(note);
+      expect(getNoteByIdOrSlug("weekly-review")).toEqual(note);
+      expect(() => getNoteByIdOrSlug("monthly-review")).toThrow(
+        "Note 'monthly-review' not found"
+      );
+
+      deleteNote(note.id);
+      expect(() => getNoteByIdOrSlug("weekly-review")).toThrow("not found");
+    });
+
+    it("should keep slugs unique per owner and find them among the user's notes", () => {
+      const asUser = (userId, fn) => runWithRequestContext({ requestId: "r", userId }, fn);
+      const alices = asUser("alice", () => createNote({ title: "Plan", content: "A" }));
+      const bobs = asUser("bob", () => createNote({ title: "Plan", content: "B" }));
+      const bobsSecond = asUser("bob", () => createNote({ title: "Plan", content: "B2" }));
+
+      expect(alices.slug).toBe("plan");
+      expect(bobs.slug).toBe("plan");
+      expect(bobsSecond.slug).toBe("plan-2");
+      expect(asUser("alice", () => getNoteByIdOrSlug("plan")).id).toBe(alices.id);
+      expect(asUser("bob", () => getNoteByIdOrSlug("plan")).id).toBe(bobs.id);
+      expect(() => asUser("alice", () => getNoteByIdOrSlug("plan-2"))).toThrow("not found");
+    });
+
+    it("should update the slug only when the title changes", () => {
+      const note = createNote({ title: "Draft", content: "C" });
+      createNote({ title: "Final", content: "C" });
+
+      expect(updateNote(note.id, { content: "New" }).slug).toBe("draft");
+      expect(updateNote(note.id, { title: "Final" }).slug).toBe("final-2");
+      expect(updateNote(note.id, { title: "Draft" }).slug).toBe("draft");
+    });
+  });
+
   describe("updateNote", () => {
     it("should update a note successfully", () => {
       const note = createNote({
@@ -210,11 +282,29 @@ describe("Notes Service", () => {
   });
 
   describe("deleteNote", () => {
-    it("should delete a note successfully", () => {
+    it("should move a note to the trash", () => {
       const note = createNote({ title: "To Delete", content: "Content" });
       const deleted = deleteNote(note.id);
 
       expect(deleted).toBe(true);
+      expect(notesDB.get(note.id).deletedAt).toBeDefined();
+      expect(getAllNotes()).toEqual([]);
+      expect(() => getNoteById(note.id)).toThrow("not found");
+    });
+
+    it("should delete a note permanently", () => {
+      const note = createNote({ title: "To Delete", content: "Content" });
+      deleteNote(note.id, { permanent: true });
+
+      expect(notesDB.has(note.id)).toBe(false);
+    });
+
+    it("should permanently delete a note that is already in the trash", () => {
+      const note = createNote({ title: "To Delete", content: "Content" });
+      deleteNote(note.id);
+
+      expect(() => deleteNote(note.id)).toThrow("not found");
+      deleteNote(note.id, { permanent: true });
       expect(notesDB.has(note.id)).toBe(false);
     });
 
@@ -234,5 +324,357 @@ describe("Notes Service", () => {
       expect(logs[0].details.noteId).toBe(note.id);
     });
   });
-});
 
+  describe("optimistic concurrency", () => {
+    it("should start at version 1 and increment on every update", () => {
+      const note = createNote({ title: "Title", content: "Content" });
+      expect(note.version).toBe(1);
+
+      expect(updateNote(note.id, { title: "New" }).version).toBe(2);
+      expect(updateNote(note.id, { tags: ["a"] }).version).toBe(3);
+    });
+
+    it("should update when the expected version matches", () => {
+      const note = createNote({ title: "Title", content: "Content" });
+
+      const updated = updateNote(
+        note.id,
+        { content: "Mine" },
+        { expectedVersion: 1 }
+      );
+      expect(updated.content).toBe("Mine");
+    });
+
+    it("should throw a conflict with the current note on a stale version", () => {
+      const note = createNote({ title: "Title", content: "Content" });
+      updateNote(note.id, { content: "Theirs" });
+
+      try {
+        updateNote(note.id, { content: "Mine" }, { expectedVersion: 1 });
+        throw new Error("Expected a conflict");
+      } catch (error) {
+        expect(error.code).toBe("CONFLICT");
+        expect(error.statusCode).toBe(409);
+        expect(error.details.currentVersion).toBe(2);
+        expect(error.details.current.content).toBe("Theirs");
+      }
+      expect(getNoteById(note.id).content).toBe("Theirs");
+    });
+
+    it("should still send the current note with a conflict in production", () => {
+      const nodeEnv = process.env.NODE_ENV;
+      const note = createNote({ title: "Title", content: "Content" });
+      updateNote(note.id, { content: "Theirs" });
+
+      try {
+        process.env.NODE_ENV = "production";
+        updateNote(note.id, { content: "Mine" }, { expectedVersion: 1 });
+        throw new Error("Expected a conflict");
+      } catch (error) {
+        const { statusCode, body } = formatError(error);
+        expect(statusCode).toBe(409);
+        expect(body.details).toEqual({ current: getNoteById(note.id) });
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+
+    it("should not delete a note on a stale version", () => {
+      const note = createNote({ title: "Title", content: "Content" });
+      updateNote(note.id, { content: "Theirs" });
+
+      expect(() => deleteNote(note.id, { expectedVersion: 1 })).toThrow(
+        "was modified by someone else"
+      );
+      expect(deleteNote(note.id, { expectedVersion: 2 })).toBe(true);
+    });
+  });
+
+  describe("patchNote", () => {
+    let note;
+
+    beforeEach(() => {
+      note = createNote({ title: "Title", content: "Content", tags: ["a"] });
+    });
+
+    it("should apply a merge patch to single fields", () => {
+      const patched = patchNote(
+        note.id,
+        { content: "  New content  ", tags: null },
+        { format: "merge-patch" }
+      );
+
+      expect(patched.title).toBe("Title");
+      expect(patched.content).toBe("New content");
+      expect(patched.tags).toEqual([]);
+      expect(patched.version).toBe(2);
+    });
+
+    it("should apply a JSON patch", () => {
+      const patched = patchNote(
+        note.id,
+        [
+          { op: "test", path: "/title", value: "Title" },
+          { op: "add", path: "/tags/-", value: "B" },
+        ],
+        { format: "json-patch" }
+      );
+
+      expect(patched.tags).toEqual(["a", "b"]);
+      expect(getNoteById(note.id).tags).toEqual(["a", "b"]);
+    });
+
+    it("should leave the note unchanged when any operation fails", () => {
+      const attempt = () =>
+        patchNote(
+          note.id,
+          [
+            { op: "replace", path: "/title", value: "Changed" },
+            { op: "test", path: "/content", value: "Other" },
+          ],
+          { format: "json-patch" }
+        );
+
+      expect(attempt).toThrow("Operation 1: Test failed");
+      try {
+        attempt();
+      } catch (error) {
+        expect(error.code).toBe("VALIDATION_ERROR");
+        expect(error.details.operation).toBe(1);
+      }
+      expect(getNoteById(note.id).title).toBe("Title");
+    });
+
+    it("should validate the patched note", () => {
+      expect(() =>
+        patchNote(note.id, { title: "" }, { format: "merge-patch" })
+      ).toThrow("Title is required");
+      expect(() =>
+        patchNote(note.id, { id: "other" }, { format: "merge-patch" })
+      ).toThrow("Field 'id' cannot be patched");
+      expect(() =>
+        patchNote(note.id, [{ op: "remove", path: "/content" }], {
+          format: "json-patch",
+        })
+      ).toThrow("Content is required");
+      expect(() =>
+        patchNote(note.id, ["title"], { format: "merge-patch" })
+      ).toThrow("Merge patch must be a JSON object");
+    });
+
+    it("should not bump the version for a patch that changes nothing", () => {
+      const patched = patchNote(note.id, { title: "Title" }, {
+        format: "merge-patch",
+      });
+      expect(patched.version).toBe(1);
+    });
+
+    it("should check the expected version", () => {
+      expect(() =>
+        patchNote(note.id, { title: "New" }, {
+          format: "merge-patch",
+          expectedVersion: 5,
+        })
+      ).toThrow("was modified by someone else");
+    });
+  });
+
+  describe("trash", () => {
+    it("should list trashed notes", () => {
+      const note = createNote({ title: "Trashed", content: "Content" });
+      deleteNote(note.id);
+
+      const trash = getTrashedNotes();
+      expect(trash).toHaveLength(1);
+      expect(trash[0].id).toBe(note.id);
+    });
+
+    it("should not allow updating a trashed note", () => {
+      const note = createNote({ title: "Trashed", content: "Content" });
+      deleteNote(note.id);
+
+      expect(() => updateNote(note.id, { title: "New" })).toThrow("not found");
+    });
+
+    it("should restore a note from the trash", () => {
+      const note = createNote({ title: "Trashed", content: "Content" });
+      deleteNote(note.id);
+
+      const restored = restoreNote(note.id);
+
+      expect(restored).toEqual(note);
+      expect(getNoteById(note.id)).toEqual(note);
+      expect(loggerService.getByAction("NOTE_RESTORED")).toHaveLength(1);
+    });
+
+    it("should throw not found when restoring a note that is not in the trash", () => {
+      const note = createNote({ title: "Active", content: "Content" });
+
+      expect(() => restoreNote(note.id)).toThrow("not found in trash");
+    });
+
+    it("should empty the trash", () => {
+      const kept = createNote({ title: "Kept", content: "Content" });
+      notesDB.set("trashed", {
+        ...kept,
+        id: "trashed",
+        deletedAt: new Date().toISOString(),
+      });
+
+      expect(emptyTrash()).toBe(1);
+      expect(notesDB.has("trashed")).toBe(false);
+      expect(notesDB.has(kept.id)).toBe(true);
+    });
+
+    it("should purge notes past the retention period only", () => {
+      const now = Date.now();
+      const day = 24 * 60 * 60 * 1000;
+      const retention = config.trash.retentionDays * day;
+      notesDB.set("old", {
+        id: "old",
+        title: "Old",
+        content: "Content",
+        deletedAt: new Date(now - retention - day).toISOString(),
+      });
+      notesDB.set("recent", {
+        id: "recent",
+        title: "Recent",
+        content: "Content",
+        deletedAt: new Date(now - day).toISOString(),
+      });
+
+      expect(purgeExpiredNotes(now)).toBe(1);
+      expect(notesDB.has("old")).toBe(false);
+      expect(notesDB.has("recent")).toBe(true);
+
+      const logs = loggerService.getByAction("TRASH_PURGED");
+      expect(logs[0].details).toEqual({ noteIds: ["old"], reason: "retention" });
+    });
+  });
+
+  describe("listNotes", () => {
+    const seed = () => {
+      [
+        { id: "a", title: "banana", createdAt: "2025-01-01T00:00:00.000Z", lastModified: "2025-03-01T00:00:00.000Z" },
+        { id: "b", title: "Apple", createdAt: "2025-01-02T00:00:00.000Z", lastModified: "2025-02-01T00:00:00.000Z" },
+        { id: "c", title: "cherry", createdAt: "2025-01-03T00:00:00.000Z", lastModified: "2025-04-01T00:00:00.000Z" },
+      ].forEach((note) => notesDB.set(note.id, { content: "x", ...note }));
+    };
+
+    it("should return the newest modified notes first by default", () => {
+      seed();
+      const page = listNotes();
+
+      expect(page.notes.map((n) => n.id)).toEqual(["c", "a", "b"]);
+      expect(page.total).toBe(3);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    it("should paginate with a cursor", () => {
+      seed();
+      const first = listNotes({ limit: "2" });
+      expect(first.notes.map((n) => n.id)).toEqual(["c", "a"]);
+      expect(first.nextCursor).toEqual(expect.any(String));
+
+      const second = listNotes({ limit: "2", cursor: first.nextCursor });
+      expect(second.notes.map((n) => n.id)).toEqual(["b"]);
+      expect(second.nextCursor).toBeNull();
+      expect(second.total).toBe(3);
+    });
+
+    it("should sort by title case-insensitively, ascending by default", () => {
+      seed();
+      expect(listNotes({ sort: "title" }).notes.map((n) => n.id)).toEqual([
+        "b",
+        "a",
+        "c",
+      ]);
+      expect(
+        listNotes({ sort: "createdAt", order: "asc" }).notes.map((n) => n.id)
+      ).toEqual(["a", "b", "c"]);
+    });
+
+    it("should filter by date range", () => {
+      seed();
+      const page = listNotes({
+        modifiedAfter: "2025-02-15",
+        modifiedBefore: "2025-04-01T00:00:00.000Z",
+      });
+
+      expect(page.notes.map((n) => n.id)).toEqual(["a"]);
+      expect(page.total).toBe(1);
+    });
+
+    it("should exclude notes in the trash", () => {
+      seed();
+      deleteNote("a");
+
+      expect(listNotes().total).toBe(2);
+    });
+
+    it("should reject invalid options", () => {
+      expect(() => listNotes({ limit: "500" })).toThrow("Limit must be");
+      expect(() => listNotes({ sort: "size" })).toThrow("Sort must be one of");
+      expect(() => listNotes({ order: "up" })).toThrow("Order must be");
+      expect(() => listNotes({ createdAfter: "soon" })).toThrow(
+        "createdAfter must be a valid date"
+      );
+      expect(() => listNotes({ cursor: "not-a-cursor" })).toThrow(
+        "Cursor is invalid"
+      );
+    });
+
+    it("should reject sort fields inherited from Object.prototype", () => {
+      seed();
+
+      ["hasOwnProperty", "__proto__", "constructor", "toString"].forEach((sort) => {
+        expect(() => listNotes({ sort })).toThrow("Sort must be one of");
+      });
+    });
+
+    it("should reject a cursor from different sort settings", () => {
+      seed();
+      const { nextCursor } = listNotes({ limit: "1" });
+
+      expect(() => listNotes({ cursor: nextCursor, sort: "title" })).toThrow(
+        "Cursor is invalid"
+      );
+    });
+  });
+
+  describe("ownership", () => {
+    const asUser = (userId, fn) => runWithRequestContext({ requestId: "r", userId }, fn);
+
+    it("should give new notes to the signed-in user", () => {
+      const note = asUser("alice", () => createNote({ title: "T", content: "C" }));
+
+      expect(note.ownerId).toBe("alice");
+      expect(createNote({ title: "System", content: "C" }).ownerId).toBeNull();
+    });
+
+    it("should hide other users' notes", () => {
+      const note = asUser("alice", () => createNote({ title: "Alice", content: "C" }));
+      asUser("bob", () => createNote({ title: "Bob", content: "C" }));
+
+      asUser("bob", () => {
+        expect(getAllNotes().map((n) => n.title)).toEqual(["Bob"]);
+        expect(listNotes().notes.map((n) => n.title)).toEqual(["Bob"]);
+        expect(() => getNoteById(note.id)).toThrow(`Note with id '${note.id}' not found`);
+        expect(() => updateNote(note.id, { title: "Mine" })).toThrow("not found");
+        expect(() => deleteNote(note.id)).toThrow("not found");
+      });
+      expect(getNoteById(note.id).title).toBe("Alice");
+    });
+
+    it("should only empty the user's own trash", () => {
+      const note = asUser("alice", () => createNote({ title: "Alice", content: "C" }));
+      asUser("alice", () => deleteNote(note.id));
+
+      asUser("bob", () => {
+        expect(getTrashedNotes()).toEqual([]);
+        emptyTrash();
+      });
+      expect(notesDB.has(note.id)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for Operation Log
+ */
+import { describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createOperationLog } from "../db/operation-log.js";
+
+describe("Operation Log", () => {
+  let dataDir;
+  let log;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "notes-wal-"));
+    log = createOperationLog({ filePath: path.join(dataDir, "notes.wal.ndjson") });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("should return no entries when the log does not exist", async () => {
+    expect(await log.read()).toEqual([]);
+    expect(log.size()).toBe(0);
+  });
+
+  it("should append entries as NDJSON and read them back in order", async () => {
+    log.append({ seq: 1, op: "set", id: "a", value: { id: "a" } });
+    log.append({ seq: 2, op: "delete", id: "a" });
+
+    expect(await log.read()).toEqual([
+      { seq: 1, op: "set", id: "a", value: { id: "a" } },
+      { seq: 2, op: "delete", id: "a" },
+    ]);
+    expect(fs.readFileSync(log.filePath, "utf8").split("\n")).toHaveLength(3);
+  });
+
+  it("should drop a torn final line", async () => {
+    log.append({ seq: 1, op: "clear" });
+    fs.appendFileSync(log.filePath, '{"seq":2,"op":');
+
+    expect(await log.read()).toEqual([{ seq: 1, op: "clear" }]);
+  });
+
+  it("should throw when a line before the end is corrupt", async () => {
+    fs.writeFileSync(log.filePath, 'garbage\n{"seq":1,"op":"clear"}\n');
+
+    await expect(log.read()).rejects.toThrow("Corrupt operation log entry at line 1");
+  });
+
+  it("should empty the log on reset", async () => {
+    log.append({ seq: 1, op: "clear" });
+    log.reset();
+
+    expect(log.size()).toBe(0);
+    expect(await log.read()).toEqual([]);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Unit tests for token buckets, the rate limit middleware and body parser errors
+ */
+import { describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import { config } from "../config/config.js";
+import { createTokenBuckets } from "../utils/token-bucket.js";
+import { rateLimit } from "../middleware/rate-limit.js";
+import { runWithRequestContext } from "../utils/request-context.js";
+import { formatError } from "../utils/error-handler.js";
+
+/**
+ * Builds a minimal Express-like request
+ */
+function fakeRequest(method = "GET", ip = "10.0.0.1") {
+  return { method, ip };
+}
+
+/**
+ * Builds a minimal Express-like response that records headers
+ */
+function fakeResponse() {
+  const headers = {};
+  return {
+    headers,
+    get: (name) => headers[name],
+    set: (name, value) => {
+      if (typeof name === "object") {
+        Object.assign(headers, name);
+      } else {
+        headers[name] = value;
+      }
+    },
+  };
+}
+
+/**
+ * Runs a middleware and returns what it passed to next()
+ */
+function run(middleware, req, res = fakeResponse()) {
+  let passed = "not called";
+  middleware(req, res, (error) => {
+    passed = error;
+  });
+  return passed;
+}
+
+describe("Token buckets", () => {
+  it("should allow a burst, then refill evenly over the window", () => {
+    const buckets = createTokenBuckets({ capacity: 3, windowMs: 3000 });
+
+    expect([0, 0, 0].map((t) => buckets.take("a", t).allowed)).toEqual([true, true, true]);
+    const rejected = buckets.take("a", 0);
+    expect(rejected).toMatchObject({ allowed: false, remaining: 0, retryAfterMs: 1000 });
+    expect(buckets.take("b", 0).allowed).toBe(true);
+
+    expect(buckets.take("a", 1000)).toMatchObject({
+      allowed: true,
+      remaining: 0,
+      resetMs: 3000,
+    });
+    expect(buckets.take("a", 10000)).toMatchObject({ allowed: true, remaining: 2 });
+  });
+
+  it("should forget idle clients before busy ones when full", () => {
+    const buckets = createTokenBuckets({ capacity: 2, windowMs: 1000, maxKeys: 2 });
+    buckets.take("idle", 0);
+    buckets.take("busy", 900);
+    buckets.take("busy", 900);
+
+    buckets.take("new", 1000);
+
+    expect(buckets.size).toBe(2);
+    expect(buckets.take("busy", 1000).remaining).toBe(0);
+  });
+});
+
+describe("rateLimit middleware", () => {
+  let limiter;
+
+  beforeEach(() => {
+    config.rateLimit.enabled = true;
+    limiter = rateLimit({
+      name: "writes",
+      capacity: 2,
+      windowMs: 60000,
+      methods: ["POST"],
+    });
+  });
+
+  afterEach(() => {
+    config.rateLimit.enabled = true;
+  });
+
+  it("should set RateLimit headers and reject with 429 when over budget", () => {
+    const res = fakeResponse();
+    expect(run(limiter, fakeRequest("POST"), res)).toBeUndefined();
+    expect(res.headers).toMatchObject({
+      "RateLimit-Policy": "2;w=60",
+      "RateLimit-Limit": "2",
+      "RateLimit-Remaining": "1",
+    });
+    run(limiter, fakeRequest("POST"));
+
+    const rejectedRes = fakeResponse();
+    const error = run(limiter, fakeRequest("POST"), rejectedRes);
+
+    expect(error).toMatchObject({
+      statusCode: 429,
+      code: "TOO_MANY_REQUESTS",
+      details: { limit: "writes", retryAfter: 30 },
+    });
+    expect(rejectedRes.headers["Retry-After"]).toBe("30");
+  });
+
+  it("should count users separately from their IP and skip other methods", () => {
+    run(limiter, fakeRequest("POST"));
+    run(limiter, fakeRequest("POST"));
+
+    expect(run(limiter, fakeRequest("GET"))).toBeUndefined();
+    expect(
+      runWithRequestContext({ requestId: "r", userId: "alice" }, () =>
+        run(limiter, fakeRequest("POST"))
+      )
+    ).toBeUndefined();
+    expect(run(limiter, fakeRequest("POST", "10.0.0.2"))).toBeUndefined();
+  });
+
+  it("should keep the headers of the budget closest to running out", () => {
+    const general = rateLimit({ name: "general", capacity: 100, windowMs: 60000 });
+    const res = fakeResponse();
+
+    run(limiter, fakeRequest("POST"), res);
+    run(general, fakeRequest("POST"), res);
+
+    expect(res.headers["RateLimit-Limit"]).toBe("2");
+  });
+
+  it("should do nothing when disabled", () => {
+    config.rateLimit.enabled = false;
+    const res = fakeResponse();
+
+    [1, 2, 3].forEach(() => expect(run(limiter, fakeRequest("POST"), res)).toBeUndefined());
+    expect(res.headers).toEqual({});
+  });
+});
+
+describe("Body parser errors", () => {
+  it("should be reported in the standard error shape", () => {
+    const tooLarge = Object.assign(new Error("request entity too large"), {
+      type: "entity.too.large",
+      statusCode: 413,
+      limit: 102400,
+    });
+
+    expect(formatError(tooLarge)).toEqual({
+      statusCode: 413,
+      body: {
+        error: "Request body is too large",
+        code: "PAYLOAD_TOO_LARGE",
+        details: { limit: 102400 },
+      },
+    });
+  });
+});
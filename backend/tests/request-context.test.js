@@ -0,0 +1,165 @@
+/**
+ * Unit tests for the request context and the request ID / access log middleware
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { EventEmitter } from "node:events";
+import {
+  runWithRequestContext,
+  getRequestId,
+} from "../utils/request-context.js";
+import { requestIdMiddleware } from "../middleware/request-id.js";
+import { accessLogMiddleware } from "../middleware/access-log.js";
+import { errorMiddleware } from "../middleware/error-middleware.js";
+import { loggerService, LogAction, LogLevel } from "../services/logger-service.js";
+import { createNotFoundError } from "../utils/error-handler.js";
+
+/**
+ * Builds a minimal Express-like request
+ */
+function fakeRequest(headers = {}, path = "/notes") {
+  return {
+    method: "GET",
+    path,
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+/**
+ * Builds a minimal Express-like response
+ */
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.statusCode = 200;
+  res.writableFinished = true;
+  res.headersSent = false;
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+  };
+  return res;
+}
+
+describe("Request Context", () => {
+  beforeEach(() => {
+    loggerService.clear();
+  });
+
+  it("should expose the request ID across awaits", async () => {
+    const seen = await runWithRequestContext({ requestId: "req-1" }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      return getRequestId();
+    });
+
+    expect(seen).toBe("req-1");
+    expect(getRequestId()).toBeUndefined();
+  });
+
+  it("should add the request ID to log entries made during the request", () => {
+    loggerService.add({ action: LogAction.NOTE_CREATED });
+    runWithRequestContext({ requestId: "req-2" }, () =>
+      loggerService.add({ action: LogAction.NOTE_UPDATED })
+    );
+
+    expect(loggerService.getAll().map((log) => log.requestId)).toEqual([
+      undefined,
+      "req-2",
+    ]);
+  });
+
+  describe("requestIdMiddleware", () => {
+    it("should reuse a valid incoming X-Request-Id", () => {
+      const req = fakeRequest({ "x-request-id": "client-abc.123" });
+      const res = fakeResponse();
+      let seen;
+
+      requestIdMiddleware(req, res, () => {
+        seen = getRequestId();
+      });
+
+      expect(req.id).toBe("client-abc.123");
+      expect(res.headers["X-Request-Id"]).toBe("client-abc.123");
+      expect(seen).toBe("client-abc.123");
+    });
+
+    it("should generate an ID when none or an invalid one is sent", () => {
+      const missing = fakeRequest();
+      const invalid = fakeRequest({ "x-request-id": "bad id\nvalue" });
+
+      requestIdMiddleware(missing, fakeResponse(), () => {});
+      requestIdMiddleware(invalid, fakeResponse(), () => {});
+
+      expect(missing.id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+      expect(invalid.id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+      expect(missing.id).not.toBe(invalid.id);
+    });
+  });
+
+  describe("accessLogMiddleware", () => {
+    it("should log method, path, status and duration when the response ends", () => {
+      const req = fakeRequest({ "x-request-id": "req-3" });
+      const res = fakeResponse();
+
+      requestIdMiddleware(req, res, () => accessLogMiddleware(req, res, () => {}));
+      res.statusCode = 404;
+      res.emit("close");
+
+      const [entry] = loggerService.getByAction(LogAction.REQUEST_COMPLETED);
+      expect(entry.requestId).toBe("req-3");
+      expect(entry.level).toBe(LogLevel.WARN);
+      expect(entry.details).toEqual({
+        method: "GET",
+        path: "/notes",
+        status: 404,
+        durationMs: expect.any(Number),
+      });
+    });
+
+    it("should not log public link tokens", () => {
+      const req = fakeRequest({}, "/s/secret-token");
+      const res = fakeResponse();
+
+      accessLogMiddleware(req, res, () => {});
+      res.emit("close");
+
+      const [entry] = loggerService.getByAction(LogAction.REQUEST_COMPLETED);
+      expect(entry.details.path).toBe("/s/:token");
+      expect(JSON.stringify(entry)).not.toContain("secret-token");
+    });
+
+    it("should mark requests the client abandoned", () => {
+      const req = fakeRequest();
+      const res = fakeResponse();
+      res.writableFinished = false;
+
+      accessLogMiddleware(req, res, () => {});
+      res.emit("close");
+
+      const [entry] = loggerService.getByAction(LogAction.REQUEST_COMPLETED);
+      expect(entry.details.aborted).toBe(true);
+      expect(entry.level).toBe(LogLevel.INFO);
+    });
+  });
+
+  describe("errorMiddleware", () => {
+    it("should include the request ID in the error body", () => {
+      const req = { id: "req-4" };
+      const res = fakeResponse();
+
+      errorMiddleware(createNotFoundError("Note not found"), req, res, () => {});
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body).toMatchObject({
+        error: "Note not found",
+        code: "NOT_FOUND",
+        requestId: "req-4",
+      });
+    });
+  });
+});
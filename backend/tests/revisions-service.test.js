@@ -0,0 +1,130 @@
+/**
+ * Unit tests for Revisions Service and note revision operations
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import { revisionsDB } from "../db/revisions-db.js";
+import { config } from "../config/config.js";
+import {
+  recordRevision,
+  listRevisions,
+  getRevision,
+} from "../services/revisions-service.js";
+import {
+  createNote,
+  updateNote,
+  deleteNote,
+  getNoteRevisions,
+  getNoteRevision,
+  restoreNoteRevision,
+} from "../services/notes-service.js";
+import { loggerService, LogAction } from "../services/logger-service.js";
+
+describe("Revisions Service", () => {
+  beforeEach(() => {
+    notesDB.clear();
+    revisionsDB.clear();
+    loggerService.clear();
+  });
+
+  describe("recordRevision", () => {
+    it("should number revisions incrementally per note", () => {
+      const note = { id: "n1", title: "T", content: "C", lastModified: "x" };
+
+      expect(recordRevision(note).rev).toBe(1);
+      expect(recordRevision(note).rev).toBe(2);
+      expect(recordRevision({ ...note, id: "n2" }).rev).toBe(1);
+    });
+
+    it("should keep only the newest maxPerNote revisions", () => {
+      const note = { id: "n1", title: "T", content: "C", lastModified: "x" };
+      const total = config.revisions.maxPerNote + 3;
+      for (let i = 0; i < total; i++) {
+        recordRevision(note);
+      }
+
+      const revisions = listRevisions("n1");
+      expect(revisions).toHaveLength(config.revisions.maxPerNote);
+      expect(revisions[0].rev).toBe(total);
+      expect(() => getRevision("n1", 1)).toThrow("not found");
+    });
+  });
+
+  describe("getRevision", () => {
+    it("should reject a non-numeric revision", () => {
+      expect(() => getRevision("n1", "abc")).toThrow(
+        "Revision must be a positive integer"
+      );
+    });
+  });
+
+  describe("updateNote", () => {
+    it("should record the replaced version as a revision", () => {
+      const note = createNote({ title: "Original", content: "Body" });
+      updateNote(note.id, { title: "Changed" });
+
+      const revisions = getNoteRevisions(note.id);
+      expect(revisions).toHaveLength(1);
+      expect(revisions[0]).toMatchObject({ rev: 1, title: "Original" });
+      expect(revisions[0]).not.toHaveProperty("content");
+
+      const revision = getNoteRevision(note.id, "1");
+      expect(revision.content).toBe("Body");
+    });
+
+    it("should not record a revision when nothing changed", () => {
+      const note = createNote({ title: "Same", content: "Same" });
+      updateNote(note.id, { title: "Same", content: "Same" });
+
+      expect(getNoteRevisions(note.id)).toEqual([]);
+    });
+  });
+
+  describe("restoreNoteRevision", () => {
+    it("should restore title and content and keep the current version", () => {
+      const note = createNote({ title: "v1", content: "first" });
+      updateNote(note.id, { title: "v2", content: "second" });
+
+      const restored = restoreNoteRevision(note.id, 1);
+
+      expect(restored.title).toBe("v1");
+      expect(restored.content).toBe("first");
+      expect(getNoteRevisions(note.id).map((r) => r.title)).toEqual([
+        "v2",
+        "v1",
+      ]);
+    });
+
+    it("should log NOTE_REVISION_RESTORED", () => {
+      const note = createNote({ title: "v1", content: "first" });
+      updateNote(note.id, { title: "v2" });
+      restoreNoteRevision(note.id, 1);
+
+      const logs = loggerService.getByAction(LogAction.NOTE_REVISION_RESTORED);
+      expect(logs).toHaveLength(1);
+      expect(logs[0].details).toEqual({ noteId: note.id, rev: 1 });
+    });
+
+    it("should throw not found for a missing note", () => {
+      expect(() => restoreNoteRevision("nonexistent", 1)).toThrow("not found");
+    });
+  });
+
+  describe("deleteNote", () => {
+    it("should keep the revision history while the note is in the trash", () => {
+      const note = createNote({ title: "v1", content: "first" });
+      updateNote(note.id, { title: "v2" });
+      deleteNote(note.id);
+
+      expect(revisionsDB.has(note.id)).toBe(true);
+    });
+
+    it("should remove the revision history on permanent delete", () => {
+      const note = createNote({ title: "v1", content: "first" });
+      updateNote(note.id, { title: "v2" });
+      deleteNote(note.id, { permanent: true });
+
+      expect(revisionsDB.has(note.id)).toBe(false);
+    });
+  });
+});
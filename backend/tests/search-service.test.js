@@ -0,0 +1,143 @@
+/**
+ * Unit tests for Search Service and note search
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import {
+  tokenize,
+  indexNote,
+  removeNote,
+  clearIndex,
+  search,
+} from "../services/search-service.js";
+import {
+  createNote,
+  updateNote,
+  deleteNote,
+  restoreNote,
+  searchNotes,
+} from "../services/notes-service.js";
+import { loggerService, LogAction } from "../services/logger-service.js";
+
+const note = (id, title, content) => ({
+  id,
+  title,
+  content,
+  lastModified: "2025-11-24T10:00:00.000Z",
+});
+
+describe("Search Service", () => {
+  beforeEach(() => {
+    clearIndex();
+    notesDB.clear();
+    loggerService.clear();
+  });
+
+  describe("tokenize", () => {
+    it("should lowercase terms and keep character offsets", () => {
+      expect(tokenize("Hello, World-2!")).toEqual([
+        { term: "hello", start: 0, end: 5 },
+        { term: "world", start: 7, end: 12 },
+        { term: "2", start: 13, end: 14 },
+      ]);
+    });
+
+    it("should handle non-ASCII letters", () => {
+      expect(tokenize("Čaj über").map((t) => t.term)).toEqual(["čaj", "über"]);
+    });
+  });
+
+  describe("search", () => {
+    it("should find notes containing every term", () => {
+      indexNote(note("1", "Groceries", "milk and eggs"));
+      indexNote(note("2", "Recipe", "eggs and flour"));
+
+      expect(search("eggs").results.map((r) => r.id).sort()).toEqual(["1", "2"]);
+      expect(search("eggs milk").results.map((r) => r.id)).toEqual(["1"]);
+      expect(search("eggs tea").total).toBe(0);
+    });
+
+    it("should match prefixes with a trailing *", () => {
+      indexNote(note("1", "Meeting", "weekly sync"));
+
+      expect(search("meet").total).toBe(0);
+      expect(search("meet*").results.map((r) => r.id)).toEqual(["1"]);
+    });
+
+    it("should match quoted phrases only when terms are adjacent", () => {
+      indexNote(note("1", "A", "action items for today"));
+      indexNote(note("2", "B", "items of action"));
+
+      expect(search('"action items"').results.map((r) => r.id)).toEqual(["1"]);
+    });
+
+    it("should rank title matches above content matches", () => {
+      indexNote(note("1", "Notes", "budget review"));
+      indexNote(note("2", "Budget", "quarterly numbers"));
+
+      expect(search("budget").results.map((r) => r.id)).toEqual(["2", "1"]);
+    });
+
+    it("should return highlighted title ranges and content snippets", () => {
+      indexNote(note("1", "Budget plan", "Draft the budget before Friday"));
+
+      const [result] = search("budget").results;
+      expect(result.highlights.title).toEqual([[0, 6]]);
+      const [[start, end]] = result.snippet.highlights;
+      expect(result.snippet.text.slice(start, end)).toBe("budget");
+    });
+
+    it("should trim long content around the first match", () => {
+      const content = `${"x ".repeat(100)}needle${" y".repeat(100)}`;
+      indexNote(note("1", "Long", content));
+
+      const { snippet } = search("needle").results[0];
+      expect(snippet.text.startsWith("…")).toBe(true);
+      expect(snippet.text.endsWith("…")).toBe(true);
+      const [[start, end]] = snippet.highlights;
+      expect(snippet.text.slice(start, end)).toBe("needle");
+    });
+
+    it("should forget removed notes", () => {
+      indexNote(note("1", "Temp", "remove me"));
+      removeNote("1");
+
+      expect(search("remove").total).toBe(0);
+    });
+
+    it("should throw a validation error for an empty query", () => {
+      expect(() => search("  ")).toThrow("Search query is required");
+      expect(() => search(undefined)).toThrow("Search query is required");
+    });
+  });
+
+  describe("searchNotes", () => {
+    it("should keep the index in sync with create, update, delete and restore", () => {
+      const created = createNote({ title: "Alpha", content: "first draft" });
+      expect(searchNotes("alpha").total).toBe(1);
+
+      updateNote(created.id, { title: "Beta" });
+      expect(searchNotes("alpha").total).toBe(0);
+      expect(searchNotes("beta").total).toBe(1);
+
+      deleteNote(created.id);
+      expect(searchNotes("beta").total).toBe(0);
+
+      restoreNote(created.id);
+      expect(searchNotes("beta").total).toBe(1);
+    });
+
+    it("should reject an invalid limit", () => {
+      expect(() => searchNotes("x", { limit: "0" })).toThrow(
+        "Limit must be an integer between 1 and 100"
+      );
+    });
+
+    it("should log NOTES_SEARCHED", () => {
+      searchNotes("anything");
+
+      const logs = loggerService.getByAction(LogAction.NOTES_SEARCHED);
+      expect(logs[0].details).toEqual({ query: "anything", total: 0 });
+    });
+  });
+});
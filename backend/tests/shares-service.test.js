@@ -0,0 +1,207 @@
+/**
+ * Unit tests for Shares Service and the note permission checks
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import { foldersDB } from "../db/folders-db.js";
+import { usersDB } from "../db/users-db.js";
+import { sharesDB } from "../db/shares-db.js";
+import {
+  NoteRole,
+  getNoteRole,
+  shareNote,
+  listShares,
+  revokeShare,
+  getSharedNotes,
+} from "../services/shares-service.js";
+import {
+  createNote,
+  getNoteById,
+  updateNote,
+  patchNote,
+  deleteNote,
+} from "../services/notes-service.js";
+import { createFolder } from "../services/folders-service.js";
+import { loggerService, LogAction } from "../services/logger-service.js";
+import { runWithRequestContext } from "../utils/request-context.js";
+
+const asUser = (userId, fn) => runWithRequestContext({ requestId: "r", userId }, fn);
+
+describe("Shares Service", () => {
+  let note;
+
+  beforeEach(() => {
+    notesDB.clear();
+    foldersDB.clear();
+    usersDB.clear();
+    sharesDB.clear();
+    loggerService.clear();
+    for (const [id, username] of [
+      ["alice", "Alice"],
+      ["bob", "bob"],
+      ["carol", "carol"],
+    ]) {
+      usersDB.set(id, {
+        id,
+        username,
+        passwordHash: "x",
+        createdAt: "2025-01-01T00:00:00.000Z",
+      });
+    }
+    note = asUser("alice", () => createNote({ title: "Plan", content: "Draft" }));
+  });
+
+  describe("shareNote", () => {
+    it("should share a note by username and report role changes", () => {
+      const first = asUser("alice", () =>
+        shareNote(note.id, { username: "BOB", role: "viewer" })
+      );
+      const second = asUser("alice", () =>
+        shareNote(note.id, { userId: "bob", role: "editor" })
+      );
+
+      expect(first.created).toBe(true);
+      expect(first.share).toMatchObject({
+        noteId: note.id,
+        userId: "bob",
+        username: "bob",
+        role: "viewer",
+        grantedBy: "alice",
+      });
+      expect(second.created).toBe(false);
+      expect(second.share.role).toBe("editor");
+      expect(loggerService.getByAction(LogAction.NOTE_SHARED)).toHaveLength(2);
+    });
+
+    it("should reject invalid shares", () => {
+      asUser("alice", () => {
+        expect(() => shareNote(note.id, { username: "bob", role: "owner" })).toThrow(
+          "Role must be one of: viewer, editor"
+        );
+        expect(() => shareNote(note.id, { username: "dave", role: "viewer" })).toThrow(
+          "User 'dave' not found"
+        );
+        expect(() => shareNote(note.id, { username: "alice", role: "viewer" })).toThrow(
+          "A note can't be shared with its owner"
+        );
+        expect(() => shareNote(note.id, { role: "viewer" })).toThrow(
+          "username or userId is required"
+        );
+      });
+    });
+
+    it("should only let the owner manage shares", () => {
+      asUser("alice", () => shareNote(note.id, { username: "bob", role: "editor" }));
+
+      asUser("bob", () => {
+        expect(() => shareNote(note.id, { username: "carol", role: "viewer" })).toThrow(
+          "Only the owner can manage who a note is shared with"
+        );
+        expect(() => listShares(note.id)).toThrow("Only the owner");
+      });
+      asUser("carol", () => {
+        expect(() => listShares(note.id)).toThrow(`Note with id '${note.id}' not found`);
+      });
+    });
+  });
+
+  describe("revokeShare", () => {
+    it("should let the owner or the user themselves remove a share", () => {
+      asUser("alice", () => {
+        shareNote(note.id, { username: "bob", role: "viewer" });
+        shareNote(note.id, { username: "carol", role: "viewer" });
+      });
+
+      asUser("alice", () => revokeShare(note.id, "bob"));
+      asUser("carol", () => revokeShare(note.id, "carol"));
+
+      expect(asUser("alice", () => listShares(note.id))).toEqual([]);
+      expect(() => asUser("alice", () => revokeShare(note.id, "bob"))).toThrow(
+        "is not shared with user 'bob'"
+      );
+    });
+  });
+
+  describe("permissions", () => {
+    it("should give each user their role", () => {
+      asUser("alice", () => shareNote(note.id, { username: "bob", role: "viewer" }));
+      const stored = notesDB.get(note.id);
+
+      expect(asUser("alice", () => getNoteRole(stored))).toBe(NoteRole.OWNER);
+      expect(asUser("bob", () => getNoteRole(stored))).toBe(NoteRole.VIEWER);
+      expect(asUser("carol", () => getNoteRole(stored))).toBeNull();
+      expect(getNoteRole(stored)).toBe(NoteRole.OWNER);
+    });
+
+    it("should let viewers read but not write", () => {
+      asUser("alice", () => shareNote(note.id, { username: "bob", role: "viewer" }));
+
+      asUser("bob", () => {
+        expect(getNoteById(note.id).title).toBe("Plan");
+        expect(() => updateNote(note.id, { title: "Mine" })).toThrow(
+          "You need editor access to this note"
+        );
+        expect(() => deleteNote(note.id)).toThrow("You need owner access to this note");
+      });
+      asUser("carol", () => {
+        expect(() => getNoteById(note.id)).toThrow("not found");
+      });
+    });
+
+    it("should let editors edit but not move or delete", () => {
+      const folder = asUser("alice", () => createFolder({ name: "Work" }));
+      asUser("alice", () => {
+        updateNote(note.id, { folderId: folder.id });
+        shareNote(note.id, { username: "bob", role: "editor" });
+      });
+      const bobsFolder = asUser("bob", () => createFolder({ name: "Mine" }));
+
+      asUser("bob", () => {
+        expect(updateNote(note.id, { title: "Plan v2", folderId: folder.id }).title).toBe(
+          "Plan v2"
+        );
+        expect(
+          patchNote(note.id, { content: "Final" }, { format: "merge-patch" }).content
+        ).toBe("Final");
+        expect(() => updateNote(note.id, { folderId: bobsFolder.id })).toThrow(
+          "Only the owner can move this note"
+        );
+        expect(() => deleteNote(note.id)).toThrow("You need owner access");
+      });
+      expect(notesDB.get(note.id).folderId).toBe(folder.id);
+    });
+
+    it("should hide trashed notes from everyone but the owner", () => {
+      asUser("alice", () => shareNote(note.id, { username: "bob", role: "editor" }));
+      asUser("alice", () => deleteNote(note.id));
+
+      asUser("bob", () => {
+        expect(() => getNoteById(note.id)).toThrow("not found");
+        expect(getSharedNotes()).toEqual([]);
+      });
+    });
+
+    it("should remove shares when a note is deleted for good", () => {
+      asUser("alice", () => shareNote(note.id, { username: "bob", role: "viewer" }));
+      asUser("alice", () => deleteNote(note.id, { permanent: true }));
+
+      expect(sharesDB.size).toBe(0);
+    });
+  });
+
+  describe("getSharedNotes", () => {
+    it("should list notes shared with the user, with role and owner", () => {
+      asUser("alice", () => shareNote(note.id, { username: "bob", role: "editor" }));
+
+      expect(asUser("bob", () => getSharedNotes())).toEqual([
+        expect.objectContaining({
+          id: note.id,
+          title: "Plan",
+          role: "editor",
+          ownerUsername: "Alice",
+        }),
+      ]);
+      expect(asUser("carol", () => getSharedNotes())).toEqual([]);
+    });
+  });
+});
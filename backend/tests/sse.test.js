@@ -0,0 +1,24 @@
+/**
+ * Unit tests for Server-Sent Events utilities
+ */
+import { describe, it, expect } from "@jest/globals";
+import { formatSseMessage, formatSseComment } from "../utils/sse.js";
+
+describe("SSE Utilities", () => {
+  it("should format an event with JSON data", () => {
+    expect(
+      formatSseMessage({ id: "a-1", event: "note.created", data: { id: "n1" } })
+    ).toBe('id: a-1\nevent: note.created\ndata: {"id":"n1"}\n\n');
+  });
+
+  it("should split multi-line data and keep other fields on one line", () => {
+    expect(formatSseMessage({ event: "x\ny", data: "one\ntwo\r\nthree" })).toBe(
+      "event: x y\ndata: one\ndata: two\ndata: three\n\n"
+    );
+  });
+
+  it("should format the retry field and comments", () => {
+    expect(formatSseMessage({ retry: 3000 })).toBe("retry: 3000\n\n");
+    expect(formatSseComment("heartbeat")).toBe(": heartbeat\n\n");
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * End-to-end test of server startup: runs app.js with file storage and
+ * checks the probes over HTTP while the operation log is replayed
+ */
+import { describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const APP_PATH = fileURLToPath(new URL("../app.js", import.meta.url));
+// Enough log entries that replaying them takes a while
+const LOG_ENTRIES = 200000;
+
+/**
+ * Writes a notes operation log that rewrites a few notes many times
+ *
+ * @param {string} dataDir - Storage directory
+ */
+function writeLongNotesLog(dataDir) {
+  const lines = [];
+  for (let seq = 1; seq <= LOG_ENTRIES; seq++) {
+    const id = `note-${seq % 10}`;
+    const value = { id, title: `Note ${seq}`, content: "", lastModified: "2025-01-01" };
+    lines.push(JSON.stringify({ seq, op: "set", id, value }));
+  }
+  fs.writeFileSync(path.join(dataDir, "notes.wal.ndjson"), `${lines.join("\n")}\n`);
+}
+
+/**
+ * Runs app.js with file storage
+ *
+ * @param {string} dataDir - Storage directory
+ * @param {number} port - Port to listen on (0 for any free one)
+ * @param {string} stderr - What to do with its stderr ("inherit" or "pipe")
+ * @returns {Object} Child process
+ */
+function spawnServer(dataDir, port, stderr) {
+  return spawn(process.execPath, [APP_PATH], {
+    env: {
+      ...process.env,
+      NODE_OPTIONS: "",
+      PORT: String(port),
+      STORAGE_DRIVER: "file",
+      STORAGE_DATA_DIR: dataDir,
+      STORAGE_MAX_LOG_BYTES: String(1024 * 1024 * 1024),
+      LOG_SINKS: "memory",
+    },
+    stdio: ["ignore", "pipe", stderr],
+  });
+}
+
+/**
+ * Starts the server and resolves with its port once it is listening
+ *
+ * @param {string} dataDir - Storage directory
+ * @returns {Promise<{child: Object, port: number}>}
+ */
+function startServer(dataDir) {
+  const child = spawnServer(dataDir, 0, "inherit");
+  return new Promise((resolve, reject) => {
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      const match = /Server running on port (\d+)/.exec(output);
+      if (match) {
+        child.stdout.removeAllListeners("data");
+        resolve({ child, port: Number(match[1]) });
+      }
+    });
+    child.on("exit", (code) => reject(new Error(`Server exited with code ${code}`)));
+  });
+}
+
+describe("Server startup", () => {
+  let dataDir;
+  let server;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "notes-startup-"));
+    writeLongNotesLog(dataDir);
+  });
+
+  afterEach(async () => {
+    if (server && server.child.exitCode === null) {
+      const exited = new Promise((resolve) => server.child.once("exit", resolve));
+      server.child.kill("SIGTERM");
+      await exited;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("should report starting over HTTP until the data is loaded", async () => {
+    server = await startServer(dataDir);
+    const url = (route) => `http://127.0.0.1:${server.port}${route}`;
+
+    const starting = await fetch(url("/health/ready"));
+    expect(starting.status).toBe(503);
+    expect((await starting.json()).checks.lifecycle).toMatchObject({
+      status: "fail",
+      error: "server is starting",
+    });
+    expect((await fetch(url("/health/live"))).status).toBe(200);
+    const notes = await fetch(url("/notes"));
+    expect(notes.status).toBe(503);
+    expect(notes.headers.get("retry-after")).toBe("1");
+
+    let ready;
+    do {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      ready = await fetch(url("/health/ready"));
+    } while (ready.status === 503);
+    expect(ready.status).toBe(200);
+    expect((await ready.json()).checks.lifecycle.state).toBe("ready");
+  }, 60000);
+
+  it("should exit with a clear message when the port is in use", async () => {
+    server = await startServer(dataDir);
+
+    const second = spawnServer(dataDir, server.port, "pipe");
+    let stderr = "";
+    second.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    const code = await new Promise((resolve) => second.once("exit", resolve));
+
+    expect(code).toBe(1);
+    expect(stderr).toContain(`Could not listen on port ${server.port}`);
+    expect(stderr).toContain("EADDRINUSE");
+    expect(stderr).not.toContain("TypeError");
+  }, 60000);
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for Tags Service and note tags
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import { getTags, renameTag } from "../services/tags-service.js";
+import {
+  createNote,
+  updateNote,
+  deleteNote,
+  listNotes,
+} from "../services/notes-service.js";
+import { loggerService, LogAction } from "../services/logger-service.js";
+
+// Note IDs are timestamp-based, so multi-note tests seed the DB directly
+const seedNote = (id, tags) =>
+  notesDB.set(id, {
+    id,
+    title: `Note ${id}`,
+    content: "Content",
+    tags,
+    lastModified: "2025-11-24T10:00:00.000Z",
+  });
+
+describe("Tags", () => {
+  beforeEach(() => {
+    notesDB.clear();
+    loggerService.clear();
+  });
+
+  describe("createNote with tags", () => {
+    it("should normalize tags to trimmed lowercase without duplicates", () => {
+      const note = createNote({
+        title: "Tagged",
+        content: "Content",
+        tags: [" Work ", "work", "Q4-plan"],
+      });
+
+      expect(note.tags).toEqual(["work", "q4-plan"]);
+    });
+
+    it("should default to no tags", () => {
+      const note = createNote({ title: "Plain", content: "Content" });
+      expect(note.tags).toEqual([]);
+    });
+
+    it("should reject invalid tags with a validation error", () => {
+      const attempt = (tags) => () =>
+        createNote({ title: "T", content: "C", tags });
+
+      expect(attempt("work")).toThrow("Tags must be an array of strings");
+      expect(attempt([""])).toThrow("Tags must be non-empty strings");
+      expect(attempt(["two words"])).toThrow("may only contain");
+      expect(attempt(["x".repeat(33)])).toThrow("cannot be longer than 32");
+
+      try {
+        attempt([42])();
+      } catch (error) {
+        expect(error.code).toBe("VALIDATION_ERROR");
+        expect(error.details.field).toBe("tags");
+      }
+    });
+  });
+
+  describe("updateNote with tags", () => {
+    it("should replace tags and keep them when not provided", () => {
+      const note = createNote({ title: "T", content: "C", tags: ["a"] });
+
+      expect(updateNote(note.id, { tags: ["b", "c"] }).tags).toEqual(["b", "c"]);
+      expect(updateNote(note.id, { title: "New" }).tags).toEqual(["b", "c"]);
+    });
+  });
+
+  describe("listNotes with tag filter", () => {
+    it("should return only notes carrying every requested tag", () => {
+      seedNote("1", ["work", "urgent"]);
+      seedNote("2", ["work"]);
+
+      expect(listNotes({ tag: "Work" }).total).toBe(2);
+      expect(listNotes({ tag: ["work", "urgent"] }).total).toBe(1);
+    });
+  });
+
+  describe("getTags", () => {
+    it("should return tags with usage counts, most used first", () => {
+      seedNote("1", ["work", "home"]);
+      seedNote("2", ["work"]);
+
+      expect(getTags()).toEqual([
+        { name: "work", count: 2 },
+        { name: "home", count: 1 },
+      ]);
+    });
+
+    it("should not count notes in the trash", () => {
+      const note = createNote({ title: "1", content: "C", tags: ["old"] });
+      deleteNote(note.id);
+
+      expect(getTags()).toEqual([]);
+    });
+  });
+
+  describe("renameTag", () => {
+    it("should rename a tag on every note and merge duplicates", () => {
+      seedNote("a", ["todo", "work"]);
+      seedNote("b", ["todo", "tasks"]);
+
+      const result = renameTag("todo", "Tasks");
+
+      expect(result).toEqual({ name: "tasks", count: 2 });
+      expect(notesDB.get("a").tags).toEqual(["tasks", "work"]);
+      expect(notesDB.get("b").tags).toEqual(["tasks"]);
+
+      const logs = loggerService.getByAction(LogAction.TAG_RENAMED);
+      expect(logs[0].details.from).toBe("todo");
+      expect(logs[0].details.to).toBe("tasks");
+    });
+
+    it("should throw not found for an unknown tag", () => {
+      expect(() => renameTag("missing", "other")).toThrow("Tag 'missing' not found");
+    });
+
+    it("should throw a validation error for an invalid new name", () => {
+      createNote({ title: "1", content: "C", tags: ["todo"] });
+
+      expect(() => renameTag("todo", "")).toThrow("Tags must be non-empty strings");
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for Text Operations (operational transformation)
+ */
+import { describe, it, expect } from "@jest/globals";
+import {
+  isOperation,
+  applyOperation,
+  transform,
+  compose,
+  transformPosition,
+  diffToOperation,
+} from "../utils/text-operation.js";
+
+describe("Text Operations", () => {
+  it("should apply retains, inserts and deletes", () => {
+    expect(applyOperation("Hello world", [6, "big ", 5])).toBe("Hello big world");
+    expect(applyOperation("Hello world", [5, -6])).toBe("Hello");
+    expect(() => applyOperation("Hello", [6])).toThrow();
+  });
+
+  it("should recognize well-formed operations", () => {
+    expect(isOperation([3, "x", -2])).toBe(true);
+    expect(isOperation([])).toBe(true);
+    expect(isOperation([0])).toBe(false);
+    expect(isOperation([""])).toBe(false);
+    expect(isOperation([1.5])).toBe(false);
+    expect(isOperation("x")).toBe(false);
+  });
+
+  it("should build the operation between two texts", () => {
+    expect(diffToOperation("Hello world", "Hello, world")).toEqual([5, ",", 6]);
+    expect(diffToOperation("Hello world", "Help world")).toEqual([3, "p", -2, 6]);
+    expect(diffToOperation("same", "same")).toEqual([4]);
+    expect(diffToOperation("", "new")).toEqual(["new"]);
+  });
+
+  it("should converge whichever order concurrent edits are applied in", () => {
+    const text = "The meeting starts at ten";
+    const edits = [
+      "The team meeting starts at ten",
+      "The meeting starts at 10",
+      "meeting starts at ten!",
+      "",
+      "The meeting starts at ten",
+    ];
+
+    edits.forEach((first) => {
+      edits.forEach((second) => {
+        const a = diffToOperation(text, first);
+        const b = diffToOperation(text, second);
+        const [aPrime, bPrime] = transform(a, b);
+        expect(applyOperation(applyOperation(text, a), bPrime)).toBe(
+          applyOperation(applyOperation(text, b), aPrime)
+        );
+      });
+    });
+  });
+
+  it("should put the first operation's text first when both insert at one place", () => {
+    const [aPrime, bPrime] = transform([3, "A"], [3, "B"]);
+    expect(applyOperation("abcA", bPrime)).toBe("abcAB");
+    expect(applyOperation("abcB", aPrime)).toBe("abcAB");
+  });
+
+  it("should compose consecutive operations into one", () => {
+    const a = diffToOperation("Notes", "My notes");
+    const b = diffToOperation("My notes", "My notes!");
+    const both = compose(a, b);
+    expect(applyOperation("Notes", both)).toBe("My notes!");
+    expect(compose([2, "xy", 1], [2, -2, 1])).toEqual([3]);
+  });
+
+  it("should move positions along with an operation", () => {
+    expect(transformPosition(3, [1, "ab", 4])).toBe(5);
+    expect(transformPosition(1, [1, "ab", 4])).toBe(3);
+    expect(transformPosition(0, [1, "ab", 4])).toBe(0);
+    expect(transformPosition(4, [1, -3, 1])).toBe(1);
+    expect(transformPosition(2, [1, -3, 1])).toBe(1);
+  });
+});
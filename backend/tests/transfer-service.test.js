@@ -0,0 +1,217 @@
+/**
+ * Unit tests for Transfer Service (export and import)
+ */
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { notesDB } from "../db/notes-db.js";
+import { revisionsDB } from "../db/revisions-db.js";
+import { foldersDB } from "../db/folders-db.js";
+import { exportNotes, importNotes } from "../services/transfer-service.js";
+import {
+  createNote,
+  deleteNote,
+  getNoteById,
+  getNoteRevisions,
+} from "../services/notes-service.js";
+import { createFolder } from "../services/folders-service.js";
+import { searchService } from "../services/search-service.js";
+import { loggerService, LogAction } from "../services/logger-service.js";
+
+// Collects an export's chunks into one Buffer
+const collect = ({ chunks }) =>
+  Buffer.concat([...chunks].map((chunk) => Buffer.from(chunk)));
+
+describe("Transfer Service", () => {
+  let folder;
+  let note;
+
+  beforeEach(() => {
+    notesDB.clear();
+    revisionsDB.clear();
+    foldersDB.clear();
+    searchService.clearIndex();
+    folder = createFolder({ name: "Work" });
+    note = createNote({
+      title: "Plan",
+      content: "Ship it",
+      tags: ["work"],
+      folderId: folder.id,
+    });
+    loggerService.clear();
+  });
+
+  describe("exportNotes", () => {
+    it("should export active notes as a JSON bundle", () => {
+      const trashed = createNote({ title: "Old", content: "Gone" });
+      deleteNote(trashed.id);
+
+      const result = exportNotes("json");
+      const bundle = JSON.parse(collect(result).toString());
+
+      expect(result.contentType).toBe("application/json");
+      expect(result.fileName).toMatch(/^notes-export-\d{4}-\d{2}-\d{2}\.json$/);
+      expect(bundle.count).toBe(1);
+      expect(bundle.notes).toEqual([
+        {
+          id: note.id,
+          title: "Plan",
+          content: "Ship it",
+          tags: ["work"],
+          folderId: folder.id,
+          createdAt: note.createdAt,
+          lastModified: note.lastModified,
+        },
+      ]);
+      expect(loggerService.getByAction(LogAction.NOTES_EXPORTED)[0].details).toEqual({
+        format: "json",
+        count: 1,
+      });
+    });
+
+    it("should export notes stored without createdAt", () => {
+      notesDB.clear();
+      ["2024-02-01T00:00:00.000Z", "2024-01-01T00:00:00.000Z"].forEach((time, i) =>
+        notesDB.set(`legacy-${i}`, {
+          id: `legacy-${i}`,
+          title: `Legacy ${i}`,
+          content: "",
+          lastModified: time,
+        })
+      );
+
+      const bundle = JSON.parse(collect(exportNotes("json")).toString());
+
+      expect(bundle.notes.map(({ id, createdAt }) => [id, createdAt])).toEqual([
+        ["legacy-1", "2024-01-01T00:00:00.000Z"],
+        ["legacy-0", "2024-02-01T00:00:00.000Z"],
+      ]);
+    });
+
+    it("should produce valid JSON when there are no notes", () => {
+      notesDB.clear();
+      expect(JSON.parse(collect(exportNotes()).toString()).notes).toEqual([]);
+    });
+
+    it("should reject an unknown format", () => {
+      expect(() => exportNotes("csv")).toThrow("Format must be one of: json, markdown");
+    });
+  });
+
+  describe("importNotes", () => {
+    it("should round-trip a Markdown export into an empty store", () => {
+      const archive = collect(exportNotes("markdown"));
+      notesDB.clear();
+
+      const report = importNotes({ format: "markdown", data: archive });
+
+      expect(report.summary).toMatchObject({ total: 1, created: 1, failed: 0 });
+      expect(report.notes[0]).toMatchObject({
+        source: `notes/${note.id}.md`,
+        status: "created",
+        noteId: note.id,
+      });
+      const imported = getNoteById(note.id);
+      expect(imported).toMatchObject({
+        title: "Plan",
+        content: "Ship it",
+        tags: ["work"],
+        folderId: folder.id,
+        createdAt: note.createdAt,
+        lastModified: note.lastModified,
+      });
+    });
+
+    it("should import a single Markdown file", () => {
+      const report = importNotes({
+        format: "markdown",
+        data: "---\ntitle: Loose note\ntags: [a]\n---\n\nHello",
+      });
+
+      expect(report.notes[0].status).toBe("created");
+      expect(getNoteById(report.notes[0].noteId).tags).toEqual(["a"]);
+    });
+
+    it("should apply the conflict strategy to existing notes", () => {
+      const data = [{ id: note.id, title: "Imported", content: "New text" }];
+
+      expect(importNotes({ format: "json", data }).notes[0].status).toBe("skipped");
+      expect(getNoteById(note.id).title).toBe("Plan");
+
+      const duplicated = importNotes({ format: "json", data, strategy: "duplicate" });
+      expect(duplicated.notes[0].noteId).not.toBe(note.id);
+      expect(getNoteById(duplicated.notes[0].noteId).title).toBe("Imported");
+
+      importNotes({ format: "json", data, strategy: "overwrite" });
+      expect(getNoteById(note.id)).toMatchObject({ title: "Imported", version: 2 });
+      expect(getNoteRevisions(note.id)[0].title).toBe("Plan");
+    });
+
+    it("should restore a trashed note when overwriting it", () => {
+      deleteNote(note.id);
+
+      importNotes({
+        format: "json",
+        data: { notes: [{ id: note.id, title: "Back", content: "Again" }] },
+        strategy: "overwrite",
+      });
+
+      expect(getNoteById(note.id).title).toBe("Back");
+    });
+
+    it("should preview without changing anything on a dry run", () => {
+      const report = importNotes({
+        format: "json",
+        data: [
+          { title: "New", content: "Text" },
+          { id: note.id, title: "Changed", content: "Text" },
+        ],
+        strategy: "overwrite",
+        dryRun: true,
+      });
+
+      expect(report.dryRun).toBe(true);
+      expect(report.notes.map((entry) => entry.status)).toEqual([
+        "created",
+        "overwritten",
+      ]);
+      expect(report.notes[0].noteId).toBeUndefined();
+      expect(notesDB.size).toBe(1);
+      expect(getNoteById(note.id).title).toBe("Plan");
+      expect(loggerService.getByAction(LogAction.NOTES_IMPORTED)).toHaveLength(0);
+    });
+
+    it("should report invalid notes and import the rest", () => {
+      const report = importNotes({
+        format: "json",
+        data: [
+          { title: "", content: "No title" },
+          { title: "Bad id", content: "Text", id: "../etc" },
+          "not an object",
+          { title: "Good", content: "Text", folderId: "gone" },
+        ],
+      });
+
+      expect(report.summary).toMatchObject({ total: 4, created: 1, failed: 3 });
+      expect(report.notes[0].error).toMatchObject({
+        code: "VALIDATION_ERROR",
+        details: { field: "title" },
+      });
+      expect(report.notes[1].error.details.field).toBe("id");
+      expect(getNoteById(report.notes[3].noteId).folderId).toBeNull();
+      expect(loggerService.getByAction(LogAction.NOTES_IMPORTED)[0].details).toMatchObject({
+        format: "json",
+        strategy: "skip",
+        created: 1,
+        failed: 3,
+      });
+    });
+
+    it("should reject an unreadable import or an unknown strategy", () => {
+      expect(() => importNotes({ format: "json", data: { notes: "x" } })).toThrow(
+        "JSON import must be an array"
+      );
+      expect(() =>
+        importNotes({ format: "json", data: [], strategy: "merge" })
+      ).toThrow("Strategy must be one of: skip, overwrite, duplicate");
+    });
+  });
+});
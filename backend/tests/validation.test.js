@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the validation schemas
+ */
+import { describe, it, expect, afterEach } from "@jest/globals";
+import {
+  NOTE_SCHEMA,
+  MAX_TITLE_LENGTH,
+  validateSchema,
+  validateValue,
+  assertValid,
+} from "../utils/validation.js";
+import { formatError } from "../utils/error-handler.js";
+
+const USER_SCHEMA = {
+  name: { type: "string", required: true, trim: true, minLength: 2, label: "Name" },
+  age: { type: "integer", nullable: true, label: "Age" },
+  role: { type: "string", oneOf: ["admin", "member"], label: "Role" },
+  code: {
+    type: "string",
+    pattern: /^[A-Z]{3}$/,
+    label: "Code",
+    messages: { pattern: (label) => `${label} must be three capital letters` },
+  },
+};
+
+describe("Validation schemas", () => {
+  it("should report every failing field at once, with unknown fields last", () => {
+    const errors = validateSchema(USER_SCHEMA, {
+      name: " a ",
+      age: 1.5,
+      role: "owner",
+      code: "abc",
+      extra: true,
+    });
+
+    expect(errors).toEqual([
+      { field: "name", rule: "minLength", message: "Name must be at least 2 characters" },
+      { field: "age", rule: "type", message: "Age must be an integer" },
+      { field: "role", rule: "oneOf", message: "Role must be one of: admin, member" },
+      { field: "code", rule: "pattern", message: "Code must be three capital letters" },
+      { field: "extra", rule: "unknown", message: "Unknown field 'extra'" },
+    ]);
+  });
+
+  it("should accept valid data, null for nullable fields and missing optional fields", () => {
+    expect(validateSchema(USER_SCHEMA, { name: "Ada", age: null })).toEqual([]);
+  });
+
+  it("should tell missing fields from blank ones", () => {
+    expect(validateValue(USER_SCHEMA.name, undefined, "name")[0].message).toBe(
+      "Name is required"
+    );
+    expect(validateValue(USER_SCHEMA.name, "   ", "name")[0].message).toBe(
+      "Name cannot be empty"
+    );
+    expect(validateValue(USER_SCHEMA.name, "", "name", { given: true })[0].rule).toBe(
+      "empty"
+    );
+  });
+
+  it("should only check the given fields of a partial update", () => {
+    expect(validateSchema(USER_SCHEMA, { age: 3 }, { partial: true })).toEqual([]);
+  });
+
+  it("should reject data that is not an object", () => {
+    expect(validateSchema(USER_SCHEMA, null, { name: "User" })[0].message).toBe(
+      "User is required"
+    );
+    expect(validateSchema(USER_SCHEMA, [], { name: "User" })[0].message).toBe(
+      "User must be an object"
+    );
+  });
+
+  it("should check array items and limits of notes", () => {
+    const errors = validateSchema(NOTE_SCHEMA, {
+      title: "x".repeat(MAX_TITLE_LENGTH + 1),
+      content: "Body",
+      tags: ["ok", "two words", 3],
+    });
+
+    expect(errors.map(({ field, message }) => [field, message])).toEqual([
+      ["title", `Title cannot be longer than ${MAX_TITLE_LENGTH} characters`],
+      ["tags", "Tag 'two words' may only contain letters, numbers, '-' and '_'"],
+      ["tags", "Tags must be non-empty strings"],
+    ]);
+  });
+
+  it("should throw one validation error listing every problem", () => {
+    try {
+      assertValid(USER_SCHEMA, { age: "old" });
+      throw new Error("expected a validation error");
+    } catch (error) {
+      expect(error.code).toBe("VALIDATION_ERROR");
+      expect(error.message).toBe("Name is required");
+      expect(error.details.field).toBe("name");
+      expect(error.details.errors.map((problem) => problem.field)).toEqual([
+        "name",
+        "age",
+      ]);
+    }
+  });
+
+  describe("in production", () => {
+    const nodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = nodeEnv;
+    });
+
+    it("should still send field errors but no other details", () => {
+      process.env.NODE_ENV = "production";
+      let error;
+      try {
+        assertValid(USER_SCHEMA, {});
+      } catch (thrown) {
+        error = thrown;
+      }
+
+      expect(formatError(error).body.details).toEqual({
+        errors: [{ field: "name", rule: "required", message: "Name is required" }],
+      });
+    });
+  });
+});
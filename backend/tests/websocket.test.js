@@ -0,0 +1,111 @@
+/**
+ * Unit tests for WebSocket utilities
+ */
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import http from "node:http";
+import { WebSocket } from "ws";
+import { acceptWebSocket, CloseCode } from "../utils/websocket.js";
+
+describe("WebSocket Utilities", () => {
+  let server;
+  let handlers;
+  let url;
+
+  beforeEach(async () => {
+    handlers = {};
+    server = http.createServer();
+    server.on("upgrade", (req, socket, head) =>
+      acceptWebSocket(req, socket, head, {
+        maxMessageBytes: 64,
+        onOpen: (connection) => handlers.onOpen?.(connection),
+        onMessage: (text) => handlers.onMessage?.(text),
+        onClose: (code, reason) => handlers.onClose?.(code, reason),
+      })
+    );
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `ws://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  /**
+   * Connects a client and resolves with it once open
+   */
+  const connect = async () => {
+    const client = new WebSocket(url);
+    await new Promise((resolve, reject) => {
+      client.once("open", resolve);
+      client.once("error", reject);
+    });
+    return client;
+  };
+
+  /**
+   * Resolves with the client's close code and reason
+   */
+  const closed = (client) =>
+    new Promise((resolve) =>
+      client.once("close", (code, reason) => resolve({ code, reason: reason.toString() }))
+    );
+
+  it("should pass text messages both ways and report the close", async () => {
+    const received = [];
+    const serverClosed = new Promise((resolve) => {
+      handlers.onClose = (code, reason) => resolve({ code, reason });
+    });
+    handlers.onOpen = (connection) => {
+      handlers.onMessage = (text) => {
+        received.push(text);
+        connection.send(`echo ${text}`);
+      };
+    };
+
+    const client = await connect();
+    const reply = new Promise((resolve) => client.once("message", (data) => resolve(`${data}`)));
+    client.send("héllo");
+
+    expect(await reply).toBe("echo héllo");
+    expect(received).toEqual(["héllo"]);
+    client.close(CloseCode.NORMAL, "bye");
+    expect(await serverClosed).toEqual({ code: CloseCode.NORMAL, reason: "bye" });
+  });
+
+  it("should close on binary and oversized messages", async () => {
+    const binary = await connect();
+    const binaryClosed = closed(binary);
+    binary.send(Buffer.from([1, 2, 3]));
+    expect((await binaryClosed).code).toBe(CloseCode.UNSUPPORTED_DATA);
+
+    const oversized = await connect();
+    const oversizedClosed = closed(oversized);
+    oversized.send("x".repeat(65));
+    expect((await oversizedClosed).code).toBe(CloseCode.MESSAGE_TOO_BIG);
+  });
+
+  it("should close with 1011 when a message handler throws", async () => {
+    const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+    handlers.onMessage = () => {
+      throw new Error("boom");
+    };
+
+    const client = await connect();
+    const clientClosed = closed(client);
+    client.send("hi");
+
+    expect((await clientClosed).code).toBe(CloseCode.INTERNAL_ERROR);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it("should shorten long close reasons without splitting characters", async () => {
+    handlers.onOpen = (connection) => connection.close(CloseCode.POLICY_VIOLATION, "é".repeat(100));
+
+    const client = new WebSocket(url);
+    const { code, reason } = await closed(client);
+
+    expect(code).toBe(CloseCode.POLICY_VIOLATION);
+    expect(reason).toBe("é".repeat(61));
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Cookie Utilities
+ * 
+ * Parses the Cookie header, builds Set-Cookie values, and signs cookie
+ * values with HMAC-SHA256 so the server can tell if they were altered.
+ * Signed values look like "<value>.<signature>".
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+/**
+ * Parses a Cookie request header
+ * 
+ * @param {string} [header] - Cookie header
+ * @returns {Object} Cookie values by name
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  if (!header) {
+    return cookies;
+  }
+
+  for (const pair of header.split(";")) {
+    const separator = pair.indexOf("=");
+    if (separator === -1) continue;
+    const name = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1).trim().replace(/^"(.*)"$/, "$1");
+    if (name && !Object.hasOwn(cookies, name)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Builds a Set-Cookie header value
+ * 
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {Object} [options] - Cookie attributes
+ * @param {number} [options.maxAge] - Lifetime in seconds (0 deletes the cookie)
+ * @param {string} [options.path="/"] - Path
+ * @param {boolean} [options.httpOnly=true] - Hide from JavaScript
+ * @param {boolean} [options.secure=false] - Only send over HTTPS
+ * @param {string} [options.sameSite="Lax"] - Strict, Lax or None
+ * @returns {string} Header value
+ */
+export function serializeCookie(
+  name,
+  value,
+  { maxAge, path = "/", httpOnly = true, secure = false, sameSite = "Lax" } = {}
+) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`];
+  if (maxAge !== undefined) {
+    parts.push(`Max-Age=${Math.floor(maxAge)}`);
+  }
+  if (httpOnly) parts.push("HttpOnly");
+  if (secure) parts.push("Secure");
+  if (sameSite) parts.push(`SameSite=${sameSite}`);
+  return parts.join("; ");
+}
+
+/**
+ * Computes the signature of a value
+ * 
+ * @param {string} value - Value to sign
+ * @param {string} secret - Signing secret
+ * @returns {string} base64url HMAC
+ */
+function signature(value, secret) {
+  return createHmac("sha256", secret).update(value).digest("base64url");
+}
+
+/**
+ * Signs a value
+ * 
+ * @param {string} value - Value to sign (must not contain ".")
+ * @param {string} secret - Signing secret
+ * @returns {string} "<value>.<signature>"
+ */
+export function signValue(value, secret) {
+  return `${value}.${signature(value, secret)}`;
+}
+
+/**
+ * Verifies a signed value
+ * 
+ * @param {string} signed - Value from signValue
+ * @param {string} secret - Signing secret
+ * @returns {string|null} Original value, or null if the signature is wrong
+ */
+export function unsignValue(signed, secret) {
+  const separator = String(signed).lastIndexOf(".");
+  if (separator === -1) {
+    return null;
+  }
+  const value = signed.slice(0, separator);
+  const given = Buffer.from(signed.slice(separator + 1));
+  const expected = Buffer.from(signature(value, secret));
+  return given.length === expected.length && timingSafeEqual(given, expected)
+    ? value
+    : null;
+}
@@ -0,0 +1,34 @@
+/**
+ * Cursor Utilities
+ * 
+ * Opaque pagination cursors. A cursor records the sort settings and the
+ * position (sort value + ID) of the last item on a page, encoded as
+ * base64url JSON so clients treat it as an opaque string.
+ */
+
+/**
+ * Encodes a cursor
+ * 
+ * @param {Object} position - Cursor payload
+ * @returns {string} Opaque cursor string
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * Decodes a cursor
+ * 
+ * @param {string} cursor - Opaque cursor string
+ * @returns {Object} Cursor payload
+ * @throws {Error} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  const position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+
+  if (!position || typeof position !== "object" || Array.isArray(position)) {
+    throw new Error("Invalid cursor");
+  }
+
+  return position;
+}
@@ -44,6 +44,30 @@ export function createNotFoundError(message, details = {}) {
   return createError(message, "NOT_FOUND", 404, details);
 }
 
+/**
+ * Creates a forbidden error (403 Forbidden)
+ * Used when the user can see a resource but may not perform the action.
+ * 
+ * @param {string} message - Error message
+ * @param {Object} details - Additional error details (default: {})
+ * @returns {Error} Error object with FORBIDDEN code and 403 status
+ */
+export function createForbiddenError(message, details = {}) {
+  return createError(message, "FORBIDDEN", 403, details);
+}
+
+/**
+ * Creates a conflict error (409 Conflict)
+ * Used when a write is based on an outdated version of a resource.
+ * 
+ * @param {string} message - Error message
+ * @param {Object} details - Additional error details (default: {})
+ * @returns {Error} Error object with CONFLICT code and 409 status
+ */
+export function createConflictError(message, details = {}) {
+  return createError(message, "CONFLICT", 409, details);
+}
+
 /**
  * Creates an internal server error (500 Internal Server Error)
  * 
@@ -55,3 +79,66 @@ export function createInternalError(message, details = {}) {
   return createError(message, "INTERNAL_ERROR", 500, details);
 }
 
+// Errors thrown by Express's body parsers, identified by their `type`
+const BODY_PARSER_ERRORS = {
+  "entity.too.large": ["PAYLOAD_TOO_LARGE", "Request body is too large"],
+  "entity.parse.failed": ["INVALID_JSON", "Request body is not valid JSON"],
+};
+
+/**
+ * Converts a body parser error into a standardized error
+ * 
+ * @param {Error} err - Error thrown by express.json() and friends
+ * @returns {Error|null} Standardized error, or null if err isn't one
+ */
+function fromBodyParserError(err) {
+  const known = BODY_PARSER_ERRORS[err.type];
+  if (!known || err.statusCode === undefined) {
+    return null;
+  }
+  const [code, message] = known;
+  return createError(message, code, err.statusCode, err.limit ? { limit: err.limit } : {});
+}
+
+/**
+ * Keeps only the error details that are safe to send in production
+ * Per-field validation errors describe the client's own input, and a
+ * conflict's current note is one the client may already read (it is
+ * what the conflict merge UI merges against).
+ * 
+ * @param {Object} [details] - Error details
+ * @returns {Object} { errors, current } where present, otherwise {}
+ */
+function pickPublicDetails(details) {
+  const picked = {};
+  if (Array.isArray(details?.errors)) {
+    picked.errors = details.errors;
+  }
+  if (details?.current) {
+    picked.current = details.current;
+  }
+  return picked;
+}
+
+/**
+ * Formats an error into the HTTP response errorMiddleware sends
+ * Also used for per-item errors in batch responses.
+ * 
+ * @param {Error} error - Error to format
+ * @returns {{statusCode: number, body: {error: string, code: string, details: Object}}}
+ */
+export function formatError(error) {
+  const err = fromBodyParserError(error) || error;
+  return {
+    statusCode: err.statusCode || 500,
+    body: {
+      error: err.message || "An unexpected error occurred",
+      code: err.code || "INTERNAL_ERROR",
+      // Don't expose internal error details in production
+      details:
+        process.env.NODE_ENV === "production"
+          ? pickPublicDetails(err.details)
+          : err.details || {},
+    },
+  };
+}
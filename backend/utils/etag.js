@@ -0,0 +1,41 @@
+/**
+ * ETag Utilities
+ * 
+ * Notes carry a version number that increases on every change.
+ * The version is exposed as a strong ETag ("<version>") and checked
+ * against If-Match on writes (optimistic concurrency control).
+ */
+
+/**
+ * Formats the ETag for a note
+ * Notes created before versioning count as version 1.
+ * 
+ * @param {Object} note - Note object
+ * @returns {string} Quoted ETag, e.g. "3"
+ */
+export function formatETag(note) {
+  return `"${note.version || 1}"`;
+}
+
+/**
+ * Parses an If-Match header into the expected note version
+ * 
+ * @param {string|undefined} header - If-Match header value
+ * @returns {number|undefined} Expected version, or undefined when the
+ *   header is absent or "*" (any version). Unparsable values and weak
+ *   ETags give NaN, which never matches.
+ */
+export function parseIfMatch(header) {
+  if (header === undefined || header.trim() === "*") {
+    return undefined;
+  }
+
+  // If-Match uses strong comparison (RFC 9110), so weak validators never
+  // match; use the first strong entry of a list
+  const tag = header
+    .split(",")
+    .map((entry) => entry.trim())
+    .find((entry) => !entry.startsWith("W/"));
+  const match = /^"(\d+)"$/.exec(tag ?? "");
+  return match ? Number(match[1]) : NaN;
+}
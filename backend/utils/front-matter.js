@@ -0,0 +1,177 @@
+/**
+ * Front Matter Utilities
+ * 
+ * Reads and writes Markdown files with a YAML front matter block:
+ * 
+ *   ---
+ *   id: "1732451239123"
+ *   title: "Shopping list"
+ *   tags: ["home", "errands"]
+ *   lastModified: "2025-11-24T10:00:00.000Z"
+ *   ---
+ * 
+ *   Note content...
+ * 
+ * Only the flat subset of YAML that note metadata needs is supported:
+ * strings (plain, single- or double-quoted), null, and lists of strings
+ * (flow style `[a, b]` or block style `- a`). Values are written as
+ * double-quoted strings so any title survives a round trip.
+ */
+
+const DELIMITER = "---";
+const KEY_LINE = /^([A-Za-z_][\w-]*):(?:\s+(.*))?$/;
+const LIST_ITEM = /^\s*-\s+(.*)$/;
+
+/**
+ * Formats a single value as YAML
+ * 
+ * @param {string|null|Array<string>} value - Value to format
+ * @returns {string} YAML value
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => JSON.stringify(String(item))).join(", ")}]`;
+  }
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Parses a scalar YAML value
+ * 
+ * @param {string} raw - Raw value text
+ * @returns {string|null} Parsed value
+ * @throws {Error} If a quoted string is not terminated
+ */
+function parseScalar(raw) {
+  const text = raw.trim();
+
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error(`Invalid quoted string: ${text}`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (text.length < 2 || !text.endsWith("'")) {
+      throw new Error(`Invalid quoted string: ${text}`);
+    }
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text === "" || text === "null" || text === "~") {
+    return null;
+  }
+  // Plain scalars end at a comment
+  return text.replace(/\s+#.*$/, "");
+}
+
+/**
+ * Parses a flow-style list, e.g. `[a, "b, c"]`
+ * 
+ * @param {string} raw - Raw value text, including the brackets
+ * @returns {Array<string>} List items
+ * @throws {Error} If the list is not closed
+ */
+function parseFlowList(raw) {
+  const text = raw.trim();
+  if (!text.endsWith("]")) {
+    throw new Error(`Invalid list: ${text}`);
+  }
+
+  const items = [];
+  let current = "";
+  let quote = null;
+  for (const char of text.slice(1, -1)) {
+    if (quote) {
+      current += char;
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ",") {
+      items.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  items.push(current);
+
+  return items
+    .filter((item) => item.trim() !== "")
+    .map((item) => parseScalar(item));
+}
+
+/**
+ * Builds a Markdown document with front matter
+ * 
+ * @param {Object} fields - Front matter fields (undefined values are left out)
+ * @param {string} body - Markdown content
+ * @returns {string} Markdown document
+ */
+export function formatFrontMatter(fields, body) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}: ${formatValue(value)}`);
+
+  return `${DELIMITER}\n${lines.join("\n")}\n${DELIMITER}\n\n${body}\n`;
+}
+
+/**
+ * Splits a Markdown document into front matter fields and body
+ * A document without a front matter block has no fields.
+ * 
+ * @param {string} text - Markdown document
+ * @returns {{fields: Object, body: string}} Parsed fields and content
+ * @throws {Error} If the front matter block is not closed or has invalid lines
+ */
+export function parseFrontMatter(text) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+
+  if (lines[0].trim() !== DELIMITER) {
+    return { fields: {}, body: text.trim() };
+  }
+
+  const end = lines.findIndex((line, i) => i > 0 && line.trim() === DELIMITER);
+  if (end === -1) {
+    throw new Error("Front matter is not closed with '---'");
+  }
+
+  const fields = {};
+  let listKey = null;
+  lines.slice(1, end).forEach((line, i) => {
+    if (line.trim() === "" || line.trim().startsWith("#")) {
+      return;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item && listKey) {
+      fields[listKey] = [...(fields[listKey] || []), parseScalar(item[1])];
+      return;
+    }
+
+    const match = KEY_LINE.exec(line);
+    if (!match) {
+      throw new Error(`Invalid front matter on line ${i + 2}: ${line}`);
+    }
+
+    const [, key, value = ""] = match;
+    if (value.trim() === "") {
+      // A key without a value is null unless a block list follows
+      fields[key] = null;
+      listKey = key;
+      return;
+    }
+    listKey = null;
+    fields[key] = value.trim().startsWith("[")
+      ? parseFlowList(value)
+      : parseScalar(value);
+  });
+
+  return { fields, body: lines.slice(end + 1).join("\n").trim() };
+}
@@ -0,0 +1,83 @@
+/**
+ * HTML Utilities
+ * 
+ * Renders notes as standalone HTML pages for public links.
+ * 
+ * Note text is never interpreted as markup: every character that has a
+ * meaning in HTML is escaped, blank lines start a new paragraph and
+ * single line breaks are kept. The page has no scripts, so it is safe to
+ * serve with a Content-Security-Policy that blocks everything but the
+ * inline style.
+ */
+
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const PAGE_STYLE = `
+  body { max-width: 42rem; margin: 2rem auto; padding: 0 1rem;
+    font-family: system-ui, sans-serif; line-height: 1.6; color: #1f2937; }
+  h1 { font-size: 1.75rem; margin-bottom: 0.25rem; }
+  .meta { color: #6b7280; font-size: 0.875rem; }
+  .tags span { margin-right: 0.5rem; color: #4f46e5; }
+`;
+
+/**
+ * Escapes text for use in HTML content or a quoted attribute
+ * 
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => ESCAPES[char]);
+}
+
+/**
+ * Converts plain note text into HTML paragraphs
+ * 
+ * @param {string} text - Note content
+ * @returns {string} <p> elements, with <br> for single line breaks
+ */
+export function textToHtml(text) {
+  return String(text)
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .filter((paragraph) => paragraph.trim())
+    .map((paragraph) => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, "<br>")}</p>`)
+    .join("\n");
+}
+
+/**
+ * Renders a read-only HTML page for a note
+ * 
+ * @param {Object} note - { title, content, tags, lastModified }
+ * @returns {string} Complete HTML document
+ */
+export function renderNotePage(note) {
+  const tags = (note.tags || [])
+    .map((tag) => `<span>#${escapeHtml(tag)}</span>`)
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(note.title)}</title>
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+<article>
+<h1>${escapeHtml(note.title)}</h1>
+<p class="meta">Last updated <time datetime="${escapeHtml(note.lastModified)}">${escapeHtml(note.lastModified)}</time></p>
+${tags ? `<p class="tags">${tags}</p>\n` : ""}${textToHtml(note.content)}
+</article>
+</body>
+</html>
+`;
+}
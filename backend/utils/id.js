@@ -0,0 +1,121 @@
+/**
+ * ID Utilities
+ * 
+ * Generates record IDs and URL slugs.
+ * 
+ * IDs are ULIDs (https://github.com/ulid/spec): 26 characters of Crockford
+ * base32, a 48-bit millisecond timestamp followed by 80 random bits. They
+ * sort by creation time as plain strings. IDs generated in the same
+ * millisecond (or while the clock goes backwards) reuse the previous
+ * timestamp and increment the random part, so they are unique and
+ * strictly increasing within a process.
+ */
+
+import { getRandomValues } from "node:crypto";
+
+const ENCODING = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+const MAX_SLUG_LENGTH = 60;
+
+let lastTime = -1;
+let lastRandom = [];
+
+/**
+ * Encodes a millisecond timestamp as base32 characters
+ * 
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} 10-character time part
+ */
+function encodeTime(time) {
+  let remaining = time;
+  let encoded = "";
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    encoded = ENCODING[remaining % 32] + encoded;
+    remaining = Math.floor(remaining / 32);
+  }
+  return encoded;
+}
+
+/**
+ * Creates a fresh random part
+ * 
+ * @returns {Array<number>} 16 base32 digits
+ */
+function randomDigits() {
+  // 256 is a multiple of 32, so masking keeps the digits uniform
+  return Array.from(getRandomValues(new Uint8Array(RANDOM_LENGTH)), (byte) => byte & 31);
+}
+
+/**
+ * Adds one to a random part
+ * 
+ * @param {Array<number>} digits - Base32 digits
+ * @returns {Array<number>|null} Incremented digits, or null on overflow
+ */
+function incrementDigits(digits) {
+  const next = [...digits];
+  for (let i = next.length - 1; i >= 0; i--) {
+    if (next[i] < 31) {
+      next[i] += 1;
+      return next;
+    }
+    next[i] = 0;
+  }
+  return null;
+}
+
+/**
+ * Generates a new unique ID
+ * 
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string} ULID
+ */
+export function generateId(now = Date.now()) {
+  const incremented = now <= lastTime ? incrementDigits(lastRandom) : null;
+
+  if (incremented) {
+    lastRandom = incremented;
+  } else {
+    // New millisecond, or the random part ran out: move the clock on
+    lastTime = Math.max(now, lastTime + 1);
+    lastRandom = randomDigits();
+  }
+
+  return encodeTime(lastTime) + lastRandom.map((digit) => ENCODING[digit]).join("");
+}
+
+/**
+ * Turns a title into a URL slug
+ * Accents are dropped, anything other than letters and numbers becomes
+ * a single '-', and the result is lowercase and at most 60 characters.
+ * 
+ * @param {string} title - Note title
+ * @returns {string} Slug ("note" if nothing usable is left)
+ */
+export function slugify(title) {
+  const slug = String(title)
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, "");
+
+  return slug || "note";
+}
+
+/**
+ * Makes a slug unique by adding a number ("plan", "plan-2", "plan-3", ...)
+ * 
+ * @param {string} slug - Base slug
+ * @param {function(string): boolean} isTaken - Returns true if a slug is in use
+ * @returns {string} Unused slug
+ */
+export function uniqueSlug(slug, isTaken) {
+  let candidate = slug;
+  for (let n = 2; isTaken(candidate); n++) {
+    candidate = `${slug}-${n}`;
+  }
+  return candidate;
+}
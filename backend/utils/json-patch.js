@@ -0,0 +1,315 @@
+/**
+ * JSON Patch Utilities
+ * 
+ * Pure implementations of JSON Merge Patch (RFC 7396) and JSON Patch
+ * (RFC 6902). Neither function modifies its input: they return a patched
+ * copy, so a patch that fails halfway leaves the original untouched.
+ * All functions throw errors with descriptive messages; JSON Patch errors
+ * also carry the index of the failing operation as `error.operation`.
+ */
+
+const JSON_PATCH_OPS = ["add", "remove", "replace", "move", "copy", "test"];
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/;
+
+/**
+ * Checks whether a value is a plain JSON object (not an array or null)
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Deep equality for JSON values (object key order is ignored)
+ * 
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function isEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => Object.hasOwn(b, key) && isEqual(a[key], b[key]))
+    );
+  }
+  return a === b;
+}
+
+/**
+ * Applies a JSON Merge Patch (RFC 7396)
+ * Object members in the patch replace those in the target; null removes
+ * a member; any non-object patch replaces the target entirely.
+ * 
+ * @param {*} target - Document to patch
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched copy of the document
+ */
+export function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return structuredClone(patch);
+  }
+
+  const result = isObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into unescaped reference tokens
+ * 
+ * @param {string} pointer - JSON Pointer, e.g. "/tags/0"
+ * @returns {Array<string>} Tokens ([] for the whole document)
+ * @throws {Error} If the pointer is malformed
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+    throw new Error(`Invalid JSON Pointer '${pointer}'`);
+  }
+  if (pointer === "") {
+    return [];
+  }
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Resolves the container holding the value a pointer refers to
+ * 
+ * @param {*} document - Document root
+ * @param {Array<string>} tokens - Pointer tokens (at least one)
+ * @returns {{container: Object|Array, key: string}} Parent container and last token
+ * @throws {Error} If an intermediate value does not exist
+ */
+function resolveParent(document, tokens) {
+  let container = document;
+  tokens.slice(0, -1).forEach((token) => {
+    const next = getChild(container, token);
+    if (next === undefined) {
+      throw new Error(`Path '/${tokens.join("/")}' does not exist`);
+    }
+    container = next;
+  });
+
+  if (!isObject(container) && !Array.isArray(container)) {
+    throw new Error(`Path '/${tokens.join("/")}' does not exist`);
+  }
+  return { container, key: tokens[tokens.length - 1] };
+}
+
+/**
+ * Reads a member of an object or an element of an array
+ * 
+ * @param {*} container - Object or array
+ * @param {string} token - Member name or array index
+ * @returns {*} Value, or undefined if it does not exist
+ */
+function getChild(container, token) {
+  if (Array.isArray(container)) {
+    return ARRAY_INDEX.test(token) ? container[Number(token)] : undefined;
+  }
+  if (isObject(container) && Object.hasOwn(container, token)) {
+    return container[token];
+  }
+  return undefined;
+}
+
+/**
+ * Reads the value at a pointer
+ * 
+ * @param {*} document - Document root
+ * @param {Array<string>} tokens - Pointer tokens
+ * @returns {*} Value
+ * @throws {Error} If the value does not exist
+ */
+function getValue(document, tokens) {
+  if (tokens.length === 0) {
+    return document;
+  }
+  const { container, key } = resolveParent(document, tokens);
+  const value = getChild(container, key);
+  if (value === undefined) {
+    throw new Error(`Path '/${tokens.join("/")}' does not exist`);
+  }
+  return value;
+}
+
+/**
+ * Converts an array index token, checking bounds
+ * 
+ * @param {Array} array - Target array
+ * @param {string} token - Index token ("-" means the end, when allowed)
+ * @param {boolean} isInsert - True for add (index may equal length)
+ * @returns {number} Index
+ * @throws {Error} If the index is invalid or out of bounds
+ */
+function toIndex(array, token, isInsert) {
+  if (isInsert && token === "-") {
+    return array.length;
+  }
+  const index = ARRAY_INDEX.test(token) ? Number(token) : NaN;
+  const max = isInsert ? array.length : array.length - 1;
+  if (Number.isNaN(index) || index > max) {
+    throw new Error(`Array index '${token}' is out of bounds`);
+  }
+  return index;
+}
+
+/**
+ * Adds a value at a pointer (inserting into arrays)
+ * 
+ * @param {*} document - Document root (modified in place)
+ * @param {Array<string>} tokens - Pointer tokens
+ * @param {*} value - Value to add
+ * @returns {*} New document root
+ * @throws {Error} If the parent does not exist or the index is out of bounds
+ */
+function addValue(document, tokens, value) {
+  if (tokens.length === 0) {
+    return value;
+  }
+  const { container, key } = resolveParent(document, tokens);
+  if (Array.isArray(container)) {
+    container.splice(toIndex(container, key, true), 0, value);
+  } else {
+    container[key] = value;
+  }
+  return document;
+}
+
+/**
+ * Removes the value at a pointer
+ * 
+ * @param {*} document - Document root (modified in place)
+ * @param {Array<string>} tokens - Pointer tokens
+ * @returns {*} New document root
+ * @throws {Error} If the value does not exist
+ */
+function removeValue(document, tokens) {
+  if (tokens.length === 0) {
+    throw new Error("The whole document cannot be removed");
+  }
+  getValue(document, tokens);
+  const { container, key } = resolveParent(document, tokens);
+  if (Array.isArray(container)) {
+    container.splice(toIndex(container, key, false), 1);
+  } else {
+    delete container[key];
+  }
+  return document;
+}
+
+/**
+ * Validates the shape of a single JSON Patch operation
+ * 
+ * @param {Object} operation - Operation to validate
+ * @throws {Error} If the operation is malformed
+ */
+function validateOperation(operation) {
+  if (!isObject(operation)) {
+    throw new Error("Operation must be an object");
+  }
+  if (!JSON_PATCH_OPS.includes(operation.op)) {
+    throw new Error(`'op' must be one of: ${JSON_PATCH_OPS.join(", ")}`);
+  }
+  if (typeof operation.path !== "string") {
+    throw new Error("'path' is required and must be a string");
+  }
+  if (
+    ["add", "replace", "test"].includes(operation.op) &&
+    !Object.hasOwn(operation, "value")
+  ) {
+    throw new Error(`'value' is required for '${operation.op}'`);
+  }
+  if (["move", "copy"].includes(operation.op) && typeof operation.from !== "string") {
+    throw new Error(`'from' is required for '${operation.op}'`);
+  }
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902)
+ * Operations are applied in order to a copy of the document; if any
+ * operation is invalid or fails, an error is thrown and no change is kept.
+ * 
+ * @param {*} document - Document to patch
+ * @param {Array<Object>} operations - Patch operations
+ * @returns {*} Patched copy of the document
+ * @throws {Error} If the patch is not an array or an operation fails
+ */
+export function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new Error("JSON Patch must be an array of operations");
+  }
+
+  let result = structuredClone(document);
+
+  operations.forEach((operation, index) => {
+    try {
+      validateOperation(operation);
+      const path = parsePointer(operation.path);
+
+      switch (operation.op) {
+        case "add":
+          result = addValue(result, path, structuredClone(operation.value));
+          break;
+        case "remove":
+          result = removeValue(result, path);
+          break;
+        case "replace":
+          getValue(result, path);
+          result =
+            path.length === 0
+              ? structuredClone(operation.value)
+              : addValue(
+                  removeValue(result, path),
+                  path,
+                  structuredClone(operation.value)
+                );
+          break;
+        case "move": {
+          const from = parsePointer(operation.from);
+          if (
+            path.length > from.length &&
+            from.every((token, i) => token === path[i])
+          ) {
+            throw new Error("A value cannot be moved into one of its children");
+          }
+          const value = getValue(result, from);
+          result = addValue(removeValue(result, from), path, value);
+          break;
+        }
+        case "copy": {
+          const value = getValue(result, parsePointer(operation.from));
+          result = addValue(result, path, structuredClone(value));
+          break;
+        }
+        case "test":
+          if (!isEqual(getValue(result, path), operation.value)) {
+            throw new Error(`Test failed for path '${operation.path}'`);
+          }
+          break;
+      }
+    } catch (error) {
+      const opError = new Error(`Operation ${index}: ${error.message}`);
+      opError.operation = index;
+      throw opError;
+    }
+  });
+
+  return result;
+}
@@ -0,0 +1,214 @@
+/**
+ * Metrics Utilities
+ * 
+ * A small metrics registry that renders the Prometheus text exposition
+ * format (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ * Supports counters, histograms and gauges with labels. Gauges are read
+ * through a collect function when the metrics are rendered.
+ */
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value
+ * 
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Formats a label set
+ * 
+ * @param {Object} labels - Label names and values
+ * @returns {string} e.g. {method="GET",status="200"}, or "" without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Formats a sample value
+ * 
+ * @param {number} value - Sample value
+ * @returns {string} Value as Prometheus expects it
+ */
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+/**
+ * Picks the known labels out of a label object, in declared order
+ * 
+ * @param {Array<string>} labelNames - Declared label names
+ * @param {Object} labels - Given labels
+ * @returns {Object} Labels with every declared name (missing ones are "")
+ */
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+}
+
+/**
+ * Creates a metrics registry
+ * 
+ * @returns {Object} Registry { counter, histogram, gauge, render, reset }
+ */
+export function createRegistry() {
+  const metrics = [];
+
+  /**
+   * Registers a metric
+   * 
+   * @param {Object} metric - { name, help, type, lines, reset }
+   * @returns {Object} The metric
+   */
+  function register(metric) {
+    if (metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric '${metric.name}' is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  return {
+    /**
+     * Creates a counter
+     * 
+     * @param {Object} options - { name, help, labelNames }
+     * @returns {Object} Counter { inc(labels, amount) }
+     */
+    counter({ name, help, labelNames = [] }) {
+      const series = new Map();
+
+      return register({
+        name,
+        help,
+        type: "counter",
+        inc(labels, amount = 1) {
+          const picked = pickLabels(labelNames, labels);
+          const key = JSON.stringify(picked);
+          const current = series.get(key) || { labels: picked, value: 0 };
+          current.value += amount;
+          series.set(key, current);
+        },
+        lines() {
+          return [...series.values()].map(
+            ({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`
+          );
+        },
+        reset() {
+          series.clear();
+        },
+      });
+    },
+
+    /**
+     * Creates a histogram
+     * 
+     * @param {Object} options - { name, help, labelNames, buckets }
+     * @returns {Object} Histogram { observe(labels, value) }
+     */
+    histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = new Map();
+
+      return register({
+        name,
+        help,
+        type: "histogram",
+        observe(labels, value) {
+          const picked = pickLabels(labelNames, labels);
+          const key = JSON.stringify(picked);
+          const current = series.get(key) || {
+            labels: picked,
+            counts: bounds.map(() => 0),
+            sum: 0,
+            count: 0,
+          };
+          bounds.forEach((bound, index) => {
+            if (value <= bound) current.counts[index] += 1;
+          });
+          current.sum += value;
+          current.count += 1;
+          series.set(key, current);
+        },
+        lines() {
+          return [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...bounds.map(
+              (bound, index) =>
+                `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`
+            ),
+            `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${name}_count${formatLabels(labels)} ${count}`,
+          ]);
+        },
+        reset() {
+          series.clear();
+        },
+      });
+    },
+
+    /**
+     * Creates a gauge whose value is read when metrics are rendered
+     * 
+     * @param {Object} options - { name, help, collect }
+     * @param {function(): (number|Array<{labels: Object, value: number}>)} options.collect
+     *   Returns the current value, or one value per label set
+     * @returns {Object} Gauge
+     */
+    gauge({ name, help, collect }) {
+      return register({
+        name,
+        help,
+        type: "gauge",
+        lines() {
+          const collected = collect();
+          const samples = Array.isArray(collected)
+            ? collected
+            : [{ labels: {}, value: collected }];
+          return samples.map(
+            ({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`
+          );
+        },
+        reset() {},
+      });
+    },
+
+    /**
+     * Renders every metric in the text exposition format
+     * 
+     * @returns {string} Metrics text, ending with a newline
+     */
+    render() {
+      return metrics
+        .map((metric) =>
+          [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.lines(),
+          ].join("\n")
+        )
+        .join("\n")
+        .concat("\n");
+    },
+
+    /**
+     * Clears all counters and histograms
+     * Primarily used for tests to reset state between test runs
+     */
+    reset() {
+      metrics.forEach((metric) => metric.reset());
+    },
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Ownership Utilities
+ * 
+ * Notes and folders belong to the user who created them (ownerId).
+ * Inside an authenticated request only the signed-in user's records are
+ * accessible. Code running outside a request (startup, the trash purge
+ * timer, unit tests) acts for the system and can access every record.
+ */
+
+import { getCurrentUserId } from "./request-context.js";
+
+/**
+ * Gets the owner for records created now
+ * 
+ * @returns {string|null} Signed-in user ID, or null outside a request
+ */
+export function currentOwnerId() {
+  return getCurrentUserId() ?? null;
+}
+
+/**
+ * Checks whether the current user may access a record
+ * 
+ * @param {Object} record - Note or folder
+ * @returns {boolean} True if the record is the user's, or outside a request
+ */
+export function isOwnedByCurrentUser(record) {
+  const userId = getCurrentUserId();
+  return userId === undefined || record.ownerId === userId;
+}
@@ -0,0 +1,60 @@
+/**
+ * Password Utilities
+ * 
+ * Hashes passwords with scrypt and a random salt. Hashes are stored as
+ * "scrypt$N$r$p$salt$hash" (salt and hash in base64) so the cost
+ * parameters can be raised later without breaking existing accounts.
+ */
+
+import { scryptSync, randomBytes, timingSafeEqual } from "node:crypto";
+
+const COST = 16384; // N
+const BLOCK_SIZE = 8; // r
+const PARALLELISM = 1; // p
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Hashes a password
+ * 
+ * @param {string} password - Plain-text password
+ * @returns {string} Encoded hash
+ */
+export function hashPassword(password) {
+  const salt = randomBytes(SALT_LENGTH);
+  const hash = scryptSync(password, salt, KEY_LENGTH, {
+    N: COST,
+    r: BLOCK_SIZE,
+    p: PARALLELISM,
+  });
+  return [
+    "scrypt",
+    COST,
+    BLOCK_SIZE,
+    PARALLELISM,
+    salt.toString("base64"),
+    hash.toString("base64"),
+  ].join("$");
+}
+
+/**
+ * Checks a password against a stored hash (in constant time)
+ * 
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {boolean} True if the password matches
+ */
+export function verifyPassword(password, stored) {
+  const [scheme, cost, blockSize, parallelism, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = scryptSync(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(cost),
+    r: Number(blockSize),
+    p: Number(parallelism),
+  });
+  return timingSafeEqual(actual, expected);
+}
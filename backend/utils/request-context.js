@@ -0,0 +1,65 @@
+/**
+ * Request Context
+ * 
+ * Keeps per-request values (the request ID and, once authenticated, the
+ * user ID) available to any code that runs while a request is handled,
+ * including after awaits, without passing them through every function
+ * call. Backed by AsyncLocalStorage; see middleware/request-id.js and
+ * middleware/auth.js.
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function with a request context
+ * 
+ * @param {Object} context - Context values, e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Gets the context of the request being handled
+ * 
+ * @returns {Object|undefined} Context, or undefined outside a request
+ */
+export function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * Gets the ID of the request being handled
+ * 
+ * @returns {string|undefined} Request ID, or undefined outside a request
+ */
+export function getRequestId() {
+  return storage.getStore()?.requestId;
+}
+
+/**
+ * Gets the ID of the signed-in user making the request
+ * 
+ * @returns {string|undefined} User ID, or undefined outside an authenticated request
+ */
+export function getCurrentUserId() {
+  return storage.getStore()?.userId;
+}
+
+/**
+ * Adds values to the context of the request being handled
+ * Does nothing outside a request.
+ * 
+ * @param {Object} values - Values to add, e.g. { userId }
+ * @returns {void}
+ */
+export function setRequestContextValues(values) {
+  const context = storage.getStore();
+  if (context) {
+    Object.assign(context, values);
+  }
+}
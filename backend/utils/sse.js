@@ -0,0 +1,57 @@
+/**
+ * Server-Sent Events Utilities
+ * 
+ * Formats messages of a text/event-stream response. A message is a set of
+ * "field: value" lines ended by a blank line; lines starting with ":" are
+ * comments, which clients ignore (used as heartbeats).
+ */
+
+/**
+ * Formats one event
+ * Multi-line data is sent as several data lines, which the client joins
+ * back with newlines.
+ * 
+ * @param {Object} message
+ * @param {string} [message.id] - Event ID (the client sends it back as Last-Event-ID)
+ * @param {string} [message.event] - Event type (clients listen for it by name)
+ * @param {*} [message.data] - Payload; anything but a string is sent as JSON
+ * @param {number} [message.retry] - Reconnection delay for the client (ms)
+ * @returns {string} Message text
+ */
+export function formatSseMessage({ id, event, data, retry }) {
+  const lines = [];
+  if (id !== undefined) {
+    lines.push(`id: ${stripNewlines(id)}`);
+  }
+  if (event !== undefined) {
+    lines.push(`event: ${stripNewlines(event)}`);
+  }
+  if (retry !== undefined) {
+    lines.push(`retry: ${Math.floor(retry)}`);
+  }
+  if (data !== undefined) {
+    const text = typeof data === "string" ? data : JSON.stringify(data);
+    text.split(/\r\n|\r|\n/).forEach((line) => lines.push(`data: ${line}`));
+  }
+  return `${lines.join("\n")}\n\n`;
+}
+
+/**
+ * Formats a comment line
+ * 
+ * @param {string} text - Comment text
+ * @returns {string} Comment message
+ */
+export function formatSseComment(text) {
+  return `: ${stripNewlines(text)}\n\n`;
+}
+
+/**
+ * Removes line breaks from a single-line field
+ * 
+ * @param {*} value - Field value
+ * @returns {string} Value on one line
+ */
+function stripNewlines(value) {
+  return String(value).replace(/[\r\n]+/g, " ");
+}
@@ -0,0 +1,133 @@
+/**
+ * Tar Utilities
+ * 
+ * Minimal ustar archive support for the Markdown export: writing regular
+ * file entries one at a time (so archives can be streamed) and reading
+ * the regular files back out of an archive. Directories, links and
+ * extended headers are skipped when reading.
+ */
+
+const BLOCK_SIZE = 512;
+const MAX_NAME_LENGTH = 100;
+
+// Two empty blocks mark the end of an archive
+export const TAR_END = Buffer.alloc(BLOCK_SIZE * 2);
+
+/**
+ * Writes a zero-padded octal number into a header field
+ * 
+ * @param {Buffer} header - Header block
+ * @param {number} value - Number to write
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length (including the trailing NUL)
+ */
+function writeOctal(header, value, offset, length) {
+  header.write(
+    value.toString(8).padStart(length - 1, "0") + "\0",
+    offset,
+    length,
+    "ascii"
+  );
+}
+
+/**
+ * Reads a NUL-terminated string from a header field
+ * 
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} Field value
+ */
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString("utf8");
+}
+
+/**
+ * Computes a header checksum (the checksum field counts as spaces)
+ * 
+ * @param {Buffer} header - Header block
+ * @returns {number} Checksum
+ */
+function checksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+/**
+ * Builds the archive bytes for one regular file
+ * 
+ * @param {string} name - File path inside the archive (at most 100 bytes)
+ * @param {string|Buffer} content - File content
+ * @param {Date} [mtime] - Modification time (default: now)
+ * @returns {Buffer} Header block followed by the padded content
+ * @throws {Error} If the name is too long
+ */
+export function createTarEntry(name, content, mtime = new Date()) {
+  if (Buffer.byteLength(name) > MAX_NAME_LENGTH) {
+    throw new Error(`File name '${name}' is too long for a tar archive`);
+  }
+  const data = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, MAX_NAME_LENGTH, "utf8");
+  writeOctal(header, 0o644, 100, 8); // mode
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, data.length, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write("0", 156, 1, "ascii"); // regular file
+  header.write("ustar\0" + "00", 257, 8, "ascii");
+  header.write(checksum(header).toString(8).padStart(6, "0") + "\0 ", 148, 8, "ascii");
+
+  const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+  return Buffer.concat([header, data, Buffer.alloc(padding)]);
+}
+
+/**
+ * Reads the regular files out of a tar archive
+ * 
+ * @param {Buffer} archive - Archive bytes
+ * @returns {Array<{name: string, content: Buffer}>} Files, in archive order
+ * @throws {Error} If a header is corrupt or a file is truncated
+ */
+export function readTarEntries(archive) {
+  const entries = [];
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= archive.length) {
+    const header = archive.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+
+    const expected = parseInt(readString(header, 148, 8).trim(), 8);
+    if (expected !== checksum(header)) {
+      throw new Error(`Invalid tar header at byte ${offset}`);
+    }
+
+    const size = parseInt(readString(header, 124, 12).trim() || "0", 8);
+    const type = readString(header, 156, 1);
+    const prefix = readString(header, 345, 155);
+    const name = readString(header, 0, MAX_NAME_LENGTH);
+    const start = offset + BLOCK_SIZE;
+
+    if (start + size > archive.length) {
+      throw new Error(`Tar entry '${name}' is truncated`);
+    }
+    if (type === "0" || type === "") {
+      entries.push({
+        name: prefix ? `${prefix}/${name}` : name,
+        content: archive.subarray(start, start + size),
+      });
+    }
+
+    offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return entries;
+}
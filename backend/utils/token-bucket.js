@@ -0,0 +1,91 @@
+/**
+ * Token Bucket
+ * 
+ * In-memory token buckets for rate limiting. Each key (a user or a client
+ * IP) has a bucket holding up to `capacity` tokens that refills evenly
+ * over `windowMs`: a client can send a burst of `capacity` requests, then
+ * `capacity` per window. Every request takes one token.
+ * 
+ * Buckets live in a Map in insertion order. When it reaches maxKeys,
+ * buckets that have refilled completely (and so hold no state worth
+ * keeping) are dropped, then the oldest if that is not enough.
+ */
+
+/**
+ * Creates a set of token buckets sharing one budget
+ * 
+ * @param {Object} options
+ * @param {number} options.capacity - Tokens in a full bucket (burst size)
+ * @param {number} options.windowMs - Time to refill an empty bucket
+ * @param {number} [options.maxKeys=10000] - Buckets kept in memory
+ * @returns {Object} { take(key, now), reset(), size }
+ */
+export function createTokenBuckets({ capacity, windowMs, maxKeys = 10000 }) {
+  const ratePerMs = capacity / windowMs;
+  const buckets = new Map();
+
+  /**
+   * Tokens a bucket holds at a given time
+   * 
+   * @param {Object} bucket - { tokens, updatedAt }
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Tokens (may be fractional)
+   */
+  const tokensAt = (bucket, now) =>
+    Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * ratePerMs);
+
+  // Makes room for a new bucket
+  const evict = (now) => {
+    for (const [key, bucket] of buckets) {
+      if (tokensAt(bucket, now) >= capacity) {
+        buckets.delete(key);
+      }
+    }
+    while (buckets.size >= maxKeys) {
+      buckets.delete(buckets.keys().next().value);
+    }
+  };
+
+  /**
+   * Takes a token from a key's bucket
+   * 
+   * @param {string} key - Client key
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {Object} { allowed, limit, remaining, resetMs, retryAfterMs }
+   *   resetMs is the time until the bucket is full again; retryAfterMs the
+   *   time until the next token (0 when allowed)
+   */
+  const take = (key, now = Date.now()) => {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      if (buckets.size >= maxKeys) {
+        evict(now);
+      }
+      bucket = { tokens: capacity, updatedAt: now };
+      buckets.set(key, bucket);
+    }
+
+    bucket.tokens = tokensAt(bucket, now);
+    bucket.updatedAt = now;
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+
+    return {
+      allowed,
+      limit: capacity,
+      remaining: Math.floor(bucket.tokens),
+      resetMs: Math.ceil((capacity - bucket.tokens) / ratePerMs),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) / ratePerMs),
+    };
+  };
+
+  return {
+    take,
+    reset: () => buckets.clear(),
+    get size() {
+      return buckets.size;
+    },
+  };
+}
@@ -1,38 +1,290 @@
 /**
  * Validation utilities
  * 
- * Provides validation functions for note data and IDs.
- * All validation functions throw errors with descriptive messages.
+ * Provides a small schema system and validation functions for notes,
+ * tags and credentials.
+ * 
+ * A schema maps each field to a rule:
+ * - type: "string", "number", "integer", "boolean", "array" or "object"
+ * - required: the field must be present and not blank
+ * - nullable: null is accepted (and skips the other checks)
+ * - trim: strings are checked after trimming whitespace
+ * - minLength / maxLength: string length
+ * - maxItems: array length
+ * - pattern: RegExp a string must match
+ * - oneOf: allowed values
+ * - items: rule every array element must follow
+ * - label: name used in messages (a function of the value for items)
+ * - messages: messages replacing the defaults, by check name (a string,
+ *   or a function of the label)
+ * 
+ * validateSchema collects every problem, so a response can report all
+ * failing fields at once; assertValid turns them into a validation error
+ * with details.errors. The older validate* functions throw a plain Error
+ * (with a field property) for the first problem only.
+ */
+
+import { createValidationError } from "./error-handler.js";
+
+export const MAX_TAGS_PER_NOTE = 20;
+export const MAX_TAG_LENGTH = 32;
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_CONTENT_LENGTH = 50000;
+export const MAX_FOLDER_NAME_LENGTH = 100;
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]*$/u;
+
+// Types a rule can require, with how they are named in messages
+const TYPES = {
+  string: ["a string", (value) => typeof value === "string"],
+  number: ["a number", (value) => typeof value === "number" && Number.isFinite(value)],
+  integer: ["an integer", (value) => Number.isInteger(value)],
+  boolean: ["a boolean", (value) => typeof value === "boolean"],
+  array: ["an array", (value) => Array.isArray(value)],
+  object: ["an object", (value) => isPlainObject(value)],
+};
+
+const TAG_RULE = {
+  type: "string",
+  required: true,
+  trim: true,
+  maxLength: MAX_TAG_LENGTH,
+  pattern: TAG_PATTERN,
+  label: (tag) => `Tag '${tag}'`,
+  messages: {
+    required: "Tags must be non-empty strings",
+    type: "Tags must be non-empty strings",
+    empty: "Tags must be non-empty strings",
+    pattern: (label) => `${label} may only contain letters, numbers, '-' and '_'`,
+  },
+};
+
+/**
+ * Fields of a note that clients can set
  */
+export const NOTE_SCHEMA = {
+  title: {
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: MAX_TITLE_LENGTH,
+    label: "Title",
+  },
+  content: {
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: MAX_CONTENT_LENGTH,
+    label: "Content",
+  },
+  tags: {
+    type: "array",
+    maxItems: MAX_TAGS_PER_NOTE,
+    items: TAG_RULE,
+    label: "Tags",
+    messages: {
+      required: "Tags must be an array of strings",
+      type: "Tags must be an array of strings",
+      maxItems: `A note cannot have more than ${MAX_TAGS_PER_NOTE} tags`,
+    },
+  },
+  folderId: { type: "string", nullable: true },
+};
 
 /**
- * Validates note data (title and content)
+ * Fields of a folder that clients can set
+ */
+export const FOLDER_SCHEMA = {
+  name: {
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: MAX_FOLDER_NAME_LENGTH,
+    label: "Folder name",
+  },
+  parentId: { type: "string", nullable: true },
+};
+
+/**
+ * Checks whether a value is a plain object (not an array or null)
  * 
- * @param {Object} noteData - Note data to validate
- * @throws {Error} If validation fails with descriptive message
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
  */
-export function validateNoteData(noteData) {
-  if (!noteData) {
-    throw new Error("Note data is required");
+export function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks one value against a rule
+ * 
+ * @param {Object} rule - Schema rule
+ * @param {*} value - Value to check
+ * @param {string} field - Field name reported with each problem
+ * @param {Object} [options]
+ * @param {boolean} [options.given=false] - The value was given on purpose (in
+ *   a partial update), so an empty string is "empty" rather than missing
+ * @returns {Array<Object>} Problems { field, rule, message } (empty if valid)
+ */
+export function validateValue(rule, value, field, { given = false } = {}) {
+  const label =
+    typeof rule.label === "function" ? rule.label(value) : rule.label || field;
+  const problem = (check, defaultMessage) => {
+    const message = rule.messages?.[check] ?? defaultMessage;
+    return [
+      {
+        field,
+        rule: check,
+        message: typeof message === "function" ? message(label) : message,
+      },
+    ];
+  };
+
+  if (value === undefined || value === null || (value === "" && !given)) {
+    if (value === null && rule.nullable) {
+      return [];
+    }
+    if (rule.required) {
+      return problem("required", `${label} is required`);
+    }
+    if (value === undefined) {
+      return [];
+    }
+  }
+
+  const [typeName, isType] = TYPES[rule.type] || [];
+  if (isType && !isType(value)) {
+    return problem("type", `${label} must be ${typeName}`);
+  }
+
+  if (typeof value === "string") {
+    const text = rule.trim ? value.trim() : value;
+    if (rule.required && !text) {
+      return problem("empty", `${label} cannot be empty`);
+    }
+    if (rule.minLength !== undefined && text.length < rule.minLength) {
+      return problem(
+        "minLength",
+        `${label} must be at least ${rule.minLength} characters`
+      );
+    }
+    if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+      return problem(
+        "maxLength",
+        `${label} cannot be longer than ${rule.maxLength} characters`
+      );
+    }
+    if (rule.pattern && !rule.pattern.test(text)) {
+      return problem("pattern", `${label} is not in a valid format`);
+    }
+  }
+
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return problem("oneOf", `${label} must be one of: ${rule.oneOf.join(", ")}`);
   }
 
-  if (!noteData.title || typeof noteData.title !== "string") {
-    throw new Error("Title is required and must be a string");
+  if (Array.isArray(value)) {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return problem("maxItems", `${label} cannot have more than ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      return value.flatMap((item) => validateValue(rule.items, item, field));
+    }
   }
 
-  if (!noteData.title.trim()) {
-    throw new Error("Title cannot be empty");
+  return [];
+}
+
+/**
+ * Checks an object against a schema
+ * 
+ * @param {Object} schema - Field names -> rules
+ * @param {*} data - Object to check
+ * @param {Object} [options]
+ * @param {string} [options.name="Request body"] - What data is, for messages about data itself
+ * @param {boolean} [options.partial=false] - Only check the fields that are present (updates)
+ * @param {boolean} [options.allowUnknown=false] - Accept fields the schema doesn't list
+ * @returns {Array<Object>} Every problem { field, rule, message }, in schema order
+ */
+export function validateSchema(
+  schema,
+  data,
+  { name = "Request body", partial = false, allowUnknown = false } = {}
+) {
+  if (data === undefined || data === null) {
+    return [{ field: null, rule: "required", message: `${name} is required` }];
   }
+  if (!isPlainObject(data)) {
+    return [{ field: null, rule: "type", message: `${name} must be an object` }];
+  }
+
+  const unknown = allowUnknown
+    ? []
+    : Object.keys(data)
+        .filter((field) => !Object.hasOwn(schema, field))
+        .map((field) => ({
+          field,
+          rule: "unknown",
+          message: `Unknown field '${field}'`,
+        }));
 
-  if (!noteData.content || typeof noteData.content !== "string") {
-    throw new Error("Content is required and must be a string");
+  const invalid = Object.entries(schema)
+    .filter(([field]) => !partial || data[field] !== undefined)
+    .flatMap(([field, rule]) =>
+      validateValue(rule, data[field], field, { given: partial })
+    );
+
+  return [...invalid, ...unknown];
+}
+
+/**
+ * Checks an object against a schema and throws if anything is wrong
+ * 
+ * @param {Object} schema - Field names -> rules
+ * @param {*} data - Object to check
+ * @param {Object} [options] - See validateSchema
+ * @throws {Error} Validation error whose message and field are the first
+ *   problem's, with every problem in details.errors
+ */
+export function assertValid(schema, data, options) {
+  const errors = validateSchema(schema, data, options);
+  if (errors.length > 0) {
+    throw createValidationError(errors[0].message, {
+      field: errors[0].field,
+      errors,
+    });
   }
+}
 
-  if (!noteData.content.trim()) {
-    throw new Error("Content cannot be empty");
+/**
+ * Throws the first problem as a plain Error
+ * 
+ * @param {Array<Object>} errors - Problems from validateSchema or validateValue
+ * @throws {Error} With the problem's message and a field property
+ */
+function throwFirst(errors) {
+  if (errors.length > 0) {
+    const error = new Error(errors[0].message);
+    error.field = errors[0].field;
+    throw error;
   }
 }
 
+/**
+ * Validates note data (title and content)
+ * 
+ * @param {Object} noteData - Note data to validate
+ * @throws {Error} If validation fails with descriptive message
+ */
+export function validateNoteData(noteData) {
+  const { title, content } = NOTE_SCHEMA;
+  throwFirst(
+    validateSchema({ title, content }, noteData, {
+      name: "Note data",
+      allowUnknown: true,
+    })
+  );
+}
+
 /**
  * Validates note ID
  * 
@@ -49,3 +301,72 @@ export function validateNoteId(id) {
   }
 }
 
+/**
+ * Validates a single tag name
+ * Tags start with a letter or number and may contain letters, numbers,
+ * '-' and '_' (no spaces).
+ * 
+ * @param {string} tag - Tag to validate
+ * @throws {Error} If validation fails with descriptive message
+ */
+export function validateTag(tag) {
+  throwFirst(validateValue(TAG_RULE, tag, "tags"));
+}
+
+/**
+ * Validates a note's tags array
+ * 
+ * @param {Array<string>} tags - Tags to validate
+ * @throws {Error} If validation fails with descriptive message
+ */
+export function validateTags(tags) {
+  throwFirst(validateValue({ ...NOTE_SCHEMA.tags, required: true }, tags, "tags"));
+}
+
+/**
+ * Normalizes tags: trimmed, lowercase, duplicates removed (order kept)
+ * Expects tags that already passed validateTags.
+ * 
+ * @param {Array<string>} tags - Valid tags
+ * @returns {Array<string>} Normalized tags
+ */
+export function normalizeTags(tags) {
+  return [...new Set(tags.map((tag) => tag.trim().toLowerCase()))];
+}
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 256;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+
+/**
+ * Validates registration or login credentials
+ * 
+ * @param {Object} credentials - { username, password }
+ * @throws {Error} If validation fails, with a field property naming the bad field
+ */
+export function validateCredentials(credentials) {
+  const fail = (message, field) => {
+    const error = new Error(message);
+    error.field = field;
+    throw error;
+  };
+
+  if (typeof credentials?.username !== "string" || !USERNAME_PATTERN.test(credentials.username)) {
+    fail(
+      "Username must be 3-32 letters, digits, '.', '_' or '-'",
+      "username"
+    );
+  }
+
+  const { password } = credentials;
+  if (
+    typeof password !== "string" ||
+    password.length < MIN_PASSWORD_LENGTH ||
+    password.length > MAX_PASSWORD_LENGTH
+  ) {
+    fail(
+      `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`,
+      "password"
+    );
+  }
+}
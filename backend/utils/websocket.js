@@ -0,0 +1,148 @@
+/**
+ * WebSocket Utilities
+ * 
+ * Server side of the live editing WebSockets, built on the ws package,
+ * which handles the protocol itself (handshake, framing, UTF-8 checks
+ * and the closing handshake). This adds what collaborative editing
+ * needs on top: text-only messages with a size limit, ping heartbeats,
+ * and handler errors closing the connection rather than crashing.
+ */
+
+import { STATUS_CODES } from "node:http";
+import { WebSocket, WebSocketServer } from "ws";
+
+/**
+ * Close codes used by the server
+ */
+export const CloseCode = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  UNSUPPORTED_DATA: 1003,
+  POLICY_VIOLATION: 1008,
+  MESSAGE_TOO_BIG: 1009,
+  INTERNAL_ERROR: 1011,
+};
+
+// Close frames leave 123 bytes for the reason
+const MAX_CLOSE_REASON_BYTES = 123;
+
+// Does the handshakes of every connection. Its maxPayload (ws's default,
+// 100 MiB) is only a backstop; each caller's own limit is checked per message
+const server = new WebSocketServer({
+  noServer: true,
+  clientTracking: false,
+  perMessageDeflate: false,
+});
+
+/**
+ * Shortens a close reason to fit a close frame, without splitting a character
+ * 
+ * @param {string} reason - Close reason
+ * @returns {string} Reason of at most 123 bytes of UTF-8
+ */
+function truncateReason(reason) {
+  let bytes = 0;
+  let end = 0;
+  for (const char of reason) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > MAX_CLOSE_REASON_BYTES) {
+      break;
+    }
+    end += char.length;
+  }
+  return reason.slice(0, end);
+}
+
+/**
+ * Answers an upgrade request with an HTTP error and closes the socket
+ * 
+ * @param {Object} socket - Network socket of the upgrade request
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} [headers] - Extra response headers
+ */
+export function rejectUpgrade(socket, statusCode, headers = {}) {
+  const lines = [
+    `HTTP/1.1 ${statusCode} ${STATUS_CODES[statusCode] || "Error"}`,
+    "Connection: close",
+    "Content-Length: 0",
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+  ];
+  socket.end(`${lines.join("\r\n")}\r\n\r\n`);
+}
+
+/**
+ * Completes the handshake of a WebSocket upgrade and starts the connection
+ * Requests that aren't valid WebSocket upgrades are answered with an
+ * HTTP error by ws.
+ * 
+ * @param {Object} req - Node request (from the server's "upgrade" event)
+ * @param {Object} socket - Network socket of the request
+ * @param {Buffer} head - Bytes received after the request headers
+ * @param {Object} handlers
+ * @param {Function} handlers.onOpen - Called with the connection
+ *   { send(text), close(code, reason), isOpen() } once the handshake is done
+ * @param {Function} handlers.onMessage - Called with each text message
+ * @param {Function} [handlers.onClose] - Called once with (code, reason) when the connection ends
+ * @param {number} [handlers.maxMessageBytes] - Larger messages close the connection (1009)
+ * @param {number} [handlers.heartbeatMs] - Ping interval; a client that
+ *   doesn't answer a ping before the next one is disconnected
+ */
+export function acceptWebSocket(
+  req,
+  socket,
+  head,
+  { onOpen, onMessage, onClose, maxMessageBytes, heartbeatMs }
+) {
+  server.handleUpgrade(req, socket, head, (ws) => {
+    const isOpen = () => ws.readyState === WebSocket.OPEN;
+    const connection = {
+      send(text) {
+        if (isOpen()) ws.send(text);
+      },
+      close(code = CloseCode.NORMAL, reason = "") {
+        if (isOpen()) ws.close(code, truncateReason(reason));
+      },
+      isOpen,
+    };
+
+    let isAlive = true;
+    const heartbeat =
+      heartbeatMs &&
+      setInterval(() => {
+        if (!isAlive) {
+          ws.terminate();
+          return;
+        }
+        isAlive = false;
+        ws.ping();
+      }, heartbeatMs);
+
+    ws.on("pong", () => {
+      isAlive = true;
+    });
+    ws.on("message", (data, isBinary) => {
+      if (isBinary) {
+        connection.close(CloseCode.UNSUPPORTED_DATA, "Only text messages are supported");
+        return;
+      }
+      if (maxMessageBytes && data.length > maxMessageBytes) {
+        connection.close(CloseCode.MESSAGE_TOO_BIG, "Message is too big");
+        return;
+      }
+      try {
+        onMessage(data.toString());
+      } catch (error) {
+        console.error("WebSocket message handling failed:", error);
+        connection.close(CloseCode.INTERNAL_ERROR);
+      }
+    });
+    // ws closes the connection itself after a protocol error
+    ws.on("error", () => {});
+    ws.on("close", (code, reason) => {
+      clearInterval(heartbeat);
+      onClose?.(code, reason.toString());
+    });
+
+    onOpen(connection);
+  });
+}
@@ -1,29 +1,95 @@
 /**
  * Main App Component
  * Root component that sets up the layout structure
+ * Shows the sign-in page until the user is signed in. Public links
+ * (/s/:token) open a read-only viewer that needs no account.
  */
-import { useState, useRef } from "react";
+import { useState, useRef, useEffect } from "react";
 import Header from "./components/Header";
 import Sidebar from "./components/Sidebar";
 import HomePage from "./pages/HomePage";
+import LoginPage from "./pages/LoginPage";
+import SharedNotePage from "./pages/SharedNotePage";
+import { getCurrentUser, logout } from "./services/auth-api.js";
+import { setUnauthorizedHandler } from "./services/api-client.js";
+
+// Token of a public link opened in this window, if any
+const sharedNoteToken = window.location.pathname.match(/^\/s\/([\w-]+)\/?$/)?.[1];
 
 function App() {
+  if (sharedNoteToken) {
+    return <SharedNotePage token={sharedNoteToken} />;
+  }
+  return <NotesApp />;
+}
+
+function NotesApp() {
+  // undefined while the session is being checked, null when signed out
+  const [user, setUser] = useState(undefined);
+  const [authNotice, setAuthNotice] = useState(null);
   const [selectedNoteId, setSelectedNoteId] = useState(null);
   const sidebarRefreshRef = useRef(null);
 
-  const handleNoteSaved = (note) => {
-    // After saving, refresh sidebar to show the new note
-    if (sidebarRefreshRef.current) {
-      sidebarRefreshRef.current();
+  useEffect(() => {
+    getCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null));
+  }, []);
+
+  // A 401 while signed in means the session expired or was revoked
+  useEffect(() => {
+    if (!user) return undefined;
+    setUnauthorizedHandler(() => {
+      setAuthNotice("Your session has expired. Please sign in again.");
+      setUser(null);
+    });
+    return () => setUnauthorizedHandler(null);
+  }, [user]);
+
+  const handleSignedIn = (signedInUser) => {
+    setAuthNotice(null);
+    setSelectedNoteId(null);
+    setUser(signedInUser);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await logout();
+      setAuthNotice("You have been signed out.");
+      setUser(null);
+    } catch (err) {
+      console.error("Failed to sign out:", err);
     }
+  };
+
+  const handleNoteSaved = () => {
+    // The sidebar picks up the saved note from the live change feed.
     // Don't auto-select the note - return to empty state so user can create more notes
     // User can click on the note in sidebar if they want to edit it
     setSelectedNoteId(null);
   };
 
+  const handleNotesImported = () => {
+    if (sidebarRefreshRef.current) {
+      sidebarRefreshRef.current();
+    }
+  };
+
+  if (user === undefined) {
+    return <div className="h-screen bg-gray-900" aria-busy="true" />;
+  }
+
+  if (!user) {
+    return <LoginPage onSignedIn={handleSignedIn} notice={authNotice} />;
+  }
+
   return (
     <div className="flex flex-col h-screen bg-gray-900">
-      <Header />
+      <Header
+        user={user}
+        onImported={handleNotesImported}
+        onSignOut={handleSignOut}
+      />
       <div className="flex flex-1 overflow-hidden flex-col md:flex-row">
         <Sidebar
           selectedNoteId={selectedNoteId}
@@ -0,0 +1,138 @@
+/**
+ * ActivityPanel Component
+ * 
+ * Timeline of everything that happened to the note being edited
+ * (created, edited, moved to the trash, restored, ...), newest first.
+ */
+import { useState, useEffect } from "react";
+import { getNoteActivity } from "../services/notes-api.js";
+import { formatDate } from "../utils/formatters.js";
+
+/**
+ * Describes a log entry in words
+ * 
+ * @param {Object} entry - Log entry { action, details }
+ * @returns {string} Description
+ */
+function describeActivity({ action, details = {} }) {
+  switch (action) {
+    case "NOTE_CREATED":
+      return "Created";
+    case "NOTE_UPDATED":
+      return details.updatedFields?.length
+        ? `Edited ${details.updatedFields.join(", ")}`
+        : "Edited";
+    case "NOTE_DELETED":
+      return details.permanent ? "Deleted permanently" : "Moved to trash";
+    case "NOTE_RESTORED":
+      return "Restored from trash";
+    case "NOTE_REVISION_RESTORED":
+      return `Restored revision ${details.rev}`;
+    case "NOTE_SHARED":
+      return `Shared as ${details.role}`;
+    case "NOTE_UNSHARED":
+      return "Stopped sharing with a user";
+    case "NOTE_LINK_CREATED":
+      return "Created a public link";
+    case "NOTE_LINK_REVOKED":
+      return "Revoked a public link";
+    case "TAG_RENAMED":
+      return `Tag "${details.from}" renamed to "${details.to}"`;
+    case "FOLDER_DELETED":
+      return details.mode === "cascade"
+        ? "Moved to trash with its folder"
+        : "Moved out of a deleted folder";
+    case "TRASH_PURGED":
+      return "Removed from trash";
+    default:
+      return action;
+  }
+}
+
+function ActivityPanel({ note }) {
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load the first page for the current note
+  useEffect(() => {
+    let isCancelled = false;
+    getNoteActivity(note.id)
+      .then((page) => {
+        if (isCancelled) return;
+        setEntries(page.activity);
+        setNextCursor(page.nextCursor);
+      })
+      .catch((err) => {
+        if (!isCancelled) setError(err.message || "Failed to load activity");
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [note.id]);
+
+  const handleLoadMore = async () => {
+    setError(null);
+    setIsLoading(true);
+    try {
+      const page = await getNoteActivity(note.id, { cursor: nextCursor });
+      setEntries((current) => [...current, ...page.activity]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err.message || "Failed to load activity");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <section
+      className="mt-6 p-4 bg-gray-800 border border-gray-700 rounded-lg"
+      aria-label="Activity"
+    >
+      <h2 className="text-md font-semibold text-gray-100 mb-3">Activity</h2>
+
+      {error && (
+        <p className="mb-3 text-sm text-red-400" role="alert">
+          {error}
+        </p>
+      )}
+
+      {entries.length === 0 && !isLoading && !error ? (
+        <p className="text-sm text-gray-500">No activity yet</p>
+      ) : (
+        <ol className="relative border-l border-gray-700 ml-2 space-y-3">
+          {entries.map((entry) => (
+            <li key={entry.id} className="ml-4">
+              <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full bg-indigo-500" />
+              <p className="text-sm text-gray-100">{describeActivity(entry)}</p>
+              <time
+                dateTime={entry.timestamp}
+                className="block text-xs text-gray-500"
+              >
+                {formatDate(entry.timestamp)}
+              </time>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {nextCursor && (
+        <button
+          type="button"
+          onClick={handleLoadMore}
+          disabled={isLoading}
+          className="mt-3 text-sm text-indigo-400 hover:text-indigo-300 disabled:opacity-50"
+        >
+          {isLoading ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default ActivityPanel;
@@ -0,0 +1,62 @@
+/**
+ * CollabPresence Component
+ * 
+ * Shows whether a note is being edited live and who else has it open.
+ * When live editing is unavailable, edits are saved with the Update
+ * button as usual and the user can try to reconnect.
+ */
+import { formatUserColor } from "../utils/formatters.js";
+
+const STATUS_LABELS = {
+  connecting: "Connecting to live editing...",
+  live: "Live editing",
+  offline: "Live editing is off - changes are saved when you click Update",
+};
+
+function CollabPresence({ status, peers, error, onReconnect }) {
+  return (
+    <div
+      className="flex flex-wrap items-center gap-2 text-sm"
+      aria-label="Live editing"
+      role="group"
+    >
+      <span className={status === "live" ? "text-green-400" : "text-gray-400"}>
+        {STATUS_LABELS[status]}
+      </span>
+      {status === "offline" && onReconnect && (
+        <button
+          type="button"
+          onClick={onReconnect}
+          className="px-2 py-0.5 text-xs bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 transition-colors"
+        >
+          Reconnect
+        </button>
+      )}
+      {peers.length > 0 && (
+        <ul className="flex flex-wrap gap-1" aria-label="Also editing">
+          {peers.map((peer) => (
+            <li
+              key={peer.clientId}
+              className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-gray-800 text-gray-100"
+            >
+              <span
+                className="inline-block w-2 h-2 rounded-full"
+                style={{ backgroundColor: formatUserColor(peer.userId) }}
+                aria-hidden="true"
+              />
+              {peer.username}
+              {peer.role === "viewer" && <span className="text-gray-400">(viewing)</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && (
+        <span className="text-red-400" role="alert">
+          {error}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default CollabPresence;
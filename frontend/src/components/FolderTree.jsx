@@ -0,0 +1,274 @@
+/**
+ * FolderTree Component
+ * 
+ * Shows folders as a collapsible tree above the notes list.
+ * Selecting a folder filters the notes list; notes dragged from the list
+ * can be dropped on a folder (or on "All notes" to take them out of one).
+ * Folders can be created, renamed and deleted from here.
+ */
+import { useState } from "react";
+import {
+  createFolder,
+  updateFolder,
+  deleteFolder,
+} from "../services/notes-api.js";
+
+// Data transfer type used when dragging a note onto a folder
+export const NOTE_DRAG_TYPE = "application/x-note-id";
+
+const rowClasses = (isSelected, isDropTarget) =>
+  `group flex items-center rounded-md text-sm transition-colors ${
+    isDropTarget
+      ? "bg-indigo-500/30 ring-1 ring-indigo-400"
+      : isSelected
+        ? "bg-gray-700 text-white"
+        : "text-gray-300 hover:bg-gray-800"
+  }`;
+
+const actionClasses =
+  "px-1 text-xs text-gray-500 hover:text-gray-100 opacity-0 group-hover:opacity-100 focus:opacity-100";
+
+function FolderTree({
+  folders,
+  selectedFolderId,
+  onSelectFolder,
+  onMoveNote,
+  onFoldersChange,
+}) {
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+  const [dropTargetId, setDropTargetId] = useState(undefined);
+  const [deletingId, setDeletingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const childrenOf = (parentId) =>
+    folders.filter((folder) => (folder.parentId || null) === parentId);
+
+  const toggleExpanded = (id) => {
+    setExpandedIds((current) => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    setError(null);
+    try {
+      await action();
+      onFoldersChange();
+    } catch (err) {
+      setError(err.message || fallbackMessage);
+    }
+  };
+
+  const handleCreate = (parentId) => {
+    const name = window.prompt("Folder name");
+    if (!name || !name.trim()) {
+      return;
+    }
+    runAction(async () => {
+      await createFolder({ name, parentId });
+      if (parentId) {
+        setExpandedIds((current) => new Set(current).add(parentId));
+      }
+    }, "Failed to create folder");
+  };
+
+  const handleRename = (folder) => {
+    const name = window.prompt("Rename folder", folder.name);
+    if (!name || !name.trim() || name.trim() === folder.name) {
+      return;
+    }
+    runAction(
+      () => updateFolder(folder.id, { name }),
+      "Failed to rename folder"
+    );
+  };
+
+  const handleDelete = (folder, mode) => {
+    setDeletingId(null);
+    runAction(async () => {
+      const result = await deleteFolder(folder.id, { mode });
+      if (result.deletedFolderIds.includes(selectedFolderId)) {
+        onSelectFolder(null);
+      }
+    }, "Failed to delete folder");
+  };
+
+  // Drop handlers for a folder row (folderId null is "All notes")
+  const dropProps = (folderId) => ({
+    onDragOver: (e) => {
+      if (e.dataTransfer.types.includes(NOTE_DRAG_TYPE)) {
+        e.preventDefault();
+        setDropTargetId(folderId);
+      }
+    },
+    onDragLeave: () => setDropTargetId(undefined),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTargetId(undefined);
+      const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE);
+      if (noteId) {
+        onMoveNote(noteId, folderId);
+      }
+    },
+  });
+
+  const renderFolder = (folder, depth) => {
+    const children = childrenOf(folder.id);
+    const isExpanded = expandedIds.has(folder.id);
+
+    return (
+      <li
+        key={folder.id}
+        role="treeitem"
+        aria-expanded={children.length > 0 ? isExpanded : undefined}
+      >
+        <div
+          className={rowClasses(
+            folder.id === selectedFolderId,
+            folder.id === dropTargetId
+          )}
+          style={{ paddingLeft: `${depth * 12}px` }}
+          {...dropProps(folder.id)}
+        >
+          {children.length > 0 ? (
+            <button
+              type="button"
+              onClick={() => toggleExpanded(folder.id)}
+              aria-label={`${isExpanded ? "Collapse" : "Expand"} ${folder.name}`}
+              className="w-5 text-gray-500 hover:text-gray-100"
+            >
+              {isExpanded ? "▾" : "▸"}
+            </button>
+          ) : (
+            <span className="w-5" />
+          )}
+          <button
+            type="button"
+            onClick={() => onSelectFolder(folder.id)}
+            aria-current={folder.id === selectedFolderId ? "true" : undefined}
+            className="flex-1 truncate text-left py-1"
+          >
+            📁 {folder.name}
+            <span className="ml-1 text-xs text-gray-500">{folder.noteCount}</span>
+          </button>
+          <button
+            type="button"
+            onClick={() => handleCreate(folder.id)}
+            aria-label={`New folder in ${folder.name}`}
+            className={actionClasses}
+          >
+            +
+          </button>
+          <button
+            type="button"
+            onClick={() => handleRename(folder)}
+            aria-label={`Rename ${folder.name}`}
+            className={actionClasses}
+          >
+            ✎
+          </button>
+          <button
+            type="button"
+            onClick={() => setDeletingId(folder.id)}
+            aria-label={`Delete ${folder.name}`}
+            className={`${actionClasses} hover:text-red-400`}
+          >
+            ✕
+          </button>
+        </div>
+
+        {deletingId === folder.id && (
+          <div
+            className="my-1 p-2 text-xs bg-gray-800 border border-gray-700 rounded-md"
+            style={{ marginLeft: `${depth * 12}px` }}
+          >
+            <p className="text-gray-300 mb-2">
+              Delete "{folder.name}"? Its notes can move to the parent folder
+              or go to the trash.
+            </p>
+            <div className="flex gap-1">
+              <button
+                type="button"
+                onClick={() => handleDelete(folder, "move")}
+                className="px-2 py-1 rounded bg-gray-700 text-gray-100 hover:bg-gray-600"
+              >
+                Keep notes
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDelete(folder, "cascade")}
+                className="px-2 py-1 rounded bg-red-700 text-white hover:bg-red-600"
+              >
+                Delete notes
+              </button>
+              <button
+                type="button"
+                onClick={() => setDeletingId(null)}
+                className="px-2 py-1 rounded text-gray-400 hover:text-gray-100"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {isExpanded && children.length > 0 && (
+          <ul role="group">
+            {children.map((child) => renderFolder(child, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <nav aria-label="Folders" className="mb-4">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-500">
+          Folders
+        </h2>
+        <button
+          type="button"
+          onClick={() => handleCreate(null)}
+          className="text-xs text-indigo-400 hover:text-indigo-300"
+        >
+          + New folder
+        </button>
+      </div>
+
+      {error && (
+        <p className="mb-1 text-xs text-red-400" role="alert">
+          {error}
+        </p>
+      )}
+
+      <ul role="tree">
+        <li role="treeitem">
+          <div
+            className={rowClasses(selectedFolderId === null, dropTargetId === null)}
+            {...dropProps(null)}
+          >
+            <span className="w-5" />
+            <button
+              type="button"
+              onClick={() => onSelectFolder(null)}
+              aria-current={selectedFolderId === null ? "true" : undefined}
+              className="flex-1 text-left py-1"
+            >
+              All notes
+            </button>
+          </div>
+        </li>
+        {childrenOf(null).map((folder) => renderFolder(folder, 0))}
+      </ul>
+    </nav>
+  );
+}
+
+export default FolderTree;
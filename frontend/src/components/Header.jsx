@@ -1,8 +1,18 @@
 /**
  * Header Component
- * Application header with title
+ * Application header with title, export links, import and the
+ * signed-in user's name with a sign-out button
  */
-function Header() {
+import { useState } from "react";
+import ImportDialog from "./ImportDialog";
+import { getExportUrl } from "../services/notes-api.js";
+
+const actionClasses =
+  "px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-gray-700 transition-colors";
+
+function Header({ user, onImported, onSignOut }) {
+  const [isImportOpen, setIsImportOpen] = useState(false);
+
   return (
     <header
       className="w-full h-16 bg-gray-800 flex items-center justify-between px-4 md:px-6 border-b border-gray-700 shadow-sm"
@@ -11,9 +21,41 @@ function Header() {
       <h1 className="text-lg md:text-xl font-semibold text-gray-100">
         Notes Tracker
       </h1>
+
+      <div className="flex items-center gap-1">
+        <a href={getExportUrl("json")} download className={actionClasses}>
+          Export JSON
+        </a>
+        <a href={getExportUrl("markdown")} download className={actionClasses}>
+          Export Markdown
+        </a>
+        <button
+          type="button"
+          onClick={() => setIsImportOpen(true)}
+          className={actionClasses}
+        >
+          Import
+        </button>
+        {user && (
+          <div className="flex items-center gap-1 ml-2 pl-3 border-l border-gray-700">
+            <span className="text-sm text-gray-400" title="Signed in">
+              {user.username}
+            </span>
+            <button type="button" onClick={onSignOut} className={actionClasses}>
+              Sign out
+            </button>
+          </div>
+        )}
+      </div>
+
+      {isImportOpen && (
+        <ImportDialog
+          onClose={() => setIsImportOpen(false)}
+          onImported={onImported}
+        />
+      )}
     </header>
   );
 }
 
 export default Header;
-
@@ -0,0 +1,179 @@
+/**
+ * ImportDialog Component
+ * 
+ * Imports notes from an export file (.json bundle, .md file or .tar archive).
+ * Choosing a file shows a dry-run preview of what will happen to each
+ * note; nothing is saved until the import is confirmed.
+ */
+import { useState } from "react";
+import { importNotes } from "../services/notes-api.js";
+
+const STRATEGIES = [
+  { value: "skip", label: "Skip existing notes" },
+  { value: "overwrite", label: "Overwrite existing notes" },
+  { value: "duplicate", label: "Import as copies" },
+];
+
+const STATUS_LABELS = {
+  created: "New",
+  overwritten: "Overwrite",
+  duplicated: "Copy",
+  skipped: "Skip",
+  failed: "Error",
+};
+
+const statusClasses = (status) =>
+  status === "failed"
+    ? "text-red-400"
+    : status === "skipped"
+      ? "text-gray-500"
+      : "text-green-400";
+
+function ImportDialog({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [strategy, setStrategy] = useState("skip");
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const run = async (selectedFile, selectedStrategy, dryRun) => {
+    setError(null);
+    setIsWorking(true);
+    try {
+      const result = await importNotes(selectedFile, {
+        strategy: selectedStrategy,
+        dryRun,
+      });
+      setReport(result);
+      if (!dryRun && onImported) {
+        onImported(result);
+      }
+    } catch (err) {
+      setReport(null);
+      setError(err.message || "Failed to import notes");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selectedFile = e.target.files[0] || null;
+    setFile(selectedFile);
+    setReport(null);
+    if (selectedFile) {
+      run(selectedFile, strategy, true);
+    }
+  };
+
+  const handleStrategyChange = (e) => {
+    setStrategy(e.target.value);
+    if (file) {
+      run(file, e.target.value, true);
+    }
+  };
+
+  const summary = report?.summary;
+  const toImport = summary
+    ? summary.created + summary.overwritten + summary.duplicated
+    : 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-dialog-title"
+        className="w-full max-w-lg bg-gray-800 border border-gray-700 rounded-lg shadow-lg p-4 text-gray-100"
+      >
+        <h2 id="import-dialog-title" className="text-lg font-semibold mb-3">
+          Import notes
+        </h2>
+
+        <label className="block text-sm text-gray-300 mb-2">
+          Export file (.json, .md or .tar)
+          <input
+            type="file"
+            accept=".json,.md,.markdown,.tar"
+            onChange={handleFileChange}
+            disabled={isWorking}
+            className="block w-full mt-1 text-sm text-gray-300"
+          />
+        </label>
+
+        <label className="block text-sm text-gray-300 mb-3">
+          When a note already exists
+          <select
+            value={strategy}
+            onChange={handleStrategyChange}
+            disabled={isWorking}
+            className="block w-full mt-1 px-2 py-1 rounded bg-gray-900 border border-gray-700 text-gray-100"
+          >
+            {STRATEGIES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {error && (
+          <p className="mb-3 text-sm text-red-400" role="alert">
+            {error}
+          </p>
+        )}
+
+        {isWorking && <p className="mb-3 text-sm text-gray-400">Working...</p>}
+
+        {summary && !isWorking && (
+          <div className="mb-3" role="status">
+            <p className="text-sm text-gray-300 mb-2">
+              {report.dryRun ? "Preview: " : "Imported: "}
+              {summary.created} new, {summary.overwritten} overwritten,{" "}
+              {summary.duplicated} copied, {summary.skipped} skipped,{" "}
+              {summary.failed} failed
+            </p>
+            <ul className="max-h-60 overflow-y-auto text-sm divide-y divide-gray-700">
+              {report.notes.map((entry) => (
+                <li key={entry.index} className="py-1 flex gap-2">
+                  <span className={`w-20 shrink-0 ${statusClasses(entry.status)}`}>
+                    {STATUS_LABELS[entry.status]}
+                  </span>
+                  <span className="truncate">
+                    {entry.title || entry.source}
+                    {entry.error && (
+                      <span className="block text-xs text-red-400">
+                        {entry.error.error}
+                      </span>
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1.5 rounded text-sm text-gray-300 hover:text-gray-100"
+          >
+            {report && !report.dryRun ? "Done" : "Cancel"}
+          </button>
+          {report?.dryRun && (
+            <button
+              type="button"
+              onClick={() => run(file, strategy, false)}
+              disabled={isWorking || toImport === 0}
+              className="px-3 py-1.5 rounded text-sm bg-indigo-600 text-white hover:bg-indigo-500 disabled:opacity-50"
+            >
+              Import {toImport} {toImport === 1 ? "note" : "notes"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportDialog;
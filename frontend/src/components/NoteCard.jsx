@@ -2,11 +2,13 @@
  * NoteCard Component
  * 
  * Displays a single note in the sidebar list.
- * Shows note title, content preview, and last modified date.
+ * Shows note title, content preview, tags, and last modified date.
+ * The delete and share link actions are only shown when their handlers
+ * are passed (i.e. for the user's own notes).
  */
 import { formatDate } from "../utils/formatters.js";
 
-function NoteCard({ note, isSelected, onClick, onDelete }) {
+function NoteCard({ note, isSelected, onClick, onDelete, onShareLink }) {
   return (
     <div
       className={`rounded-lg p-4 cursor-pointer transition-all duration-200 ${
@@ -42,6 +44,22 @@ function NoteCard({ note, isSelected, onClick, onDelete }) {
           >
             {note.content}
           </p>
+          {note.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {note.tags.map((tag) => (
+                <span
+                  key={tag}
+                  className={`text-xs px-1.5 rounded ${
+                    isSelected
+                      ? "bg-indigo-400 text-white"
+                      : "bg-gray-600 text-gray-300"
+                  }`}
+                >
+                  #{tag}
+                </span>
+              ))}
+            </div>
+          )}
           <span
             className={`text-xs mt-2 block ${
               isSelected ? "text-indigo-200" : "text-gray-500"
@@ -50,18 +68,33 @@ function NoteCard({ note, isSelected, onClick, onDelete }) {
             {formatDate(note.lastModified)}
           </span>
         </div>
-        {onDelete && (
-          <button
-            onClick={(e) => {
-              e.stopPropagation();
-              onDelete(note.id);
-            }}
-            className="p-1 text-gray-400 hover:text-red-400 hover:bg-red-900/20 rounded transition-colors"
-            aria-label="Delete note"
-          >
-            🗑️
-          </button>
-        )}
+        <div className="flex flex-col">
+          {onShareLink && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onShareLink(note.id);
+              }}
+              className="p-1 text-gray-400 hover:text-indigo-300 hover:bg-indigo-900/20 rounded transition-colors"
+              aria-label="Share link"
+              title="Create a public read-only link"
+            >
+              🔗
+            </button>
+          )}
+          {onDelete && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onDelete(note.id);
+              }}
+              className="p-1 text-gray-400 hover:text-red-400 hover:bg-red-900/20 rounded transition-colors"
+              aria-label="Delete note"
+            >
+              🗑️
+            </button>
+          )}
+        </div>
       </div>
     </div>
   );
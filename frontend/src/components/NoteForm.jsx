@@ -2,63 +2,276 @@
  * NoteForm Component
  * 
  * Form for creating and editing notes.
- * Handles title and content input with validation.
+ * Handles title, content and tags input with validation; each problem
+ * (found here or reported by the server) is shown under its input.
+ * An existing note's content is edited live with everyone else who has
+ * it open: their edits, cursors and presence show up as they happen, and
+ * the server saves the merged text. Without a live connection, edits are
+ * saved against the version they started from; if the note was changed
+ * elsewhere in the meantime, the user can keep their version, take the
+ * other one, or merge the two.
+ * Notes shared with the user as a viewer are shown read-only.
  */
-import { useState, useEffect } from "react";
-import { createNote, updateNote } from "../services/notes-api.js";
+import { useState, useEffect, useLayoutEffect, useId, useRef } from "react";
+import { createNote, updateNote, getTags } from "../services/notes-api.js";
+import { useCollaboration } from "../hooks/useCollaboration.js";
+import { mergeLines } from "../utils/diff.js";
+import { transformPosition } from "../utils/text-operation.js";
+import TagInput from "./TagInput.jsx";
+import CollabPresence from "./CollabPresence.jsx";
+import RemoteCursors from "./RemoteCursors.jsx";
+
+/**
+ * Three-way merge of tag lists: tags added on either side are kept,
+ * tags removed on either side are dropped
+ */
+const mergeTags = (base, mine, theirs) =>
+  [...new Set([...mine, ...theirs])].filter(
+    (tag) => !base.includes(tag) || (mine.includes(tag) && theirs.includes(tag))
+  );
+
+// Fields with an input in the form
+const FORM_FIELDS = ["title", "content", "tags"];
+
+/**
+ * Groups a server's field errors by form input
+ * Errors for fields the form doesn't show are returned as messages for
+ * the error banner.
+ */
+const groupFieldErrors = (errors = []) => {
+  const byField = {};
+  const other = [];
+  for (const { field, message } of errors) {
+    if (FORM_FIELDS.includes(field)) {
+      byField[field] = [...(byField[field] || []), message];
+    } else {
+      other.push(message);
+    }
+  }
+  return { byField, other };
+};
 
 function NoteForm({ note, onSave, onCancel }) {
   const [title, setTitle] = useState("");
   const [content, setContent] = useState("");
+  const [tags, setTags] = useState([]);
+  const [tagSuggestions, setTagSuggestions] = useState([]);
   const [isSaving, setIsSaving] = useState(false);
   const [error, setError] = useState(null);
+  // Messages per input: { title, content, tags }
+  const [fieldErrors, setFieldErrors] = useState({});
+  // Version the edit is based on, and the note as it was at that version
+  const [version, setVersion] = useState(undefined);
+  const [base, setBase] = useState(null);
+  // The other version when a save hits a conflict
+  const [conflict, setConflict] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const isReadOnly = note?.role === "viewer";
+  const errorIdPrefix = useId();
+  const contentRef = useRef(null);
+  // The user's own selection, moved past someone else's edit
+  const pendingSelection = useRef(null);
+  const [contentScroll, setContentScroll] = useState(0);
+
+  const collab = useCollaboration(note?.id, {
+    onInit: (live) => {
+      setContent(live.content);
+      setVersion(live.version);
+    },
+    onChange: (text, operation) => {
+      const textarea = contentRef.current;
+      if (textarea && document.activeElement === textarea) {
+        pendingSelection.current = [
+          transformPosition(textarea.selectionStart, operation),
+          transformPosition(textarea.selectionEnd, operation),
+        ];
+      }
+      setContent(text);
+    },
+    onSaved: setVersion,
+  });
+  // Content is saved by the live session; the form saves the other fields
+  const isLive = collab.status === "live";
 
   // Load note data when editing
   useEffect(() => {
     if (note) {
       setTitle(note.title);
       setContent(note.content);
+      setTags(note.tags || []);
     } else {
       setTitle("");
       setContent("");
+      setTags([]);
     }
+    setVersion(note?.version);
+    setBase(note);
+    setConflict(null);
+    setNotice(null);
     setError(null);
+    setFieldErrors({});
   }, [note]);
 
+  // Setting the value moves the caret to the end, so put it back
+  useLayoutEffect(() => {
+    const selection = pendingSelection.current;
+    if (selection && contentRef.current) {
+      pendingSelection.current = null;
+      contentRef.current.setSelectionRange(...selection);
+    }
+  }, [content]);
+
+  // Load existing tags for autocomplete
+  useEffect(() => {
+    getTags()
+      .then((data) => setTagSuggestions(data.map((tag) => tag.name)))
+      .catch(() => {
+        // Suggestions are optional - tags can still be typed
+      });
+  }, []);
+
+  // Shows a failed save: a conflict, errors under the inputs or a banner
+  const handleSaveError = (err) => {
+    if (err.code === "CONFLICT" && err.current) {
+      setConflict(err.current);
+      return;
+    }
+    const { byField, other } = groupFieldErrors(err.errors);
+    setFieldErrors(byField);
+    if (Object.keys(byField).length === 0) {
+      setError(err.message || "Failed to save note");
+    } else if (other.length > 0) {
+      setError(other.join(" "));
+    }
+  };
+
+  // Editing an input clears its errors
+  const clearFieldError = (field) => {
+    setFieldErrors((current) => {
+      const next = { ...current };
+      delete next[field];
+      return next;
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
 
     // Client-side validation
+    const missing = {};
     if (!title.trim()) {
-      setError("Title is required");
-      return;
+      missing.title = ["Title is required"];
     }
     if (!content.trim()) {
-      setError("Content is required");
+      missing.content = ["Content is required"];
+    }
+    setFieldErrors(missing);
+    if (Object.keys(missing).length > 0) {
       return;
     }
 
     setIsSaving(true);
+    setNotice(null);
 
     try {
-      const savedNote = note
-        ? await updateNote(note.id, { title, content })
-        : await createNote({ title, content });
+      let savedNote;
+      if (!note) {
+        savedNote = await createNote({ title, content, tags });
+      } else if (isLive) {
+        // Wait until the live content is stored, then save on top of it
+        const liveVersion = await collab.save();
+        savedNote = await updateNote(note.id, { title, tags }, { version: liveVersion });
+      } else {
+        savedNote = await updateNote(note.id, { title, content, tags }, { version });
+      }
 
       onSave(savedNote);
       // Clear form if creating new note
       if (!note) {
         setTitle("");
         setContent("");
+        setTags([]);
       }
     } catch (err) {
-      setError(err.message || "Failed to save note");
+      handleSaveError(err);
     } finally {
       setIsSaving(false);
     }
   };
 
+  // Overwrite the other version with this one
+  const handleKeepMine = async () => {
+    setIsSaving(true);
+    setError(null);
+    setFieldErrors({});
+    try {
+      const savedNote = await updateNote(
+        note.id,
+        isLive ? { title, tags } : { title, content, tags },
+        { version: conflict.version }
+      );
+      setConflict(null);
+      onSave(savedNote);
+    } catch (err) {
+      handleSaveError(err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Discard this edit and continue from the other version
+  // (live content already includes everyone's edits)
+  const handleTakeTheirs = () => {
+    setTitle(conflict.title);
+    if (!isLive) {
+      setContent(conflict.content);
+    }
+    setTags(conflict.tags || []);
+    setVersion(conflict.version);
+    setBase(conflict);
+    setConflict(null);
+  };
+
+  // Combine both edits in the form; the user reviews and saves
+  const handleMerge = () => {
+    const baseNote = base || conflict;
+    const merged = isLive
+      ? { text: content, conflicts: 0 }
+      : mergeLines(baseNote.content, content, conflict.content);
+
+    setTitle(title === baseNote.title ? conflict.title : title);
+    setContent(merged.text);
+    setTags(mergeTags(baseNote.tags || [], tags, conflict.tags || []));
+    setVersion(conflict.version);
+    setBase(conflict);
+    setConflict(null);
+    setNotice(
+      merged.conflicts > 0
+        ? `Merged with ${merged.conflicts} conflicting section(s). Edit the marked sections, then save.`
+        : "Both versions were merged. Review the result, then save."
+    );
+  };
+
+  // Links an input to the errors shown under it
+  const errorProps = (field) =>
+    fieldErrors[field]
+      ? { "aria-invalid": true, "aria-describedby": `${errorIdPrefix}-${field}` }
+      : {};
+
+  const renderFieldError = (field) =>
+    fieldErrors[field] && (
+      <ul
+        id={`${errorIdPrefix}-${field}`}
+        className="mt-1 space-y-0.5 text-sm text-red-400"
+        role="alert"
+      >
+        {fieldErrors[field].map((message) => (
+          <li key={message}>{message}</li>
+        ))}
+      </ul>
+    );
+
   return (
     <form onSubmit={handleSubmit} className="flex flex-col space-y-4">
       {error && (
@@ -74,34 +287,153 @@ function NoteForm({ note, onSave, onCancel }) {
         </div>
       )}
 
-      <input
-        type="text"
-        value={title}
-        onChange={(e) => setTitle(e.target.value)}
-        placeholder="Note title..."
-        required
-        disabled={isSaving}
-        className="w-full p-3 rounded-md bg-gray-800 text-gray-100 border border-gray-700 focus:outline-none focus:border-indigo-400 focus:ring-1 focus:ring-indigo-400 placeholder:text-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
-      />
-
-      <textarea
-        value={content}
-        onChange={(e) => setContent(e.target.value)}
-        placeholder="Note content..."
-        rows={12}
-        required
-        disabled={isSaving}
-        className="w-full p-3 rounded-md bg-gray-800 text-gray-100 border border-gray-700 focus:outline-none focus:border-indigo-400 focus:ring-1 focus:ring-indigo-400 placeholder:text-gray-500 resize-y disabled:opacity-50 disabled:cursor-not-allowed"
-      />
+      {conflict && (
+        <div
+          className="p-3 bg-amber-900/20 border border-amber-600 rounded-md text-amber-300 text-sm"
+          role="alert"
+        >
+          <p className="font-medium">
+            This note was changed elsewhere while you were editing.
+          </p>
+          <details className="mt-2 text-gray-300">
+            <summary className="cursor-pointer text-amber-400">
+              Show their version
+            </summary>
+            <p className="mt-2 font-medium">{conflict.title}</p>
+            <pre className="mt-1 whitespace-pre-wrap font-sans">
+              {conflict.content}
+            </pre>
+          </details>
+          <div className="flex flex-wrap gap-2 mt-3">
+            <button
+              type="button"
+              onClick={handleKeepMine}
+              disabled={isSaving}
+              className="px-3 py-1 bg-indigo-500 text-white rounded-md hover:bg-indigo-600 disabled:opacity-50"
+            >
+              Keep mine
+            </button>
+            <button
+              type="button"
+              onClick={handleTakeTheirs}
+              disabled={isSaving}
+              className="px-3 py-1 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 disabled:opacity-50"
+            >
+              Take theirs
+            </button>
+            <button
+              type="button"
+              onClick={handleMerge}
+              disabled={isSaving}
+              className="px-3 py-1 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 disabled:opacity-50"
+            >
+              Merge manually
+            </button>
+          </div>
+        </div>
+      )}
 
-      <div className="flex flex-row justify-start space-x-2">
-        <button
-          type="submit"
+      {notice && (
+        <p className="text-sm text-indigo-300" role="status">
+          {notice}
+        </p>
+      )}
+
+      {isReadOnly && (
+        <p className="text-sm text-gray-400" role="status">
+          This note is shared with you as a viewer, so it can&apos;t be edited.
+        </p>
+      )}
+
+      <div>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => {
+            setTitle(e.target.value);
+            clearFieldError("title");
+          }}
+          placeholder="Note title..."
+          required
+          readOnly={isReadOnly}
           disabled={isSaving}
-          className="px-4 py-2 bg-indigo-500 text-white rounded-md hover:bg-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-        >
-          {isSaving ? "Saving..." : note ? "Update" : "Save"}
-        </button>
+          {...errorProps("title")}
+          className={`w-full p-3 rounded-md bg-gray-800 text-gray-100 border ${fieldErrors.title ? "border-red-600" : "border-gray-700"} focus:outline-none focus:border-indigo-400 focus:ring-1 focus:ring-indigo-400 placeholder:text-gray-500 disabled:opacity-50 disabled:cursor-not-allowed`}
+        />
+        {renderFieldError("title")}
+      </div>
+
+      {note && (
+        <CollabPresence
+          status={collab.status}
+          peers={collab.peers}
+          error={collab.error}
+          onReconnect={collab.reconnect}
+        />
+      )}
+
+      <div>
+        <div className="relative">
+          <textarea
+            ref={contentRef}
+            value={content}
+            onChange={(e) => {
+              setContent(e.target.value);
+              clearFieldError("content");
+              if (isLive) {
+                collab.edit(e.target.value, {
+                  start: e.target.selectionStart,
+                  end: e.target.selectionEnd,
+                });
+              }
+            }}
+            onSelect={(e) => {
+              if (isLive) {
+                collab.moveCursor({
+                  start: e.target.selectionStart,
+                  end: e.target.selectionEnd,
+                });
+              }
+            }}
+            onBlur={() => isLive && collab.moveCursor(null)}
+            onScroll={(e) => setContentScroll(e.target.scrollTop)}
+            placeholder="Note content..."
+            rows={12}
+            required
+            readOnly={isReadOnly || collab.status === "connecting"}
+            disabled={isSaving}
+            {...errorProps("content")}
+            className={`block w-full p-3 rounded-md bg-gray-800 text-gray-100 border ${fieldErrors.content ? "border-red-600" : "border-gray-700"} focus:outline-none focus:border-indigo-400 focus:ring-1 focus:ring-indigo-400 placeholder:text-gray-500 resize-y disabled:opacity-50 disabled:cursor-not-allowed`}
+          />
+          <RemoteCursors text={content} peers={collab.peers} scrollTop={contentScroll} />
+        </div>
+        {renderFieldError("content")}
+      </div>
+
+      <div>
+        <TagInput
+          tags={tags}
+          onChange={(nextTags) => {
+            setTags(nextTags);
+            clearFieldError("tags");
+          }}
+          suggestions={tagSuggestions}
+          disabled={isSaving || isReadOnly}
+          inputProps={errorProps("tags")}
+        />
+        {renderFieldError("tags")}
+      </div>
+
+      <div className="flex flex-row justify-start space-x-2">
+        {!isReadOnly && (
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-indigo-500 text-white rounded-md hover:bg-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {isSaving ? "Saving..." : note ? "Update" : "Save"}
+          </button>
+        )}
         {onCancel && (
           <button
             type="button"
@@ -0,0 +1,107 @@
+/**
+ * NoteSearch Component
+ * 
+ * Shows full-text search results for the sidebar search box.
+ * Matches in titles and snippets are highlighted.
+ */
+import { useState, useEffect } from "react";
+import { searchNotes } from "../services/notes-api.js";
+
+const SEARCH_DELAY_MS = 250;
+
+/**
+ * Renders text with the given [start, end) ranges wrapped in <mark>
+ */
+function Highlighted({ text, ranges }) {
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start < cursor) return; // Skip overlapping ranges
+    parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="bg-indigo-400/40 text-inherit rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return <>{parts}</>;
+}
+
+function NoteSearch({ query, selectedNoteId, onSelectNote }) {
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Search after the user stops typing
+  useEffect(() => {
+    let isCancelled = false;
+    const timer = setTimeout(() => {
+      searchNotes(query)
+        .then((data) => {
+          if (!isCancelled) {
+            setResults(data.results);
+            setError(null);
+          }
+        })
+        .catch((err) => {
+          if (!isCancelled) setError(err.message || "Search failed");
+        });
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      isCancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  if (error) {
+    return (
+      <p className="text-sm text-red-400" role="alert">
+        {error}
+      </p>
+    );
+  }
+
+  if (!results) {
+    return <p className="text-gray-400 text-sm text-center">Searching...</p>;
+  }
+
+  if (results.length === 0) {
+    return (
+      <div className="p-4 text-center text-gray-400">
+        <p className="text-sm font-medium">No matching notes</p>
+      </div>
+    );
+  }
+
+  return (
+    <ul className="space-y-2" role="list" aria-label="Search results">
+      {results.map((result) => (
+        <li key={result.id} role="listitem">
+          <button
+            type="button"
+            onClick={() => onSelectNote(result.id)}
+            className={`w-full text-left rounded-lg p-4 transition-all duration-200 ${
+              result.id === selectedNoteId
+                ? "bg-indigo-500 text-white"
+                : "bg-gray-700 text-gray-100 hover:bg-gray-600"
+            }`}
+          >
+            <h3 className="text-md font-medium mb-1">
+              <Highlighted text={result.title} ranges={result.highlights.title} />
+            </h3>
+            <p className="text-sm line-clamp-3 opacity-80">
+              <Highlighted
+                text={result.snippet.text}
+                ranges={result.snippet.highlights}
+              />
+            </p>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default NoteSearch;
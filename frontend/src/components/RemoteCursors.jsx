@@ -0,0 +1,100 @@
+/**
+ * RemoteCursors Component
+ * 
+ * Draws the cursors and selections of other people over the note's
+ * textarea. It lays out an invisible copy of the text with the same
+ * padding and wrapping as the textarea, with a marker at each cursor, so
+ * the markers land where the characters are. Must be placed in a
+ * relatively positioned wrapper around the textarea.
+ */
+import { useLayoutEffect, useRef } from "react";
+import { formatUserColor } from "../utils/formatters.js";
+
+/**
+ * Splits the text where a cursor or selection starts or ends
+ * 
+ * @returns {Array} [{ start, end, carets: [peer], highlight: peer|undefined }]
+ */
+const buildSegments = (text, peers) => {
+  const clamp = (position) => Math.min(Math.max(position, 0), text.length);
+  const ranges = peers.map((peer) => ({
+    peer,
+    from: clamp(Math.min(peer.cursor.start, peer.cursor.end)),
+    to: clamp(Math.max(peer.cursor.start, peer.cursor.end)),
+    head: clamp(peer.cursor.end),
+  }));
+  const boundaries = [
+    ...new Set([0, text.length, ...ranges.flatMap((range) => [range.from, range.to])]),
+  ].sort((a, b) => a - b);
+
+  return boundaries.map((start, i) => {
+    const end = boundaries[i + 1] ?? text.length;
+    return {
+      start,
+      end,
+      carets: ranges.filter((range) => range.head === start).map((range) => range.peer),
+      highlight: ranges.find((range) => range.from <= start && end <= range.to && start < end)
+        ?.peer,
+    };
+  });
+};
+
+function RemoteCursors({ text, peers, scrollTop = 0 }) {
+  const overlayRef = useRef(null);
+  const placed = peers.filter((peer) => peer.cursor);
+
+  // Follow the textarea's scroll position
+  useLayoutEffect(() => {
+    if (overlayRef.current) {
+      overlayRef.current.scrollTop = scrollTop;
+    }
+  });
+
+  if (placed.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      ref={overlayRef}
+      data-testid="remote-cursors"
+      aria-hidden="true"
+      className="absolute inset-0 p-3 border border-transparent overflow-hidden pointer-events-none whitespace-pre-wrap break-words text-transparent"
+    >
+      {buildSegments(text, placed).map((segment) => (
+        <span key={segment.start}>
+          {segment.carets.map((peer) => {
+            const color = formatUserColor(peer.userId);
+            return (
+              <span
+                key={peer.clientId}
+                className="relative inline-block w-0 h-[1.25em] align-text-bottom border-l-2"
+                style={{ borderColor: color }}
+              >
+                <span
+                  className="absolute bottom-full left-0 px-1 text-xs leading-4 text-gray-900 whitespace-nowrap rounded-sm"
+                  style={{ backgroundColor: color }}
+                >
+                  {peer.username}
+                </span>
+              </span>
+            );
+          })}
+          <span
+            style={
+              segment.highlight && {
+                backgroundColor: `color-mix(in srgb, ${formatUserColor(segment.highlight.userId)} 30%, transparent)`,
+              }
+            }
+          >
+            {text.slice(segment.start, segment.end)}
+          </span>
+        </span>
+      ))}
+      {/* Gives a trailing empty line its height */}
+      {"\u200b"}
+    </div>
+  );
+}
+
+export default RemoteCursors;
@@ -0,0 +1,162 @@
+/**
+ * RevisionHistory Component
+ * 
+ * History panel for the note being edited.
+ * Lists previous revisions, shows a line-level diff between the selected
+ * revision and the current note, and restores a revision on request.
+ */
+import { useState, useEffect } from "react";
+import {
+  getNoteRevisions,
+  getNoteRevision,
+  restoreNoteRevision,
+} from "../services/notes-api.js";
+import { formatDate } from "../utils/formatters.js";
+import { diffLines } from "../utils/diff.js";
+
+const diffLineClasses = {
+  added: "bg-green-900/30 text-green-300",
+  removed: "bg-red-900/30 text-red-300",
+  unchanged: "text-gray-400",
+};
+
+const diffLinePrefixes = {
+  added: "+",
+  removed: "-",
+  unchanged: " ",
+};
+
+function RevisionHistory({ note, onRestore, readOnly = false }) {
+  const [revisions, setRevisions] = useState([]);
+  const [selectedRevision, setSelectedRevision] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load revision list for the current note
+  useEffect(() => {
+    let isCancelled = false;
+    getNoteRevisions(note.id)
+      .then((data) => {
+        if (!isCancelled) setRevisions(data);
+      })
+      .catch((err) => {
+        if (!isCancelled) setError(err.message || "Failed to load history");
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [note.id]);
+
+  const handleSelect = async (rev) => {
+    setError(null);
+    try {
+      setSelectedRevision(await getNoteRevision(note.id, rev));
+    } catch (err) {
+      setError(err.message || "Failed to load revision");
+    }
+  };
+
+  const handleRestore = async () => {
+    setError(null);
+    setIsRestoring(true);
+    try {
+      const restoredNote = await restoreNoteRevision(
+        note.id,
+        selectedRevision.rev
+      );
+      if (onRestore) {
+        onRestore(restoredNote);
+      }
+    } catch (err) {
+      setError(err.message || "Failed to restore revision");
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <section
+      className="mt-6 p-4 bg-gray-800 border border-gray-700 rounded-lg"
+      aria-label="Revision history"
+    >
+      <h2 className="text-md font-semibold text-gray-100 mb-3">History</h2>
+
+      {error && (
+        <p className="mb-3 text-sm text-red-400" role="alert">
+          {error}
+        </p>
+      )}
+
+      {revisions.length === 0 ? (
+        <p className="text-sm text-gray-500">No previous revisions</p>
+      ) : (
+        <div className="flex flex-col md:flex-row gap-4">
+          <ul className="md:w-56 space-y-1" role="list">
+            {revisions.map((revision) => (
+              <li key={revision.rev}>
+                <button
+                  type="button"
+                  onClick={() => handleSelect(revision.rev)}
+                  className={`w-full text-left px-3 py-2 rounded-md text-sm transition-colors ${
+                    selectedRevision?.rev === revision.rev
+                      ? "bg-indigo-500 text-white"
+                      : "bg-gray-700 text-gray-100 hover:bg-gray-600"
+                  }`}
+                  aria-pressed={selectedRevision?.rev === revision.rev}
+                >
+                  <span className="block font-medium">
+                    Revision {revision.rev}
+                  </span>
+                  <span className="block text-xs opacity-75">
+                    {formatDate(revision.lastModified)}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex-1 min-w-0">
+            {selectedRevision ? (
+              <>
+                <div className="flex items-center justify-between mb-2">
+                  <p className="text-sm text-gray-400">
+                    Revision {selectedRevision.rev} compared to current note
+                  </p>
+                  {!readOnly && (
+                    <button
+                      type="button"
+                      onClick={handleRestore}
+                      disabled={isRestoring}
+                      className="px-3 py-1 text-sm bg-indigo-500 text-white rounded-md hover:bg-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {isRestoring ? "Restoring..." : "Restore"}
+                    </button>
+                  )}
+                </div>
+                <pre
+                  className="p-3 bg-gray-900 rounded-md text-sm font-mono overflow-x-auto"
+                  aria-label="Revision diff"
+                >
+                  {diffLines(
+                    `${selectedRevision.title}\n\n${selectedRevision.content}`,
+                    `${note.title}\n\n${note.content}`
+                  ).map((part, index) => (
+                    <div key={index} className={diffLineClasses[part.type]}>
+                      {diffLinePrefixes[part.type]} {part.line}
+                    </div>
+                  ))}
+                </pre>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500">
+                Select a revision to compare it with the current note
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default RevisionHistory;
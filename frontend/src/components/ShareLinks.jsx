@@ -0,0 +1,178 @@
+/**
+ * ShareLinks Component
+ * 
+ * Public read-only links to a note, shown in the sharing panel: create a
+ * link that expires and/or stops working after a number of views, see
+ * how often each link was opened and revoke links.
+ * A link's address can only be shown right after it is created.
+ */
+import { useState, useEffect } from "react";
+import {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  getShareLinkUrl,
+} from "../services/notes-api.js";
+import { formatDate } from "../utils/formatters.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPIRY_OPTIONS = [
+  { value: "", label: "Never expires" },
+  { value: "1", label: "Expires in 1 day" },
+  { value: "7", label: "Expires in 7 days" },
+  { value: "30", label: "Expires in 30 days" },
+];
+
+const fieldClasses =
+  "px-2 py-1 text-sm rounded-md bg-gray-900 text-gray-100 border border-gray-700 focus:outline-none focus:border-indigo-400";
+
+/**
+ * Describes a link's limits
+ * 
+ * @param {Object} link - { expiresAt, maxViews, views }
+ * @returns {string} e.g. "3 of 10 views · expires 2025-11-24 10:20:01"
+ */
+function describeLink(link) {
+  const views = link.maxViews
+    ? `${link.views} of ${link.maxViews} views`
+    : `${link.views} ${link.views === 1 ? "view" : "views"}`;
+  return link.expiresAt ? `${views} · expires ${formatDate(link.expiresAt)}` : views;
+}
+
+function ShareLinks({ noteId }) {
+  const [links, setLinks] = useState([]);
+  const [expiryDays, setExpiryDays] = useState("");
+  const [maxViews, setMaxViews] = useState("");
+  const [newLinkUrl, setNewLinkUrl] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCancelled = false;
+    getShareLinks(noteId)
+      .then((data) => {
+        if (!isCancelled) setLinks(data);
+      })
+      .catch((err) => {
+        if (!isCancelled) setError(err.message || "Failed to load links");
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [noteId]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsCreating(true);
+    try {
+      const { token, ...link } = await createShareLink(noteId, {
+        expiresAt: expiryDays
+          ? new Date(Date.now() + Number(expiryDays) * DAY_MS).toISOString()
+          : undefined,
+        maxViews: maxViews ? Number(maxViews) : undefined,
+      });
+      setLinks((current) => [...current, link]);
+      setNewLinkUrl(getShareLinkUrl(token));
+      setMaxViews("");
+    } catch (err) {
+      setError(err.message || "Failed to create link");
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (linkId) => {
+    setError(null);
+    try {
+      await revokeShareLink(noteId, linkId);
+      setLinks((current) => current.filter((link) => link.id !== linkId));
+    } catch (err) {
+      setError(err.message || "Failed to revoke link");
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-700">
+      <h3 className="text-sm font-semibold text-gray-100 mb-2">Public links</h3>
+
+      {error && (
+        <p className="mb-2 text-sm text-red-400" role="alert">
+          {error}
+        </p>
+      )}
+
+      <form onSubmit={handleCreate} className="flex flex-wrap gap-2 mb-3">
+        <select
+          value={expiryDays}
+          onChange={(e) => setExpiryDays(e.target.value)}
+          aria-label="Link expiry"
+          disabled={isCreating}
+          className={fieldClasses}
+        >
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          value={maxViews}
+          onChange={(e) => setMaxViews(e.target.value)}
+          placeholder="Any number of views"
+          aria-label="Maximum views"
+          disabled={isCreating}
+          className={`w-44 ${fieldClasses} placeholder:text-gray-500`}
+        />
+        <button
+          type="submit"
+          disabled={isCreating}
+          className="px-3 py-1 text-sm bg-indigo-500 text-white rounded-md hover:bg-indigo-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Create link
+        </button>
+      </form>
+
+      {newLinkUrl && (
+        <label className="block mb-3 text-xs text-indigo-200">
+          Copy this link now, it won&apos;t be shown again:
+          <input
+            type="text"
+            readOnly
+            value={newLinkUrl}
+            onFocus={(e) => e.target.select()}
+            className={`mt-1 w-full ${fieldClasses}`}
+          />
+        </label>
+      )}
+
+      {links.length === 0 ? (
+        <p className="text-sm text-gray-500">No public links</p>
+      ) : (
+        <ul className="space-y-2" role="list" aria-label="Public links">
+          {links.map((link) => (
+            <li key={link.id} className="flex items-center gap-2 text-sm">
+              <span className="flex-1 text-gray-300">
+                Created {formatDate(link.createdAt)}
+                <span className="block text-xs text-gray-500">{describeLink(link)}</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => handleRevoke(link.id)}
+                aria-label={`Revoke link created ${formatDate(link.createdAt)}`}
+                className="px-2 py-1 text-gray-400 hover:text-red-400 rounded transition-colors"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ShareLinks;
@@ -0,0 +1,166 @@
+/**
+ * SharePanel Component
+ * 
+ * Lets the owner of a note share it with other users by username, as a
+ * viewer (read only) or an editor, change their role or stop sharing.
+ * Below that, public links let people without an account read the note.
+ */
+import { useState, useEffect } from "react";
+import {
+  getNoteShares,
+  shareNote,
+  revokeShare,
+} from "../services/notes-api.js";
+import ShareLinks from "./ShareLinks.jsx";
+
+const ROLE_OPTIONS = [
+  { value: "viewer", label: "Can view" },
+  { value: "editor", label: "Can edit" },
+];
+
+const selectClasses =
+  "px-2 py-1 text-sm rounded-md bg-gray-900 text-gray-100 border border-gray-700 focus:outline-none focus:border-indigo-400";
+
+function SharePanel({ note }) {
+  const [shares, setShares] = useState([]);
+  const [username, setUsername] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the shares of the current note
+  useEffect(() => {
+    let isCancelled = false;
+    getNoteShares(note.id)
+      .then((data) => {
+        if (!isCancelled) setShares(data);
+      })
+      .catch((err) => {
+        if (!isCancelled) setError(err.message || "Failed to load shares");
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [note.id]);
+
+  // Adds a share, or replaces the user's existing one
+  const saveShare = async (shareData) => {
+    setError(null);
+    setIsSaving(true);
+    try {
+      const share = await shareNote(note.id, shareData);
+      setShares((current) => [
+        ...current.filter((existing) => existing.userId !== share.userId),
+        share,
+      ]);
+      return true;
+    } catch (err) {
+      setError(err.message || "Failed to share note");
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim()) return;
+    if (await saveShare({ username: username.trim(), role })) {
+      setUsername("");
+    }
+  };
+
+  const handleRevoke = async (userId) => {
+    setError(null);
+    try {
+      await revokeShare(note.id, userId);
+      setShares((current) => current.filter((share) => share.userId !== userId));
+    } catch (err) {
+      setError(err.message || "Failed to stop sharing note");
+    }
+  };
+
+  return (
+    <section
+      className="mt-6 p-4 bg-gray-800 border border-gray-700 rounded-lg"
+      aria-label="Sharing"
+    >
+      <h2 className="text-md font-semibold text-gray-100 mb-3">Sharing</h2>
+
+      {error && (
+        <p className="mb-3 text-sm text-red-400" role="alert">
+          {error}
+        </p>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex flex-wrap gap-2 mb-3">
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          aria-label="Share with username"
+          disabled={isSaving}
+          className="flex-1 min-w-0 px-2 py-1 text-sm rounded-md bg-gray-900 text-gray-100 border border-gray-700 focus:outline-none focus:border-indigo-400 placeholder:text-gray-500"
+        />
+        <select
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          aria-label="Role"
+          disabled={isSaving}
+          className={selectClasses}
+        >
+          {ROLE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={isSaving || !username.trim()}
+          className="px-3 py-1 text-sm bg-indigo-500 text-white rounded-md hover:bg-indigo-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Share
+        </button>
+      </form>
+
+      {shares.length === 0 ? (
+        <p className="text-sm text-gray-500">Only you can see this note</p>
+      ) : (
+        <ul className="space-y-2" role="list">
+          {shares.map((share) => (
+            <li key={share.userId} className="flex items-center gap-2 text-sm">
+              <span className="flex-1 truncate text-gray-100">{share.username}</span>
+              <select
+                value={share.role}
+                onChange={(e) => saveShare({ userId: share.userId, role: e.target.value })}
+                aria-label={`Role for ${share.username}`}
+                disabled={isSaving}
+                className={selectClasses}
+              >
+                {ROLE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => handleRevoke(share.userId)}
+                aria-label={`Stop sharing with ${share.username}`}
+                className="px-2 py-1 text-gray-400 hover:text-red-400 rounded transition-colors"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <ShareLinks noteId={note.id} />
+    </section>
+  );
+}
+
+export default SharePanel;
@@ -1,38 +1,125 @@
 /**
  * Sidebar Component
  * 
- * Displays list of notes in the sidebar.
+ * Displays list of notes in the sidebar, with search, a folder tree,
+ * the notes other users shared with the user and a Trash view. Notes
+ * can be dragged onto a folder to move them.
  * Handles loading, error, and empty states.
  */
 import { useNotes } from "../hooks/useNotes.js";
+import { useSharedNotes } from "../hooks/useSharedNotes.js";
+import { useTagsAndFolders } from "../hooks/useTagsAndFolders.js";
 import NoteCard from "./NoteCard.jsx";
-import { deleteNote } from "../services/notes-api.js";
-import { useEffect } from "react";
+import TrashView from "./TrashView.jsx";
+import NoteSearch from "./NoteSearch.jsx";
+import FolderTree, { NOTE_DRAG_TYPE } from "./FolderTree.jsx";
+import {
+  deleteNote,
+  updateNote,
+  createShareLink,
+  getShareLinkUrl,
+} from "../services/notes-api.js";
+import { useEffect, useState } from "react";
+
+// Sort choices for the notes list: value is "<sort>:<order>"
+const SORT_OPTIONS = [
+  { value: "lastModified:desc", label: "Last modified" },
+  { value: "createdAt:desc", label: "Newest first" },
+  { value: "createdAt:asc", label: "Oldest first" },
+  { value: "title:asc", label: "Title A-Z" },
+  { value: "title:desc", label: "Title Z-A" },
+];
+
+const ROLE_LABELS = {
+  viewer: "can view",
+  editor: "can edit",
+};
+
+const viewTabClasses = (isActive) =>
+  `flex-1 px-3 py-1 text-sm rounded-md transition-colors ${
+    isActive
+      ? "bg-indigo-500 text-white"
+      : "text-gray-400 hover:bg-gray-700 hover:text-gray-100"
+  }`;
 
 function Sidebar({ selectedNoteId, onSelectNote, onRefreshReady }) {
-  const { notes, isLoading, error, refreshNotes } = useNotes();
+  const [view, setView] = useState("notes"); // "notes" | "trash"
+  const [sortOption, setSortOption] = useState(SORT_OPTIONS[0].value);
+  const [sort, order] = sortOption.split(":");
+  const [tagFilter, setTagFilter] = useState("");
+  const [selectedFolderId, setSelectedFolderId] = useState(null);
+  const [shareLinkUrl, setShareLinkUrl] = useState(null);
+  const {
+    notes,
+    isLoading,
+    error,
+    refreshNotes,
+    loadMore,
+    hasMore,
+    isLoadingMore,
+    total,
+  } = useNotes({
+    sort,
+    order,
+    tag: tagFilter || undefined,
+    folderId: selectedFolderId || undefined,
+  });
+
+  const { tags, folders, refreshTagsAndFolders } = useTagsAndFolders(notes);
+  const { sharedNotes } = useSharedNotes();
+  const [searchQuery, setSearchQuery] = useState("");
+
+  // Reloads the notes with their tags and folders, after changes that
+  // aren't made through single-note requests (imports, restores, folders)
+  const refreshAll = () => {
+    refreshNotes();
+    refreshTagsAndFolders();
+  };
 
-  // Expose refreshNotes to parent component
+  // Expose refreshAll to parent component
   useEffect(() => {
     if (onRefreshReady) {
-      onRefreshReady(refreshNotes);
+      onRefreshReady(refreshAll);
     }
-  }, [refreshNotes, onRefreshReady]);
+  });
 
+  // Deleted notes go to the trash, so no confirmation is needed here.
+  // The version shown in the list is sent so a note changed elsewhere
+  // is not deleted unseen.
   const handleDelete = async (noteId) => {
-    if (!window.confirm("Are you sure you want to delete this note?")) {
-      return;
-    }
-
+    const version = notes.find((note) => note.id === noteId)?.version;
     try {
-      await deleteNote(noteId);
-      refreshNotes();
+      await deleteNote(noteId, { version });
       // Clear selection if deleted note was selected
       if (selectedNoteId === noteId) {
         onSelectNote(null);
       }
     } catch (err) {
       alert(`Failed to delete note: ${err.message}`);
+      if (err.code === "CONFLICT") {
+        refreshNotes();
+      }
+    }
+  };
+
+  // Creates a link without limits (links with an expiry or a view limit
+  // are created from the note's sharing panel) and copies it
+  const handleShareLink = async (noteId) => {
+    try {
+      const link = await createShareLink(noteId);
+      const url = getShareLinkUrl(link.token);
+      setShareLinkUrl(url);
+      await navigator.clipboard?.writeText(url).catch(() => {});
+    } catch (err) {
+      alert(`Failed to create link: ${err.message}`);
+    }
+  };
+
+  const handleMoveNote = async (noteId, folderId) => {
+    try {
+      await updateNote(noteId, { folderId });
+    } catch (err) {
+      alert(`Failed to move note: ${err.message}`);
     }
   };
 
@@ -74,7 +161,115 @@ function Sidebar({ selectedNoteId, onSelectNote, onRefreshReady }) {
       aria-label="Notes sidebar"
       role="complementary"
     >
-      {notes.length === 0 ? (
+      <div className="flex space-x-1 mb-4" role="tablist">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={view === "notes"}
+          onClick={() => setView("notes")}
+          className={viewTabClasses(view === "notes")}
+        >
+          Notes
+        </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={view === "trash"}
+          onClick={() => setView("trash")}
+          className={viewTabClasses(view === "trash")}
+        >
+          Trash
+        </button>
+      </div>
+
+      {view === "notes" && (
+        <FolderTree
+          folders={folders}
+          selectedFolderId={selectedFolderId}
+          onSelectFolder={setSelectedFolderId}
+          onMoveNote={handleMoveNote}
+          onFoldersChange={refreshAll}
+        />
+      )}
+
+      {view === "notes" && (
+        <select
+          value={sortOption}
+          onChange={(e) => setSortOption(e.target.value)}
+          aria-label="Sort notes"
+          className="w-full mb-2 p-2 text-sm rounded-md bg-gray-800 text-gray-100 border border-gray-700 focus:outline-none focus:border-indigo-400 focus:ring-1 focus:ring-indigo-400"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {view === "notes" && tags.length > 0 && (
+        <select
+          value={tagFilter}
+          onChange={(e) => setTagFilter(e.target.value)}
+          aria-label="Filter by tag"
+          className="w-full mb-2 p-2 text-sm rounded-md bg-gray-800 text-gray-100 border border-gray-700 focus:outline-none focus:border-indigo-400 focus:ring-1 focus:ring-indigo-400"
+        >
+          <option value="">All tags</option>
+          {tags.map((tag) => (
+            <option key={tag.name} value={tag.name}>
+              #{tag.name} ({tag.count})
+            </option>
+          ))}
+        </select>
+      )}
+
+      {view === "notes" && (
+        <input
+          type="search"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          placeholder="Search notes..."
+          aria-label="Search notes"
+          className="w-full mb-4 p-2 text-sm rounded-md bg-gray-800 text-gray-100 border border-gray-700 focus:outline-none focus:border-indigo-400 focus:ring-1 focus:ring-indigo-400 placeholder:text-gray-500"
+        />
+      )}
+
+      {view === "notes" && shareLinkUrl && (
+        <div
+          className="mb-4 p-2 text-xs rounded-md bg-indigo-900/30 border border-indigo-700 text-indigo-200"
+          role="status"
+        >
+          <div className="flex justify-between items-center mb-1">
+            <span>Anyone with this link can read the note:</span>
+            <button
+              type="button"
+              onClick={() => setShareLinkUrl(null)}
+              aria-label="Dismiss link"
+              className="ml-2 text-indigo-300 hover:text-white"
+            >
+              ✕
+            </button>
+          </div>
+          <input
+            type="text"
+            readOnly
+            value={shareLinkUrl}
+            onFocus={(e) => e.target.select()}
+            aria-label="Share link"
+            className="w-full p-1 rounded bg-gray-900 text-gray-100 border border-gray-700"
+          />
+        </div>
+      )}
+
+      {view === "trash" ? (
+        <TrashView onRestore={refreshAll} />
+      ) : searchQuery.trim() ? (
+        <NoteSearch
+          query={searchQuery.trim()}
+          selectedNoteId={selectedNoteId}
+          onSelectNote={onSelectNote}
+        />
+      ) : notes.length === 0 ? (
         <div className="p-4 text-center text-gray-400">
           <p className="text-sm font-medium">No notes yet</p>
           <p className="text-xs mt-1 text-gray-500">
@@ -84,17 +279,62 @@ function Sidebar({ selectedNoteId, onSelectNote, onRefreshReady }) {
       ) : (
         <ul className="space-y-2" role="list">
           {notes.map((note) => (
-            <li key={note.id} role="listitem">
+            <li
+              key={note.id}
+              role="listitem"
+              draggable
+              onDragStart={(e) => {
+                e.dataTransfer.setData(NOTE_DRAG_TYPE, note.id);
+                e.dataTransfer.effectAllowed = "move";
+              }}
+            >
               <NoteCard
                 note={note}
                 isSelected={note.id === selectedNoteId}
                 onClick={() => onSelectNote(note.id)}
                 onDelete={handleDelete}
+                onShareLink={handleShareLink}
               />
             </li>
           ))}
+          {hasMore && (
+            <li>
+              <button
+                type="button"
+                onClick={loadMore}
+                disabled={isLoadingMore}
+                className="w-full px-3 py-2 text-sm text-gray-300 bg-gray-800 border border-gray-700 rounded-md hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {isLoadingMore
+                  ? "Loading..."
+                  : `Load more (${notes.length} of ${total})`}
+              </button>
+            </li>
+          )}
         </ul>
       )}
+
+      {view === "notes" && !searchQuery.trim() && sharedNotes.length > 0 && (
+        <section className="mt-6" aria-label="Shared with me">
+          <h2 className="mb-2 text-xs font-semibold uppercase tracking-wide text-gray-400">
+            Shared with me
+          </h2>
+          <ul className="space-y-2" role="list">
+            {sharedNotes.map((note) => (
+              <li key={note.id} role="listitem">
+                <NoteCard
+                  note={note}
+                  isSelected={note.id === selectedNoteId}
+                  onClick={() => onSelectNote(note.id)}
+                />
+                <p className="mt-1 px-1 text-xs text-gray-500">
+                  From {note.ownerUsername} · {ROLE_LABELS[note.role]}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
     </aside>
   );
 }
@@ -0,0 +1,122 @@
+/**
+ * TagInput Component
+ * 
+ * Edits a list of tags shown as removable chips.
+ * Typing suggests existing tags; Enter or comma adds a tag,
+ * Backspace on an empty input removes the last one.
+ */
+import { useState } from "react";
+
+/**
+ * Normalizes a tag the same way the backend does
+ */
+const normalizeTag = (tag) => tag.trim().toLowerCase();
+
+function TagInput({ tags, onChange, suggestions = [], disabled, inputProps }) {
+  const [draft, setDraft] = useState("");
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const query = normalizeTag(draft);
+  const matches = query
+    ? suggestions
+        .filter((name) => name.startsWith(query) && !tags.includes(name))
+        .slice(0, 5)
+    : [];
+
+  const addTag = (tag) => {
+    const name = normalizeTag(tag);
+    if (name && !tags.includes(name)) {
+      onChange([...tags, name]);
+    }
+    setDraft("");
+    setActiveIndex(-1);
+  };
+
+  const removeTag = (name) => {
+    onChange(tags.filter((tag) => tag !== name));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addTag(activeIndex >= 0 ? matches[activeIndex] : draft);
+    } else if (e.key === "ArrowDown" && matches.length > 0) {
+      e.preventDefault();
+      setActiveIndex((index) => (index + 1) % matches.length);
+    } else if (e.key === "ArrowUp" && matches.length > 0) {
+      e.preventDefault();
+      setActiveIndex((index) => (index <= 0 ? matches.length - 1 : index - 1));
+    } else if (e.key === "Backspace" && !draft && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-2 w-full p-2 rounded-md bg-gray-800 border border-gray-700 focus-within:border-indigo-400 focus-within:ring-1 focus-within:ring-indigo-400">
+        {tags.map((tag) => (
+          <span
+            key={tag}
+            className="flex items-center px-2 py-0.5 text-sm rounded-full bg-indigo-500/20 text-indigo-300"
+          >
+            #{tag}
+            <button
+              type="button"
+              onClick={() => removeTag(tag)}
+              disabled={disabled}
+              className="ml-1 text-indigo-300 hover:text-white"
+              aria-label={`Remove tag ${tag}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => {
+            setDraft(e.target.value);
+            setActiveIndex(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={tags.length ? "" : "Add tags..."}
+          disabled={disabled}
+          aria-label="Add tag"
+          aria-autocomplete="list"
+          {...inputProps}
+          className="flex-1 min-w-[6rem] bg-transparent text-gray-100 text-sm focus:outline-none placeholder:text-gray-500 disabled:opacity-50"
+        />
+      </div>
+
+      {matches.length > 0 && (
+        <ul
+          className="absolute z-10 mt-1 w-full bg-gray-800 border border-gray-700 rounded-md shadow-lg"
+          role="listbox"
+          aria-label="Tag suggestions"
+        >
+          {matches.map((name, index) => (
+            <li
+              key={name}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseDown={(e) => {
+                // Keep focus in the input
+                e.preventDefault();
+                addTag(name);
+              }}
+              className={`px-3 py-1 text-sm cursor-pointer ${
+                index === activeIndex
+                  ? "bg-indigo-500 text-white"
+                  : "text-gray-100 hover:bg-gray-700"
+              }`}
+            >
+              #{name}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TagInput;
@@ -0,0 +1,147 @@
+/**
+ * TrashView Component
+ * 
+ * Lists notes in the trash.
+ * Notes can be restored or deleted permanently, and the trash can be emptied.
+ */
+import { useState, useEffect } from "react";
+import {
+  getTrashedNotes,
+  restoreNote,
+  deleteNote,
+  emptyTrash,
+} from "../services/notes-api.js";
+import { formatDate } from "../utils/formatters.js";
+
+function TrashView({ onRestore }) {
+  const [notes, setNotes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load trashed notes on mount
+  useEffect(() => {
+    let isCancelled = false;
+    getTrashedNotes()
+      .then((data) => {
+        if (!isCancelled) setNotes(data);
+      })
+      .catch((err) => {
+        if (!isCancelled) setError(err.message || "Failed to load trash");
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
+  const removeFromList = (noteId) => {
+    setNotes((current) => current.filter((note) => note.id !== noteId));
+  };
+
+  const handleRestore = async (noteId) => {
+    setError(null);
+    try {
+      const restoredNote = await restoreNote(noteId);
+      removeFromList(noteId);
+      if (onRestore) {
+        onRestore(restoredNote);
+      }
+    } catch (err) {
+      setError(err.message || "Failed to restore note");
+    }
+  };
+
+  const handleDeleteForever = async (noteId) => {
+    if (!window.confirm("Delete this note permanently? This cannot be undone.")) {
+      return;
+    }
+
+    setError(null);
+    try {
+      await deleteNote(noteId, { permanent: true });
+      removeFromList(noteId);
+    } catch (err) {
+      setError(err.message || "Failed to delete note");
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm("Permanently delete all notes in the trash?")) {
+      return;
+    }
+
+    setError(null);
+    try {
+      await emptyTrash();
+      setNotes([]);
+    } catch (err) {
+      setError(err.message || "Failed to empty trash");
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-gray-400 text-sm text-center">Loading trash...</p>;
+  }
+
+  return (
+    <div className="flex flex-col space-y-3">
+      {error && (
+        <p className="text-sm text-red-400" role="alert">
+          {error}
+        </p>
+      )}
+
+      {notes.length === 0 ? (
+        <div className="p-4 text-center text-gray-400">
+          <p className="text-sm font-medium">Trash is empty</p>
+        </div>
+      ) : (
+        <>
+          <button
+            type="button"
+            onClick={handleEmptyTrash}
+            className="px-3 py-2 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-400 transition-colors"
+          >
+            Empty trash
+          </button>
+          <ul className="space-y-2" role="list">
+            {notes.map((note) => (
+              <li
+                key={note.id}
+                role="listitem"
+                className="rounded-lg p-4 bg-gray-700"
+              >
+                <h3 className="text-md font-medium mb-1 text-gray-100">
+                  {note.title}
+                </h3>
+                <span className="text-xs block text-gray-500">
+                  Deleted {formatDate(note.deletedAt)}
+                </span>
+                <div className="flex space-x-2 mt-2">
+                  <button
+                    type="button"
+                    onClick={() => handleRestore(note.id)}
+                    className="px-2 py-1 text-xs bg-indigo-500 text-white rounded hover:bg-indigo-600 transition-colors"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDeleteForever(note.id)}
+                    className="px-2 py-1 text-xs text-red-400 hover:bg-red-900/20 rounded transition-colors"
+                  >
+                    Delete forever
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TrashView;
@@ -0,0 +1,94 @@
+/**
+ * useCollaboration Hook
+ * 
+ * Keeps a note's editor in its live editing session (see
+ * services/collab-api.js) while the note is open: reports the text as
+ * others change it, who else is there and where their cursors are.
+ * When the connection can't be made or drops, the status turns
+ * "offline" and the editor falls back to saving the whole note.
+ */
+
+import { useState, useEffect, useRef, useCallback } from "react";
+import { connectToNote, isCollabAvailable } from "../services/collab-api.js";
+
+/**
+ * @param {string|undefined} noteId - Note being edited (none for a new note)
+ * @param {Object} handlers
+ * @param {Function} [handlers.onInit] - Called with { content, version, role } once joined
+ * @param {Function} [handlers.onChange] - Called with (text, operation) for others' edits
+ * @param {Function} [handlers.onSaved] - Called with the note's new version
+ * @returns {Object} { status, peers, error, edit, moveCursor, save, reconnect }
+ *   status is "connecting", "live" or "offline"
+ */
+export function useCollaboration(noteId, handlers) {
+  // Status and people of the current connection attempt (older ones are ignored)
+  const [connection, setConnection] = useState({ key: null });
+  const [attempt, setAttempt] = useState(0);
+  const sessionRef = useRef(null);
+  const key = noteId ? `${noteId}:${attempt}` : null;
+
+  // Connect once per note; the latest handlers see the current form state
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!key) {
+      return undefined;
+    }
+    let isActive = true;
+    const update = (changes) => {
+      if (isActive) {
+        setConnection((current) => ({
+          ...(current.key === key ? current : { peers: [], error: null }),
+          key,
+          ...changes,
+        }));
+      }
+    };
+
+    const session = connectToNote(noteId, {
+      onInit: (init) => {
+        update({ status: "live", error: null });
+        handlersRef.current.onInit?.(init);
+      },
+      onChange: (text, operation) => handlersRef.current.onChange?.(text, operation),
+      onPeers: (peers) => update({ peers }),
+      onSaved: (version) => handlersRef.current.onSaved?.(version),
+      onError: (message) => update({ error: message }),
+      onClose: () => update({ status: "offline", peers: [] }),
+    });
+    sessionRef.current = session;
+
+    return () => {
+      isActive = false;
+      sessionRef.current = null;
+      session?.close();
+    };
+  }, [key, noteId]);
+
+  const current = connection.key === key ? connection : {};
+  let status = "offline";
+  if (key && isCollabAvailable()) {
+    status = current.status || "connecting";
+  }
+
+  const edit = useCallback((text, cursor) => sessionRef.current?.edit(text, cursor), []);
+  const moveCursor = useCallback((cursor) => sessionRef.current?.moveCursor(cursor), []);
+  const save = useCallback(
+    () => sessionRef.current?.save() ?? Promise.reject(new Error("Not connected")),
+    []
+  );
+  const reconnect = useCallback(() => setAttempt((count) => count + 1), []);
+
+  return {
+    status,
+    peers: status === "live" ? current.peers : [],
+    error: current.error || null,
+    edit,
+    moveCursor,
+    save,
+    reconnect,
+  };
+}
@@ -2,42 +2,192 @@
  * useNotes Hook
  * 
  * Custom hook for managing notes state and fetching notes from the backend.
+ * Notes are loaded one page at a time; more pages are fetched on demand.
  * Handles loading states, error states, and provides refresh functionality.
+ * Changes made elsewhere (another tab or user) arrive as live events and
+ * are patched into the loaded notes, keeping their sort order and filters.
  */
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import { getAllNotes } from "../services/notes-api.js";
+import { subscribeToNoteEvents } from "../services/events-api.js";
+
+export const NOTES_PAGE_SIZE = 20;
+
+// Events that change which notes are listed; sharing a note doesn't
+const LIST_EVENT_TYPES = ["note.created", "note.updated", "note.deleted"];
+
+// Sort keys, as the backend sorts notes (older notes have no createdAt)
+const SORT_VALUES = {
+  lastModified: (note) => note.lastModified,
+  createdAt: (note) => note.createdAt || note.lastModified,
+  title: (note) => note.title.toLowerCase(),
+};
+
+/**
+ * Compares two notes in list order, falling back to ID like the backend
+ */
+const compareNotes = (a, b, sort, order) => {
+  const value = SORT_VALUES[sort];
+  const [x, y] = [value(a), value(b)];
+  const result = x !== y ? (x < y ? -1 : 1) : a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  return order === "asc" ? result : -result;
+};
+
+/**
+ * Checks whether a note belongs in a list with these filters
+ */
+const matchesFilters = (note, { tag, folderId }) =>
+  !note.deletedAt &&
+  (!tag || (note.tags || []).includes(tag.toLowerCase())) &&
+  (folderId === undefined ||
+    (note.folderId || null) === (folderId === "none" ? null : folderId));
+
+/**
+ * Puts a note at its sorted position in the loaded notes
+ * A note that sorts after every loaded one is left out while more pages
+ * remain: it will come with a later page.
+ */
+const placeNote = (notes, note, { sort, order, hasMore }) => {
+  const others = notes.filter((other) => other.id !== note.id);
+  const index = others.findIndex((other) => compareNotes(note, other, sort, order) < 0);
+  if (index === -1) {
+    return hasMore ? others : [...others, note];
+  }
+  return [...others.slice(0, index), note, ...others.slice(index)];
+};
+
+/**
+ * Applies a live change to the loaded notes and their total
+ * total counts every matching note, loaded or not. When an updated note
+ * that wasn't loaded now matches while more pages remain, it can't be
+ * told whether it was already counted, so the list is marked outdated
+ * and the first page is reloaded instead.
+ */
+const applyNoteChange = (list, type, note, filters, placement) => {
+  const listed = list.notes.find((current) => current.id === note.id);
+  const without = () => list.notes.filter((current) => current.id !== note.id);
+
+  if (type === "note.deleted") {
+    const counted = matchesFilters(note, filters) && (listed || placement.hasMore);
+    if (!listed && !counted) {
+      return list;
+    }
+    return {
+      ...list,
+      notes: listed ? without() : list.notes,
+      total: counted ? list.total - 1 : list.total,
+    };
+  }
+
+  // Ignore events older than what was already loaded
+  if (listed && (listed.version || 0) > (note.version || 0)) {
+    return list;
+  }
+
+  if (!matchesFilters(note, filters)) {
+    return listed ? { ...list, notes: without(), total: list.total - 1 } : list;
+  }
+  if (listed) {
+    return { ...list, notes: placeNote(list.notes, note, placement) };
+  }
+  if (type === "note.created" || !placement.hasMore) {
+    return {
+      ...list,
+      notes: placeNote(list.notes, note, placement),
+      total: list.total + 1,
+    };
+  }
+  return { ...list, isOutdated: true };
+};
 
 /**
  * Custom hook for managing notes
  * 
- * @returns {Object} Object containing notes, isLoading, error, and refreshNotes function
+ * @param {Object} [options] - Sort and filter options
+ * @param {string} [options.sort] - lastModified, createdAt or title
+ * @param {string} [options.order] - asc or desc
+ * @param {string} [options.tag] - Only notes with this tag
+ * @param {string} [options.folderId] - Only notes directly in this folder
+ * @returns {Object} Object containing notes, isLoading, error, refreshNotes,
+ *   loadMore, hasMore, isLoadingMore and total
  */
-export function useNotes() {
-  const [notes, setNotes] = useState([]);
+export function useNotes({ sort, order, tag, folderId } = {}) {
+  // Kept together so live changes update both from the same, latest list
+  const [list, setList] = useState({ notes: [], total: 0, isOutdated: false });
+  const [nextCursor, setNextCursor] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [error, setError] = useState(null);
 
   /**
-   * Fetches notes from the backend
+   * Fetches the first page of notes from the backend
    */
-  const fetchNotes = async () => {
+  const fetchNotes = useCallback(async () => {
     setIsLoading(true);
     setError(null);
     try {
-      const data = await getAllNotes();
-      setNotes(data);
+      const page = await getAllNotes({
+        limit: NOTES_PAGE_SIZE,
+        sort,
+        order,
+        tag,
+        folderId,
+      });
+      setList({ notes: page.notes, total: page.total, isOutdated: false });
+      setNextCursor(page.nextCursor);
     } catch (err) {
       setError(err.message || "Failed to fetch notes");
     } finally {
       setIsLoading(false);
     }
-  };
+  }, [sort, order, tag, folderId]);
 
-  // Fetch notes on mount
+  // Fetch notes on mount and whenever the sort or filter changes
   useEffect(() => {
     fetchNotes();
-  }, []);
+  }, [fetchNotes]);
+
+  // Reload when a live change couldn't be patched in
+  useEffect(() => {
+    if (list.isOutdated) {
+      fetchNotes();
+    }
+  }, [list.isOutdated, fetchNotes]);
+
+  /**
+   * Patches the loaded notes with a live change
+   * Several events can arrive before the next render, so each one is
+   * applied to the latest list rather than the rendered one.
+   */
+  const handleNoteEvent = (type, data) => {
+    if (type === "reset") {
+      fetchNotes();
+      return;
+    }
+    // Only the user's own notes are listed here
+    if (data.role !== "owner" || !data.note || !LIST_EVENT_TYPES.includes(type)) {
+      return;
+    }
+
+    const filters = { tag, folderId };
+    const placement = {
+      sort: sort || "lastModified",
+      order: order || (sort === "title" ? "asc" : "desc"),
+      hasMore: nextCursor !== null,
+    };
+    setList((current) => applyNoteChange(current, type, data.note, filters, placement));
+  };
+
+  // Subscribe once; the latest handler sees the current options
+  const noteEventHandler = useRef(handleNoteEvent);
+  useEffect(() => {
+    noteEventHandler.current = handleNoteEvent;
+  });
+  useEffect(
+    () => subscribeToNoteEvents((type, data) => noteEventHandler.current(type, data)),
+    []
+  );
 
   /**
    * Refresh notes manually
@@ -47,11 +197,45 @@ export function useNotes() {
     fetchNotes();
   };
 
+  /**
+   * Appends the next page of notes
+   */
+  const loadMore = async () => {
+    if (!nextCursor || isLoadingMore) {
+      return;
+    }
+
+    setIsLoadingMore(true);
+    try {
+      const page = await getAllNotes({
+        limit: NOTES_PAGE_SIZE,
+        sort,
+        order,
+        tag,
+        folderId,
+        cursor: nextCursor,
+      });
+      setList((current) => ({
+        ...current,
+        notes: [...current.notes, ...page.notes],
+        total: page.total,
+      }));
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err.message || "Failed to fetch notes");
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
   return {
-    notes,
+    notes: list.notes,
     isLoading,
     error,
     refreshNotes,
+    loadMore,
+    hasMore: nextCursor !== null,
+    isLoadingMore,
+    total: list.total,
   };
 }
-
@@ -0,0 +1,95 @@
+/**
+ * useSharedNotes Hook
+ * 
+ * The notes other users shared with the signed-in user ("Shared with
+ * me"), most recently modified first. Live events keep them current:
+ * changes to a listed note are patched in, and anything the events can't
+ * describe in full (a new or revoked share, a note back from the trash)
+ * reloads the list.
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { getSharedNotes } from "../services/notes-api.js";
+import { subscribeToNoteEvents } from "../services/events-api.js";
+
+/**
+ * Applies a live change to the shared notes
+ * Events don't carry the owner's username, so a note that isn't listed
+ * yet marks the list outdated instead of being added.
+ */
+const applySharedNoteChange = (list, type, data) => {
+  if (type === "note.shared" || type === "note.unshared") {
+    return { ...list, isOutdated: true };
+  }
+
+  const listed = list.notes.find((current) => current.id === data.id);
+  if (type === "note.deleted") {
+    return listed
+      ? { ...list, notes: list.notes.filter((current) => current.id !== data.id) }
+      : list;
+  }
+  if (!listed) {
+    return { ...list, isOutdated: true };
+  }
+  // Ignore events older than what was already loaded
+  if ((listed.version || 0) > (data.note.version || 0)) {
+    return list;
+  }
+
+  const updated = { ...listed, ...data.note, role: data.role };
+  const notes = [updated, ...list.notes.filter((current) => current.id !== data.id)].sort(
+    (a, b) => b.lastModified.localeCompare(a.lastModified)
+  );
+  return { ...list, notes };
+};
+
+/**
+ * Custom hook for the notes shared with the user
+ * 
+ * @returns {Object} { sharedNotes, refreshSharedNotes }
+ */
+export function useSharedNotes() {
+  const [list, setList] = useState({ notes: [], isOutdated: false });
+
+  /**
+   * Fetches the shared notes from the backend
+   */
+  const fetchSharedNotes = useCallback(() => {
+    getSharedNotes()
+      .then((notes) => setList({ notes, isOutdated: false }))
+      .catch(() => setList({ notes: [], isOutdated: false }));
+  }, []);
+
+  useEffect(() => {
+    fetchSharedNotes();
+  }, [fetchSharedNotes]);
+
+  // Reload when a live change couldn't be patched in
+  useEffect(() => {
+    if (list.isOutdated) {
+      fetchSharedNotes();
+    }
+  }, [list.isOutdated, fetchSharedNotes]);
+
+  // Patch the shared notes with live changes
+  useEffect(
+    () =>
+      subscribeToNoteEvents((type, data) => {
+        if (type === "reset") {
+          fetchSharedNotes();
+          return;
+        }
+        // The user's own notes are listed by useNotes
+        if (data.role === "owner" || !data.note) {
+          return;
+        }
+        setList((current) => applySharedNoteChange(current, type, data));
+      }),
+    [fetchSharedNotes]
+  );
+
+  return {
+    sharedNotes: list.notes,
+    refreshSharedNotes: fetchSharedNotes,
+  };
+}
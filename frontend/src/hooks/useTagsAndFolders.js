@@ -0,0 +1,81 @@
+/**
+ * useTagsAndFolders Hook
+ * 
+ * The user's tags and folders, each with its note count. They only change
+ * when a note is created, deleted, retagged or moved to another folder
+ * (or when folders are edited, see refreshTagsAndFolders), so live events
+ * about other edits don't reload them.
+ */
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import { getTags, getFolders } from "../services/notes-api.js";
+import { subscribeToNoteEvents } from "../services/events-api.js";
+
+/**
+ * What of a note the tags and folder counts depend on
+ */
+const countedFields = (note) => JSON.stringify([note.tags || [], note.folderId || null]);
+
+/**
+ * Custom hook for the tags and folders of the user's notes
+ * 
+ * @param {Array} notes - Notes loaded so far (tells which updates retag or
+ *   move a note)
+ * @returns {Object} { tags, folders, refreshTagsAndFolders }
+ */
+export function useTagsAndFolders(notes) {
+  const [tags, setTags] = useState([]);
+  const [folders, setFolders] = useState([]);
+  // Note ID -> countedFields of the note as last seen
+  const seenNotes = useRef(new Map());
+
+  /**
+   * Fetches the tags and folders from the backend
+   */
+  const fetchTagsAndFolders = useCallback(() => {
+    getTags()
+      .then(setTags)
+      .catch(() => setTags([]));
+    getFolders()
+      .then(setFolders)
+      .catch(() => setFolders([]));
+  }, []);
+
+  useEffect(() => {
+    fetchTagsAndFolders();
+  }, [fetchTagsAndFolders]);
+
+  useEffect(() => {
+    notes.forEach((note) => seenNotes.current.set(note.id, countedFields(note)));
+  }, [notes]);
+
+  // Reload on live changes that can change a count
+  useEffect(
+    () =>
+      subscribeToNoteEvents((type, data) => {
+        if (type === "reset") {
+          fetchTagsAndFolders();
+          return;
+        }
+        if (data.role !== "owner" || !data.note) {
+          return;
+        }
+        const fields = countedFields(data.note);
+        const seen = seenNotes.current.get(data.id);
+        if (type === "note.deleted") {
+          seenNotes.current.delete(data.id);
+          fetchTagsAndFolders();
+        } else if (type === "note.created" || (type === "note.updated" && seen !== fields)) {
+          seenNotes.current.set(data.id, fields);
+          fetchTagsAndFolders();
+        }
+      }),
+    [fetchTagsAndFolders]
+  );
+
+  return {
+    tags,
+    folders,
+    refreshTagsAndFolders: fetchTagsAndFolders,
+  };
+}
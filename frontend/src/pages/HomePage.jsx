@@ -6,14 +6,15 @@
  */
 import { useState, useEffect } from "react";
 import NoteForm from "../components/NoteForm.jsx";
-import { useNotes } from "../hooks/useNotes.js";
+import RevisionHistory from "../components/RevisionHistory.jsx";
+import ActivityPanel from "../components/ActivityPanel.jsx";
+import SharePanel from "../components/SharePanel.jsx";
 import { getNoteById } from "../services/notes-api.js";
 
 function HomePage({ selectedNoteId, onNoteSaved }) {
   const [selectedNote, setSelectedNote] = useState(null);
   const [isCreating, setIsCreating] = useState(false);
   const [isLoadingNote, setIsLoadingNote] = useState(false);
-  const { refreshNotes } = useNotes();
 
   // Load selected note when selectedNoteId changes
   useEffect(() => {
@@ -44,9 +45,7 @@ function HomePage({ selectedNoteId, onNoteSaved }) {
   };
 
   const handleSave = (savedNote) => {
-    // Refresh notes list to show updated/new note
-    refreshNotes();
-    // Notify parent - this will refresh sidebar and return to empty state
+    // Notify parent - this returns to the empty state
     if (onNoteSaved) {
       onNoteSaved(savedNote);
     }
@@ -56,6 +55,11 @@ function HomePage({ selectedNoteId, onNoteSaved }) {
     }
   };
 
+  const handleRestore = (restoredNote) => {
+    // Stay on the restored note so the editor and history show the new state
+    setSelectedNote({ ...restoredNote, role: selectedNote.role });
+  };
+
   const handleCancel = () => {
     setIsCreating(false);
     // If we have a selectedNoteId, reload that note
@@ -111,6 +115,23 @@ function HomePage({ selectedNoteId, onNoteSaved }) {
         onSave={handleSave}
         onCancel={isCreating ? handleCancel : undefined}
       />
+      {selectedNote && !isCreating && (
+        <>
+          <RevisionHistory
+            key={`${selectedNote.id}-${selectedNote.lastModified}`}
+            note={selectedNote}
+            onRestore={handleRestore}
+            readOnly={selectedNote.role === "viewer"}
+          />
+          {selectedNote.role === "owner" && (
+            <SharePanel key={`shares-${selectedNote.id}`} note={selectedNote} />
+          )}
+          <ActivityPanel
+            key={`activity-${selectedNote.id}-${selectedNote.lastModified}`}
+            note={selectedNote}
+          />
+        </>
+      )}
     </div>
   );
 }
@@ -0,0 +1,116 @@
+/**
+ * LoginPage Component
+ * 
+ * Sign-in and account creation form shown while nobody is signed in.
+ * Switching between the two modes keeps what was typed.
+ */
+import { useState } from "react";
+import { login, register } from "../services/auth-api.js";
+
+const inputClasses =
+  "w-full p-3 rounded-md bg-gray-800 text-gray-100 border border-gray-700 focus:outline-none focus:border-indigo-400 focus:ring-1 focus:ring-indigo-400 placeholder:text-gray-500 disabled:opacity-50 disabled:cursor-not-allowed";
+
+function LoginPage({ onSignedIn, notice }) {
+  const [mode, setMode] = useState("login");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegistering = mode === "register";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      const submit = isRegistering ? register : login;
+      const user = await submit({ username: username.trim(), password });
+      onSignedIn(user);
+    } catch (err) {
+      setError(err.message || "Failed to sign in");
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setError(null);
+    setMode(isRegistering ? "login" : "register");
+  };
+
+  return (
+    <div className="flex items-center justify-center h-screen bg-gray-900 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm flex flex-col space-y-4 p-6 bg-gray-800 border border-gray-700 rounded-lg shadow-lg"
+      >
+        <h1 className="text-xl font-semibold text-gray-100">
+          {isRegistering ? "Create an account" : "Sign in to Notes Tracker"}
+        </h1>
+
+        {notice && !error && (
+          <p className="text-sm text-indigo-300" role="status">
+            {notice}
+          </p>
+        )}
+
+        {error && (
+          <p className="text-sm text-red-400" role="alert">
+            {error}
+          </p>
+        )}
+
+        <label className="block text-sm text-gray-300">
+          Username
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            required
+            disabled={isSubmitting}
+            className={`mt-1 ${inputClasses}`}
+          />
+        </label>
+
+        <label className="block text-sm text-gray-300">
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isRegistering ? "new-password" : "current-password"}
+            required
+            disabled={isSubmitting}
+            className={`mt-1 ${inputClasses}`}
+          />
+        </label>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-4 py-2 bg-indigo-500 text-white rounded-md hover:bg-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {isSubmitting
+            ? "Please wait..."
+            : isRegistering
+              ? "Create account"
+              : "Sign in"}
+        </button>
+
+        <button
+          type="button"
+          onClick={toggleMode}
+          disabled={isSubmitting}
+          className="text-sm text-indigo-400 hover:text-indigo-300 disabled:opacity-50"
+        >
+          {isRegistering
+            ? "Already have an account? Sign in"
+            : "New here? Create an account"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LoginPage;
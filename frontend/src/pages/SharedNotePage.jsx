@@ -0,0 +1,67 @@
+/**
+ * SharedNotePage Component
+ * 
+ * Read-only view of a note opened through a public link (/s/:token).
+ * Shown without signing in; nothing here can change the note.
+ */
+import { useState, useEffect } from "react";
+import { getPublicNote } from "../services/notes-api.js";
+import { formatDate } from "../utils/formatters.js";
+
+function SharedNotePage({ token }) {
+  const [note, setNote] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCancelled = false;
+    getPublicNote(token)
+      .then((data) => {
+        if (!isCancelled) setNote(data.note);
+      })
+      .catch((err) => {
+        if (!isCancelled) setError(err.message || "Failed to open link");
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gray-900 p-4 md:p-8">
+      <main className="max-w-2xl mx-auto" role="main">
+        {error ? (
+          <div className="p-4 bg-red-900/20 border border-red-600 rounded-md" role="alert">
+            <p className="text-red-400 text-sm font-medium">This link can&apos;t be opened</p>
+            <p className="text-red-500 text-xs mt-1">{error}</p>
+          </div>
+        ) : !note ? (
+          <p className="text-gray-400 text-sm" aria-busy="true">
+            Loading note...
+          </p>
+        ) : (
+          <article>
+            <h1 className="text-2xl font-semibold text-gray-100 mb-1">{note.title}</h1>
+            <p className="text-xs text-gray-500 mb-4">
+              Last updated {formatDate(note.lastModified)}
+            </p>
+            {note.tags.length > 0 && (
+              <div className="flex flex-wrap gap-1 mb-4">
+                {note.tags.map((tag) => (
+                  <span
+                    key={tag}
+                    className="text-xs px-1.5 rounded bg-gray-700 text-gray-300"
+                  >
+                    #{tag}
+                  </span>
+                ))}
+              </div>
+            )}
+            <p className="text-gray-200 whitespace-pre-wrap break-words">{note.content}</p>
+          </article>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default SharedNotePage;
@@ -0,0 +1,38 @@
+/**
+ * API Client
+ * 
+ * Shared fetch wrapper for the backend API. Requests carry the session
+ * cookie (credentials: "include"), and a 401 response tells the app that
+ * the session is gone so it can show the sign-in page again.
+ */
+
+export const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:3001";
+
+let unauthorizedHandler = null;
+
+/**
+ * Sets the function called when a request comes back 401 Unauthorized
+ * 
+ * @param {Function|null} handler - Called with no arguments (null to remove)
+ */
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+}
+
+/**
+ * Sends a request to the backend with the session cookie
+ * 
+ * @param {string} url - Absolute URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} fetch response
+ */
+export async function apiFetch(url, options = {}) {
+  const response = await fetch(url, { ...options, credentials: "include" });
+
+  if (response.status === 401 && unauthorizedHandler) {
+    unauthorizedHandler();
+  }
+
+  return response;
+}
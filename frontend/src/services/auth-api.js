@@ -0,0 +1,106 @@
+/**
+ * Auth API Service
+ * 
+ * Registration, sign-in and sign-out. The backend keeps the session in an
+ * HTTP-only cookie, so the app never handles the session token itself.
+ */
+import { API_BASE_URL, apiFetch } from "./api-client.js";
+
+/**
+ * Reads the error message from a failed response
+ * 
+ * @param {Response} response - Failed fetch response
+ * @param {string} fallback - Message used when the body has none
+ * @returns {Promise<Error>} Error with the server's message and field (if any)
+ */
+async function responseError(response, fallback) {
+  const body = await response.json().catch(() => ({ error: fallback }));
+  const error = new Error(body.error || `HTTP error! status: ${response.status}`);
+  error.field = body.details?.field;
+  return error;
+}
+
+/**
+ * Sends a username and password to an auth endpoint
+ * 
+ * @param {string} path - "/auth/register" or "/auth/login"
+ * @param {Object} credentials - { username, password }
+ * @param {string} fallback - Error message used when the body has none
+ * @returns {Promise<Object>} Signed-in user
+ * @throws {Error} If the request fails
+ */
+async function submitCredentials(path, credentials, fallback) {
+  const response = await apiFetch(`${API_BASE_URL}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(credentials),
+  });
+
+  if (!response.ok) {
+    throw await responseError(response, fallback);
+  }
+
+  const { user } = await response.json();
+  return user;
+}
+
+/**
+ * Creates an account and signs in
+ * 
+ * @param {Object} credentials - { username, password }
+ * @returns {Promise<Object>} New user { id, username, createdAt }
+ * @throws {Error} If the username is taken or the credentials are invalid
+ */
+export function register(credentials) {
+  return submitCredentials("/auth/register", credentials, "Failed to create account");
+}
+
+/**
+ * Signs in
+ * 
+ * @param {Object} credentials - { username, password }
+ * @returns {Promise<Object>} User { id, username, createdAt }
+ * @throws {Error} If the username or password is wrong
+ */
+export function login(credentials) {
+  return submitCredentials("/auth/login", credentials, "Failed to sign in");
+}
+
+/**
+ * Signs out and clears the session cookie
+ * 
+ * @returns {Promise<void>}
+ * @throws {Error} If request fails
+ */
+export async function logout() {
+  const response = await apiFetch(`${API_BASE_URL}/auth/logout`, {
+    method: "POST",
+  });
+
+  // 401 means the session had already ended
+  if (!response.ok && response.status !== 401) {
+    throw await responseError(response, "Failed to sign out");
+  }
+}
+
+/**
+ * Fetches the signed-in user
+ * 
+ * @returns {Promise<Object|null>} User, or null if not signed in
+ * @throws {Error} If request fails
+ */
+export async function getCurrentUser() {
+  const response = await apiFetch(`${API_BASE_URL}/auth/me`);
+
+  if (response.status === 401) {
+    return null;
+  }
+  if (!response.ok) {
+    throw await responseError(response, "Failed to load account");
+  }
+
+  const { user } = await response.json();
+  return user;
+}
@@ -0,0 +1,283 @@
+/**
+ * Collaboration API Service
+ * 
+ * Live shared editing of a note's content over the backend's
+ * /notes/:id/collab WebSocket. Local edits show up right away and are
+ * sent as operations (utils/text-operation.js); the server merges them
+ * with everyone else's and sends the others' edits back.
+ * 
+ * At most one edit is waiting for the server's acknowledgement at a time.
+ * Edits made meanwhile are combined and sent after it, and edits from
+ * other people are transformed past the ones the server hasn't confirmed
+ * yet, so every copy of the text ends up the same.
+ */
+import { API_BASE_URL } from "./api-client.js";
+import {
+  applyOperation,
+  transform,
+  compose,
+  transformPosition,
+  diffToOperation,
+} from "../utils/text-operation.js";
+
+/**
+ * Checks whether live editing can be used here
+ * 
+ * @returns {boolean} False where WebSocket is not available
+ */
+export function isCollabAvailable() {
+  return typeof WebSocket !== "undefined";
+}
+
+/**
+ * Builds the WebSocket URL of a note's editing session
+ * 
+ * @param {string} noteId - Note ID
+ * @returns {string} ws:// or wss:// URL
+ */
+export function getCollabUrl(noteId) {
+  const url = new URL(`${API_BASE_URL}/notes/${encodeURIComponent(noteId)}/collab`);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  return url.toString();
+}
+
+/**
+ * Moves a cursor along with an operation
+ * 
+ * @param {Object|null} cursor - { start, end }
+ * @param {Array|null} operation - Operation applied to the text
+ * @returns {Object|null} Moved cursor
+ */
+export function transformCursor(cursor, operation) {
+  return cursor && operation
+    ? {
+        start: transformPosition(cursor.start, operation),
+        end: transformPosition(cursor.end, operation),
+      }
+    : cursor;
+}
+
+/**
+ * Joins the live editing session of a note
+ * 
+ * @param {string} noteId - Note ID
+ * @param {Object} handlers
+ * @param {Function} [handlers.onInit] - Called with { content, version, role } once joined
+ * @param {Function} [handlers.onChange] - Called with (text, operation) when
+ *   someone else changed the text
+ * @param {Function} [handlers.onPeers] - Called with the other people in
+ *   the session: [{ clientId, userId, username, role, cursor }]
+ * @param {Function} [handlers.onSaved] - Called with the note's new version after a save
+ * @param {Function} [handlers.onError] - Called with an error message from the server
+ * @param {Function} [handlers.onClose] - Called when the connection ends
+ * @returns {Object|null} Session { edit(text, cursor), moveCursor(cursor),
+ *   save(), close() }, or null where WebSocket is not available
+ */
+export function connectToNote(noteId, handlers = {}) {
+  if (!isCollabAvailable()) {
+    return null;
+  }
+
+  const socket = new WebSocket(getCollabUrl(noteId));
+  let text = "";
+  let revision = 0;
+  // Sent but not acknowledged yet, and made since then (not sent yet)
+  let outstanding = null;
+  let buffer = null;
+  let cursor = null;
+  let cursorChanged = false;
+  let saveWaiters = [];
+  const peers = new Map();
+
+  const send = (message) => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const emitPeers = () => handlers.onPeers?.([...peers.values()]);
+
+  // A cursor from the server, moved past the edits it hasn't confirmed
+  const toLocal = (serverCursor) =>
+    transformCursor(transformCursor(serverCursor, outstanding), buffer);
+
+  const sendOperation = (operation) => {
+    outstanding = operation;
+    cursorChanged = false;
+    send({ type: "operation", revision, operation, cursor });
+  };
+
+  const settleSaves = (settle) => {
+    const waiters = saveWaiters;
+    saveWaiters = [];
+    waiters.forEach(settle);
+  };
+
+  const handleAck = (message) => {
+    revision = message.revision;
+    if (buffer) {
+      const next = buffer;
+      buffer = null;
+      sendOperation(next);
+      return;
+    }
+    outstanding = null;
+    if (cursorChanged) {
+      cursorChanged = false;
+      send({ type: "cursor", revision, cursor });
+    }
+    if (saveWaiters.length > 0) {
+      send({ type: "save" });
+    }
+  };
+
+  const handleOperation = (message) => {
+    revision = message.revision;
+    let operation = message.operation;
+    if (outstanding) {
+      [outstanding, operation] = transform(outstanding, operation);
+    }
+    if (buffer) {
+      [buffer, operation] = transform(buffer, operation);
+    }
+    text = applyOperation(text, operation);
+    cursor = transformCursor(cursor, operation);
+
+    peers.forEach((peer) => {
+      peer.cursor = transformCursor(peer.cursor, operation);
+    });
+    const author = peers.get(message.clientId);
+    if (author) {
+      author.cursor = toLocal(message.cursor ?? null);
+    }
+
+    handlers.onChange?.(text, operation);
+    emitPeers();
+  };
+
+  const handleMessage = (message) => {
+    switch (message.type) {
+      case "init":
+        text = message.content;
+        revision = message.revision;
+        message.peers.forEach((peer) => peers.set(peer.clientId, peer));
+        handlers.onInit?.({
+          content: message.content,
+          version: message.version,
+          role: message.role,
+        });
+        emitPeers();
+        break;
+      case "ack":
+        handleAck(message);
+        break;
+      case "operation":
+        handleOperation(message);
+        break;
+      case "cursor":
+        if (peers.has(message.clientId)) {
+          peers.get(message.clientId).cursor = toLocal(message.cursor);
+          emitPeers();
+        }
+        break;
+      case "join":
+        peers.set(message.peer.clientId, { ...message.peer, cursor: null });
+        emitPeers();
+        break;
+      case "leave":
+        peers.delete(message.clientId);
+        emitPeers();
+        break;
+      case "saved":
+        // A save announced while an edit is unconfirmed may not include it
+        if (!outstanding) {
+          settleSaves(({ resolve }) => resolve(message.version));
+        }
+        handlers.onSaved?.(message.version);
+        break;
+      case "error":
+        settleSaves(({ reject }) => reject(new Error(message.message)));
+        handlers.onError?.(message.message);
+        break;
+      default:
+        break;
+    }
+  };
+
+  socket.addEventListener("message", (event) => {
+    try {
+      handleMessage(JSON.parse(event.data));
+    } catch (error) {
+      // Out of step with the server: stop rather than show the wrong text
+      console.error("Live editing failed:", error);
+      socket.close();
+    }
+  });
+  socket.addEventListener("close", () => {
+    settleSaves(({ reject }) => reject(new Error("Live editing disconnected")));
+    handlers.onClose?.();
+  });
+
+  return {
+    /**
+     * Replaces the text after a local edit (once joined)
+     * 
+     * @param {string} nextText - Text with the edit
+     * @param {Object|null} nextCursor - { start, end } selection after the edit
+     */
+    edit(nextText, nextCursor) {
+      if (nextText === text) {
+        this.moveCursor(nextCursor);
+        return;
+      }
+      const operation = diffToOperation(text, nextText);
+      text = nextText;
+      cursor = nextCursor;
+      peers.forEach((peer) => {
+        peer.cursor = transformCursor(peer.cursor, operation);
+      });
+      if (outstanding) {
+        buffer = buffer ? compose(buffer, operation) : operation;
+      } else {
+        sendOperation(operation);
+      }
+      emitPeers();
+    },
+
+    /**
+     * Shares the local cursor (null when the editor lost focus)
+     * 
+     * @param {Object|null} nextCursor - { start, end }
+     */
+    moveCursor(nextCursor) {
+      if (nextCursor?.start === cursor?.start && nextCursor?.end === cursor?.end) {
+        return;
+      }
+      cursor = nextCursor;
+      // While an edit is unconfirmed the cursor goes with the next message
+      if (outstanding) {
+        cursorChanged = true;
+      } else {
+        send({ type: "cursor", revision, cursor });
+      }
+    },
+
+    /**
+     * Asks the server to save the text now, after every local edit
+     * 
+     * @returns {Promise<number>} Note version once saved
+     */
+    save() {
+      return new Promise((resolve, reject) => {
+        saveWaiters.push({ resolve, reject });
+        if (!outstanding) {
+          send({ type: "save" });
+        }
+      });
+    },
+
+    close() {
+      socket.close();
+    },
+  };
+}
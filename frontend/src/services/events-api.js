@@ -0,0 +1,71 @@
+/**
+ * Events API Service
+ * 
+ * Live note changes from the backend's GET /events stream (Server-Sent
+ * Events). Every subscriber shares one connection: it is opened for the
+ * first subscriber and closed after the last one leaves. The browser
+ * reconnects by itself and sends the ID of the last event it received,
+ * so events missed in between are replayed.
+ */
+import { API_BASE_URL } from "./api-client.js";
+
+// Events passed on to subscribers. "reset" means missed events could not
+// be replayed, so anything built from earlier events must be reloaded
+export const NOTE_EVENT_TYPES = [
+  "note.created",
+  "note.updated",
+  "note.deleted",
+  "note.shared",
+  "note.unshared",
+  "reset",
+];
+
+let source = null;
+const listeners = new Set();
+
+/**
+ * Passes an event on to every subscriber
+ * 
+ * @param {string} type - Event type
+ * @param {MessageEvent} message - Event from the EventSource
+ */
+function dispatch(type, message) {
+  let data;
+  try {
+    data = JSON.parse(message.data);
+  } catch {
+    return;
+  }
+  listeners.forEach((listener) => listener(type, data));
+}
+
+/**
+ * Subscribes to changes of the user's notes and the notes shared with them
+ * Does nothing where EventSource is not available (e.g. tests).
+ * 
+ * @param {Function} listener - Called with (type, data): data has the note
+ *   ID, the user's role and the note (for deletes, as it was), "permanent"
+ *   for deletes and the "share" ({ userId, role }) for share changes
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToNoteEvents(listener) {
+  if (typeof EventSource === "undefined") {
+    return () => {};
+  }
+
+  listeners.add(listener);
+  if (!source) {
+    source = new EventSource(`${API_BASE_URL}/events`, { withCredentials: true });
+    NOTE_EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (message) => dispatch(type, message));
+    });
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && source) {
+      source.close();
+      source = null;
+    }
+  };
+}
@@ -5,17 +5,63 @@
  * All API calls are handled here, keeping components decoupled from API implementation.
  */
 
-const API_BASE_URL =
-  import.meta.env.VITE_API_BASE_URL || "http://localhost:3001";
+import { API_BASE_URL, apiFetch } from "./api-client.js";
 
 /**
- * Fetches all notes from the backend
+ * Builds the error thrown for a 409 CONFLICT response
+ * The error carries the server's current note so callers can merge.
  * 
- * @returns {Promise<Array>} Array of note objects
+ * @param {Response} response - Failed fetch response
+ * @returns {Promise<Error>} Error with code "CONFLICT" and current note
+ */
+async function conflictError(response) {
+  const body = await response
+    .json()
+    .catch(() => ({ error: "Note was modified elsewhere" }));
+  const error = new Error(body.error || "Note was modified elsewhere");
+  error.code = "CONFLICT";
+  error.current = body.details?.current;
+  return error;
+}
+
+/**
+ * Builds the error thrown when saving a note fails
+ * A 400 response lists every failing field in details.errors; they are
+ * kept on the error so forms can show each one next to its input.
+ * 
+ * @param {Response} response - Failed fetch response
+ * @param {string} fallbackMessage - Message if the body can't be read
+ * @returns {Promise<Error>} Error with code and errors ([{ field, rule, message }])
+ */
+async function saveError(response, fallbackMessage) {
+  const body = await response.json().catch(() => ({ error: fallbackMessage }));
+  const error = new Error(body.error || `HTTP error! status: ${response.status}`);
+  error.code = body.code;
+  error.errors = body.details?.errors || [];
+  return error;
+}
+
+/**
+ * Fetches a page of notes from the backend
+ * 
+ * @param {Object} [options] - Query options (omitted values are not sent)
+ * @param {number} [options.limit] - Page size (1-100, server default 20)
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {string} [options.sort] - lastModified, createdAt or title
+ * @param {string} [options.order] - asc or desc
+ * @returns {Promise<Object>} Page object { notes, nextCursor, total }
  * @throws {Error} If request fails
  */
-export async function getAllNotes() {
-  const response = await fetch(`${API_BASE_URL}/notes`);
+export async function getAllNotes(options = {}) {
+  const params = new URLSearchParams(
+    Object.entries(options).filter(
+      ([, value]) => value !== undefined && value !== null
+    )
+  );
+  const query = params.toString();
+  const response = await apiFetch(
+    `${API_BASE_URL}/notes${query ? `?${query}` : ""}`
+  );
 
   if (!response.ok) {
     const error = await response
@@ -32,10 +78,10 @@ export async function getAllNotes() {
  * 
  * @param {Object} noteData - Note data with title and content
  * @returns {Promise<Object>} Created note object
- * @throws {Error} If request fails
+ * @throws {Error} If request fails; errors lists each invalid field
  */
 export async function createNote(noteData) {
-  const response = await fetch(`${API_BASE_URL}/notes`, {
+  const response = await apiFetch(`${API_BASE_URL}/notes`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
@@ -44,10 +90,7 @@ export async function createNote(noteData) {
   });
 
   if (!response.ok) {
-    const error = await response
-      .json()
-      .catch(() => ({ error: "Failed to create note" }));
-    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+    throw await saveError(response, "Failed to create note");
   }
 
   return response.json();
@@ -57,30 +100,38 @@ export async function createNote(noteData) {
  * Updates an existing note
  * 
  * @param {string} id - Note ID
- * @param {Object} updates - Updated title and/or content
+ * @param {Object} updates - Updated title, content, tags and/or folderId
+ * @param {Object} [options] - Update options
+ * @param {number} [options.version] - Version the edit is based on (sent as If-Match)
  * @returns {Promise<Object>} Updated note object
- * @throws {Error} If request fails
+ * @throws {Error} If request fails; code "CONFLICT" (with current note) if the note
+ *   changed; errors lists each invalid field
  */
-export async function updateNote(id, updates) {
-  const response = await fetch(`${API_BASE_URL}/notes/${id}`, {
+export async function updateNote(id, updates, { version } = {}) {
+  const headers = {
+    "Content-Type": "application/json",
+  };
+  if (version !== undefined) {
+    headers["If-Match"] = `"${version}"`;
+  }
+
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}`, {
     method: "PUT",
-    headers: {
-      "Content-Type": "application/json",
-    },
+    headers,
     body: JSON.stringify(updates),
   });
 
   if (!response.ok) {
+    if (response.status === 409) {
+      throw await conflictError(response);
+    }
     if (response.status === 404) {
       const error = await response
         .json()
         .catch(() => ({ error: "Note not found" }));
       throw new Error(error.error || "Note not found");
     }
-    const error = await response
-      .json()
-      .catch(() => ({ error: "Failed to update note" }));
-    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+    throw await saveError(response, "Failed to update note");
   }
 
   return response.json();
@@ -94,7 +145,7 @@ export async function updateNote(id, updates) {
  * @throws {Error} If request fails
  */
 export async function getNoteById(id) {
-  const response = await fetch(`${API_BASE_URL}/notes/${id}`);
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}`);
 
   if (!response.ok) {
     if (response.status === 404) {
@@ -114,17 +165,26 @@ export async function getNoteById(id) {
 
 /**
  * Deletes a note
+ * Moves the note to the trash unless permanent is set.
  * 
  * @param {string} id - Note ID
+ * @param {Object} [options] - Delete options
+ * @param {boolean} [options.permanent=false] - Delete the note for good
+ * @param {number} [options.version] - Only delete this version (sent as If-Match)
  * @returns {Promise<void>}
- * @throws {Error} If request fails
+ * @throws {Error} If request fails; code "CONFLICT" (with current note) if the note changed
  */
-export async function deleteNote(id) {
-  const response = await fetch(`${API_BASE_URL}/notes/${id}`, {
+export async function deleteNote(id, { permanent = false, version } = {}) {
+  const query = permanent ? "?permanent=true" : "";
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}${query}`, {
     method: "DELETE",
+    ...(version !== undefined && { headers: { "If-Match": `"${version}"` } }),
   });
 
   if (!response.ok) {
+    if (response.status === 409) {
+      throw await conflictError(response);
+    }
     if (response.status === 404) {
       const error = await response
         .json()
@@ -143,3 +203,571 @@ export async function deleteNote(id) {
   }
 }
 
+
+/**
+ * Fetches the revision history of a note
+ * 
+ * @param {string} id - Note ID
+ * @returns {Promise<Array>} Revision summaries, newest first
+ * @throws {Error} If request fails
+ */
+export async function getNoteRevisions(id) {
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}/revisions`);
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to fetch revisions" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches a single revision of a note
+ * 
+ * @param {string} id - Note ID
+ * @param {number} rev - Revision number
+ * @returns {Promise<Object>} Revision with title and content
+ * @throws {Error} If request fails
+ */
+export async function getNoteRevision(id, rev) {
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}/revisions/${rev}`);
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to fetch revision" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Restores a note to a previous revision
+ * 
+ * @param {string} id - Note ID
+ * @param {number} rev - Revision number
+ * @returns {Promise<Object>} Restored note object
+ * @throws {Error} If request fails
+ */
+export async function restoreNoteRevision(id, rev) {
+  const response = await apiFetch(
+    `${API_BASE_URL}/notes/${id}/revisions/${rev}/restore`,
+    {
+      method: "POST",
+    }
+  );
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to restore revision" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches a page of a note's activity timeline, newest first
+ * 
+ * @param {string} id - Note ID
+ * @param {Object} [options] - Query options (omitted values are not sent)
+ * @param {number} [options.limit] - Page size (1-200, server default 50)
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @returns {Promise<Object>} { noteId, activity, nextCursor, total }
+ * @throws {Error} If request fails
+ */
+export async function getNoteActivity(id, options = {}) {
+  const params = new URLSearchParams(
+    Object.entries(options).filter(
+      ([, value]) => value !== undefined && value !== null
+    )
+  );
+  const query = params.toString();
+  const response = await apiFetch(
+    `${API_BASE_URL}/notes/${id}/activity${query ? `?${query}` : ""}`
+  );
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to fetch activity" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches all notes in the trash
+ * 
+ * @returns {Promise<Array>} Trashed notes, most recently deleted first
+ * @throws {Error} If request fails
+ */
+export async function getTrashedNotes() {
+  const response = await apiFetch(`${API_BASE_URL}/notes/trash`);
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to fetch trash" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches the notes other users have shared with the signed-in user
+ * 
+ * @returns {Promise<Array>} Notes with role ("viewer" or "editor") and ownerUsername
+ * @throws {Error} If request fails
+ */
+export async function getSharedNotes() {
+  const response = await apiFetch(`${API_BASE_URL}/notes/shared`);
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to fetch shared notes" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches the users a note is shared with (owner only)
+ * 
+ * @param {string} id - Note ID
+ * @returns {Promise<Array>} Shares { userId, username, role, createdAt }
+ * @throws {Error} If request fails
+ */
+export async function getNoteShares(id) {
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}/shares`);
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to fetch shares" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Shares a note with a user, or changes their role
+ * 
+ * @param {string} id - Note ID
+ * @param {Object} shareData - { username, role: "viewer" | "editor" }
+ * @returns {Promise<Object>} Share
+ * @throws {Error} If the user does not exist or request fails
+ */
+export async function shareNote(id, shareData) {
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}/shares`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(shareData),
+  });
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to share note" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Stops sharing a note with a user
+ * 
+ * @param {string} id - Note ID
+ * @param {string} userId - User the note is shared with
+ * @returns {Promise<void>}
+ * @throws {Error} If request fails
+ */
+export async function revokeShare(id, userId) {
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}/shares/${userId}`, {
+    method: "DELETE",
+  });
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to stop sharing note" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+}
+
+/**
+ * Fetches a note's public links (owner only)
+ * 
+ * @param {string} id - Note ID
+ * @returns {Promise<Array>} Links { id, createdAt, expiresAt, maxViews, views }
+ * @throws {Error} If request fails
+ */
+export async function getShareLinks(id) {
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}/links`);
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to fetch links" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Creates a public link to a note
+ * 
+ * @param {string} id - Note ID
+ * @param {Object} [options] - { expiresAt (ISO date), maxViews }, both optional
+ * @returns {Promise<Object>} Link, including its token (only returned here)
+ * @throws {Error} If request fails
+ */
+export async function createShareLink(id, options = {}) {
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}/links`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(options),
+  });
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to create link" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Revokes a public link
+ * 
+ * @param {string} id - Note ID
+ * @param {string} linkId - Link ID
+ * @returns {Promise<void>}
+ * @throws {Error} If request fails
+ */
+export async function revokeShareLink(id, linkId) {
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}/links/${linkId}`, {
+    method: "DELETE",
+  });
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to revoke link" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+}
+
+/**
+ * Fetches a note through a public link (no sign-in needed)
+ * 
+ * @param {string} token - Link token
+ * @returns {Promise<Object>} { note: { title, content, tags, lastModified }, link: { expiresAt, viewsRemaining } }
+ * @throws {Error} If the link is unknown, revoked or expired
+ */
+export async function getPublicNote(token) {
+  const response = await fetch(
+    `${API_BASE_URL}/s/${encodeURIComponent(token)}?format=json`
+  );
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to open link" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Builds the address of the read-only viewer page for a link
+ * 
+ * @param {string} token - Link token
+ * @returns {string} Absolute URL on this app's origin
+ */
+export function getShareLinkUrl(token) {
+  return `${window.location.origin}/s/${token}`;
+}
+
+/**
+ * Restores a note from the trash
+ * 
+ * @param {string} id - Note ID
+ * @returns {Promise<Object>} Restored note object
+ * @throws {Error} If request fails
+ */
+export async function restoreNote(id) {
+  const response = await apiFetch(`${API_BASE_URL}/notes/${id}/restore`, {
+    method: "POST",
+  });
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to restore note" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Permanently deletes every note in the trash
+ * 
+ * @returns {Promise<Object>} Object with the number of purged notes
+ * @throws {Error} If request fails
+ */
+export async function emptyTrash() {
+  const response = await apiFetch(`${API_BASE_URL}/notes/trash`, {
+    method: "DELETE",
+  });
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to empty trash" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Searches notes by full-text query
+ * 
+ * @param {string} query - Search query (terms, prefix*, "exact phrase")
+ * @returns {Promise<Object>} { query, total, results } with highlighted snippets
+ * @throws {Error} If request fails
+ */
+export async function searchNotes(query) {
+  const response = await apiFetch(
+    `${API_BASE_URL}/notes/search?q=${encodeURIComponent(query)}`
+  );
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to search notes" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches all tags with usage counts
+ * 
+ * @returns {Promise<Array>} Tags { name, count }, most used first
+ * @throws {Error} If request fails
+ */
+export async function getTags() {
+  const response = await apiFetch(`${API_BASE_URL}/tags`);
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to fetch tags" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Renames a tag across all notes
+ * 
+ * @param {string} name - Current tag name
+ * @param {string} newName - New tag name
+ * @returns {Promise<Object>} Renamed tag { name, count }
+ * @throws {Error} If request fails
+ */
+export async function renameTag(name, newName) {
+  const response = await apiFetch(
+    `${API_BASE_URL}/tags/${encodeURIComponent(name)}`,
+    {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ name: newName }),
+    }
+  );
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to rename tag" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches all folders as a flat list (tree built from parentId)
+ * 
+ * @returns {Promise<Array>} Folders with noteCount
+ * @throws {Error} If request fails
+ */
+export async function getFolders() {
+  const response = await apiFetch(`${API_BASE_URL}/folders`);
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to fetch folders" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Creates a new folder
+ * 
+ * @param {Object} folderData - Folder data with name and optional parentId
+ * @returns {Promise<Object>} Created folder object
+ * @throws {Error} If request fails
+ */
+export async function createFolder(folderData) {
+  const response = await apiFetch(`${API_BASE_URL}/folders`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(folderData),
+  });
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to create folder" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Renames and/or moves a folder
+ * 
+ * @param {string} id - Folder ID
+ * @param {Object} updates - New name and/or parentId (null for top level)
+ * @returns {Promise<Object>} Updated folder object
+ * @throws {Error} If request fails
+ */
+export async function updateFolder(id, updates) {
+  const response = await apiFetch(`${API_BASE_URL}/folders/${id}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(updates),
+  });
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to update folder" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Deletes a folder
+ * 
+ * @param {string} id - Folder ID
+ * @param {Object} [options] - Delete options
+ * @param {string} [options.mode="move"] - "move" (contents go to the parent) or "cascade" (contents are deleted)
+ * @returns {Promise<Object>} { deletedFolderIds, movedNoteIds, trashedNoteIds }
+ * @throws {Error} If request fails
+ */
+export async function deleteFolder(id, { mode = "move" } = {}) {
+  const response = await apiFetch(`${API_BASE_URL}/folders/${id}?mode=${mode}`, {
+    method: "DELETE",
+  });
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to delete folder" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Builds the download URL for an export of every note
+ * 
+ * @param {string} format - "json" (one bundle) or "markdown" (tar archive of .md files)
+ * @returns {string} Export URL
+ */
+export function getExportUrl(format) {
+  return `${API_BASE_URL}/export?format=${encodeURIComponent(format)}`;
+}
+
+// Import file extension -> request Content-Type
+const IMPORT_CONTENT_TYPES = {
+  json: "application/json",
+  md: "text/markdown",
+  markdown: "text/markdown",
+  tar: "application/x-tar",
+};
+
+/**
+ * Imports notes from an export file (.json, .md or .tar)
+ * 
+ * @param {File} file - File chosen by the user
+ * @param {Object} [options] - Import options
+ * @param {string} [options.strategy="skip"] - "skip", "overwrite" or "duplicate" for notes that already exist
+ * @param {boolean} [options.dryRun=false] - Only preview what would happen
+ * @returns {Promise<Object>} Import report { dryRun, summary, notes }
+ * @throws {Error} If the file type is not supported or the request fails
+ */
+export async function importNotes(file, { strategy = "skip", dryRun = false } = {}) {
+  const extension = file.name.split(".").pop().toLowerCase();
+  const contentType = IMPORT_CONTENT_TYPES[extension];
+  if (!contentType) {
+    throw new Error("Choose a .json, .md or .tar file");
+  }
+
+  const params = new URLSearchParams({ strategy, dryRun: String(dryRun) });
+  const response = await apiFetch(`${API_BASE_URL}/import?${params}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": contentType,
+    },
+    body: file,
+  });
+
+  if (!response.ok) {
+    const error = await response
+      .json()
+      .catch(() => ({ error: "Failed to import notes" }));
+    throw new Error(error.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
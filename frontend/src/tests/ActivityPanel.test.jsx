@@ -0,0 +1,79 @@
+/**
+ * Unit tests for ActivityPanel component
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import ActivityPanel from "../components/ActivityPanel.jsx";
+import * as notesApi from "../services/notes-api.js";
+
+// Mock the API service
+vi.mock("../services/notes-api.js");
+
+describe("ActivityPanel", () => {
+  const mockNote = { id: "123", title: "Note", content: "Content" };
+
+  const entry = (id, action, details = {}) => ({
+    id,
+    action,
+    details: { noteId: "123", ...details },
+    timestamp: "2025-11-24T10:00:00.000Z",
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should show the note's activity in words", async () => {
+    vi.mocked(notesApi.getNoteActivity).mockResolvedValue({
+      activity: [
+        entry("3", "NOTE_RESTORED"),
+        entry("2", "NOTE_UPDATED", { updatedFields: ["title", "tags"] }),
+        entry("1", "NOTE_CREATED"),
+      ],
+      nextCursor: null,
+    });
+
+    render(<ActivityPanel note={mockNote} />);
+
+    expect(await screen.findByText("Restored from trash")).toBeInTheDocument();
+    expect(screen.getByText("Edited title, tags")).toBeInTheDocument();
+    expect(screen.getByText("Created")).toBeInTheDocument();
+    expect(notesApi.getNoteActivity).toHaveBeenCalledWith("123");
+    expect(screen.queryByRole("button", { name: "Load more" })).not.toBeInTheDocument();
+  });
+
+  it("should load older entries on request", async () => {
+    const user = userEvent.setup();
+    vi.mocked(notesApi.getNoteActivity)
+      .mockResolvedValueOnce({
+        activity: [entry("2", "NOTE_DELETED", { permanent: false })],
+        nextCursor: "next",
+      })
+      .mockResolvedValueOnce({
+        activity: [entry("1", "NOTE_CREATED")],
+        nextCursor: null,
+      });
+
+    render(<ActivityPanel note={mockNote} />);
+    await user.click(await screen.findByRole("button", { name: "Load more" }));
+
+    expect(await screen.findByText("Created")).toBeInTheDocument();
+    expect(screen.getByText("Moved to trash")).toBeInTheDocument();
+    expect(notesApi.getNoteActivity).toHaveBeenLastCalledWith("123", {
+      cursor: "next",
+    });
+    expect(screen.queryByRole("button", { name: "Load more" })).not.toBeInTheDocument();
+  });
+
+  it("should show empty and error states", async () => {
+    vi.mocked(notesApi.getNoteActivity).mockRejectedValueOnce(
+      new Error("Network down")
+    );
+
+    render(<ActivityPanel note={mockNote} />);
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("Network down");
+    expect(screen.queryByText("No activity yet")).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for FolderTree component
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, waitFor, fireEvent } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import FolderTree, { NOTE_DRAG_TYPE } from "../components/FolderTree.jsx";
+import * as notesApi from "../services/notes-api.js";
+
+// Mock the API service
+vi.mock("../services/notes-api.js");
+
+describe("FolderTree", () => {
+  const folders = [
+    { id: "work", name: "Work", parentId: null, noteCount: 2 },
+    { id: "projects", name: "Projects", parentId: "work", noteCount: 1 },
+  ];
+
+  const renderTree = (props = {}) => {
+    const handlers = {
+      onSelectFolder: vi.fn(),
+      onMoveNote: vi.fn(),
+      onFoldersChange: vi.fn(),
+    };
+    render(
+      <FolderTree
+        folders={folders}
+        selectedFolderId={null}
+        {...handlers}
+        {...props}
+      />
+    );
+    return handlers;
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should show top-level folders and expand to show subfolders", async () => {
+    const user = userEvent.setup();
+    renderTree();
+
+    expect(screen.getByText(/Work/)).toBeInTheDocument();
+    expect(screen.queryByText(/Projects/)).not.toBeInTheDocument();
+
+    await user.click(screen.getByLabelText("Expand Work"));
+    expect(screen.getByText(/Projects/)).toBeInTheDocument();
+
+    await user.click(screen.getByLabelText("Collapse Work"));
+    expect(screen.queryByText(/Projects/)).not.toBeInTheDocument();
+  });
+
+  it("should select a folder or all notes", async () => {
+    const user = userEvent.setup();
+    const { onSelectFolder } = renderTree({ selectedFolderId: "work" });
+
+    await user.click(screen.getByText("All notes"));
+    expect(onSelectFolder).toHaveBeenCalledWith(null);
+
+    await user.click(screen.getByText(/Work/));
+    expect(onSelectFolder).toHaveBeenCalledWith("work");
+  });
+
+  it("should create a subfolder", async () => {
+    const user = userEvent.setup();
+    window.prompt = vi.fn(() => "Ideas");
+    vi.mocked(notesApi.createFolder).mockResolvedValue({ id: "ideas" });
+    const { onFoldersChange } = renderTree();
+
+    await user.click(screen.getByLabelText("New folder in Work"));
+
+    await waitFor(() => {
+      expect(notesApi.createFolder).toHaveBeenCalledWith({
+        name: "Ideas",
+        parentId: "work",
+      });
+      expect(onFoldersChange).toHaveBeenCalled();
+    });
+  });
+
+  it("should delete a folder and trash its notes when asked", async () => {
+    const user = userEvent.setup();
+    vi.mocked(notesApi.deleteFolder).mockResolvedValue({
+      deletedFolderIds: ["work", "projects"],
+    });
+    const { onSelectFolder } = renderTree({ selectedFolderId: "projects" });
+
+    await user.click(screen.getByLabelText("Delete Work"));
+    await user.click(screen.getByText("Delete notes"));
+
+    await waitFor(() => {
+      expect(notesApi.deleteFolder).toHaveBeenCalledWith("work", {
+        mode: "cascade",
+      });
+      expect(onSelectFolder).toHaveBeenCalledWith(null);
+    });
+  });
+
+  it("should move a dropped note into the folder", () => {
+    const { onMoveNote } = renderTree();
+    const dataTransfer = {
+      types: [NOTE_DRAG_TYPE],
+      getData: vi.fn(() => "123"),
+    };
+
+    const row = screen.getByText(/Work/).closest("div");
+    fireEvent.dragOver(row, { dataTransfer });
+    fireEvent.drop(row, { dataTransfer });
+
+    expect(dataTransfer.getData).toHaveBeenCalledWith(NOTE_DRAG_TYPE);
+    expect(onMoveNote).toHaveBeenCalledWith("123", "work");
+  });
+
+  it("should show an error when an action fails", async () => {
+    const user = userEvent.setup();
+    window.prompt = vi.fn(() => "Renamed");
+    vi.mocked(notesApi.updateFolder).mockRejectedValue(
+      new Error("Folder name cannot be empty")
+    );
+    renderTree();
+
+    await user.click(screen.getByLabelText("Rename Work"));
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      "Folder name cannot be empty"
+    );
+  });
+});
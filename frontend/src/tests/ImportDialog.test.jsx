@@ -0,0 +1,110 @@
+/**
+ * Unit tests for ImportDialog component
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import ImportDialog from "../components/ImportDialog.jsx";
+import * as notesApi from "../services/notes-api.js";
+
+// Mock the API service
+vi.mock("../services/notes-api.js");
+
+const report = (dryRun, overrides = {}) => ({
+  dryRun,
+  summary: {
+    total: 2,
+    created: 1,
+    overwritten: 0,
+    duplicated: 0,
+    skipped: 0,
+    failed: 1,
+    ...overrides,
+  },
+  notes: [
+    { index: 0, source: "notes[0]", title: "Good", status: "created" },
+    {
+      index: 1,
+      source: "notes[1]",
+      title: null,
+      status: "failed",
+      error: { error: "Title is required and must be a string" },
+    },
+  ],
+});
+
+describe("ImportDialog", () => {
+  const file = new File(["[]"], "backup.json", { type: "application/json" });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should preview the chosen file, then import it", async () => {
+    const user = userEvent.setup();
+    const onImported = vi.fn();
+    notesApi.importNotes
+      .mockResolvedValueOnce(report(true))
+      .mockResolvedValueOnce(report(false));
+
+    render(<ImportDialog onClose={vi.fn()} onImported={onImported} />);
+    await user.upload(screen.getByLabelText(/Export file/), file);
+
+    expect(await screen.findByText(/Preview: 1 new/)).toBeInTheDocument();
+    expect(screen.getByText("notes[1]")).toBeInTheDocument();
+    expect(
+      screen.getByText("Title is required and must be a string")
+    ).toBeInTheDocument();
+    expect(notesApi.importNotes).toHaveBeenCalledWith(file, {
+      strategy: "skip",
+      dryRun: true,
+    });
+
+    await user.click(screen.getByRole("button", { name: "Import 1 note" }));
+
+    expect(await screen.findByText(/Imported: 1 new/)).toBeInTheDocument();
+    expect(notesApi.importNotes).toHaveBeenLastCalledWith(file, {
+      strategy: "skip",
+      dryRun: false,
+    });
+    expect(onImported).toHaveBeenCalled();
+    expect(screen.getByRole("button", { name: "Done" })).toBeInTheDocument();
+  });
+
+  it("should preview again when the strategy changes", async () => {
+    const user = userEvent.setup();
+    notesApi.importNotes.mockResolvedValue(report(true));
+
+    render(<ImportDialog onClose={vi.fn()} />);
+    await user.upload(screen.getByLabelText(/Export file/), file);
+    await screen.findByText(/Preview/);
+
+    await user.selectOptions(screen.getByLabelText(/already exists/), "overwrite");
+
+    await waitFor(() => {
+      expect(notesApi.importNotes).toHaveBeenLastCalledWith(file, {
+        strategy: "overwrite",
+        dryRun: true,
+      });
+    });
+  });
+
+  it("should show errors and close on cancel", async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    notesApi.importNotes.mockRejectedValueOnce(
+      new Error("Choose a .json, .md or .tar file")
+    );
+
+    render(<ImportDialog onClose={onClose} />);
+    await user.upload(screen.getByLabelText(/Export file/), file);
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      "Choose a .json, .md or .tar file"
+    );
+    expect(screen.queryByRole("button", { name: /Import \d/ })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Cancel" }));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for LoginPage component
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import LoginPage from "../pages/LoginPage.jsx";
+import * as authApi from "../services/auth-api.js";
+
+// Mock the API service
+vi.mock("../services/auth-api.js");
+
+describe("LoginPage", () => {
+  const account = { id: "u1", username: "ada", createdAt: "2025-11-24T10:00:00.000Z" };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should sign in with the entered credentials", async () => {
+    const user = userEvent.setup();
+    const onSignedIn = vi.fn();
+    vi.mocked(authApi.login).mockResolvedValue(account);
+
+    render(<LoginPage onSignedIn={onSignedIn} />);
+    await user.type(screen.getByLabelText("Username"), " ada ");
+    await user.type(screen.getByLabelText("Password"), "correct horse");
+    await user.click(screen.getByRole("button", { name: "Sign in" }));
+
+    await waitFor(() => expect(onSignedIn).toHaveBeenCalledWith(account));
+    expect(authApi.login).toHaveBeenCalledWith({
+      username: "ada",
+      password: "correct horse",
+    });
+  });
+
+  it("should create an account in register mode", async () => {
+    const user = userEvent.setup();
+    const onSignedIn = vi.fn();
+    vi.mocked(authApi.register).mockResolvedValue(account);
+
+    render(<LoginPage onSignedIn={onSignedIn} />);
+    await user.click(screen.getByRole("button", { name: /create an account/i }));
+    await user.type(screen.getByLabelText("Username"), "ada");
+    await user.type(screen.getByLabelText("Password"), "correct horse");
+    await user.click(screen.getByRole("button", { name: "Create account" }));
+
+    await waitFor(() => expect(onSignedIn).toHaveBeenCalledWith(account));
+    expect(authApi.login).not.toHaveBeenCalled();
+  });
+
+  it("should show the server error and the sign-out notice", async () => {
+    const user = userEvent.setup();
+    vi.mocked(authApi.login).mockRejectedValue(
+      new Error("Invalid username or password")
+    );
+
+    render(<LoginPage onSignedIn={vi.fn()} notice="You have been signed out." />);
+    expect(screen.getByRole("status")).toHaveTextContent("You have been signed out.");
+
+    await user.type(screen.getByLabelText("Username"), "ada");
+    await user.type(screen.getByLabelText("Password"), "wrong password");
+    await user.click(screen.getByRole("button", { name: "Sign in" }));
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      "Invalid username or password"
+    );
+    expect(screen.queryByRole("status")).not.toBeInTheDocument();
+  });
+});
@@ -54,5 +54,15 @@ describe("NoteCard", () => {
     render(<NoteCard note={mockNote} />);
     expect(screen.queryByLabelText("Delete note")).not.toBeInTheDocument();
   });
-});
 
+  it("should call onShareLink when the share link button is clicked", () => {
+    const handleClick = vi.fn();
+    const handleShareLink = vi.fn();
+    render(
+      <NoteCard note={mockNote} onClick={handleClick} onShareLink={handleShareLink} />
+    );
+    screen.getByLabelText("Share link").click();
+    expect(handleShareLink).toHaveBeenCalledWith(mockNote.id);
+    expect(handleClick).not.toHaveBeenCalled();
+  });
+});
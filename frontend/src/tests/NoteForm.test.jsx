@@ -2,13 +2,15 @@
  * Unit tests for NoteForm component
  */
 import { describe, it, expect, vi, beforeEach } from "vitest";
-import { render, screen, waitFor } from "@testing-library/react";
+import { render, screen, waitFor, act } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 import NoteForm from "../components/NoteForm.jsx";
 import * as notesApi from "../services/notes-api.js";
+import * as collabApi from "../services/collab-api.js";
 
-// Mock the API service
+// Mock the API services (live editing is unavailable unless a test enables it)
 vi.mock("../services/notes-api.js");
+vi.mock("../services/collab-api.js");
 
 describe("NoteForm", () => {
   const mockOnSave = vi.fn();
@@ -16,6 +18,7 @@ describe("NoteForm", () => {
 
   beforeEach(() => {
     vi.clearAllMocks();
+    vi.mocked(notesApi.getTags).mockResolvedValue([]);
   });
 
   it("should render form with empty fields when no note provided", () => {
@@ -39,6 +42,21 @@ describe("NoteForm", () => {
     );
   });
 
+  it("should be read-only for notes shared with the user as a viewer", () => {
+    const sharedNote = {
+      id: "123",
+      title: "Shared Note",
+      content: "Shared Content",
+      role: "viewer",
+    };
+    render(<NoteForm note={sharedNote} onSave={mockOnSave} />);
+
+    expect(screen.getByPlaceholderText("Note title...")).toHaveAttribute("readonly");
+    expect(screen.getByPlaceholderText("Note content...")).toHaveAttribute("readonly");
+    expect(screen.getByRole("status")).toHaveTextContent("shared with you as a viewer");
+    expect(screen.queryByText("Update")).not.toBeInTheDocument();
+  });
+
   it("should call createNote when creating new note", async () => {
     const user = userEvent.setup();
     const mockNote = { id: "123", title: "New Note", content: "New Content" };
@@ -57,6 +75,7 @@ describe("NoteForm", () => {
       expect(notesApi.createNote).toHaveBeenCalledWith({
         title: "New Note",
         content: "New Content",
+        tags: [],
       });
       expect(mockOnSave).toHaveBeenCalledWith(mockNote);
     });
@@ -68,11 +87,13 @@ describe("NoteForm", () => {
       id: "123",
       title: "Original",
       content: "Original Content",
+      version: 1,
     };
     const updatedNote = {
       id: "123",
       title: "Updated",
       content: "Updated Content",
+      version: 2,
     };
     vi.mocked(notesApi.updateNote).mockResolvedValue(updatedNote);
 
@@ -89,10 +110,15 @@ describe("NoteForm", () => {
     await user.click(screen.getByText("Update"));
 
     await waitFor(() => {
-      expect(notesApi.updateNote).toHaveBeenCalledWith("123", {
-        title: "Updated",
-        content: "Updated Content",
-      });
+      expect(notesApi.updateNote).toHaveBeenCalledWith(
+        "123",
+        {
+          title: "Updated",
+          content: "Updated Content",
+          tags: [],
+        },
+        { version: 1 }
+      );
       expect(mockOnSave).toHaveBeenCalledWith(updatedNote);
     });
   });
@@ -117,6 +143,9 @@ describe("NoteForm", () => {
       },
       { timeout: 3000 }
     );
+    expect(screen.getByPlaceholderText("Note title...")).toHaveAccessibleDescription(
+      "Title is required"
+    );
 
     expect(notesApi.createNote).not.toHaveBeenCalled();
   });
@@ -166,6 +195,66 @@ describe("NoteForm", () => {
     expect(mockOnSave).not.toHaveBeenCalled();
   });
 
+  it("should show each server error next to its input", async () => {
+    const user = userEvent.setup();
+    const error = new Error("Title cannot be longer than 200 characters");
+    error.code = "VALIDATION_ERROR";
+    error.errors = [
+      {
+        field: "title",
+        rule: "maxLength",
+        message: "Title cannot be longer than 200 characters",
+      },
+      {
+        field: "tags",
+        rule: "pattern",
+        message: "Tag 'a+b' may only contain letters, numbers, '-' and '_'",
+      },
+    ];
+    vi.mocked(notesApi.createNote).mockRejectedValue(error);
+
+    render(<NoteForm onSave={mockOnSave} />);
+
+    const titleInput = screen.getByPlaceholderText("Note title...");
+    await user.type(titleInput, "Title");
+    await user.type(screen.getByPlaceholderText("Note content..."), "Content");
+    await user.click(screen.getByText("Save"));
+
+    const titleError = await screen.findByText(
+      "Title cannot be longer than 200 characters"
+    );
+    expect(titleInput).toHaveAttribute("aria-invalid", "true");
+    expect(titleInput).toHaveAccessibleDescription(
+      "Title cannot be longer than 200 characters"
+    );
+    expect(screen.getByLabelText("Add tag")).toHaveAccessibleDescription(
+      "Tag 'a+b' may only contain letters, numbers, '-' and '_'"
+    );
+    expect(screen.getByPlaceholderText("Note content...")).not.toHaveAttribute(
+      "aria-invalid"
+    );
+
+    // Editing the title clears its error only
+    await user.type(titleInput, "!");
+    expect(titleError).not.toBeInTheDocument();
+    expect(screen.getByLabelText("Add tag")).toHaveAttribute("aria-invalid", "true");
+  });
+
+  it("should show errors for fields without an input above the form", async () => {
+    const user = userEvent.setup();
+    const error = new Error("Unknown field 'pinned'");
+    error.errors = [{ field: "pinned", rule: "unknown", message: "Unknown field 'pinned'" }];
+    vi.mocked(notesApi.createNote).mockRejectedValue(error);
+
+    render(<NoteForm onSave={mockOnSave} />);
+
+    await user.type(screen.getByPlaceholderText("Note title..."), "Title");
+    await user.type(screen.getByPlaceholderText("Note content..."), "Content");
+    await user.click(screen.getByText("Save"));
+
+    expect(await screen.findByText("Unknown field 'pinned'")).toBeInTheDocument();
+  });
+
   it("should call onCancel when cancel button is clicked", async () => {
     const user = userEvent.setup();
     render(<NoteForm onSave={mockOnSave} onCancel={mockOnCancel} />);
@@ -198,4 +287,224 @@ describe("NoteForm", () => {
 
     resolveCreate(mockNote);
   });
+
+  it("should send tags entered in the tag input", async () => {
+    const user = userEvent.setup();
+    vi.mocked(notesApi.getTags).mockResolvedValue([
+      { name: "work", count: 3 },
+    ]);
+    vi.mocked(notesApi.createNote).mockResolvedValue({ id: "1" });
+
+    render(<NoteForm onSave={mockOnSave} />);
+
+    await user.type(screen.getByPlaceholderText("Note title..."), "Title");
+    await user.type(screen.getByPlaceholderText("Note content..."), "Body");
+    await user.type(screen.getByLabelText("Add tag"), "Urgent{Enter}");
+    await user.type(screen.getByLabelText("Add tag"), "wo");
+    await user.click(await screen.findByRole("option", { name: "#work" }));
+    await user.click(screen.getByText("Save"));
+
+    await waitFor(() => {
+      expect(notesApi.createNote).toHaveBeenCalledWith({
+        title: "Title",
+        content: "Body",
+        tags: ["urgent", "work"],
+      });
+    });
+  });
+
+  it("should load tags of the note being edited", () => {
+    const mockNote = {
+      id: "123",
+      title: "Tagged",
+      content: "Content",
+      tags: ["home"],
+    };
+
+    render(<NoteForm note={mockNote} onSave={mockOnSave} />);
+
+    expect(screen.getByText("#home")).toBeInTheDocument();
+  });
+
+  describe("edit conflicts", () => {
+    const baseNote = {
+      id: "123",
+      title: "Title",
+      content: "one\ntwo\nthree",
+      tags: [],
+      version: 1,
+    };
+    const theirNote = {
+      ...baseNote,
+      content: "one\ntwo\nTHREE",
+      version: 2,
+    };
+
+    const conflictError = () =>
+      Object.assign(new Error("Note was modified"), {
+        code: "CONFLICT",
+        current: theirNote,
+      });
+
+    const saveWithConflict = async (user) => {
+      vi.mocked(notesApi.updateNote).mockRejectedValueOnce(conflictError());
+      render(<NoteForm note={baseNote} onSave={mockOnSave} />);
+
+      const contentInput = screen.getByPlaceholderText("Note content...");
+      await user.clear(contentInput);
+      await user.type(contentInput, "ONE{Enter}two{Enter}three");
+      await user.click(screen.getByText("Update"));
+
+      await screen.findByText(/changed elsewhere/);
+      return contentInput;
+    };
+
+    it("should save my version against their version with keep mine", async () => {
+      const user = userEvent.setup();
+      vi.mocked(notesApi.updateNote).mockResolvedValue(theirNote);
+      await saveWithConflict(user);
+
+      await user.click(screen.getByText("Keep mine"));
+
+      await waitFor(() => {
+        expect(notesApi.updateNote).toHaveBeenLastCalledWith(
+          "123",
+          { title: "Title", content: "ONE\ntwo\nthree", tags: [] },
+          { version: 2 }
+        );
+        expect(mockOnSave).toHaveBeenCalled();
+      });
+    });
+
+    it("should replace my edit with take theirs", async () => {
+      const user = userEvent.setup();
+      const contentInput = await saveWithConflict(user);
+
+      await user.click(screen.getByText("Take theirs"));
+
+      expect(contentInput).toHaveValue("one\ntwo\nTHREE");
+      expect(screen.queryByText(/changed elsewhere/)).not.toBeInTheDocument();
+    });
+
+    it("should combine both edits with merge manually", async () => {
+      const user = userEvent.setup();
+      const contentInput = await saveWithConflict(user);
+
+      await user.click(screen.getByText("Merge manually"));
+
+      expect(contentInput).toHaveValue("ONE\ntwo\nTHREE");
+      expect(screen.getByRole("status")).toHaveTextContent(
+        "Both versions were merged"
+      );
+
+      vi.mocked(notesApi.updateNote).mockResolvedValue(theirNote);
+      await user.click(screen.getByText("Update"));
+      await waitFor(() => {
+        expect(notesApi.updateNote).toHaveBeenLastCalledWith(
+          "123",
+          expect.any(Object),
+          { version: 2 }
+        );
+      });
+    });
+  });
+
+  describe("live editing", () => {
+    const sharedNote = {
+      id: "123",
+      title: "Standup",
+      content: "Hello",
+      tags: ["team"],
+      version: 1,
+      role: "owner",
+    };
+    let handlers;
+    let session;
+
+    beforeEach(() => {
+      session = {
+        edit: vi.fn(),
+        moveCursor: vi.fn(),
+        save: vi.fn().mockResolvedValue(4),
+        close: vi.fn(),
+      };
+      vi.mocked(collabApi.isCollabAvailable).mockReturnValue(true);
+      vi.mocked(collabApi.connectToNote).mockImplementation((noteId, noteHandlers) => {
+        handlers = noteHandlers;
+        return session;
+      });
+    });
+
+    const joinSession = () => {
+      render(<NoteForm note={sharedNote} onSave={mockOnSave} />);
+      act(() => {
+        handlers.onInit({ content: "Hello world", version: 3, role: "owner" });
+        handlers.onPeers([
+          {
+            clientId: "c2",
+            userId: "bob",
+            username: "bob",
+            role: "editor",
+            cursor: { start: 5, end: 5 },
+          },
+        ]);
+      });
+    };
+
+    it("should show the live text, who else is editing and their cursors", () => {
+      joinSession();
+
+      expect(collabApi.connectToNote).toHaveBeenCalledWith("123", expect.any(Object));
+      expect(screen.getByPlaceholderText("Note content...")).toHaveValue("Hello world");
+      expect(screen.getByText("Live editing")).toBeInTheDocument();
+      expect(screen.getByRole("list", { name: "Also editing" })).toHaveTextContent("bob");
+      expect(screen.getByTestId("remote-cursors")).toHaveTextContent("bob");
+
+      act(() => handlers.onChange("Hello big world", [6, "big ", 5]));
+      expect(screen.getByPlaceholderText("Note content...")).toHaveValue("Hello big world");
+    });
+
+    it("should send edits to the session and save the other fields on submit", async () => {
+      const user = userEvent.setup();
+      vi.mocked(notesApi.updateNote).mockResolvedValue({ ...sharedNote, version: 5 });
+      joinSession();
+
+      await user.type(screen.getByPlaceholderText("Note content..."), "!");
+      expect(session.edit).toHaveBeenLastCalledWith(
+        "Hello world!",
+        expect.objectContaining({ start: 12, end: 12 })
+      );
+
+      await user.click(screen.getByText("Update"));
+      await waitFor(() => {
+        expect(session.save).toHaveBeenCalled();
+        expect(notesApi.updateNote).toHaveBeenCalledWith(
+          "123",
+          { title: "Standup", tags: ["team"] },
+          { version: 4 }
+        );
+        expect(mockOnSave).toHaveBeenCalled();
+      });
+    });
+
+    it("should fall back to saving the whole note when disconnected", async () => {
+      const user = userEvent.setup();
+      vi.mocked(notesApi.updateNote).mockResolvedValue(sharedNote);
+      joinSession();
+
+      act(() => handlers.onClose());
+      expect(screen.getByText(/Live editing is off/)).toBeInTheDocument();
+      expect(screen.queryByRole("list", { name: "Also editing" })).not.toBeInTheDocument();
+
+      await user.click(screen.getByText("Update"));
+      await waitFor(() => {
+        expect(notesApi.updateNote).toHaveBeenCalledWith(
+          "123",
+          { title: "Standup", content: "Hello world", tags: ["team"] },
+          { version: 3 }
+        );
+      });
+      expect(session.save).not.toHaveBeenCalled();
+    });
+  });
 });
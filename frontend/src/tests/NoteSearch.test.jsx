@@ -0,0 +1,72 @@
+/**
+ * Unit tests for NoteSearch component
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import NoteSearch from "../components/NoteSearch.jsx";
+import * as notesApi from "../services/notes-api.js";
+
+// Mock the API service
+vi.mock("../services/notes-api.js");
+
+describe("NoteSearch", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should render results with highlighted matches", async () => {
+    vi.mocked(notesApi.searchNotes).mockResolvedValue({
+      query: "budget",
+      total: 1,
+      results: [
+        {
+          id: "1",
+          title: "Budget plan",
+          highlights: { title: [[0, 6]] },
+          snippet: { text: "Draft the budget", highlights: [[10, 16]] },
+        },
+      ],
+    });
+
+    render(<NoteSearch query="budget" onSelectNote={vi.fn()} />);
+
+    const marks = await screen.findAllByText(/budget/i, { selector: "mark" });
+    expect(marks.map((m) => m.textContent)).toEqual(["Budget", "budget"]);
+    expect(notesApi.searchNotes).toHaveBeenCalledWith("budget");
+  });
+
+  it("should show empty state when nothing matches", async () => {
+    vi.mocked(notesApi.searchNotes).mockResolvedValue({
+      query: "zzz",
+      total: 0,
+      results: [],
+    });
+
+    render(<NoteSearch query="zzz" onSelectNote={vi.fn()} />);
+
+    expect(await screen.findByText("No matching notes")).toBeInTheDocument();
+  });
+
+  it("should select a note when a result is clicked", async () => {
+    const user = userEvent.setup();
+    const onSelectNote = vi.fn();
+    vi.mocked(notesApi.searchNotes).mockResolvedValue({
+      query: "plan",
+      total: 1,
+      results: [
+        {
+          id: "1",
+          title: "Plan",
+          highlights: { title: [[0, 4]] },
+          snippet: { text: "content", highlights: [] },
+        },
+      ],
+    });
+
+    render(<NoteSearch query="plan" onSelectNote={onSelectNote} />);
+    await user.click(await screen.findByRole("button"));
+
+    expect(onSelectNote).toHaveBeenCalledWith("1");
+  });
+});
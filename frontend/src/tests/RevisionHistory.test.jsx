@@ -0,0 +1,75 @@
+/**
+ * Unit tests for RevisionHistory component
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import RevisionHistory from "../components/RevisionHistory.jsx";
+import * as notesApi from "../services/notes-api.js";
+
+// Mock the API service
+vi.mock("../services/notes-api.js");
+
+describe("RevisionHistory", () => {
+  const mockNote = {
+    id: "123",
+    title: "Current",
+    content: "line one\nline two",
+    lastModified: "2025-11-24T10:00:00.000Z",
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should show empty state when there are no revisions", async () => {
+    vi.mocked(notesApi.getNoteRevisions).mockResolvedValue([]);
+
+    render(<RevisionHistory note={mockNote} />);
+
+    expect(await screen.findByText("No previous revisions")).toBeInTheDocument();
+  });
+
+  it("should show a diff against the current note when a revision is selected", async () => {
+    const user = userEvent.setup();
+    vi.mocked(notesApi.getNoteRevisions).mockResolvedValue([
+      { rev: 1, title: "Current", lastModified: "2025-11-23T10:00:00.000Z" },
+    ]);
+    vi.mocked(notesApi.getNoteRevision).mockResolvedValue({
+      rev: 1,
+      title: "Current",
+      content: "line one\nold line",
+    });
+
+    render(<RevisionHistory note={mockNote} />);
+    await user.click(await screen.findByText("Revision 1"));
+
+    const diff = await screen.findByLabelText("Revision diff");
+    expect(diff).toHaveTextContent("- old line");
+    expect(diff).toHaveTextContent("+ line two");
+  });
+
+  it("should restore the selected revision", async () => {
+    const user = userEvent.setup();
+    const onRestore = vi.fn();
+    const restoredNote = { ...mockNote, content: "line one\nold line" };
+    vi.mocked(notesApi.getNoteRevisions).mockResolvedValue([
+      { rev: 1, title: "Current", lastModified: "2025-11-23T10:00:00.000Z" },
+    ]);
+    vi.mocked(notesApi.getNoteRevision).mockResolvedValue({
+      rev: 1,
+      title: "Current",
+      content: "line one\nold line",
+    });
+    vi.mocked(notesApi.restoreNoteRevision).mockResolvedValue(restoredNote);
+
+    render(<RevisionHistory note={mockNote} onRestore={onRestore} />);
+    await user.click(await screen.findByText("Revision 1"));
+    await user.click(await screen.findByText("Restore"));
+
+    await waitFor(() => {
+      expect(notesApi.restoreNoteRevision).toHaveBeenCalledWith("123", 1);
+      expect(onRestore).toHaveBeenCalledWith(restoredNote);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for SharePanel component
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import SharePanel from "../components/SharePanel.jsx";
+import * as notesApi from "../services/notes-api.js";
+
+// Mock the API service
+vi.mock("../services/notes-api.js");
+
+describe("SharePanel", () => {
+  const note = { id: "1", title: "Plan", content: "Draft", role: "owner" };
+  const bobShare = { noteId: "1", userId: "u2", username: "bob", role: "viewer" };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(notesApi.getShareLinks).mockResolvedValue([]);
+  });
+
+  it("should show that nobody else can see an unshared note", async () => {
+    vi.mocked(notesApi.getNoteShares).mockResolvedValue([]);
+
+    render(<SharePanel note={note} />);
+
+    expect(await screen.findByText("Only you can see this note")).toBeInTheDocument();
+  });
+
+  it("should share the note with a user", async () => {
+    const user = userEvent.setup();
+    vi.mocked(notesApi.getNoteShares).mockResolvedValue([]);
+    vi.mocked(notesApi.shareNote).mockResolvedValue({ ...bobShare, role: "editor" });
+
+    render(<SharePanel note={note} />);
+    await user.type(screen.getByLabelText("Share with username"), "bob");
+    await user.selectOptions(screen.getByLabelText("Role"), "editor");
+    await user.click(screen.getByRole("button", { name: "Share" }));
+
+    expect(await screen.findByText("bob")).toBeInTheDocument();
+    expect(notesApi.shareNote).toHaveBeenCalledWith("1", {
+      username: "bob",
+      role: "editor",
+    });
+    expect(screen.getByLabelText("Share with username")).toHaveValue("");
+  });
+
+  it("should stop sharing with a user", async () => {
+    const user = userEvent.setup();
+    vi.mocked(notesApi.getNoteShares).mockResolvedValue([bobShare]);
+    vi.mocked(notesApi.revokeShare).mockResolvedValue();
+
+    render(<SharePanel note={note} />);
+    await user.click(await screen.findByLabelText("Stop sharing with bob"));
+
+    await waitFor(() => {
+      expect(screen.getByText("Only you can see this note")).toBeInTheDocument();
+    });
+    expect(notesApi.revokeShare).toHaveBeenCalledWith("1", "u2");
+  });
+
+  it("should show the error when the user does not exist", async () => {
+    const user = userEvent.setup();
+    vi.mocked(notesApi.getNoteShares).mockResolvedValue([]);
+    vi.mocked(notesApi.shareNote).mockRejectedValue(new Error("User 'dave' not found"));
+
+    render(<SharePanel note={note} />);
+    await user.type(screen.getByLabelText("Share with username"), "dave");
+    await user.click(screen.getByRole("button", { name: "Share" }));
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("User 'dave' not found");
+  });
+});
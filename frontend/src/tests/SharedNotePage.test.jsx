@@ -0,0 +1,46 @@
+/**
+ * Unit tests for SharedNotePage component
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen } from "@testing-library/react";
+import SharedNotePage from "../pages/SharedNotePage.jsx";
+import * as notesApi from "../services/notes-api.js";
+
+// Mock the API service
+vi.mock("../services/notes-api.js");
+
+describe("SharedNotePage", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should show the note read-only", async () => {
+    vi.mocked(notesApi.getPublicNote).mockResolvedValue({
+      note: {
+        title: "Plan",
+        content: "<b>Draft</b>",
+        tags: ["work"],
+        lastModified: "2025-11-24T10:00:00.000Z",
+      },
+      link: { expiresAt: null, viewsRemaining: null },
+    });
+
+    render(<SharedNotePage token="abc" />);
+
+    expect(await screen.findByRole("heading", { name: "Plan" })).toBeInTheDocument();
+    expect(screen.getByText("<b>Draft</b>")).toBeInTheDocument();
+    expect(screen.getByText("#work")).toBeInTheDocument();
+    expect(screen.queryByRole("textbox")).not.toBeInTheDocument();
+    expect(notesApi.getPublicNote).toHaveBeenCalledWith("abc");
+  });
+
+  it("should explain why a link can't be opened", async () => {
+    vi.mocked(notesApi.getPublicNote).mockRejectedValue(
+      new Error("This link has expired")
+    );
+
+    render(<SharedNotePage token="old" />);
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("This link has expired");
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for TrashView component
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import TrashView from "../components/TrashView.jsx";
+import * as notesApi from "../services/notes-api.js";
+
+// Mock the API service
+vi.mock("../services/notes-api.js");
+
+describe("TrashView", () => {
+  const trashedNote = {
+    id: "123",
+    title: "Trashed Note",
+    content: "Content",
+    deletedAt: "2025-11-24T10:00:00.000Z",
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    window.confirm = vi.fn(() => true);
+  });
+
+  it("should show empty state when trash is empty", async () => {
+    vi.mocked(notesApi.getTrashedNotes).mockResolvedValue([]);
+
+    render(<TrashView />);
+
+    expect(await screen.findByText("Trash is empty")).toBeInTheDocument();
+  });
+
+  it("should restore a note and notify the parent", async () => {
+    const user = userEvent.setup();
+    const onRestore = vi.fn();
+    const { deletedAt: _deletedAt, ...restoredNote } = trashedNote;
+    vi.mocked(notesApi.getTrashedNotes).mockResolvedValue([trashedNote]);
+    vi.mocked(notesApi.restoreNote).mockResolvedValue(restoredNote);
+
+    render(<TrashView onRestore={onRestore} />);
+    await user.click(await screen.findByText("Restore"));
+
+    await waitFor(() => {
+      expect(notesApi.restoreNote).toHaveBeenCalledWith("123");
+      expect(onRestore).toHaveBeenCalledWith(restoredNote);
+    });
+    expect(screen.queryByText("Trashed Note")).not.toBeInTheDocument();
+  });
+
+  it("should delete a note permanently", async () => {
+    const user = userEvent.setup();
+    vi.mocked(notesApi.getTrashedNotes).mockResolvedValue([trashedNote]);
+    vi.mocked(notesApi.deleteNote).mockResolvedValue();
+
+    render(<TrashView />);
+    await user.click(await screen.findByText("Delete forever"));
+
+    await waitFor(() => {
+      expect(notesApi.deleteNote).toHaveBeenCalledWith("123", {
+        permanent: true,
+      });
+    });
+  });
+
+  it("should empty the trash", async () => {
+    const user = userEvent.setup();
+    vi.mocked(notesApi.getTrashedNotes).mockResolvedValue([trashedNote]);
+    vi.mocked(notesApi.emptyTrash).mockResolvedValue({ purged: 1 });
+
+    render(<TrashView />);
+    await user.click(await screen.findByText("Empty trash"));
+
+    expect(await screen.findByText("Trash is empty")).toBeInTheDocument();
+    expect(notesApi.emptyTrash).toHaveBeenCalled();
+  });
+});
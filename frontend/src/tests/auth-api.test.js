@@ -0,0 +1,84 @@
+/**
+ * Unit tests for auth-api and the shared API client
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { login, logout, getCurrentUser } from "../services/auth-api.js";
+import { setUnauthorizedHandler } from "../services/api-client.js";
+import { getTags } from "../services/notes-api.js";
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+describe("auth-api", () => {
+  const account = { id: "u1", username: "ada", createdAt: "2025-11-24T10:00:00.000Z" };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setUnauthorizedHandler(null);
+  });
+
+  it("should sign in and return the user", async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: async () => ({ user: account, token: "t", expiresAt: "x" }),
+    });
+
+    const user = await login({ username: "ada", password: "correct horse" });
+
+    expect(global.fetch).toHaveBeenCalledWith("http://localhost:3001/auth/login", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ username: "ada", password: "correct horse" }),
+      credentials: "include",
+    });
+    expect(user).toEqual(account);
+  });
+
+  it("should throw the server's message and field", async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 409,
+      json: async () => ({
+        error: "Username 'ada' is already taken",
+        details: { field: "username" },
+      }),
+    });
+
+    const error = await login({ username: "ada", password: "x" }).catch((err) => err);
+
+    expect(error.message).toBe("Username 'ada' is already taken");
+    expect(error.field).toBe("username");
+  });
+
+  it("should return null when nobody is signed in", async () => {
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 401, json: async () => ({}) });
+
+    expect(await getCurrentUser()).toBeNull();
+  });
+
+  it("should treat an already ended session as signed out", async () => {
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 401, json: async () => ({}) });
+
+    await expect(logout()).resolves.toBeUndefined();
+    expect(global.fetch).toHaveBeenCalledWith("http://localhost:3001/auth/logout", {
+      method: "POST",
+      credentials: "include",
+    });
+  });
+
+  it("should call the unauthorized handler on a 401 response", async () => {
+    const onUnauthorized = vi.fn();
+    setUnauthorizedHandler(onUnauthorized);
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 401,
+      json: async () => ({ error: "Authentication required" }),
+    });
+
+    await expect(getTags()).rejects.toThrow("Authentication required");
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+});
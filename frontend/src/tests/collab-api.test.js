@@ -0,0 +1,130 @@
+/**
+ * Unit tests for collab-api (live shared editing)
+ */
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { connectToNote, getCollabUrl } from "../services/collab-api.js";
+
+/**
+ * Minimal WebSocket that records what is sent and lets tests reply
+ */
+class FakeWebSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.OPEN;
+    this.sent = [];
+    this.listeners = {};
+    FakeWebSocket.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  receive(message) {
+    this.listeners.message?.({ data: JSON.stringify(message) });
+  }
+
+  close() {
+    this.readyState = 3;
+    this.listeners.close?.({});
+  }
+}
+
+/**
+ * Joins a note whose text is "Hello world"
+ */
+function join(handlers = {}) {
+  vi.stubGlobal("WebSocket", FakeWebSocket);
+  const session = connectToNote("n1", handlers);
+  const socket = FakeWebSocket.instances.at(-1);
+  socket.receive({
+    type: "init",
+    clientId: "me",
+    revision: 0,
+    content: "Hello world",
+    version: 1,
+    role: "owner",
+    peers: [{ clientId: "c2", userId: "bob", username: "bob", cursor: { start: 0, end: 0 } }],
+  });
+  return { session, socket };
+}
+
+describe("collab-api", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    FakeWebSocket.instances = [];
+  });
+
+  it("should build the WebSocket URL from the API URL", () => {
+    expect(getCollabUrl("a b")).toBe("ws://localhost:3001/notes/a%20b/collab");
+  });
+
+  it("should send one edit at a time and combine the edits made meanwhile", () => {
+    const { session, socket } = join();
+
+    session.edit("Hello world!", { start: 12, end: 12 });
+    session.edit("Hello world!!", { start: 13, end: 13 });
+    session.edit("Hello world!!?", { start: 14, end: 14 });
+    expect(socket.sent).toEqual([
+      {
+        type: "operation",
+        revision: 0,
+        operation: [11, "!"],
+        cursor: { start: 12, end: 12 },
+      },
+    ]);
+
+    socket.receive({ type: "ack", revision: 1 });
+    expect(socket.sent.at(-1)).toEqual({
+      type: "operation",
+      revision: 1,
+      operation: [12, "!?"],
+      cursor: { start: 14, end: 14 },
+    });
+  });
+
+  it("should transform others' edits past unconfirmed local ones", () => {
+    const onChange = vi.fn();
+    const onPeers = vi.fn();
+    const { session, socket } = join({ onChange, onPeers });
+
+    session.edit("Hello world!", { start: 12, end: 12 });
+    socket.receive({
+      type: "operation",
+      clientId: "c2",
+      revision: 1,
+      operation: ["Oh, ", 11],
+      cursor: { start: 4, end: 4 },
+    });
+
+    expect(onChange).toHaveBeenLastCalledWith("Oh, Hello world!", ["Oh, ", 12]);
+    expect(onPeers).toHaveBeenLastCalledWith([
+      expect.objectContaining({ clientId: "c2", cursor: { start: 4, end: 4 } }),
+    ]);
+
+    // The unconfirmed edit now applies after theirs
+    socket.receive({ type: "ack", revision: 2 });
+    session.edit("Oh, Hello world!?", { start: 17, end: 17 });
+    expect(socket.sent.at(-1)).toMatchObject({ revision: 2, operation: [16, "?"] });
+  });
+
+  it("should save once every local edit is confirmed", async () => {
+    const { session, socket } = join();
+
+    session.edit("Hello world!", { start: 12, end: 12 });
+    const saved = session.save();
+    expect(socket.sent.map((message) => message.type)).toEqual(["operation"]);
+
+    socket.receive({ type: "ack", revision: 1 });
+    expect(socket.sent.at(-1)).toEqual({ type: "save" });
+    socket.receive({ type: "saved", version: 2 });
+    await expect(saved).resolves.toBe(2);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for diff utilities
+ */
+import { describe, it, expect } from "vitest";
+import { diffLines, mergeLines } from "../utils/diff.js";
+
+describe("diffLines", () => {
+  it("should mark all lines unchanged for identical texts", () => {
+    expect(diffLines("a\nb", "a\nb")).toEqual([
+      { type: "unchanged", line: "a" },
+      { type: "unchanged", line: "b" },
+    ]);
+  });
+
+  it("should report added and removed lines", () => {
+    expect(diffLines("a\nb\nc", "a\nc\nd")).toEqual([
+      { type: "unchanged", line: "a" },
+      { type: "removed", line: "b" },
+      { type: "unchanged", line: "c" },
+      { type: "added", line: "d" },
+    ]);
+  });
+
+  it("should report a changed line as removed then added", () => {
+    expect(diffLines("old", "new")).toEqual([
+      { type: "removed", line: "old" },
+      { type: "added", line: "new" },
+    ]);
+  });
+
+  it("should handle empty input", () => {
+    expect(diffLines("", "a")).toEqual([
+      { type: "removed", line: "" },
+      { type: "added", line: "a" },
+    ]);
+  });
+});
+
+describe("mergeLines", () => {
+  it("should combine changes to different lines", () => {
+    const base = "one\ntwo\nthree";
+    const mine = "ONE\ntwo\nthree";
+    const theirs = "one\ntwo\nTHREE\nfour";
+
+    expect(mergeLines(base, mine, theirs)).toEqual({
+      text: "ONE\ntwo\nTHREE\nfour",
+      conflicts: 0,
+    });
+  });
+
+  it("should accept identical changes on both sides", () => {
+    expect(mergeLines("a\nb", "a\nc", "a\nc")).toEqual({
+      text: "a\nc",
+      conflicts: 0,
+    });
+  });
+
+  it("should mark conflicting changes to the same lines", () => {
+    const result = mergeLines("a\nb\nc", "a\nmine\nc", "a\ntheirs\nc");
+
+    expect(result.conflicts).toBe(1);
+    expect(result.text).toBe(
+      [
+        "a",
+        "<<<<<<< Your version",
+        "mine",
+        "=======",
+        "theirs",
+        ">>>>>>> Their version",
+        "c",
+      ].join("\n")
+    );
+  });
+
+  it("should keep a line deletion made on one side", () => {
+    expect(mergeLines("a\n\nb", "a\nb", "a\n\nb\nc").text).toBe("a\nb\nc");
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for events-api (live note changes)
+ */
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { subscribeToNoteEvents } from "../services/events-api.js";
+
+/**
+ * Minimal EventSource that lets tests emit events
+ */
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  emit(type, data) {
+    this.listeners[type]?.({ data });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+describe("events-api", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    FakeEventSource.instances = [];
+  });
+
+  it("should share one connection between subscribers", () => {
+    vi.stubGlobal("EventSource", FakeEventSource);
+    const first = vi.fn();
+    const second = vi.fn();
+
+    const unsubscribeFirst = subscribeToNoteEvents(first);
+    const unsubscribeSecond = subscribeToNoteEvents(second);
+    const [source] = FakeEventSource.instances;
+    source.emit("note.updated", JSON.stringify({ id: "1", role: "owner" }));
+
+    expect(FakeEventSource.instances).toHaveLength(1);
+    expect(source.url).toBe("http://localhost:3001/events");
+    expect(source.options).toEqual({ withCredentials: true });
+    expect(first).toHaveBeenCalledWith("note.updated", { id: "1", role: "owner" });
+    expect(second).toHaveBeenCalledTimes(1);
+
+    unsubscribeFirst();
+    expect(source.closed).toBe(false);
+    unsubscribeSecond();
+    expect(source.closed).toBe(true);
+  });
+
+  it("should skip events that aren't valid JSON", () => {
+    vi.stubGlobal("EventSource", FakeEventSource);
+    const listener = vi.fn();
+
+    const unsubscribe = subscribeToNoteEvents(listener);
+    FakeEventSource.instances[0].emit("note.created", "{oops");
+    unsubscribe();
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it("should do nothing without EventSource", () => {
+    vi.stubGlobal("EventSource", undefined);
+
+    const unsubscribe = subscribeToNoteEvents(vi.fn());
+
+    expect(unsubscribe).toEqual(expect.any(Function));
+    expect(() => unsubscribe()).not.toThrow();
+  });
+});
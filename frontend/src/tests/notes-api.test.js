@@ -8,6 +8,28 @@ import {
   createNote,
   updateNote,
   deleteNote,
+  getNoteRevisions,
+  getNoteRevision,
+  restoreNoteRevision,
+  getTrashedNotes,
+  restoreNote,
+  emptyTrash,
+  searchNotes,
+  getTags,
+  renameTag,
+  getFolders,
+  createFolder,
+  deleteFolder,
+  getExportUrl,
+  getNoteActivity,
+  importNotes,
+  getSharedNotes,
+  shareNote,
+  revokeShare,
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  getPublicNote,
 } from "../services/notes-api.js";
 
 // Mock fetch globally
@@ -32,10 +54,36 @@ describe("notes-api", () => {
 
       const notes = await getAllNotes();
 
-      expect(global.fetch).toHaveBeenCalledWith("http://localhost:3001/notes");
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes",
+        { credentials: "include" }
+      );
       expect(notes).toEqual(mockNotes);
     });
 
+    it("should send paging and sort options as query parameters", async () => {
+      const mockPage = { notes: [], nextCursor: null, total: 0 };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockPage,
+      });
+
+      const page = await getAllNotes({
+        limit: 20,
+        cursor: "abc",
+        sort: "title",
+        order: "asc",
+        modifiedAfter: undefined,
+      });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes?limit=20&cursor=abc&sort=title&order=asc",
+        { credentials: "include" }
+      );
+      expect(page).toEqual(mockPage);
+    });
+
     it("should throw error when request fails", async () => {
       global.fetch.mockResolvedValueOnce({
         ok: false,
@@ -59,7 +107,8 @@ describe("notes-api", () => {
       const note = await getNoteById("123");
 
       expect(global.fetch).toHaveBeenCalledWith(
-        "http://localhost:3001/notes/123"
+        "http://localhost:3001/notes/123",
+        { credentials: "include" }
       );
       expect(note).toEqual(mockNote);
     });
@@ -94,6 +143,7 @@ describe("notes-api", () => {
           "Content-Type": "application/json",
         },
         body: JSON.stringify(noteData),
+        credentials: "include",
       });
       expect(note).toEqual(createdNote);
     });
@@ -109,6 +159,28 @@ describe("notes-api", () => {
 
       await expect(createNote(noteData)).rejects.toThrow("Validation error");
     });
+
+    it("should keep the errors of each invalid field", async () => {
+      const errors = [
+        { field: "title", rule: "required", message: "Title is required" },
+        { field: "tags", rule: "pattern", message: "Tag 'a b' is not valid" },
+      ];
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: async () => ({
+          error: "Title is required",
+          code: "VALIDATION_ERROR",
+          details: { field: "title", errors },
+        }),
+      });
+
+      await expect(createNote({ title: "" })).rejects.toMatchObject({
+        message: "Title is required",
+        code: "VALIDATION_ERROR",
+        errors,
+      });
+    });
   });
 
   describe("updateNote", () => {
@@ -130,6 +202,7 @@ describe("notes-api", () => {
           "Content-Type": "application/json",
         },
         body: JSON.stringify(updates),
+        credentials: "include",
       });
       expect(note).toEqual(updatedNote);
     });
@@ -145,6 +218,72 @@ describe("notes-api", () => {
         "Note not found"
       );
     });
+
+    it("should keep the errors of each invalid field", async () => {
+      const errors = [
+        { field: "content", rule: "maxLength", message: "Content is too long" },
+      ];
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: async () => ({
+          error: "Content is too long",
+          code: "VALIDATION_ERROR",
+          details: { field: "content", errors },
+        }),
+      });
+
+      await expect(updateNote("123", { content: "x" })).rejects.toMatchObject({
+        errors,
+      });
+    });
+  });
+
+  describe("optimistic concurrency", () => {
+    it("should send If-Match when a version is given", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ id: "123", version: 3 }),
+      });
+
+      await updateNote("123", { title: "T" }, { version: 2 });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes/123",
+        expect.objectContaining({
+          headers: {
+            "Content-Type": "application/json",
+            "If-Match": '"2"',
+          },
+        })
+      );
+    });
+
+    it("should throw a conflict error carrying the current note", async () => {
+      const current = { id: "123", title: "Theirs", version: 3 };
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 409,
+        json: async () => ({
+          error: "Note '123' was modified by someone else (version 3)",
+          code: "CONFLICT",
+          details: { current },
+        }),
+      });
+
+      const error = await deleteNote("123", { version: 2 }).catch((e) => e);
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes/123",
+        {
+          method: "DELETE",
+          headers: { "If-Match": '"2"' },
+          credentials: "include",
+        }
+      );
+      expect(error.code).toBe("CONFLICT");
+      expect(error.current).toEqual(current);
+    });
   });
 
   describe("deleteNote", () => {
@@ -158,9 +297,24 @@ describe("notes-api", () => {
 
       expect(global.fetch).toHaveBeenCalledWith("http://localhost:3001/notes/123", {
         method: "DELETE",
+        credentials: "include",
       });
     });
 
+    it("should delete note permanently when requested", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 204,
+      });
+
+      await deleteNote("123", { permanent: true });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes/123?permanent=true",
+        { method: "DELETE", credentials: "include" }
+      );
+    });
+
     it("should throw error when note not found", async () => {
       global.fetch.mockResolvedValueOnce({
         ok: false,
@@ -171,5 +325,465 @@ describe("notes-api", () => {
       await expect(deleteNote("123")).rejects.toThrow("Note not found");
     });
   });
-});
 
+  describe("getNoteRevisions", () => {
+    it("should fetch revision history of a note", async () => {
+      const mockRevisions = [{ rev: 2, title: "Old" }, { rev: 1, title: "Older" }];
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockRevisions,
+      });
+
+      const revisions = await getNoteRevisions("123");
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes/123/revisions",
+        { credentials: "include" }
+      );
+      expect(revisions).toEqual(mockRevisions);
+    });
+  });
+
+  describe("getNoteRevision", () => {
+    it("should fetch a single revision", async () => {
+      const mockRevision = { rev: 1, title: "Old", content: "Old content" };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockRevision,
+      });
+
+      const revision = await getNoteRevision("123", 1);
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes/123/revisions/1",
+        { credentials: "include" }
+      );
+      expect(revision).toEqual(mockRevision);
+    });
+
+    it("should throw error when revision not found", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        json: async () => ({ error: "Revision 9 of note '123' not found" }),
+      });
+
+      await expect(getNoteRevision("123", 9)).rejects.toThrow(
+        "Revision 9 of note '123' not found"
+      );
+    });
+  });
+
+  describe("restoreNoteRevision", () => {
+    it("should restore a revision", async () => {
+      const restoredNote = { id: "123", title: "Old", content: "Old content" };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => restoredNote,
+      });
+
+      const note = await restoreNoteRevision("123", 1);
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes/123/revisions/1/restore",
+        { method: "POST", credentials: "include" }
+      );
+      expect(note).toEqual(restoredNote);
+    });
+  });
+
+  describe("getTrashedNotes", () => {
+    it("should fetch notes in the trash", async () => {
+      const mockNotes = [{ id: "1", title: "Old", deletedAt: "2025-11-24T10:00:00.000Z" }];
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockNotes,
+      });
+
+      const notes = await getTrashedNotes();
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes/trash",
+        { credentials: "include" }
+      );
+      expect(notes).toEqual(mockNotes);
+    });
+  });
+
+  describe("restoreNote", () => {
+    it("should restore a note from the trash", async () => {
+      const restoredNote = { id: "123", title: "Note", content: "Content" };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => restoredNote,
+      });
+
+      const note = await restoreNote("123");
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes/123/restore",
+        { method: "POST", credentials: "include" }
+      );
+      expect(note).toEqual(restoredNote);
+    });
+
+    it("should throw error when note is not in the trash", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        json: async () => ({ error: "Note with id '123' not found in trash" }),
+      });
+
+      await expect(restoreNote("123")).rejects.toThrow("not found in trash");
+    });
+  });
+
+  describe("emptyTrash", () => {
+    it("should empty the trash", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ purged: 2 }),
+      });
+
+      const result = await emptyTrash();
+
+      expect(global.fetch).toHaveBeenCalledWith("http://localhost:3001/notes/trash", {
+        method: "DELETE",
+        credentials: "include",
+      });
+      expect(result).toEqual({ purged: 2 });
+    });
+  });
+
+  describe("searchNotes", () => {
+    it("should encode the query in the URL", async () => {
+      const mockResult = { query: "a&b", total: 0, results: [] };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockResult,
+      });
+
+      const result = await searchNotes("a&b");
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes/search?q=a%26b",
+        { credentials: "include" }
+      );
+      expect(result).toEqual(mockResult);
+    });
+
+    it("should throw error when the query is invalid", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: async () => ({ error: "Search query is required" }),
+      });
+
+      await expect(searchNotes(" ")).rejects.toThrow("Search query is required");
+    });
+  });
+
+  describe("getTags", () => {
+    it("should fetch tags with counts", async () => {
+      const mockTags = [{ name: "work", count: 2 }];
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockTags,
+      });
+
+      const tags = await getTags();
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/tags",
+        { credentials: "include" }
+      );
+      expect(tags).toEqual(mockTags);
+    });
+  });
+
+  describe("renameTag", () => {
+    it("should rename a tag", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ name: "tasks", count: 2 }),
+      });
+
+      const tag = await renameTag("to do", "tasks");
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/tags/to%20do",
+        {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ name: "tasks" }),
+          credentials: "include",
+        }
+      );
+      expect(tag).toEqual({ name: "tasks", count: 2 });
+    });
+
+    it("should throw error when tag not found", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        json: async () => ({ error: "Tag 'x' not found" }),
+      });
+
+      await expect(renameTag("x", "y")).rejects.toThrow("Tag 'x' not found");
+    });
+  });
+
+  describe("getFolders", () => {
+    it("should fetch all folders", async () => {
+      const mockFolders = [{ id: "f1", name: "Work", parentId: null }];
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockFolders,
+      });
+
+      const folders = await getFolders();
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/folders",
+        { credentials: "include" }
+      );
+      expect(folders).toEqual(mockFolders);
+    });
+  });
+
+  describe("createFolder", () => {
+    it("should create a folder", async () => {
+      const folderData = { name: "Projects", parentId: "f1" };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ id: "f2", ...folderData }),
+      });
+
+      const folder = await createFolder(folderData);
+
+      expect(global.fetch).toHaveBeenCalledWith("http://localhost:3001/folders", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(folderData),
+        credentials: "include",
+      });
+      expect(folder.id).toBe("f2");
+    });
+
+    it("should throw error when the parent does not exist", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: async () => ({ error: "Parent folder 'x' does not exist" }),
+      });
+
+      await expect(createFolder({ name: "A", parentId: "x" })).rejects.toThrow(
+        "Parent folder 'x' does not exist"
+      );
+    });
+  });
+
+  describe("deleteFolder", () => {
+    it("should send the delete mode", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ deletedFolderIds: ["f1"] }),
+      });
+
+      await deleteFolder("f1", { mode: "cascade" });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/folders/f1?mode=cascade",
+        { method: "DELETE", credentials: "include" }
+      );
+    });
+  });
+
+  describe("getExportUrl", () => {
+    it("should build the export URL", () => {
+      expect(getExportUrl("markdown")).toBe(
+        "http://localhost:3001/export?format=markdown"
+      );
+    });
+  });
+
+  describe("importNotes", () => {
+    it("should send the file with a content type from its extension", async () => {
+      const file = new File(["---\ntitle: A\n---\nB"], "note.md");
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ dryRun: true, notes: [] }),
+      });
+
+      await importNotes(file, { strategy: "overwrite", dryRun: true });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/import?strategy=overwrite&dryRun=true",
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "text/markdown",
+          },
+          body: file,
+          credentials: "include",
+        }
+      );
+    });
+
+    it("should reject unsupported files without a request", async () => {
+      await expect(importNotes(new File(["x"], "notes.txt"))).rejects.toThrow(
+        "Choose a .json, .md or .tar file"
+      );
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getNoteActivity", () => {
+    it("should fetch a page of a note's activity", async () => {
+      const page = { noteId: "1", activity: [], nextCursor: null, total: 0 };
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => page,
+      });
+
+      const result = await getNoteActivity("1", { cursor: "abc", limit: undefined });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes/1/activity?cursor=abc",
+        { credentials: "include" }
+      );
+      expect(result).toEqual(page);
+    });
+  });
+
+  describe("sharing", () => {
+    it("should fetch notes shared with the user", async () => {
+      const shared = [{ id: "1", title: "Plan", role: "viewer", ownerUsername: "ada" }];
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => shared,
+      });
+
+      const notes = await getSharedNotes();
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/notes/shared",
+        { credentials: "include" }
+      );
+      expect(notes).toEqual(shared);
+    });
+
+    it("should share a note and stop sharing it", async () => {
+      const share = { noteId: "1", userId: "u2", username: "bob", role: "editor" };
+      global.fetch
+        .mockResolvedValueOnce({ ok: true, status: 201, json: async () => share })
+        .mockResolvedValueOnce({ ok: true, status: 204 });
+
+      const result = await shareNote("1", { username: "bob", role: "editor" });
+      await revokeShare("1", "u2");
+
+      expect(result).toEqual(share);
+      expect(global.fetch).toHaveBeenNthCalledWith(
+        1,
+        "http://localhost:3001/notes/1/shares",
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ username: "bob", role: "editor" }),
+          credentials: "include",
+        }
+      );
+      expect(global.fetch).toHaveBeenNthCalledWith(
+        2,
+        "http://localhost:3001/notes/1/shares/u2",
+        { method: "DELETE", credentials: "include" }
+      );
+    });
+
+    it("should throw the server error when sharing fails", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        json: async () => ({ error: "User 'dave' not found" }),
+      });
+
+      await expect(shareNote("1", { username: "dave", role: "viewer" })).rejects.toThrow(
+        "User 'dave' not found"
+      );
+    });
+  });
+
+  describe("public links", () => {
+    it("should create, list and revoke links", async () => {
+      const link = { id: "h1", noteId: "1", maxViews: 5, views: 0 };
+      global.fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 201,
+          json: async () => ({ ...link, token: "t" }),
+        })
+        .mockResolvedValueOnce({ ok: true, json: async () => [link] })
+        .mockResolvedValueOnce({ ok: true, status: 204 });
+
+      const created = await createShareLink("1", { maxViews: 5 });
+      const links = await getShareLinks("1");
+      await revokeShareLink("1", "h1");
+
+      expect(created.token).toBe("t");
+      expect(links).toEqual([link]);
+      expect(global.fetch).toHaveBeenNthCalledWith(1, "http://localhost:3001/notes/1/links", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ maxViews: 5 }),
+        credentials: "include",
+      });
+      expect(global.fetch).toHaveBeenNthCalledWith(
+        2,
+        "http://localhost:3001/notes/1/links",
+        { credentials: "include" }
+      );
+      expect(global.fetch).toHaveBeenNthCalledWith(
+        3,
+        "http://localhost:3001/notes/1/links/h1",
+        { method: "DELETE", credentials: "include" }
+      );
+    });
+
+    it("should open a public link without the session cookie", async () => {
+      const result = { note: { title: "Plan" }, link: { viewsRemaining: null } };
+      global.fetch.mockResolvedValueOnce({ ok: true, json: async () => result });
+
+      expect(await getPublicNote("abc_-1")).toEqual(result);
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://localhost:3001/s/abc_-1?format=json"
+      );
+    });
+
+    it("should throw the server error for an expired link", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 410,
+        json: async () => ({ error: "This link has expired" }),
+      });
+
+      await expect(getPublicNote("old")).rejects.toThrow("This link has expired");
+    });
+  });
+});
@@ -2,12 +2,14 @@
  * Unit tests for useNotes hook
  */
 import { describe, it, expect, vi, beforeEach } from "vitest";
-import { renderHook, waitFor } from "@testing-library/react";
-import { useNotes } from "../hooks/useNotes.js";
+import { renderHook, waitFor, act } from "@testing-library/react";
+import { useNotes, NOTES_PAGE_SIZE } from "../hooks/useNotes.js";
 import * as notesApi from "../services/notes-api.js";
+import * as eventsApi from "../services/events-api.js";
 
-// Mock the API service
+// Mock the API services
 vi.mock("../services/notes-api.js");
+vi.mock("../services/events-api.js");
 
 describe("useNotes", () => {
   beforeEach(() => {
@@ -20,7 +22,11 @@ describe("useNotes", () => {
       { id: "2", title: "Note 2", content: "Content 2" },
     ];
 
-    vi.mocked(notesApi.getAllNotes).mockResolvedValue(mockNotes);
+    vi.mocked(notesApi.getAllNotes).mockResolvedValue({
+      notes: mockNotes,
+      nextCursor: null,
+      total: 2,
+    });
 
     const { result } = renderHook(() => useNotes());
 
@@ -33,6 +39,8 @@ describe("useNotes", () => {
 
     expect(result.current.notes).toEqual(mockNotes);
     expect(result.current.error).toBeNull();
+    expect(result.current.hasMore).toBe(false);
+    expect(result.current.total).toBe(2);
   });
 
   it("should handle errors when fetching notes fails", async () => {
@@ -51,7 +59,11 @@ describe("useNotes", () => {
 
   it("should refresh notes when refreshNotes is called", async () => {
     const mockNotes = [{ id: "1", title: "Note 1", content: "Content 1" }];
-    vi.mocked(notesApi.getAllNotes).mockResolvedValue(mockNotes);
+    vi.mocked(notesApi.getAllNotes).mockResolvedValue({
+      notes: mockNotes,
+      nextCursor: null,
+      total: 1,
+    });
 
     const { result } = renderHook(() => useNotes());
 
@@ -64,7 +76,11 @@ describe("useNotes", () => {
       ...mockNotes,
       { id: "2", title: "Note 2", content: "Content 2" },
     ];
-    vi.mocked(notesApi.getAllNotes).mockResolvedValue(updatedNotes);
+    vi.mocked(notesApi.getAllNotes).mockResolvedValue({
+      notes: updatedNotes,
+      nextCursor: null,
+      total: 2,
+    });
 
     // Call refreshNotes
     result.current.refreshNotes();
@@ -73,5 +89,220 @@ describe("useNotes", () => {
       expect(result.current.notes).toEqual(updatedNotes);
     });
   });
-});
 
+  it("should request the first page with the given sort", async () => {
+    vi.mocked(notesApi.getAllNotes).mockResolvedValue({
+      notes: [],
+      nextCursor: null,
+      total: 0,
+    });
+
+    renderHook(() => useNotes({ sort: "title", order: "asc" }));
+
+    await waitFor(() => {
+      expect(notesApi.getAllNotes).toHaveBeenCalledWith({
+        limit: NOTES_PAGE_SIZE,
+        sort: "title",
+        order: "asc",
+        tag: undefined,
+      });
+    });
+  });
+
+  it("should append the next page when loadMore is called", async () => {
+    vi.mocked(notesApi.getAllNotes)
+      .mockResolvedValueOnce({
+        notes: [{ id: "1", title: "Note 1" }],
+        nextCursor: "cursor-1",
+        total: 2,
+      })
+      .mockResolvedValueOnce({
+        notes: [{ id: "2", title: "Note 2" }],
+        nextCursor: null,
+        total: 2,
+      });
+
+    const { result } = renderHook(() => useNotes());
+
+    await waitFor(() => {
+      expect(result.current.hasMore).toBe(true);
+    });
+
+    await act(async () => {
+      await result.current.loadMore();
+    });
+
+    expect(notesApi.getAllNotes).toHaveBeenLastCalledWith(
+      expect.objectContaining({ cursor: "cursor-1" })
+    );
+    expect(result.current.notes.map((n) => n.id)).toEqual(["1", "2"]);
+    expect(result.current.hasMore).toBe(false);
+  });
+
+  describe("live changes", () => {
+    const note = (id, lastModified, extra = {}) => ({
+      id,
+      title: `Note ${id}`,
+      lastModified,
+      version: 1,
+      tags: [],
+      folderId: null,
+      ...extra,
+    });
+
+    let sendEvent;
+
+    /**
+     * Renders the hook with a first page and captures the event listener
+     */
+    const renderWithNotes = async (page, options) => {
+      vi.mocked(notesApi.getAllNotes).mockResolvedValue(page);
+      const hook = renderHook(() => useNotes(options));
+      await waitFor(() => {
+        expect(hook.result.current.isLoading).toBe(false);
+      });
+      return hook;
+    };
+
+    beforeEach(() => {
+      vi.mocked(eventsApi.subscribeToNoteEvents).mockImplementation((listener) => {
+        sendEvent = (type, data) => act(() => listener(type, data));
+        return () => {};
+      });
+    });
+
+    it("should add created notes in sort order", async () => {
+      const { result } = await renderWithNotes({
+        notes: [note("b", "2025-01-03"), note("a", "2025-01-01")],
+        nextCursor: null,
+        total: 2,
+      });
+
+      sendEvent("note.created", {
+        id: "c",
+        role: "owner",
+        note: note("c", "2025-01-02"),
+      });
+
+      expect(result.current.notes.map((n) => n.id)).toEqual(["b", "c", "a"]);
+      expect(result.current.total).toBe(3);
+    });
+
+    it("should apply events that arrive before the next render", async () => {
+      let listener;
+      vi.mocked(eventsApi.subscribeToNoteEvents).mockImplementation((onEvent) => {
+        listener = onEvent;
+        return () => {};
+      });
+      const { result } = await renderWithNotes({
+        notes: [note("a", "2025-01-01")],
+        nextCursor: null,
+        total: 1,
+      });
+
+      act(() => {
+        listener("note.created", { id: "b", role: "owner", note: note("b", "2025-01-02") });
+        listener("note.created", { id: "c", role: "owner", note: note("c", "2025-01-03") });
+        listener("note.deleted", {
+          id: "a",
+          role: "owner",
+          permanent: true,
+          note: note("a", "2025-01-01"),
+        });
+      });
+
+      expect(result.current.notes.map((n) => n.id)).toEqual(["c", "b"]);
+      expect(result.current.total).toBe(2);
+    });
+
+    it("should replace, move and remove notes as they change", async () => {
+      const { result } = await renderWithNotes(
+        {
+          notes: [
+            note("b", "2025-01-03", { tags: ["work"] }),
+            note("a", "2025-01-01", { tags: ["work"] }),
+          ],
+          nextCursor: null,
+          total: 2,
+        },
+        { tag: "work" }
+      );
+
+      sendEvent("note.updated", {
+        id: "a",
+        role: "owner",
+        note: note("a", "2025-01-04", { tags: ["work"], title: "Renamed", version: 2 }),
+      });
+      expect(result.current.notes.map((n) => n.title)).toEqual(["Renamed", "Note b"]);
+
+      // No longer tagged "work"
+      sendEvent("note.updated", {
+        id: "b",
+        role: "owner",
+        note: note("b", "2025-01-05", { version: 2 }),
+      });
+      expect(result.current.notes.map((n) => n.id)).toEqual(["a"]);
+      expect(result.current.total).toBe(1);
+
+      sendEvent("note.deleted", {
+        id: "a",
+        role: "owner",
+        permanent: false,
+        note: note("a", "2025-01-04", { tags: ["work"], version: 2 }),
+      });
+      expect(result.current.notes).toEqual([]);
+      expect(result.current.total).toBe(0);
+    });
+
+    it("should ignore stale updates and notes shared with the user", async () => {
+      const current = note("a", "2025-01-02", { version: 3 });
+      const { result } = await renderWithNotes({
+        notes: [current],
+        nextCursor: null,
+        total: 1,
+      });
+
+      sendEvent("note.updated", {
+        id: "a",
+        role: "owner",
+        note: { ...current, title: "Old", version: 2 },
+      });
+      sendEvent("note.created", {
+        id: "s",
+        role: "editor",
+        note: note("s", "2025-01-05"),
+      });
+      const listed = result.current.notes;
+      sendEvent("note.shared", {
+        id: "a",
+        role: "owner",
+        note: current,
+        share: { userId: "bob", role: "viewer" },
+      });
+
+      expect(result.current.notes).toBe(listed);
+      expect(result.current.notes).toEqual([current]);
+      expect(result.current.total).toBe(1);
+    });
+
+    it("should reload when events were missed or a change can't be placed", async () => {
+      await renderWithNotes({
+        notes: [note("a", "2025-01-02")],
+        nextCursor: "next",
+        total: 5,
+      });
+      expect(notesApi.getAllNotes).toHaveBeenCalledTimes(1);
+
+      sendEvent("reset", {});
+      await waitFor(() => expect(notesApi.getAllNotes).toHaveBeenCalledTimes(2));
+
+      // Might be on a page that isn't loaded yet
+      sendEvent("note.updated", {
+        id: "z",
+        role: "owner",
+        note: note("z", "2025-01-09", { version: 4 }),
+      });
+      await waitFor(() => expect(notesApi.getAllNotes).toHaveBeenCalledTimes(3));
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for useSharedNotes hook
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { renderHook, waitFor, act } from "@testing-library/react";
+import { useSharedNotes } from "../hooks/useSharedNotes.js";
+import * as notesApi from "../services/notes-api.js";
+import * as eventsApi from "../services/events-api.js";
+
+vi.mock("../services/notes-api.js");
+vi.mock("../services/events-api.js");
+
+describe("useSharedNotes", () => {
+  const note = (id, lastModified, extra = {}) => ({
+    id,
+    title: `Note ${id}`,
+    lastModified,
+    version: 1,
+    role: "editor",
+    ownerUsername: "alice",
+    ...extra,
+  });
+
+  let sendEvent;
+
+  /**
+   * Renders the hook with the given shared notes loaded
+   */
+  const renderWithNotes = async (notes) => {
+    vi.mocked(notesApi.getSharedNotes).mockResolvedValue(notes);
+    const hook = renderHook(() => useSharedNotes());
+    await waitFor(() => {
+      expect(hook.result.current.sharedNotes).toEqual(notes);
+    });
+    return hook;
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(eventsApi.subscribeToNoteEvents).mockImplementation((listener) => {
+      sendEvent = (type, data) => act(() => listener(type, data));
+      return () => {};
+    });
+  });
+
+  it("should patch changes to shared notes without reloading", async () => {
+    const { result } = await renderWithNotes([
+      note("b", "2025-01-03"),
+      note("a", "2025-01-01"),
+    ]);
+
+    sendEvent("note.updated", {
+      id: "a",
+      role: "editor",
+      note: { ...note("a", "2025-01-04", { title: "Renamed", version: 2 }), role: undefined },
+    });
+    expect(result.current.sharedNotes.map((n) => [n.title, n.ownerUsername])).toEqual([
+      ["Renamed", "alice"],
+      ["Note b", "alice"],
+    ]);
+
+    sendEvent("note.deleted", { id: "b", role: "editor", permanent: false, note: note("b", "x") });
+    expect(result.current.sharedNotes.map((n) => n.id)).toEqual(["a"]);
+
+    // The user's own notes are someone else's concern
+    sendEvent("note.created", { id: "c", role: "owner", note: note("c", "2025-01-05") });
+    expect(notesApi.getSharedNotes).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reload when a note is shared or unshared, or events were missed", async () => {
+    await renderWithNotes([note("a", "2025-01-01")]);
+
+    sendEvent("note.shared", {
+      id: "b",
+      role: "viewer",
+      note: note("b", "2025-01-02"),
+      share: { userId: "me", role: "viewer" },
+    });
+    await waitFor(() => expect(notesApi.getSharedNotes).toHaveBeenCalledTimes(2));
+
+    sendEvent("note.unshared", {
+      id: "a",
+      role: "editor",
+      note: note("a", "2025-01-01"),
+      share: { userId: "me", role: "editor" },
+    });
+    await waitFor(() => expect(notesApi.getSharedNotes).toHaveBeenCalledTimes(3));
+
+    sendEvent("reset", {});
+    await waitFor(() => expect(notesApi.getSharedNotes).toHaveBeenCalledTimes(4));
+  });
+});
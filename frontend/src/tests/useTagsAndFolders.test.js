@@ -0,0 +1,74 @@
+/**
+ * Unit tests for useTagsAndFolders hook
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { renderHook, waitFor, act } from "@testing-library/react";
+import { useTagsAndFolders } from "../hooks/useTagsAndFolders.js";
+import * as notesApi from "../services/notes-api.js";
+import * as eventsApi from "../services/events-api.js";
+
+vi.mock("../services/notes-api.js");
+vi.mock("../services/events-api.js");
+
+describe("useTagsAndFolders", () => {
+  const note = (id, extra = {}) => ({
+    id,
+    title: `Note ${id}`,
+    version: 1,
+    tags: ["work"],
+    folderId: null,
+    ...extra,
+  });
+
+  let sendEvent;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(notesApi.getTags).mockResolvedValue([{ name: "work", count: 1 }]);
+    vi.mocked(notesApi.getFolders).mockResolvedValue([]);
+    vi.mocked(eventsApi.subscribeToNoteEvents).mockImplementation((listener) => {
+      sendEvent = (type, data) => act(() => listener(type, data));
+      return () => {};
+    });
+  });
+
+  it("should load the tags and folders once", async () => {
+    const { result, rerender } = renderHook(({ notes }) => useTagsAndFolders(notes), {
+      initialProps: { notes: [] },
+    });
+
+    await waitFor(() => {
+      expect(result.current.tags).toEqual([{ name: "work", count: 1 }]);
+    });
+    rerender({ notes: [note("a")] });
+    rerender({ notes: [note("a", { title: "Renamed" })] });
+
+    expect(notesApi.getTags).toHaveBeenCalledTimes(1);
+    expect(notesApi.getFolders).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reload only for changes that can change a count", async () => {
+    renderHook(() => useTagsAndFolders([note("a")]));
+    await waitFor(() => expect(notesApi.getTags).toHaveBeenCalledTimes(1));
+
+    // Edits that keep the tags and folder, and changes to shared notes
+    sendEvent("note.updated", { id: "a", role: "owner", note: note("a", { version: 2 }) });
+    sendEvent("note.updated", { id: "s", role: "editor", note: note("s", { tags: [] }) });
+    sendEvent("note.shared", {
+      id: "a",
+      role: "owner",
+      note: note("a", { version: 2 }),
+      share: { userId: "bob", role: "viewer" },
+    });
+    expect(notesApi.getTags).toHaveBeenCalledTimes(1);
+
+    sendEvent("note.updated", { id: "a", role: "owner", note: note("a", { folderId: "f" }) });
+    expect(notesApi.getTags).toHaveBeenCalledTimes(2);
+    expect(notesApi.getFolders).toHaveBeenCalledTimes(2);
+
+    sendEvent("note.created", { id: "b", role: "owner", note: note("b") });
+    sendEvent("note.deleted", { id: "b", role: "owner", permanent: false, note: note("b") });
+    sendEvent("reset", {});
+    expect(notesApi.getTags).toHaveBeenCalledTimes(5);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Diff Utilities
+ * 
+ * Line-level text diff used by the revision history panel, and a
+ * three-way merge used to resolve edit conflicts
+ */
+
+/**
+ * Builds the longest-common-subsequence table for two line arrays
+ * 
+ * @param {Array<string>} a - First lines
+ * @param {Array<string>} b - Second lines
+ * @returns {Array<Array<number>>} lcs[i][j] = length of LCS of a[i..] and b[j..]
+ */
+function buildLcsTable(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  return lcs;
+}
+
+/**
+ * Computes a line-level diff between two texts
+ * Uses the longest common subsequence of lines, so unchanged lines are
+ * matched and everything else is reported as removed or added.
+ * 
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @returns {Array<{type: "unchanged"|"removed"|"added", line: string}>} Diff lines in order
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = (oldText || "").split("\n");
+  const newLines = (newText || "").split("\n");
+  const m = oldLines.length;
+  const n = newLines.length;
+  const lcs = buildLcsTable(oldLines, newLines);
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < m && j < n) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: "unchanged", line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: "removed", line: oldLines[i] });
+      i++;
+    } else {
+      result.push({ type: "added", line: newLines[j] });
+      j++;
+    }
+  }
+  while (i < m) {
+    result.push({ type: "removed", line: oldLines[i++] });
+  }
+  while (j < n) {
+    result.push({ type: "added", line: newLines[j++] });
+  }
+
+  return result;
+}
+
+/**
+ * Maps each line of `a` to the index of its matching line in `b`
+ * 
+ * @param {Array<string>} a - First lines
+ * @param {Array<string>} b - Second lines
+ * @returns {Array<number>} Matching index in b for each line of a, or -1
+ */
+function matchLines(a, b) {
+  const lcs = buildLcsTable(a, b);
+  const matches = new Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches[i++] = j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Checks whether two line arrays are identical
+ * 
+ * @param {Array<string>} a - First lines
+ * @param {Array<string>} b - Second lines
+ * @returns {boolean} True if both have the same lines in the same order
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Three-way line merge of two edits of the same base text
+ * Lines unchanged in all three versions anchor the merge. Between anchors,
+ * a change made on only one side is taken; if both sides changed the same
+ * region differently, both versions are kept between conflict markers.
+ * 
+ * @param {string} baseText - Version both edits started from
+ * @param {string} mineText - Local edit
+ * @param {string} theirsText - Edit saved by someone else
+ * @returns {{text: string, conflicts: number}} Merged text and number of conflicting regions
+ */
+export function mergeLines(baseText, mineText, theirsText) {
+  const base = (baseText || "").split("\n");
+  const mine = (mineText || "").split("\n");
+  const theirs = (theirsText || "").split("\n");
+  const mineMatches = matchLines(base, mine);
+  const theirsMatches = matchLines(base, theirs);
+
+  const result = [];
+  let conflicts = 0;
+  let b = 0;
+  let m = 0;
+  let t = 0;
+
+  // Resolves the region between two anchors
+  const mergeRegion = (baseEnd, mineEnd, theirsEnd) => {
+    const baseChunk = base.slice(b, baseEnd);
+    const mineChunk = mine.slice(m, mineEnd);
+    const theirsChunk = theirs.slice(t, theirsEnd);
+
+    if (sameLines(mineChunk, baseChunk)) {
+      result.push(...theirsChunk);
+    } else if (
+      sameLines(theirsChunk, baseChunk) ||
+      sameLines(theirsChunk, mineChunk)
+    ) {
+      result.push(...mineChunk);
+    } else {
+      conflicts++;
+      result.push(
+        "<<<<<<< Your version",
+        ...mineChunk,
+        "=======",
+        ...theirsChunk,
+        ">>>>>>> Their version"
+      );
+    }
+  };
+
+  base.forEach((line, i) => {
+    const mineIndex = mineMatches[i];
+    const theirsIndex = theirsMatches[i];
+    if (mineIndex < m || theirsIndex < t) {
+      return; // Not an anchor (unmatched, or matched out of order)
+    }
+    mergeRegion(i, mineIndex, theirsIndex);
+    result.push(line);
+    b = i + 1;
+    m = mineIndex + 1;
+    t = theirsIndex + 1;
+  });
+  mergeRegion(base.length, mine.length, theirs.length);
+
+  return { text: result.join("\n"), conflicts };
+}
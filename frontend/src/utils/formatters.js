@@ -33,3 +33,17 @@ export function formatDate(dateString) {
   }
 }
 
+/**
+ * Picks a display color for a user (e.g. for their cursor in a shared note)
+ * The same user always gets the same color.
+ * 
+ * @param {string} userId - User ID
+ * @returns {string} CSS color, e.g. "hsl(210 80% 65%)"
+ */
+export function formatUserColor(userId = "") {
+  let hash = 0;
+  for (const char of userId) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 360;
+  }
+  return `hsl(${hash} 80% 65%)`;
+}
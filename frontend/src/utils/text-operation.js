@@ -0,0 +1,314 @@
+/**
+ * Text Operations
+ * 
+ * Operational transformation (OT) for plain text, used to merge edits
+ * that several people make to a note at the same time.
+ * 
+ * An operation walks the whole document from start to end and is an
+ * array of components:
+ * - a positive integer n: keep the next n characters
+ * - a string: insert it here
+ * - a negative integer -n: delete the next n characters
+ * e.g. [5, "big ", -3, 2] keeps 5 characters, inserts "big ", deletes 3
+ * and keeps the last 2. Lengths are counted in UTF-16 code units, like
+ * String.prototype.length and textarea selections.
+ * 
+ * transform(a, b) turns two operations made on the same text into ones
+ * that can be applied after each other, so every copy converges on the
+ * same text whichever order they arrive in. When both insert at the
+ * same position, a's text comes first. This must stay in step with the
+ * backend's utils/text-operation.js, which the server merges edits with.
+ */
+
+const isRetain = (component) => Number.isInteger(component) && component > 0;
+const isDelete = (component) => Number.isInteger(component) && component < 0;
+const isInsert = (component) => typeof component === "string";
+
+/**
+ * Builds an operation, merging neighbouring components of the same kind
+ * Inserts are kept before deletes at the same position, so equal edits
+ * always have the same form.
+ * 
+ * @returns {Object} { retain(n), insert(text), delete(n), components }
+ */
+function createBuilder() {
+  const components = [];
+  const last = () => components[components.length - 1];
+
+  return {
+    components,
+    retain(count) {
+      if (count <= 0) return;
+      if (isRetain(last())) {
+        components[components.length - 1] += count;
+      } else {
+        components.push(count);
+      }
+    },
+    insert(text) {
+      if (!text) return;
+      if (isInsert(last())) {
+        components[components.length - 1] += text;
+      } else if (isDelete(last())) {
+        const before = components[components.length - 2];
+        if (isInsert(before)) {
+          components[components.length - 2] += text;
+        } else {
+          components.splice(components.length - 1, 0, text);
+        }
+      } else {
+        components.push(text);
+      }
+    },
+    delete(count) {
+      if (count <= 0) return;
+      if (isDelete(last())) {
+        components[components.length - 1] -= count;
+      } else {
+        components.push(-count);
+      }
+    },
+  };
+}
+
+/**
+ * Checks whether a value is a well-formed operation
+ * 
+ * @param {*} operation - Value to check
+ * @returns {boolean} True for an array of non-zero integers and non-empty strings
+ */
+export function isOperation(operation) {
+  return (
+    Array.isArray(operation) &&
+    operation.every(
+      (component) =>
+        (Number.isSafeInteger(component) && component !== 0) ||
+        (typeof component === "string" && component.length > 0)
+    )
+  );
+}
+
+/**
+ * Length of the text an operation applies to
+ * 
+ * @param {Array} operation - Operation
+ * @returns {number} Characters kept or deleted
+ */
+export function baseLength(operation) {
+  return operation.reduce(
+    (length, component) =>
+      isInsert(component) ? length : length + Math.abs(component),
+    0
+  );
+}
+
+/**
+ * Length of the text an operation produces
+ * 
+ * @param {Array} operation - Operation
+ * @returns {number} Characters kept or inserted
+ */
+export function targetLength(operation) {
+  return operation.reduce(
+    (length, component) =>
+      isInsert(component)
+        ? length + component.length
+        : isRetain(component)
+          ? length + component
+          : length,
+    0
+  );
+}
+
+/**
+ * Applies an operation to a text
+ * 
+ * @param {string} text - Text the operation was made on
+ * @param {Array} operation - Operation
+ * @returns {string} Changed text
+ * @throws {Error} If the operation doesn't fit the text
+ */
+export function applyOperation(text, operation) {
+  if (baseLength(operation) !== text.length) {
+    throw new Error(
+      `Operation expects a text of ${baseLength(operation)} characters, got ${text.length}`
+    );
+  }
+
+  const parts = [];
+  let index = 0;
+  operation.forEach((component) => {
+    if (isRetain(component)) {
+      parts.push(text.slice(index, index + component));
+      index += component;
+    } else if (isInsert(component)) {
+      parts.push(component);
+    } else {
+      index -= component;
+    }
+  });
+  return parts.join("");
+}
+
+/**
+ * Transforms two operations made on the same text
+ * 
+ * @param {Array} a - First operation
+ * @param {Array} b - Second operation
+ * @returns {Array} [a', b'] where applying a then b' equals applying b then a'
+ * @throws {Error} If the operations were made on texts of different lengths
+ */
+export function transform(a, b) {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error("Both operations must apply to the same text");
+  }
+
+  const aPrime = createBuilder();
+  const bPrime = createBuilder();
+  let i = 0;
+  let j = 0;
+  let first = a[i++];
+  let second = b[j++];
+
+  while (first !== undefined || second !== undefined) {
+    if (isInsert(first)) {
+      aPrime.insert(first);
+      bPrime.retain(first.length);
+      first = a[i++];
+      continue;
+    }
+    if (isInsert(second)) {
+      aPrime.retain(second.length);
+      bPrime.insert(second);
+      second = b[j++];
+      continue;
+    }
+
+    // Both keep or delete; handle the shorter part and carry the rest
+    const count = Math.min(Math.abs(first), Math.abs(second));
+    if (isRetain(first) && isRetain(second)) {
+      aPrime.retain(count);
+      bPrime.retain(count);
+    } else if (isDelete(first) && isRetain(second)) {
+      aPrime.delete(count);
+    } else if (isRetain(first) && isDelete(second)) {
+      bPrime.delete(count);
+    }
+    // (both deleting the same characters leaves nothing to do)
+
+    first = Math.sign(first) * (Math.abs(first) - count) || a[i++];
+    second = Math.sign(second) * (Math.abs(second) - count) || b[j++];
+  }
+
+  return [aPrime.components, bPrime.components];
+}
+
+/**
+ * Combines two consecutive operations into one
+ * 
+ * @param {Array} a - First operation
+ * @param {Array} b - Operation made on the result of a
+ * @returns {Array} Operation with the effect of a then b
+ * @throws {Error} If b doesn't apply to the result of a
+ */
+export function compose(a, b) {
+  if (targetLength(a) !== baseLength(b)) {
+    throw new Error("The second operation must apply to the result of the first");
+  }
+
+  const result = createBuilder();
+  let i = 0;
+  let j = 0;
+  let first = a[i++];
+  let second = b[j++];
+
+  while (first !== undefined || second !== undefined) {
+    if (isDelete(first)) {
+      result.delete(-first);
+      first = a[i++];
+      continue;
+    }
+    if (isInsert(second)) {
+      result.insert(second);
+      second = b[j++];
+      continue;
+    }
+
+    const firstLength = isInsert(first) ? first.length : first;
+    const count = Math.min(firstLength, Math.abs(second));
+    if (isInsert(first)) {
+      // Text inserted by a is kept by b, or deleted again
+      if (isRetain(second)) {
+        result.insert(first.slice(0, count));
+      }
+      first = first.slice(count) || a[i++];
+    } else {
+      if (isRetain(second)) {
+        result.retain(count);
+      } else {
+        result.delete(count);
+      }
+      first = first - count || a[i++];
+    }
+    second = Math.sign(second) * (Math.abs(second) - count) || b[j++];
+  }
+
+  return result.components;
+}
+
+/**
+ * Moves a position in a text (e.g. a cursor) along with an operation
+ * Text inserted at the position ends up before it.
+ * 
+ * @param {number} position - Position in the text the operation applies to
+ * @param {Array} operation - Operation
+ * @returns {number} Position in the changed text
+ */
+export function transformPosition(position, operation) {
+  let remaining = position;
+  let moved = position;
+
+  for (const component of operation) {
+    if (remaining < 0) break;
+    if (isRetain(component)) {
+      remaining -= component;
+    } else if (isInsert(component)) {
+      moved += component.length;
+    } else {
+      moved -= Math.min(remaining, -component);
+      remaining += component;
+    }
+  }
+  return moved;
+}
+
+/**
+ * Builds the operation that turns one text into another
+ * Only the part between the common start and end is replaced, which is
+ * exact for a single edit such as typing, pasting or deleting a selection.
+ * 
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array} Operation
+ */
+export function diffToOperation(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const operation = createBuilder();
+  operation.retain(start);
+  operation.insert(after.slice(start, after.length - end));
+  operation.delete(before.length - start - end);
+  operation.retain(end);
+  return operation.components;
+}